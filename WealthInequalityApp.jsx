@@ -4,6 +4,17 @@ import { Slider } from '@/components/ui/slider';
 import { Card, CardContent } from '@/components/ui/card';
 import { Checkbox } from '@/components/ui/checkbox';
 import { Button } from '@/components/ui/button';
+import { InterventionEditor } from '@/components/InterventionEditor';
+import {
+  getBuiltInInterventions,
+  loadCustomInterventions,
+  saveCustomInterventions,
+  defaultInterventionIds,
+  parseInterventionParam,
+  calculateInterventionMultiple,
+  formatInterventionCost
+} from './interventions';
+import { LOG_MIN_WEALTH, LOG_SLIDER_STEPS, formatWealth, decadeTicks, wealthToSlider, sliderToWealth } from './wealth_scale';
 
 // Sample wealth data - replace with real percentile data
 const wealthData = [
@@ -18,30 +29,49 @@ export default function WealthInequalityApp() {
   // Read initial settings from URL params (without React Router)
   const urlParams = new URLSearchParams(window.location.search);
   const initialThreshold = Number(urlParams.get('plateau')) || 200000;
-  const initialInterventions = urlParams.get('interventions')?.split(',') || ['healthcare', 'homelessness'];
+  const [customInterventions, setCustomInterventions] = useState(() => loadCustomInterventions());
+  const interventions = useMemo(
+    () => [...getBuiltInInterventions(), ...customInterventions],
+    [customInterventions]
+  );
 
   // State
   const [threshold, setThreshold] = useState(initialThreshold);
-  const [showHomelessness, setShowHomelessness] = useState(initialInterventions.includes('homelessness'));
-  const [showHealthcare, setShowHealthcare] = useState(initialInterventions.includes('healthcare'));
-  const [showPoverty, setShowPoverty] = useState(initialInterventions.includes('poverty'));
-  const [showEducation, setShowEducation] = useState(initialInterventions.includes('education'));
+  const [selectedInterventions, setSelectedInterventions] = useState(
+    () => parseInterventionParam(urlParams.get('interventions'), interventions)
+  );
   const [showReality, setShowReality] = useState(false);
+  const [logScale, setLogScale] = useState(false);
 
   // Update URL on state change
   useEffect(() => {
     const params = new URLSearchParams();
     params.set('plateau', threshold);
-    const active = [];
-    if (showHealthcare) active.push('healthcare');
-    if (showHomelessness) active.push('homelessness');
-    if (showPoverty) active.push('poverty');
-    if (showEducation) active.push('education');
-    if (active.length > 0) params.set('interventions', active.join(','));
+    params.set('interventions', selectedInterventions.join(','));
     
     const newUrl = `${window.location.pathname}?${params.toString()}`;
     window.history.replaceState({}, '', newUrl);
-  }, [threshold, showHomelessness, showHealthcare, showPoverty, showEducation]);
+  }, [threshold, selectedInterventions]);
+
+  // Keep user-defined interventions across visits
+  useEffect(() => {
+    saveCustomInterventions(customInterventions);
+  }, [customInterventions]);
+
+  const toggleIntervention = (id, checked) => {
+    setSelectedInterventions(current => (checked
+      ? [...current.filter(i => i !== id), id]
+      : current.filter(i => i !== id)));
+  };
+
+  const changeCustomInterventions = updated => {
+    setCustomInterventions(updated);
+    // Drop selections of interventions that were removed
+    const remaining = new Set([...getBuiltInInterventions(), ...updated].map(i => i.id));
+    setSelectedInterventions(current => current.filter(id => remaining.has(id)));
+  };
+
+  const activeInterventions = interventions.filter(i => selectedInterventions.includes(i.id));
 
   // Process data
   const data = useMemo(() =>
@@ -53,6 +83,9 @@ export default function WealthInequalityApp() {
   , []);
 
   const plateauIndex = data.findIndex(d => d.wealth >= threshold);
+  const maxWealth = data[data.length-1].wealth;
+  // Zero wealth has no place on a log axis
+  const chartData = logScale ? data.filter(d => d.wealth > 0) : data;
 
   const excess = useMemo(() => {
     if (plateauIndex < 0 || data.length === 0) return 0;
@@ -92,11 +125,9 @@ export default function WealthInequalityApp() {
 
   const resetDefaults = () => {
     setThreshold(200000);
-    setShowHealthcare(true);
-    setShowHomelessness(true);
-    setShowPoverty(false);
-    setShowEducation(false);
+    setSelectedInterventions(defaultInterventionIds(interventions));
     setShowReality(false);
+    setLogScale(false);
   };
 
   return (
@@ -106,12 +137,13 @@ export default function WealthInequalityApp() {
           <h2 className="text-2xl font-bold mb-4">Wealth Inequality & Utility Plateau</h2>
           
           <div className="mb-6">
+            {/* Logarithmic track: each decade of wealth gets the same slider distance */}
             <Slider
-              value={[threshold]}
+              value={[wealthToSlider(threshold, maxWealth)]}
               min={0}
-              max={data[data.length-1].wealth}
-              step={10000}
-              onValueChange={([val]) => setThreshold(val)}
+              max={LOG_SLIDER_STEPS}
+              step={1}
+              onValueChange={([val]) => setThreshold(sliderToWealth(val, maxWealth))}
               className="mb-2"
             />
             <div className="text-sm text-gray-600">Utility plateau threshold: €{threshold.toLocaleString()}</div>
@@ -120,50 +152,44 @@ export default function WealthInequalityApp() {
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-sm">
             <div className="space-y-3">
               <div className="space-y-2">
+                {interventions.map(intervention => (
+                  <div key={intervention.id} className="flex items-center space-x-2">
+                    <Checkbox 
+                      checked={selectedInterventions.includes(intervention.id)} 
+                      onCheckedChange={(checked) => toggleIntervention(intervention.id, checked)} 
+                    />
+                    <span title={intervention.source}>{intervention.label} ({formatInterventionCost(intervention)})</span>
+                  </div>
+                ))}
                 <div className="flex items-center space-x-2">
                   <Checkbox 
-                    checked={showHomelessness} 
-                    onCheckedChange={(checked) => setShowHomelessness(checked)} 
-                  />
-                  <span>End homelessness (€1T)</span>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <Checkbox 
-                    checked={showHealthcare} 
-                    onCheckedChange={(checked) => setShowHealthcare(checked)} 
-                  />
-                  <span>Universal healthcare (€8T)</span>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <Checkbox 
-                    checked={showPoverty} 
-                    onCheckedChange={(checked) => setShowPoverty(checked)} 
+                    checked={showReality} 
+                    onCheckedChange={(checked) => setShowReality(checked)} 
                   />
-                  <span>Eradicate poverty (€0.06T)</span>
+                  <span>Show Reality Check</span>
                 </div>
                 <div className="flex items-center space-x-2">
                   <Checkbox 
-                    checked={showEducation} 
-                    onCheckedChange={(checked) => setShowEducation(checked)} 
+                    checked={logScale} 
+                    onCheckedChange={(checked) => setLogScale(checked)} 
                   />
-                  <span>Education (€0.04T)</span>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <Checkbox 
-                    checked={showReality} 
-                    onCheckedChange={(checked) => setShowReality(checked)} 
-                  />
-                  <span>Show Reality Check</span>
+                  <span>Log-scale wealth axis</span>
                 </div>
               </div>
+              <InterventionEditor
+                interventions={interventions}
+                customInterventions={customInterventions}
+                onChange={changeCustomInterventions}
+              />
             </div>
             
             <div className="md:col-span-2 space-y-2">
               <p className="text-lg">Excess wealth above plateau: <strong className="text-red-600">€{excess.toFixed(2)}T</strong></p>
-              {showHealthcare && <p>Could fund healthcare <strong>{(excess / 8).toFixed(1)}×</strong></p>}
-              {showHomelessness && <p>Could end homelessness <strong>{(excess / 1).toFixed(1)}×</strong></p>}
-              {showPoverty && <p>Could eradicate poverty <strong>{(excess / 0.06).toFixed(1)}×</strong></p>}
-              {showEducation && <p>Could fund education <strong>{(excess / 0.04).toFixed(1)}×</strong></p>}
+              {activeInterventions.map(intervention => (
+                <p key={intervention.id}>
+                  Could {intervention.action} <strong>{calculateInterventionMultiple(excess * 1e12, intervention).toFixed(1)}×</strong>
+                </p>
+              ))}
               
               {showReality && (
                 <div className="mt-4 p-3 bg-gray-50 rounded">
@@ -194,13 +220,18 @@ export default function WealthInequalityApp() {
       <Card>
         <CardContent className="pt-6">
           <ResponsiveContainer width="100%" height={500}>
-            <LineChart data={data} margin={{ top: 20, right: 50, bottom: 20, left: 20 }}>
+            <LineChart data={chartData} margin={{ top: 20, right: 50, bottom: 20, left: 20 }}>
               <XAxis 
                 dataKey="wealth" 
-                tickFormatter={w => w >= 1e6 ? `€${(w/1e6).toFixed(1)}M` : `€${(w/1000).toFixed(0)}k`} 
+                type="number"
+                scale={logScale ? 'log' : 'linear'}
+                domain={logScale ? [LOG_MIN_WEALTH, maxWealth] : [0, maxWealth]}
+                ticks={logScale ? decadeTicks(LOG_MIN_WEALTH, maxWealth) : undefined}
+                allowDataOverflow
+                tickFormatter={formatWealth} 
               />
               <YAxis yAxisId="left" domain={[0,1]} tickFormatter={v => `${(v*100).toFixed(0)}%`} />
-              <YAxis yAxisId="right" orientation="right" tickFormatter={v => `€${(v/1e6).toFixed(1)}M`} />
+              <YAxis yAxisId="right" orientation="right" tickFormatter={formatWealth} />
               <Tooltip 
                 formatter={(value, name) => [
                   name === 'utility' ? `${(value*100).toFixed(1)}%` : `€${value.toLocaleString()}`,
@@ -226,22 +257,16 @@ export default function WealthInequalityApp() {
                 />
               )}
 
-              {showHomelessness && plateauIndex >= 0 && (
-                <ReferenceArea 
-                  x1={threshold} 
-                  x2={data[data.length-1]?.wealth || threshold} 
-                  fill="rgba(34,197,94,0.2)" 
-                  yAxisId="left"
-                />
-              )}
-              {showHealthcare && plateauIndex >= 0 && (
+              {plateauIndex >= 0 && activeInterventions.map(intervention => (
                 <ReferenceArea 
+                  key={intervention.id}
                   x1={threshold} 
-                  x2={data[data.length-1]?.wealth || threshold} 
-                  fill="rgba(59,130,246,0.2)" 
+                  x2={maxWealth} 
+                  fill={intervention.colour}
+                  fillOpacity={0.2}
                   yAxisId="left"
                 />
-              )}
+              ))}
             </LineChart>
           </ResponsiveContainer>
         </CardContent>
@@ -0,0 +1,269 @@
+// batch.js - Batch scenario runs for the command line: arguments, results and output formats
+
+import { processWealthData } from './calculations';
+import { calculateInterventionMultiple, convertInterventionCost, defaultInterventionIds } from './interventions';
+import { getUtilityModel, decodeModelParams, DEFAULT_UTILITY_MODEL } from './utility_models';
+import { importWealthData, createImportedDataset } from './data_import';
+import { formatMoney } from './currency';
+import { toCsv } from './export';
+import { DEFAULT_THRESHOLD } from './url_state';
+
+export const BATCH_FORMATS = ['table', 'csv', 'json'];
+
+// Upper bound on thresholds in one run, so a mistyped step cannot run forever
+export const MAX_BATCH_THRESHOLDS = 10000;
+
+export const BATCH_USAGE = `Usage: npx vite-node run_batch.js -- [options]
+
+  --dataset <file|id>     CSV or JSON wealth file, or a bundled dataset id (default: sample)
+  --population <n>        Adult population (needed for percentile files)
+  --currency <code>       Currency of a dataset file (default: EUR)
+  --threshold <list>      Thresholds, comma-separated; may be repeated (default: ${DEFAULT_THRESHOLD})
+  --range <from:to:step>  Every threshold from "from" to "to" in steps of "step"
+  --interventions <ids>   Comma-separated intervention ids, "all" or "none" (default: the app's defaults)
+  --model <id>            Utility model (default: ${DEFAULT_UTILITY_MODEL})
+  --params <key:value,…>  Utility model parameters
+  --format <format>       ${BATCH_FORMATS.join(', ')} (default: from --output's extension, else table)
+  --output <file>         Write to a file instead of standard output
+  --help                  Show this message`;
+
+// Options that take a value, and the key they are stored under
+const VALUE_OPTIONS = {
+  '--dataset': 'dataset',
+  '--population': 'population',
+  '--currency': 'currency',
+  '--threshold': 'threshold',
+  '--range': 'range',
+  '--interventions': 'interventions',
+  '--model': 'model',
+  '--params': 'params',
+  '--format': 'format',
+  '--output': 'output'
+};
+
+const positiveNumber = (text, what) => {
+  const value = Number(text);
+  if (String(text).trim() === '' || !Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid ${what} "${text}": expected a positive number`);
+  }
+  return value;
+};
+
+/**
+ * Thresholds from a comma-separated list
+ * @param {string} spec - e.g. "200000,1e6"
+ * @returns {Array<number>} - Thresholds in the order given
+ */
+export function parseThresholds(spec) {
+  return String(spec).split(',').map(part => positiveNumber(part, 'threshold'));
+}
+
+/**
+ * Thresholds from a range with a step; the end is included when the steps reach it
+ * @param {string} spec - "from:to:step", e.g. "100000:1000000:100000"
+ * @returns {Array<number>} - Ascending thresholds
+ */
+export function parseRange(spec) {
+  const parts = String(spec).split(':');
+  if (parts.length !== 3) throw new Error(`Invalid range "${spec}": expected from:to:step`);
+  const [from, to, step] = parts.map(part => positiveNumber(part, 'range value'));
+  if (to < from) throw new Error(`Invalid range "${spec}": the end is below the start`);
+  const count = Math.floor((to - from) / step + 1e-9) + 1;
+  if (count > MAX_BATCH_THRESHOLDS) {
+    throw new Error(`Range "${spec}" has ${count} thresholds; the limit is ${MAX_BATCH_THRESHOLDS}`);
+  }
+  // Multiply rather than add, so steps like 0.1 do not accumulate rounding errors
+  return Array.from({ length: count }, (_, i) => +(from + i * step).toPrecision(12));
+}
+
+/**
+ * Read command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { help, dataset, population, currency, thresholds, interventions, model,
+ *   utilityParams, format, output } with thresholds sorted and without duplicates
+ * @throws {Error} - Unknown options, missing values and invalid numbers
+ */
+export function parseBatchArgs(argv) {
+  const options = { help: false, dataset: 'sample', currency: 'EUR', thresholdSpecs: [], rangeSpecs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') continue;
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+      continue;
+    }
+    // Accept both "--option value" and "--option=value"
+    const [name, inline] = arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+    const key = VALUE_OPTIONS[name];
+    if (!key) throw new Error(`Unknown option "${arg}"`);
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) throw new Error(`Option ${name} needs a value`);
+    if (key === 'threshold') options.thresholdSpecs.push(value);
+    else if (key === 'range') options.rangeSpecs.push(value);
+    else options[key] = value;
+  }
+
+  const { thresholdSpecs, rangeSpecs, ...rest } = options;
+  const thresholds = [...thresholdSpecs.flatMap(parseThresholds), ...rangeSpecs.flatMap(parseRange)];
+  if (options.format !== undefined && !BATCH_FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format "${options.format}"; use one of ${BATCH_FORMATS.join(', ')}`);
+  }
+  const model = options.model !== undefined ? options.model : DEFAULT_UTILITY_MODEL;
+  if (getUtilityModel(model).id !== model) throw new Error(`Unknown utility model "${model}"`);
+  const { params, ...settings } = rest;
+  return {
+    ...settings,
+    model,
+    utilityParams: decodeModelParams(model, params),
+    population: options.population !== undefined ? positiveNumber(options.population, 'population') : null,
+    thresholds: thresholds.length > 0 ? [...new Set(thresholds)].sort((a, b) => a - b) : [DEFAULT_THRESHOLD]
+  };
+}
+
+/**
+ * Output format for parsed options: --format, else the output file's extension, else a table
+ * @param {Object} options - Result of parseBatchArgs
+ * @returns {string} - One of BATCH_FORMATS
+ */
+export function batchFormat({ format, output }) {
+  if (format) return format;
+  const extension = output ? output.split('.').pop().toLowerCase() : '';
+  return BATCH_FORMATS.includes(extension) && extension !== 'table' ? extension : 'table';
+}
+
+/**
+ * Dataset from the contents of a wealth file, validated like an upload in the app
+ * @param {string} text - CSV or JSON file contents
+ * @param {Object} meta - { name, population, currency } where population overrides the file's
+ * @returns {Object} - { dataset, warnings } with the dataset shaped like getDataset's result
+ * @throws {Error} - The import report's errors, or a missing population
+ */
+export function datasetFromFile(text, { name, population = null, currency = 'EUR' }) {
+  const imported = importWealthData(text);
+  if (imported.report.errors.length > 0) throw new Error(imported.report.errors.join('\n'));
+  const dataset = createImportedDataset(imported, { name, population, currency });
+  if (!(dataset.population > 0)) {
+    throw new Error('A percentile file has no population; pass --population');
+  }
+  return { dataset, warnings: imported.report.warnings };
+}
+
+/**
+ * Interventions selected on the command line, with costs in the dataset's currency
+ * @param {string|undefined} spec - Comma-separated ids, "all", "none", or undefined for the defaults
+ * @param {Array<Object>} catalogue - Known interventions
+ * @param {string} currency - Dataset currency
+ * @returns {Array<Object>} - Selected interventions
+ * @throws {Error} - Unknown ids
+ */
+export function selectInterventions(spec, catalogue, currency) {
+  let ids;
+  if (spec === undefined) ids = defaultInterventionIds(catalogue);
+  else if (spec === 'all') ids = catalogue.map(i => i.id);
+  else if (spec === 'none' || spec === '') ids = [];
+  else ids = spec.split(',').map(id => id.trim()).filter(Boolean);
+  const unknown = ids.filter(id => !catalogue.some(i => i.id === id));
+  if (unknown.length > 0) throw new Error(`Unknown intervention(s): ${unknown.join(', ')}`);
+  return ids.map(id => convertInterventionCost(catalogue.find(i => i.id === id), currency));
+}
+
+/**
+ * Metrics for each threshold, computed with processWealthData exactly as in the app
+ * @param {Object} dataset - { percentiles, population } as from getDataset or datasetFromFile
+ * @param {Array<number>} thresholds - Thresholds in the dataset's currency
+ * @param {Object} [options] - { interventions, utilityModel, utilityParams }
+ * @returns {Array<Object>} - Rows { threshold, excessEuros, peopleAbove, gini, palma, multiples }
+ *   with multiples keyed by intervention id
+ * @throws {Error} - When the excess, Gini or Palma cannot be computed for a threshold, so a
+ *   script never writes NaN into its results
+ */
+export function runBatch(dataset, thresholds, { interventions = [], utilityModel = DEFAULT_UTILITY_MODEL, utilityParams } = {}) {
+  const params = utilityParams || decodeModelParams(utilityModel, '');
+  return thresholds.map(threshold => {
+    const { metrics } = processWealthData(dataset.percentiles, threshold, {
+      population: dataset.population,
+      utilityModel,
+      utilityParams: params
+    });
+    if (!Number.isFinite(metrics.excessEuros) || !Number.isFinite(metrics.gini) || Number.isNaN(metrics.palma)) {
+      throw new Error(`The metrics at threshold ${threshold} could not be computed for this dataset`);
+    }
+    return {
+      threshold,
+      excessEuros: metrics.excessEuros,
+      peopleAbove: metrics.peopleAbove,
+      gini: metrics.gini,
+      palma: metrics.palma,
+      multiples: Object.fromEntries(interventions.map(i => [i.id, calculateInterventionMultiple(metrics.excessEuros, i)]))
+    };
+  });
+}
+
+// Flat records for CSV and the table: one column per intervention multiple
+const flatRows = (rows, interventions) => rows.map(row => ({
+  threshold: row.threshold,
+  excess: row.excessEuros,
+  peopleAbove: row.peopleAbove,
+  gini: row.gini,
+  palma: row.palma,
+  ...Object.fromEntries(interventions.map(i => [`multiple_${i.id}`, row.multiples[i.id]]))
+}));
+
+const batchColumns = interventions => [
+  { key: 'threshold', header: 'threshold' },
+  { key: 'excess', header: 'excess' },
+  { key: 'peopleAbove', header: 'people_above' },
+  { key: 'gini', header: 'gini' },
+  { key: 'palma', header: 'palma' },
+  ...interventions.map(i => ({ key: `multiple_${i.id}`, header: `multiple_${i.id}` }))
+];
+
+/**
+ * Batch results as CSV with full-precision numbers
+ * @param {Array<Object>} rows - Result of runBatch
+ * @param {Array<Object>} interventions - Interventions the rows were computed for
+ * @returns {string} - CSV text
+ */
+export function batchToCsv(rows, interventions = []) {
+  return toCsv(flatRows(rows, interventions), batchColumns(interventions));
+}
+
+/**
+ * Batch results with the settings that produced them, as JSON
+ * @param {Array<Object>} rows - Result of runBatch
+ * @param {Object} run - { dataset, interventions, utilityModel, utilityParams }
+ * @returns {string} - Indented JSON
+ */
+export function batchToJson(rows, { dataset, interventions = [], utilityModel, utilityParams }) {
+  return `${JSON.stringify({
+    dataset: { id: dataset.id, name: dataset.name, currency: dataset.currency, population: dataset.population },
+    utilityModel,
+    utilityParams,
+    interventions: interventions.map(i => ({ id: i.id, label: i.label, cost: i.cost, unit: i.unit, currency: i.currency })),
+    results: rows
+  }, null, 2)}\n`;
+}
+
+/**
+ * Batch results as an aligned plain-text table for the terminal
+ * @param {Array<Object>} rows - Result of runBatch
+ * @param {Array<Object>} interventions - Interventions the rows were computed for
+ * @param {string} currency - Dataset currency, for the amounts
+ * @returns {string} - Table text
+ */
+export function batchToTable(rows, interventions = [], currency = 'EUR') {
+  const money = value => formatMoney(value, { currency, locale: 'en-GB' });
+  const headers = ['Threshold', 'Excess', 'People above', 'Gini', 'Palma', ...interventions.map(i => i.label)];
+  const body = rows.map(row => [
+    money(row.threshold),
+    formatMoney(row.excessEuros, { currency, locale: 'en-GB', compact: true, digits: 2 }),
+    Math.round(row.peopleAbove).toLocaleString('en-GB'),
+    row.gini.toFixed(3),
+    row.palma === Infinity ? '∞' : row.palma.toFixed(2),
+    ...interventions.map(i => `${row.multiples[i.id].toFixed(1)}×`)
+  ]);
+  const widths = headers.map((header, c) => Math.max(header.length, ...body.map(cells => cells[c].length)));
+  // Text left-aligned in the first column, numbers right-aligned elsewhere
+  const line = cells => cells.map((cell, c) => (c === 0 ? cell.padEnd(widths[c]) : cell.padStart(widths[c]))).join('  ').trimEnd();
+  return [line(headers), widths.map(w => '-'.repeat(w)).join('  '), ...body.map(line)].join('\n') + '\n';
+}
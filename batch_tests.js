@@ -0,0 +1,168 @@
+// batch.test.js - Unit tests for the batch command line: arguments, runs and output formats
+
+import {
+  MAX_BATCH_THRESHOLDS,
+  parseThresholds,
+  parseRange,
+  parseBatchArgs,
+  batchFormat,
+  datasetFromFile,
+  selectInterventions,
+  runBatch,
+  batchToCsv,
+  batchToJson,
+  batchToTable
+} from './batch';
+import { processWealthData } from './calculations';
+import { getBuiltInInterventions, calculateInterventionMultiple } from './interventions';
+import { getDataset } from './datasets';
+import { DEFAULT_THRESHOLD } from './url_state';
+
+const dataset = getDataset('sample');
+const catalogue = getBuiltInInterventions();
+
+describe('thresholds', () => {
+  test('should read lists and ranges', () => {
+    expect(parseThresholds('200000,1e6')).toEqual([200000, 1000000]);
+    expect(parseRange('100000:500000:200000')).toEqual([100000, 300000, 500000]);
+    expect(parseRange('100000:400000:200000')).toEqual([100000, 300000]);
+    expect(parseRange('0.1:0.5:0.1')).toEqual([0.1, 0.2, 0.3, 0.4, 0.5]);
+  });
+
+  test('should reject invalid values', () => {
+    expect(() => parseThresholds('200000,lots')).toThrow('Invalid threshold "lots"');
+    expect(() => parseThresholds('-5')).toThrow('positive number');
+    expect(() => parseRange('1:2')).toThrow('from:to:step');
+    expect(() => parseRange('10:1:1')).toThrow('below the start');
+    expect(() => parseRange(`1:${MAX_BATCH_THRESHOLDS * 2}:1`)).toThrow('the limit is');
+  });
+});
+
+describe('parseBatchArgs', () => {
+  test('should fall back to the app defaults', () => {
+    const options = parseBatchArgs([]);
+    expect(options).toMatchObject({ help: false, dataset: 'sample', currency: 'EUR', model: 'log', population: null });
+    expect(options.thresholds).toEqual([DEFAULT_THRESHOLD]);
+    expect(options.interventions).toBeUndefined();
+  });
+
+  test('should combine repeated thresholds and ranges, sorted and without duplicates', () => {
+    const options = parseBatchArgs(['--', '--threshold', '5e6', '--range=1e6:3e6:1e6', '--threshold', '2e6,500000']);
+    expect(options.thresholds).toEqual([500000, 1e6, 2e6, 3e6, 5e6]);
+  });
+
+  test('should read every option', () => {
+    const options = parseBatchArgs([
+      '--dataset', 'records.csv', '--population', '1000', '--currency', 'USD', '--interventions', 'poverty',
+      '--model', 'crra', '--params', 'eta:2', '--format', 'json', '--output', 'out.json'
+    ]);
+    expect(options).toMatchObject({
+      dataset: 'records.csv',
+      population: 1000,
+      currency: 'USD',
+      interventions: 'poverty',
+      model: 'crra',
+      utilityParams: { eta: 2 },
+      format: 'json',
+      output: 'out.json'
+    });
+    expect(parseBatchArgs(['--help']).help).toBe(true);
+  });
+
+  test('should explain mistakes', () => {
+    expect(() => parseBatchArgs(['--thresold', '1'])).toThrow('Unknown option "--thresold"');
+    expect(() => parseBatchArgs(['--threshold'])).toThrow('needs a value');
+    expect(() => parseBatchArgs(['--format', 'xlsx'])).toThrow('Unknown format "xlsx"');
+    expect(() => parseBatchArgs(['--model', 'quadratic'])).toThrow('Unknown utility model');
+    expect(() => parseBatchArgs(['--population', 'many'])).toThrow('Invalid population');
+  });
+});
+
+describe('batchFormat', () => {
+  test('should prefer --format, then the output extension', () => {
+    expect(batchFormat({ format: 'json', output: 'out.csv' })).toBe('json');
+    expect(batchFormat({ output: 'reports/out.CSV' })).toBe('csv');
+    expect(batchFormat({ output: 'out.txt' })).toBe('table');
+    expect(batchFormat({})).toBe('table');
+  });
+});
+
+describe('datasetFromFile', () => {
+  test('should summarise individual records with their count as the population', () => {
+    const csv = ['wealth', ...Array.from({ length: 200 }, (_, i) => (i + 1) * 10000)].join('\n');
+    const { dataset: imported, warnings } = datasetFromFile(csv, { name: 'records' });
+    expect(imported.population).toBe(200);
+    expect(imported.currency).toBe('EUR');
+    expect(imported.percentiles.length).toBeGreaterThan(10);
+    expect(warnings).toEqual([]);
+  });
+
+  test('should need a population for percentile files', () => {
+    const csv = 'percentile,wealth\n0.5,10000\n0.9,100000\n0.99,1000000\n1,5000000';
+    expect(() => datasetFromFile(csv, { name: 'p' })).toThrow('--population');
+    expect(datasetFromFile(csv, { name: 'p', population: 1e6, currency: 'GBP' }).dataset).toMatchObject({ population: 1e6, currency: 'GBP' });
+  });
+
+  test('should report import errors', () => {
+    expect(() => datasetFromFile('name\nalice', { name: 'x' })).toThrow('No wealth column');
+  });
+});
+
+describe('selectInterventions', () => {
+  test('should pick defaults, all, none or a list', () => {
+    expect(selectInterventions(undefined, catalogue, 'EUR').map(i => i.id)).toEqual(catalogue.filter(i => i.default).map(i => i.id));
+    expect(selectInterventions('all', catalogue, 'EUR')).toHaveLength(catalogue.length);
+    expect(selectInterventions('none', catalogue, 'EUR')).toEqual([]);
+    expect(selectInterventions('poverty, homelessness', catalogue, 'EUR').map(i => i.id)).toEqual(['poverty', 'homelessness']);
+  });
+
+  test('should convert costs and reject unknown ids', () => {
+    const [converted] = selectInterventions('homelessness', catalogue, 'USD');
+    expect(converted.currency).toBe('USD');
+    expect(() => selectInterventions('homelessness,moonbase', catalogue, 'EUR')).toThrow('moonbase');
+  });
+});
+
+describe('runBatch', () => {
+  const interventions = selectInterventions('homelessness,poverty', catalogue, dataset.currency);
+  const rows = runBatch(dataset, [200000, 1000000], { interventions });
+
+  test('should match the app\'s calculation for every threshold', () => {
+    rows.forEach(row => {
+      const { metrics } = processWealthData(dataset.percentiles, row.threshold, { population: dataset.population, utilityModel: 'log', utilityParams: {} });
+      expect(row.excessEuros).toBe(metrics.excessEuros);
+      expect(row.peopleAbove).toBe(metrics.peopleAbove);
+      expect(row.gini).toBe(metrics.gini);
+      expect(row.palma).toBe(metrics.palma);
+      interventions.forEach(i => expect(row.multiples[i.id]).toBe(calculateInterventionMultiple(metrics.excessEuros, i)));
+    });
+    expect(rows[0].excessEuros).toBeGreaterThan(rows[1].excessEuros);
+  });
+
+  test('should refuse to report metrics that are not numbers', () => {
+    const broken = { percentiles: [{ wealth: 1000 }, { wealth: NaN }], population: 0 };
+    expect(() => runBatch(broken, [500], { interventions })).toThrow('threshold 500 could not be computed');
+  });
+
+  test('should write CSV with one column per multiple', () => {
+    const lines = batchToCsv(rows, interventions).trim().split('\n');
+    expect(lines[0]).toBe('threshold,excess,people_above,gini,palma,multiple_homelessness,multiple_poverty');
+    expect(lines).toHaveLength(3);
+    expect(Number(lines[1].split(',')[1])).toBe(rows[0].excessEuros);
+  });
+
+  test('should write JSON with the settings', () => {
+    const doc = JSON.parse(batchToJson(rows, { dataset, interventions, utilityModel: 'log', utilityParams: {} }));
+    expect(doc.dataset).toMatchObject({ id: 'sample', currency: 'EUR' });
+    expect(doc.interventions.map(i => i.id)).toEqual(['homelessness', 'poverty']);
+    expect(doc.results).toEqual(rows);
+  });
+
+  test('should align the table', () => {
+    const lines = batchToTable(rows, interventions).trimEnd().split('\n');
+    expect(lines).toHaveLength(4);
+    expect(lines[0]).toMatch(/^Threshold\s+Excess\s+People above\s+Gini\s+Palma\s+End homelessness/);
+    expect(lines[2]).toMatch(/^€200,000 /);
+    expect(lines[2].length).toBe(lines[1].length);
+  });
+});
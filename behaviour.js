@@ -0,0 +1,162 @@
+// behaviour.js - Behavioural responses: elasticity, avoidance and emigration
+
+import { isDistribution } from './distribution';
+import { normalizeTaxSchedule } from './tax';
+import { formatMoney } from './currency';
+import { DEFAULT_LOCALE_ID, createTranslator } from './i18n';
+
+/**
+ * Central assumptions. These are illustrative defaults, not estimates from a study;
+ * users are expected to replace them with values from their own sources.
+ * - elasticity: elasticity of taxable wealth with respect to the net-of-tax rate, so a
+ *   recurring tax at rate τ keeps (1 − τ)^elasticity of its base. Not applied to the
+ *   one-off cap, which is treated as an unanticipated levy.
+ * - avoidance: share of liable wealth hidden, by the holder's wealth band
+ * - emigration: share of the top `topShare` of adults who leave before paying
+ */
+export const DEFAULT_BEHAVIOUR = {
+  elasticity: 5,
+  avoidance: [
+    { threshold: 1000000, rate: 0.05 },
+    { threshold: 10000000, rate: 0.1 },
+    { threshold: 100000000, rate: 0.15 },
+    { threshold: 1000000000, rate: 0.2 }
+  ],
+  emigration: { topShare: 0.01, rate: 0.02 }
+};
+
+// Scaling of the central behavioural response for the pessimistic and optimistic ends of the range
+export const RANGE_FACTORS = { low: 2, central: 1, high: 0.5 };
+
+/**
+ * Scale every behavioural response by a factor, keeping rates within [0, 1]
+ * @param {Object} assumptions - { elasticity, avoidance, emigration }
+ * @param {number} factor - Multiplier (2 doubles the response, 0 removes it)
+ * @returns {Object} - Scaled assumptions
+ */
+export function scaleBehaviour(assumptions, factor) {
+  const clampRate = rate => Math.min(Math.max(rate * factor, 0), 1);
+  return {
+    elasticity: Math.max(assumptions.elasticity * factor, 0),
+    avoidance: assumptions.avoidance.map(band => ({ ...band, rate: clampRate(band.rate) })),
+    emigration: { ...assumptions.emigration, rate: clampRate(assumptions.emigration.rate) }
+  };
+}
+
+/**
+ * Split the population into pieces with a single avoidance rate and emigration status
+ * @param {Object} distribution - Fitted distribution
+ * @param {Object} assumptions - { avoidance, emigration }
+ * @returns {Array<Object>} - Pieces { p0, p1, retained } where `retained` is the share still liable
+ */
+function liablePieces(distribution, assumptions) {
+  const bands = [...assumptions.avoidance].sort((a, b) => a.threshold - b.threshold);
+  const emigrationStart = 1 - Math.min(Math.max(assumptions.emigration.topShare, 0), 1);
+  const edges = [...new Set([0, 1, emigrationStart, ...bands.map(band => distribution.cdf(band.threshold))])]
+    .filter(p => p >= 0 && p <= 1)
+    .sort((a, b) => a - b);
+
+  const pieces = [];
+  for (let i = 1; i < edges.length; i++) {
+    const p0 = edges[i - 1];
+    const p1 = edges[i];
+    if (p1 <= p0) continue;
+    // Wealth at the middle of the piece decides its band
+    const wealth = distribution.quantile((p0 + p1) / 2);
+    const band = bands.filter(b => wealth >= b.threshold).pop();
+    const avoided = band ? band.rate : 0;
+    const emigrated = p0 >= emigrationStart ? assumptions.emigration.rate : 0;
+    pieces.push({ p0, p1, retained: (1 - avoided) * (1 - emigrated) });
+  }
+  return pieces;
+}
+
+/**
+ * Excess above a hard cap after avoidance and emigration
+ * @param {Object} distribution - Fitted distribution
+ * @param {number} threshold - Cap
+ * @param {Object} assumptions - { avoidance, emigration }
+ * @returns {number} - Collectable excess in euros
+ */
+export function adjustedExcess(distribution, threshold, assumptions) {
+  return liablePieces(distribution, assumptions)
+    .reduce((sum, piece) => sum + piece.retained * distribution.excessBetween(piece.p0, piece.p1, threshold), 0);
+}
+
+/**
+ * Annual revenue of a tax schedule after elasticity, avoidance and emigration
+ * @param {Object} distribution - Fitted distribution
+ * @param {Array<Object>} schedule - Brackets ({ threshold, rate })
+ * @param {Object} assumptions - { elasticity, avoidance, emigration }
+ * @returns {number} - Revenue in euros per year
+ */
+export function adjustedTaxRevenue(distribution, schedule, assumptions) {
+  const brackets = normalizeTaxSchedule(schedule);
+  const pieces = liablePieces(distribution, assumptions);
+  return brackets.reduce((total, bracket, i) => {
+    const upper = i + 1 < brackets.length ? brackets[i + 1].threshold : Infinity;
+    const response = Math.pow(1 - Math.min(bracket.rate, 1), assumptions.elasticity);
+    const base = pieces.reduce((sum, piece) => {
+      const above = distribution.excessBetween(piece.p0, piece.p1, bracket.threshold);
+      const aboveNext = Number.isFinite(upper) ? distribution.excessBetween(piece.p0, piece.p1, upper) : 0;
+      return sum + piece.retained * (above - aboveNext);
+    }, 0);
+    return total + bracket.rate * response * base;
+  }, 0);
+}
+
+/**
+ * Low / central / high estimates of the excess and, optionally, tax revenue
+ * Low applies RANGE_FACTORS.low times the central response, high RANGE_FACTORS.high times.
+ * @param {Object} distribution - Fitted distribution
+ * @param {number} threshold - Cap
+ * @param {Object} assumptions - Central { elasticity, avoidance, emigration }
+ * @param {Array<Object>|null} [schedule] - Tax schedule, when in tax-policy mode
+ * @returns {Object|null} - { mechanical, excess: { low, central, high }, tax: { … } | null } in euros
+ */
+export function estimateBehaviouralRange(distribution, threshold, assumptions = DEFAULT_BEHAVIOUR, schedule = null) {
+  if (!isDistribution(distribution)) return null;
+  try {
+    const range = compute => Object.fromEntries(
+      Object.entries(RANGE_FACTORS).map(([key, factor]) => [key, compute(scaleBehaviour(assumptions, factor))])
+    );
+    const none = scaleBehaviour(assumptions, 0);
+    return {
+      mechanical: {
+        excess: distribution.excessAbove(threshold),
+        tax: schedule ? adjustedTaxRevenue(distribution, schedule, none) : null
+      },
+      excess: range(scaled => adjustedExcess(distribution, threshold, scaled)),
+      tax: schedule ? range(scaled => adjustedTaxRevenue(distribution, schedule, scaled)) : null
+    };
+  } catch (error) {
+    console.error('Error estimating behavioural range:', error);
+    return null;
+  }
+}
+
+/**
+ * Plain-language list of assumptions for display and exported results
+ * @param {Object} assumptions - Central { elasticity, avoidance, emigration }
+ * @param {Object} [money] - Display options for formatMoney (thresholds are in the dataset's currency)
+ * @param {Function} [t] - Translator for the labels (English by default)
+ * @returns {Array<Object>} - Lines { label, value }
+ */
+export function describeBehaviour(assumptions, money = {}, t = createTranslator(DEFAULT_LOCALE_ID)) {
+  const pct = rate => t('common.percent', { value: +(rate * 100).toFixed(2) });
+  return [
+    { label: t('behaviour.lines.elasticity'), value: t.number(assumptions.elasticity) },
+    ...assumptions.avoidance.map(band => ({
+      label: t('behaviour.lines.avoidance', { amount: formatMoney(band.threshold, money) }),
+      value: pct(band.rate)
+    })),
+    {
+      label: t('behaviour.lines.emigration', { share: pct(assumptions.emigration.topShare) }),
+      value: pct(assumptions.emigration.rate)
+    },
+    {
+      label: t('behaviour.lines.range'),
+      value: t('behaviour.lines.rangeValue', RANGE_FACTORS)
+    }
+  ];
+}
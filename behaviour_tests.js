@@ -0,0 +1,90 @@
+// behaviour.test.js - Unit tests for behavioural response assumptions
+
+import {
+  DEFAULT_BEHAVIOUR,
+  RANGE_FACTORS,
+  scaleBehaviour,
+  adjustedExcess,
+  adjustedTaxRevenue,
+  estimateBehaviouralRange,
+  describeBehaviour
+} from './behaviour';
+import { calculateTaxRevenue } from './tax';
+import { fitDistribution } from './distribution';
+import { processWealthData } from './calculations';
+import wealthPercentiles from './data/wealth-percentiles.json';
+
+const distribution = fitDistribution(wealthPercentiles, { population: 1e6 });
+const cap = 1000000;
+const schedule = [{ threshold: 1000000, rate: 0.02 }, { threshold: 100000000, rate: 0.03 }];
+const noResponse = scaleBehaviour(DEFAULT_BEHAVIOUR, 0);
+
+describe('scaleBehaviour', () => {
+  test('should scale every response and clamp rates', () => {
+    const doubled = scaleBehaviour(DEFAULT_BEHAVIOUR, 2);
+    expect(doubled.elasticity).toBe(DEFAULT_BEHAVIOUR.elasticity * 2);
+    expect(doubled.avoidance[0].rate).toBeCloseTo(DEFAULT_BEHAVIOUR.avoidance[0].rate * 2, 12);
+    expect(doubled.emigration.topShare).toBe(DEFAULT_BEHAVIOUR.emigration.topShare);
+    expect(scaleBehaviour(DEFAULT_BEHAVIOUR, 100).avoidance.every(b => b.rate === 1)).toBe(true);
+  });
+});
+
+describe('adjusted excess and revenue', () => {
+  test('should match the mechanical figures without any response', () => {
+    expect(adjustedExcess(distribution, cap, noResponse) / distribution.excessAbove(cap)).toBeCloseTo(1, 9);
+    expect(adjustedTaxRevenue(distribution, schedule, noResponse) / calculateTaxRevenue(distribution, schedule).total).toBeCloseTo(1, 9);
+  });
+
+  test('should apply a flat avoidance rate proportionally', () => {
+    const flat = { ...noResponse, avoidance: [{ threshold: 0, rate: 0.25 }] };
+    expect(adjustedExcess(distribution, cap, flat) / distribution.excessAbove(cap)).toBeCloseTo(0.75, 9);
+  });
+
+  test('should lose the emigrants\' share of the excess', () => {
+    const leaving = { ...noResponse, emigration: { topShare: 0.01, rate: 0.5 } };
+    const topExcess = distribution.excessBetween(0.99, 1, cap);
+    expect(distribution.excessAbove(cap) - adjustedExcess(distribution, cap, leaving)).toBeCloseTo(0.5 * topExcess, -3);
+  });
+
+  test('should shrink the tax base with the elasticity', () => {
+    const flatTax = [{ threshold: 1000000, rate: 0.02 }];
+    const elastic = { ...noResponse, elasticity: 10 };
+    const ratio = adjustedTaxRevenue(distribution, flatTax, elastic) / calculateTaxRevenue(distribution, flatTax).total;
+    expect(ratio).toBeCloseTo(Math.pow(0.98, 10), 9);
+  });
+});
+
+describe('estimateBehaviouralRange', () => {
+  test('should order low, central and high below the mechanical figure', () => {
+    const range = estimateBehaviouralRange(distribution, cap, DEFAULT_BEHAVIOUR, schedule);
+    expect(range.excess.low).toBeLessThan(range.excess.central);
+    expect(range.excess.central).toBeLessThan(range.excess.high);
+    expect(range.excess.high).toBeLessThan(range.mechanical.excess);
+    expect(range.tax.low).toBeLessThan(range.tax.central);
+    expect(range.tax.high).toBeLessThan(range.mechanical.tax);
+  });
+
+  test('should leave tax out without a schedule', () => {
+    const range = estimateBehaviouralRange(distribution, cap);
+    expect(range.tax).toBeNull();
+    expect(range.mechanical.tax).toBeNull();
+    expect(estimateBehaviouralRange([1, 2], cap)).toBeNull();
+  });
+
+  test('should be added to processWealthData when assumptions are given', () => {
+    const { metrics } = processWealthData(wealthPercentiles, cap, { population: 1e6, behaviour: DEFAULT_BEHAVIOUR });
+    expect(metrics.behaviour.mechanical.excess / metrics.excessEuros).toBeCloseTo(1, 9);
+    expect(metrics.behaviour.excess.central).toBeLessThan(metrics.excessEuros);
+    expect(processWealthData(wealthPercentiles, cap, { population: 1e6 }).metrics.behaviour).toBeNull();
+  });
+});
+
+describe('describeBehaviour', () => {
+  test('should list every assumption', () => {
+    const lines = describeBehaviour(DEFAULT_BEHAVIOUR);
+    expect(lines).toHaveLength(DEFAULT_BEHAVIOUR.avoidance.length + 3);
+    expect(lines[0].value).toBe('5');
+    expect(lines.some(line => line.label.includes('€1,000,000,000') && line.value === '20%')).toBe(true);
+    expect(lines[lines.length - 1].value).toContain(`${RANGE_FACTORS.low}×`);
+  });
+});
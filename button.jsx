@@ -1,8 +1,8 @@
 import React from 'react';
-export function Button({ children, onClick, variant, size }) {
+export function Button({ children, onClick, variant, size, disabled, className = '', ...rest }) {
   const base = 'px-3 py-1 border rounded';
   const style = variant === 'secondary' ? 'bg-gray-200' : 'bg-white';
   return (
-    <button onClick={onClick} className={`${base} ${style} text-sm`}>{children}</button>
+    <button onClick={onClick} disabled={disabled} className={`${base} ${style} text-sm disabled:opacity-50 ${className}`.trim()} {...rest}>{children}</button>
   );
-}
\ No newline at end of file
+}
@@ -5,8 +5,13 @@ import {
   calculateUtility, 
   calculateGiniCoefficient, 
   calculatePalmaRatio,
+  calculatePopulationExcess,
+  toPercentileBrackets,
+  calculateLorenzCurve,
+  calculateWealthShares,
   processWealthData 
 } from './calculations';
+import { fitDistribution } from './distribution';
 
 // Test data
 const testWealthData = [
@@ -19,6 +24,14 @@ const testWealthData = [
   { wealth: 5000000 }
 ];
 
+// Percentile test data: 1,000 adults split into four brackets
+const testPercentileData = [
+  { percentile: 0.5, wealth: 100000 },
+  { percentile: 0.9, wealth: 500000 },
+  { percentile: 0.99, wealth: 2000000 },
+  { percentile: 1.0, wealth: 10000000 }
+];
+
 describe('calculateExcessWealth', () => {
   test('should calculate correct excess above threshold', () => {
     const threshold = 200000;
@@ -152,6 +165,159 @@ describe('processWealthData', () => {
   });
 });
 
+describe('toPercentileBrackets', () => {
+  test('should split population into shares between percentiles', () => {
+    const brackets = toPercentileBrackets(testPercentileData);
+
+    expect(brackets).toHaveLength(4);
+    expect(brackets[0]).toMatchObject({ fromPercentile: 0, toPercentile: 0.5, wealthLow: 100000, wealthHigh: 100000 });
+    expect(brackets[2].share).toBeCloseTo(0.09, 10);
+    expect(brackets[3]).toMatchObject({ wealthLow: 2000000, wealthHigh: 10000000 });
+  });
+
+  test('should sort unordered points', () => {
+    const brackets = toPercentileBrackets([...testPercentileData].reverse());
+    expect(brackets.map(b => b.toPercentile)).toEqual([0.5, 0.9, 0.99, 1.0]);
+  });
+});
+
+// Mean of the bounded Pareto tail fitted above P99 of testPercentileData:
+// no points lie inside the tail, so alpha falls back to 1.5 between €2M and €10M
+const testTailMean = (() => {
+  const alpha = 1.5;
+  const r = Math.pow(2e6 / 1e7, alpha);
+  return alpha * Math.pow(2e6, alpha) / (1 - r) * (Math.pow(2e6, 1 - alpha) - Math.pow(1e7, 1 - alpha)) / (alpha - 1);
+})();
+
+describe('calculatePopulationExcess', () => {
+  test('should weight excess by each bracket\'s population share', () => {
+    const result = calculatePopulationExcess(testPercentileData, 2000000, 1000);
+
+    // Only the top bracket (10 people in the Pareto tail) is above the threshold
+    expect(result.total).toBeCloseTo(10 * (testTailMean - 2000000), 0);
+    expect(result.peopleAbove).toBeCloseTo(10, 6);
+    expect(result.brackets[3].excess).toBeCloseTo(result.total, 0);
+  });
+
+  test('should integrate partially across a bracket containing the threshold', () => {
+    const result = calculatePopulationExcess(testPercentileData, 300000, 1000);
+
+    // Wealth rises log-linearly from €100k at P50 to €500k at P90,
+    // so €300k is reached ln(3)/ln(5) of the way through the bracket
+    const cutoff = 0.5 + 0.4 * Math.log(3) / Math.log(5);
+    expect(result.brackets[1].peopleAbove).toBeCloseTo((0.9 - cutoff) * 1000, 6);
+    expect(result.peopleAbove).toBeCloseTo((1 - cutoff) * 1000, 6);
+    const bracketSum = result.brackets.reduce((sum, b) => sum + b.excess, 0);
+    expect(bracketSum).toBeCloseTo(result.total, 0);
+  });
+
+  test('should scale linearly with population', () => {
+    const small = calculatePopulationExcess(testPercentileData, 300000, 1000);
+    const large = calculatePopulationExcess(testPercentileData, 300000, 1e6);
+    expect(large.total / small.total).toBeCloseTo(1000, 6);
+  });
+
+  test('should handle edge cases', () => {
+    expect(calculatePopulationExcess([], 100000, 1000).total).toBe(0);
+    expect(calculatePopulationExcess(testPercentileData, 100000, 0).total).toBe(0);
+    expect(calculatePopulationExcess(testPercentileData, 1e9, 1000).total).toBe(0);
+  });
+});
+
+describe('processWealthData with population weighting', () => {
+  test('should report excess in trillions and absolute euros with a breakdown', () => {
+    const result = processWealthData(testPercentileData, 2000000, { population: 1e9 });
+    const expectedEuros = 1e7 * (testTailMean - 2000000);
+
+    expect(result.metrics.excessEuros / expectedEuros).toBeCloseTo(1, 9);
+    expect(result.metrics.excess).toBeCloseTo(expectedEuros / 1e12, 6);
+    expect(result.metrics.peopleAbove).toBeCloseTo(1e7, 0);
+    expect(result.metrics.population).toBe(1e9);
+    expect(result.metrics.excessBreakdown).toHaveLength(testPercentileData.length);
+    expect(result.metrics.paretoAlpha).toBeCloseTo(1.5, 6);
+  });
+
+  test('should fall back to one person per entry without a population', () => {
+    const result = processWealthData(testPercentileData, 2000000);
+    expect(result.metrics.excess).toBeCloseTo(8000000 / 1e12, 12);
+    expect(result.metrics.peopleAbove).toBe(1);
+  });
+
+  test('should report the share affected and per-capita dividends', () => {
+    const { metrics } = processWealthData(testPercentileData, 2000000, { population: 1e9 });
+    expect(metrics.shareAbove).toBeCloseTo(0.01, 9);
+    expect(metrics.averageExcess).toBeCloseTo(metrics.excessEuros / metrics.peopleAbove, 6);
+    expect(metrics.dividendPerAdult).toBeCloseTo(metrics.excessEuros / 1e9, 6);
+    expect(metrics.dividendBottomHalf).toBeCloseTo(2 * metrics.dividendPerAdult, 6);
+
+    const unweighted = processWealthData(testPercentileData, 2000000).metrics;
+    expect(unweighted.shareAbove).toBeCloseTo(1 / testPercentileData.length, 12);
+    expect(unweighted.averageExcess).toBeCloseTo(8000000, 6);
+    expect(unweighted.dividendPerAdult).toBeCloseTo(8000000 / testPercentileData.length, 6);
+  });
+
+  test('should reuse a distribution fitted once instead of refitting the points', () => {
+    // A fixed alpha the points would never fit to shows which distribution was used
+    const distribution = fitDistribution(testPercentileData, { population: 1e9, alpha: 3 });
+    const reused = processWealthData(testPercentileData, 2000000, { population: 1e9, distribution }).metrics;
+    const refitted = processWealthData(testPercentileData, 2000000, { population: 1e9, tailAlpha: 3 }).metrics;
+    expect(reused.paretoAlpha).toBe(3);
+    expect(reused.excessEuros).toBe(refitted.excessEuros);
+    expect(reused.gini).toBe(refitted.gini);
+
+    // Anything that is not a fitted distribution is ignored
+    const ignored = processWealthData(testPercentileData, 2000000, { population: 1e9, distribution: {} }).metrics;
+    expect(ignored.paretoAlpha).toBeCloseTo(1.5, 6);
+  });
+
+  test('should report zero per-capita metrics when nobody is above the threshold', () => {
+    const { metrics } = processWealthData(testPercentileData, 1e12, { population: 1e9 });
+    expect(metrics.peopleAbove).toBe(0);
+    expect(metrics.averageExcess).toBe(0);
+    expect(metrics.dividendPerAdult).toBe(0);
+    expect(processWealthData([], 0).metrics).toMatchObject({ shareAbove: 0, averageExcess: 0, dividendPerAdult: 0, dividendBottomHalf: 0 });
+  });
+});
+
+describe('Lorenz curve and wealth shares', () => {
+  const distribution = fitDistribution(testPercentileData, { population: 1000 });
+
+  test('should sample the Lorenz curve from 0 to 1 with extra top points', () => {
+    const curve = calculateLorenzCurve(distribution);
+    expect(curve[0]).toEqual({ population: 0, wealth: 0 });
+    expect(curve[curve.length - 1].wealth).toBeCloseTo(1, 9);
+    expect(curve.map(p => p.population)).toContain(0.999);
+    curve.slice(1).forEach((p, i) => {
+      expect(p.population).toBeGreaterThan(curve[i].population);
+      expect(p.wealth).toBeGreaterThanOrEqual(curve[i].wealth);
+      expect(p.wealth).toBeLessThanOrEqual(p.population);
+    });
+    expect(calculateLorenzCurve([1, 2, 3])).toEqual([]);
+  });
+
+  test('should split total wealth between percentile groups', () => {
+    const shares = calculateWealthShares(distribution);
+    expect(shares.map(s => s.toPercentile)).toEqual([0.5, 0.9, 0.99, 1.0]);
+    expect(shares.reduce((sum, s) => sum + s.wealthShare, 0)).toBeCloseTo(1, 9);
+    expect(shares[3].wealthShare).toBeCloseTo(1 - distribution.lorenz(0.99), 9);
+  });
+
+  test('should report the threshold as a population percentile', () => {
+    const { metrics } = processWealthData(testPercentileData, 500000, { population: 1000 });
+    expect(metrics.thresholdPercentile).toBeCloseTo(0.9, 9);
+    expect(metrics.lorenz.length).toBeGreaterThan(100);
+    expect(metrics.wealthShares).toHaveLength(4);
+    expect(processWealthData(testWealthData, 500000).metrics.thresholdPercentile).toBeNull();
+  });
+
+  test('should mark the wealth at standard percentiles', () => {
+    const { metrics } = processWealthData(testPercentileData, 500000, { population: 1000 });
+    expect(metrics.percentileMarks.map(m => m.percentile)).toEqual([0.5, 0.9, 0.99, 0.999]);
+    expect(metrics.percentileMarks[1].wealth).toBeCloseTo(500000, 6);
+    expect(processWealthData(testWealthData, 500000).metrics.percentileMarks).toEqual([]);
+  });
+});
+
 // Integration test comparing old vs new calculation
 describe('Integration: Old vs New Calculation Logic', () => {
   test('new excess calculation should be more conservative than old flawed method', () => {
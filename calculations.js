@@ -1,18 +1,29 @@
 // calculations.js - Extracted mathematical utilities with corrected logic
 
+import { fitDistribution, isDistribution, lorenzPoints } from './distribution';
+import { DEFAULT_UTILITY_MODEL, evaluateUtilityModel } from './utility_models';
+import { redistributeWealth } from './redistribution';
+import { calculateTaxRevenue } from './tax';
+import { estimateBehaviouralRange } from './behaviour';
+import { isWealthIndex, createWealthIndex, getWealthIndex } from './wealth_index';
+
+// Individual-record data above this size is charted at evenly spaced quantiles
+export const MAX_DATA_POINTS = 10000;
+
 /**
  * Calculate actual redistributable excess wealth above threshold
- * @param {Array} data - Array of wealth data points
+ * @param {Array|Object} data - Array of wealth data points, a fitted distribution or a wealth index
  * @param {number} threshold - Wealth threshold (plateau level)
  * @returns {number} - Excess wealth in trillions
  */
 export function calculateExcessWealth(data, threshold) {
+  if (isDistribution(data) || isWealthIndex(data)) {
+    return threshold > 0 ? data.excessAbove(threshold) / 1e12 : 0;
+  }
   if (!Array.isArray(data) || data.length === 0 || threshold <= 0) return 0;
   try {
-    // Sum only the excess above threshold for each individual
-    const totalExcess = data
-      .filter(point => point.wealth > threshold)
-      .reduce((sum, point) => sum + (point.wealth - threshold), 0);
+    // Sum only the excess above threshold for each individual, from the cached sorted index
+    const totalExcess = getWealthIndex(data).excessAbove(threshold);
     // Convert to trillions for easier reading
     return totalExcess / 1e12;
   } catch (error) {
@@ -21,81 +32,266 @@ export function calculateExcessWealth(data, threshold) {
   }
 }
 
+/**
+ * Convert percentile points into population brackets
+ * Each bracket spans the population share between consecutive percentiles.
+ * @param {Array<Object>} data - Points with `percentile` (0–1) and `wealth`
+ * @returns {Array<Object>} - Brackets with percentile bounds, share and wealth bounds
+ */
+export function toPercentileBrackets(data) {
+  if (!Array.isArray(data) || data.length === 0) return [];
+  const sorted = [...data].sort((a, b) => a.percentile - b.percentile);
+  return sorted.map((point, i) => {
+    const prev = i > 0 ? sorted[i - 1] : { percentile: 0, wealth: point.wealth };
+    return {
+      fromPercentile: prev.percentile,
+      toPercentile: point.percentile,
+      share: Math.max(0, point.percentile - prev.percentile),
+      wealthLow: prev.wealth,
+      wealthHigh: point.wealth
+    };
+  });
+}
+
+/**
+ * Calculate population-weighted excess wealth above threshold
+ * Integrates (wealth − threshold) over each bracket's share of the population, using the
+ * continuous distribution from `fitDistribution` (log-linear body, Pareto tail).
+ * @param {Array<Object>|Object} data - Percentile points ({ percentile, wealth }) or a fitted distribution
+ * @param {number} threshold - Wealth threshold (plateau level)
+ * @param {number} [population] - Total adult population (ignored when `data` is a distribution)
+ * @param {Object} [options] - Passed to fitDistribution, e.g. { tailPercentile }
+ * @returns {Object} - { total, peopleAbove, brackets } with excess in absolute euros
+ */
+export function calculatePopulationExcess(data, threshold, population, options = {}) {
+  const empty = { total: 0, peopleAbove: 0, brackets: [] };
+  if (threshold < 0) return empty;
+  try {
+    const distribution = isDistribution(data)
+      ? data
+      : population > 0 ? fitDistribution(data, { ...options, population }) : null;
+    if (!distribution || !(distribution.population > 0)) return empty;
+
+    const cutoff = distribution.cdf(threshold);
+    const brackets = toPercentileBrackets(distribution.points).map(bracket => {
+      const people = bracket.share * distribution.population;
+      const shareAbove = Math.max(0, bracket.toPercentile - Math.max(bracket.fromPercentile, cutoff));
+      return {
+        ...bracket,
+        people,
+        peopleAbove: shareAbove * distribution.population,
+        excess: distribution.excessBetween(bracket.fromPercentile, bracket.toPercentile, threshold)
+      };
+    });
+    return {
+      total: distribution.excessAbove(threshold),
+      peopleAbove: distribution.populationAbove(threshold),
+      brackets
+    };
+  } catch (error) {
+    console.error('Error calculating population excess:', error);
+    return empty;
+  }
+}
+
+/**
+ * Check whether data points carry percentile information
+ * @param {Array<Object>} data - Wealth data points
+ * @returns {boolean} - True if every point has a numeric `percentile`
+ */
+export function hasPercentiles(data) {
+  return Array.isArray(data) && data.length > 0 && data.every(p => typeof p.percentile === 'number');
+}
+
 /**
  * Calculate dynamic utility based on selected threshold
  * @param {number} wealth - Individual wealth amount
  * @param {number} threshold - Selected plateau threshold
+ * @param {string} [model] - Utility model id from utility_models.js (default: log)
+ * @param {Object} [params] - Parameters for the chosen model
  * @returns {number} - Utility value between 0 and 1
  */
-export function calculateUtility(wealth, threshold) {
+export function calculateUtility(wealth, threshold, model = DEFAULT_UTILITY_MODEL, params = {}) {
   if (wealth <= 0) return 0;
   if (threshold <= 0) return 1; // Avoid division by zero
-  const utility = Math.log1p(wealth) / Math.log1p(threshold);
-  // Cap at 1.0 for wealth above threshold (plateau effect)
-  return Math.min(utility, 1.0);
+  return evaluateUtilityModel(wealth, threshold, model, params);
+}
+
+/**
+ * Trapezoid integral of a distribution's Lorenz curve over [0, 1]
+ * @param {Object} distribution - Fitted distribution
+ * @returns {number} - Area under the Lorenz curve
+ */
+function lorenzArea(distribution) {
+  const points = lorenzPoints(distribution);
+  let area = 0;
+  for (let i = 1; i < points.length; i++) {
+    area += (points[i].population - points[i - 1].population) * (points[i].wealth + points[i - 1].wealth) / 2;
+  }
+  return area;
 }
 
 /**
  * Calculate Gini coefficient for wealth distribution
- * @param {Array<number>} wealthData - Sorted array of wealth values
+ * @param {Array<number>|Object} wealthData - Array of wealth values, a fitted distribution or a wealth index
  * @returns {number} - Gini coefficient between 0 and 1
  */
 export function calculateGiniCoefficient(wealthData) {
-  if (!Array.isArray(wealthData) || wealthData.length === 0) return 0;
-  const sorted = [...wealthData].sort((a, b) => a - b);
-  const n = sorted.length;
-  const total = sorted.reduce((sum, w) => sum + w, 0);
-  if (total === 0) return 0;
-  let numerator = 0;
-  for (let i = 0; i < n; i++) {
-    numerator += (2 * (i + 1) - n - 1) * sorted[i];
+  if (isDistribution(wealthData)) {
+    return wealthData.mean > 0 ? Math.min(Math.max(1 - 2 * lorenzArea(wealthData), 0), 1) : 0;
   }
-  return numerator / (n * total);
+  if (isWealthIndex(wealthData)) return wealthData.gini;
+  if (!Array.isArray(wealthData) || wealthData.length === 0) return 0;
+  return createWealthIndex(wealthData).gini;
 }
 
 /**
  * Calculate Palma ratio (top 10% share / bottom 40% share)
- * @param {Array<number>} wealthData - Sorted array of wealth values
+ * @param {Array<number>|Object} wealthData - Array of wealth values, a fitted distribution or a wealth index
  * @returns {number} - Palma ratio
  */
 export function calculatePalmaRatio(wealthData) {
+  if (isDistribution(wealthData)) {
+    if (!(wealthData.mean > 0)) return 0;
+    const bottomShare = wealthData.lorenz(0.4);
+    const topShare = 1 - wealthData.lorenz(0.9);
+    return bottomShare > 0 ? topShare / bottomShare : Infinity;
+  }
+  if (isWealthIndex(wealthData)) return wealthData.palma;
   if (!Array.isArray(wealthData) || wealthData.length === 0) return 0;
-  const sorted = [...wealthData].sort((a, b) => a - b);
-  const n = sorted.length;
-  const total = sorted.reduce((sum, w) => sum + w, 0);
-  if (total === 0) return 0;
-  const bottomCount = Math.floor(n * 0.4);
-  const topCount = Math.floor(n * 0.1);
-  const bottomSum = sorted.slice(0, bottomCount).reduce((sum, w) => sum + w, 0);
-  const topSum = sorted.slice(-topCount).reduce((sum, w) => sum + w, 0);
-  const bottomShare = bottomSum / total;
-  const topShare = topSum / total;
-  return bottomShare > 0 ? topShare / bottomShare : Infinity;
+  return createWealthIndex(wealthData).palma;
+}
+
+// Population percentiles labelled on the chart's secondary axis
+export const PERCENTILE_MARKS = [0.5, 0.9, 0.99, 0.999];
+
+/**
+ * Sample a distribution's Lorenz curve for charting
+ * Evenly spaced points, with extra points in the top percentile where the curve bends sharply.
+ * @param {Object} distribution - Fitted distribution
+ * @param {number} [steps] - Number of even steps between 0 and 1 (default: 100)
+ * @returns {Array<Object>} - Points { population, wealth } as cumulative shares
+ */
+export function calculateLorenzCurve(distribution, steps = 100) {
+  if (!isDistribution(distribution)) return [];
+  const percentiles = Array.from({ length: steps + 1 }, (_, i) => i / steps);
+  const top = [0.995, 0.999, 0.9999].filter(p => !percentiles.includes(p));
+  return [...percentiles, ...top]
+    .sort((a, b) => a - b)
+    .map(p => ({ population: p, wealth: distribution.lorenz(p) }));
+}
+
+/**
+ * Share of total wealth held by each percentile group of the data
+ * @param {Object} distribution - Fitted distribution
+ * @returns {Array<Object>} - Groups { fromPercentile, toPercentile, populationShare, wealthShare }
+ */
+export function calculateWealthShares(distribution) {
+  if (!isDistribution(distribution) || !(distribution.mean > 0)) return [];
+  return toPercentileBrackets(distribution.points)
+    .filter(bracket => bracket.share > 0)
+    .map(bracket => ({
+      fromPercentile: bracket.fromPercentile,
+      toPercentile: bracket.toPercentile,
+      populationShare: bracket.share,
+      wealthShare: distribution.integral(bracket.fromPercentile, bracket.toPercentile) / distribution.mean
+    }));
 }
 
 /**
  * Enhanced data processing with corrected calculations
+ * Percentile data is fitted to a continuous distribution (see distribution.js) for the Gini
+ * and Palma, and excess is weighted by population when `options.population` is given;
+ * otherwise every entry counts as one person. Passing `options.redistribution` (see
+ * redistribution.js) adds before/after metrics for capping wealth at the threshold, and
+ * `options.taxSchedule` (see tax.js) adds the annual revenue of a progressive wealth tax.
+ * `options.behaviour` (see behaviour.js) adds low/central/high estimates after avoidance,
+ * emigration and, for the tax, the elasticity of taxable wealth.
+ * Metrics include who the threshold reaches (peopleAbove, shareAbove, averageExcess) and the
+ * excess per adult if paid out equally (dividendPerAdult) or to the bottom half (dividendBottomHalf).
+ * Unweighted entries are sorted once per array (see wealth_index.js), and for more than
+ * MAX_DATA_POINTS individual records `data` holds evenly spaced quantiles instead of every record.
  * @param {Array<Object>} rawWealthData - Raw wealth data points
  * @param {number} threshold - Selected threshold
+ * @param {Object} [options] - { population, tailPercentile, tailAlpha, distribution, utilityModel, utilityParams, redistribution, taxSchedule, behaviour }
  * @returns {Object} - Processed data with metrics
  */
-export function processWealthData(rawWealthData, threshold) {
+export function processWealthData(rawWealthData, threshold, options = {}) {
+  const { population, tailPercentile, tailAlpha, utilityModel, utilityParams, redistribution, taxSchedule, behaviour } = options;
+  const distribution = !hasPercentiles(rawWealthData)
+    ? null
+    : isDistribution(options.distribution)
+      ? options.distribution
+      : fitDistribution(rawWealthData, { population: population > 0 ? population : 1, tailPercentile, alpha: tailAlpha });
+  const weighted = Boolean(distribution) && population > 0;
+  // Unweighted entries are sorted once per array and then answer threshold queries in O(log n)
+  const index = weighted ? null : getWealthIndex(rawWealthData);
+
+  // Chart points: the data itself, or evenly spaced quantiles of large record sets
+  const points = !distribution && index.size > MAX_DATA_POINTS
+    ? Array.from({ length: MAX_DATA_POINTS }, (_, i) => {
+      const percentile = i / (MAX_DATA_POINTS - 1);
+      return { wealth: index.quantile(percentile), percentile };
+    })
+    : rawWealthData;
+
   // Map each data point with updated utility
-  const processedData = rawWealthData.map(point => ({
+  const processedData = points.map(point => ({
     wealth: point.wealth,
-    utility: calculateUtility(point.wealth, threshold),
+    percentile: point.percentile,
+    utility: calculateUtility(point.wealth, threshold, utilityModel, utilityParams),
     wealthPct: point.wealth
   }));
 
-  // Extract raw values for metric calculations
-  const wealthValues = rawWealthData.map(p => p.wealth);
-  const excess = calculateExcessWealth(rawWealthData, threshold);
-  const gini = calculateGiniCoefficient(wealthValues);
-  const palma = calculatePalmaRatio(wealthValues);
-  const thresholdIndex = rawWealthData.findIndex(p => p.wealth >= threshold);
+  const populationExcess = weighted ? calculatePopulationExcess(distribution, threshold) : null;
+  const excess = weighted
+    ? populationExcess.total / 1e12
+    : calculateExcessWealth(index, threshold);
+  const gini = calculateGiniCoefficient(distribution || index);
+  const palma = calculatePalmaRatio(distribution || index);
+  let thresholdIndex;
+  if (index && index.inputSorted) {
+    const position = index.lowerBound(threshold);
+    thresholdIndex = position < index.size ? position : -1;
+  } else {
+    thresholdIndex = rawWealthData.findIndex(p => p.wealth >= threshold);
+  }
+  // Adults the metrics describe: the weighted population, or one per entry
+  const adults = weighted ? population : rawWealthData.length;
+  const peopleAbove = weighted ? populationExcess.peopleAbove : index.countAbove(threshold);
+  const excessEuros = excess * 1e12;
 
   return {
     data: processedData,
-    metrics: { excess, gini, palma, totalDataPoints: rawWealthData.length, thresholdIndex }
+    metrics: {
+      excess,
+      excessEuros,
+      excessBreakdown: weighted ? populationExcess.brackets : [],
+      population: adults,
+      peopleAbove,
+      // Share of adults above the threshold and the average each holds above it
+      shareAbove: adults > 0 ? peopleAbove / adults : 0,
+      averageExcess: peopleAbove > 0 ? excessEuros / peopleAbove : 0,
+      // The excess as a dividend shared equally by every adult, or by the bottom half only
+      dividendPerAdult: adults > 0 ? excessEuros / adults : 0,
+      dividendBottomHalf: adults > 0 ? excessEuros / (adults * 0.5) : 0,
+      gini,
+      palma,
+      paretoAlpha: distribution ? distribution.alpha : null,
+      tailPercentile: distribution && distribution.alpha !== null ? distribution.tailPercentile : null,
+      totalDataPoints: rawWealthData.length,
+      thresholdIndex,
+      // Population percentile at which wealth reaches the threshold
+      thresholdPercentile: distribution ? distribution.cdf(threshold) : null,
+      // Wealth at which each of PERCENTILE_MARKS is reached
+      percentileMarks: distribution
+        ? PERCENTILE_MARKS.map(percentile => ({ percentile, wealth: distribution.quantile(percentile) }))
+        : [],
+      lorenz: calculateLorenzCurve(distribution),
+      wealthShares: calculateWealthShares(distribution),
+      redistribution: distribution && redistribution ? redistributeWealth(distribution, threshold, redistribution) : null,
+      tax: weighted && taxSchedule ? calculateTaxRevenue(distribution, taxSchedule) : null,
+      behaviour: weighted && behaviour ? estimateBehaviouralRange(distribution, threshold, behaviour, taxSchedule || null) : null
+    }
   };
 }
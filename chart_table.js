@@ -0,0 +1,73 @@
+// chart_table.js - Text alternatives for the charts: data tables and live-region announcements
+
+import { calculateInterventionMultiple } from './interventions';
+import { formatMoney } from './currency';
+import { interventionText } from './i18n';
+import { roundMultiple } from './share_card';
+
+// Lorenz points listed in the table: every tenth of the population plus the top tail
+const LORENZ_ROW = point => Math.round(point.population * 1000) % 100 === 0 || point.population > 0.99;
+
+/**
+ * Table of the values a chart tab plots, as display text
+ * @param {string} tab - Chart tab id ('utility', 'lorenz', 'shares' or 'time')
+ * @param {Object} view - { data, lorenz, wealthShares, timeSeries, baseYear } where data,
+ *   lorenz and wealthShares come from processWealthData and timeSeries from realTermsSeries
+ * @param {Object} options - { t, money } where t is a translator from createTranslator
+ * @returns {Object} - { caption, headers, rows } with rows as arrays of cell text
+ */
+export function chartTable(tab, { data = [], lorenz = [], wealthShares = [], timeSeries = [], baseYear = null }, { t, money = {} }) {
+  const percent = (value, digits = 1) => `${t.number(value * 100, digits)}%`;
+  const percentile = value => (typeof value === 'number' ? `P${t.number(value * 100, 2)}` : '–');
+
+  switch (tab) {
+    case 'lorenz':
+      return {
+        caption: t('tabs.lorenz'),
+        headers: [t('table.population'), t('table.cumulativeWealth')],
+        rows: lorenz.filter(LORENZ_ROW).map(point => [percent(point.population), percent(point.wealth)])
+      };
+    case 'shares':
+      return {
+        caption: t('tabs.shares'),
+        headers: [t('table.group'), t('table.adults'), t('table.wealthShare')],
+        rows: wealthShares.map(share => [
+          `${percentile(share.fromPercentile)}–${percentile(share.toPercentile)}`,
+          percent(share.populationShare),
+          percent(share.wealthShare)
+        ])
+      };
+    case 'time':
+      return {
+        caption: t('tabs.time'),
+        headers: [t('table.year'), t('table.excess', { year: String(baseYear) }), t('table.gini')],
+        rows: timeSeries.map(point => [
+          String(point.year),
+          formatMoney(point.excess * 1e12, { ...money, compact: true, digits: 2 }),
+          t.number(point.gini, 3)
+        ])
+      };
+    default:
+      return {
+        caption: t('tabs.utility'),
+        headers: [t('table.wealth'), t('table.percentile'), t('chart.marginalUtility')],
+        rows: data.map(point => [formatMoney(point.wealth, money), percentile(point.percentile), percent(point.utility)])
+      };
+  }
+}
+
+/**
+ * Sentence for the live region when the threshold changes: threshold, excess and multiples
+ * @param {Function} t - Translator from createTranslator
+ * @param {Object} view - { threshold, excessEuros, interventions, money } with intervention
+ *   costs in the dataset's currency
+ * @returns {string} - Announcement text
+ */
+export function thresholdAnnouncement(t, { threshold, excessEuros, interventions = [], money = {} }) {
+  return [
+    t('threshold', { amount: formatMoney(threshold, money) }),
+    `${t('card.excess')}: ${formatMoney(excessEuros, { ...money, compact: true, digits: 2 })}`,
+    ...interventions.map(intervention => `${interventionText(t, intervention, 'label')}: ${
+      t('multiple.times', { count: roundMultiple(calculateInterventionMultiple(excessEuros, intervention)) })}`)
+  ].join('. ');
+}
@@ -0,0 +1,69 @@
+// chart_table.test.js - Unit tests for chart data tables and live-region announcements
+
+import { chartTable, thresholdAnnouncement } from './chart_table';
+import { getBuiltInInterventions } from './interventions';
+import { getDataset } from './datasets';
+import { processWealthData } from './calculations';
+import { createTranslator } from './i18n';
+
+const dataset = getDataset('sample');
+const threshold = 200000;
+const { data, metrics } = processWealthData(dataset.percentiles, threshold, { population: dataset.population });
+const view = { data, lorenz: metrics.lorenz, wealthShares: metrics.wealthShares };
+const interventions = getBuiltInInterventions();
+const homelessness = interventions.find(i => i.id === 'homelessness');
+const money = { currency: 'EUR', from: 'EUR', locale: 'en-GB' };
+const t = createTranslator('en');
+
+describe('chartTable', () => {
+  test('should list every point of the utility curve', () => {
+    const table = chartTable('utility', view, { t, money });
+    expect(table.caption).toBe('Utility curve');
+    expect(table.headers).toEqual(['Wealth', 'Population percentile', 'Marginal Utility']);
+    expect(table.rows).toHaveLength(data.length);
+    table.rows.forEach(row => expect(row).toHaveLength(3));
+    expect(table.rows[table.rows.length - 1][0]).toBe(`€${data[data.length - 1].wealth.toLocaleString('en-GB')}`);
+  });
+
+  test('should sample the Lorenz curve by decile and keep the top tail', () => {
+    const { rows } = chartTable('lorenz', view, { t, money });
+    const shares = rows.map(row => row[0]);
+    expect(shares.slice(0, 3)).toEqual(['0.0%', '10.0%', '20.0%']);
+    expect(shares).toContain('99.9%');
+    expect(shares[shares.length - 1]).toBe('100.0%');
+    expect(rows[rows.length - 1][1]).toBe('100.0%');
+  });
+
+  test('should give each wealth group its population and wealth share', () => {
+    const { headers, rows } = chartTable('shares', view, { t, money });
+    expect(headers).toHaveLength(3);
+    expect(rows).toHaveLength(metrics.wealthShares.length);
+    expect(rows[0][0]).toMatch(/^P0\.00–P/);
+  });
+
+  test('should show the time series in base-year prices', () => {
+    const timeSeries = [{ year: 2014, excess: 1.2, gini: 0.7 }, { year: 2024, excess: 1.5, gini: 0.72 }];
+    const table = chartTable('time', { timeSeries, baseYear: 2024 }, { t, money });
+    expect(table.headers).toEqual(['Year', 'Excess (2024 prices)', 'Gini']);
+    expect(table.rows).toEqual([['2014', '€1.2T', '0.700'], ['2024', '€1.5T', '0.720']]);
+  });
+
+  test('should follow the language', () => {
+    const table = chartTable('shares', view, { t: createTranslator('de'), money: { ...money, locale: 'de-DE' } });
+    expect(table.headers[2]).toBe('Anteil am Gesamtvermögen');
+    expect(table.rows[0][1]).toContain(',');
+  });
+});
+
+describe('thresholdAnnouncement', () => {
+  test('should read out the threshold, excess and multiples', () => {
+    const text = thresholdAnnouncement(t, { threshold, excessEuros: metrics.excessEuros, interventions: [homelessness], money });
+    expect(text).toMatch(/^Utility plateau threshold: €200,000\. Redistributable excess: €[\d.]+[kMBT]\. /);
+    expect(text).toMatch(/: [\d.]+× over$/);
+  });
+
+  test('should leave out multiples when nothing is selected', () => {
+    const text = thresholdAnnouncement(t, { threshold, excessEuros: 0, money });
+    expect(text).toBe('Utility plateau threshold: €200,000. Redistributable excess: €0');
+  });
+});
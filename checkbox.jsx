@@ -1,10 +1,21 @@
 import React from 'react';
-export function Checkbox({ checked, onCheckedChange }) {
-  return (
+
+// With `label`, the box and its text are wrapped in one <label> so clicking or
+// reading the text applies to the box
+export function Checkbox({ checked, onCheckedChange, id, label, title }) {
+  const box = (
     <input
       type="checkbox"
+      id={id}
       checked={checked}
       onChange={e => onCheckedChange(e.target.checked)}
     />
   );
-}
\ No newline at end of file
+  if (label === undefined) return box;
+  return (
+    <label className="flex items-center space-x-2" title={title}>
+      {box}
+      <span>{label}</span>
+    </label>
+  );
+}
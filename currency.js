@@ -0,0 +1,157 @@
+// currency.js - Exchange-rate table, currency conversion and money formatting
+
+import exchangeRates from './data/exchange-rates.json';
+import { browserStorage, loadStored, saveStored } from './storage';
+import { DEFAULT_LOCALE, DEFAULT_LOCALE_ID, createTranslator } from './i18n';
+
+export const DEFAULT_CURRENCY = 'EUR';
+
+export const CONVERSION_MODES = [
+  { id: 'market', label: 'Market exchange rates' },
+  { id: 'ppp', label: 'Purchasing power parity' }
+];
+
+const STORAGE_KEY = 'wealth-app:exchange-rates';
+
+const UNITS = [
+  { value: 1e12, suffix: 'T' },
+  { value: 1e9, suffix: 'B' },
+  { value: 1e6, suffix: 'M' },
+  { value: 1e3, suffix: 'k' }
+];
+
+/**
+ * Bundled exchange-rate table from data/exchange-rates.json
+ * Rates are units of each currency per one unit of the base currency (EUR).
+ * @returns {Object} - { CODE: { name, market, ppp } }
+ */
+export function getBundledRates() {
+  return exchangeRates.rates;
+}
+
+/**
+ * Currencies available in a rate table, for pickers
+ * @param {Object} [rates] - Rate table
+ * @returns {Array<Object>} - Entries ({ code, name })
+ */
+export function listCurrencies(rates = getBundledRates()) {
+  return Object.entries(rates).map(([code, entry]) => ({ code, name: entry.name || code }));
+}
+
+/**
+ * Check a rate table entry by entry
+ * @param {Object} rates - Rate table
+ * @param {Function} [t] - Translator for the messages (English by default)
+ * @returns {Array<string>} - Human-readable problems; empty when valid
+ */
+export function validateExchangeRates(rates, t = createTranslator(DEFAULT_LOCALE_ID)) {
+  if (!rates || typeof rates !== 'object') return [t('currencyPanel.errors.invalid')];
+  const errors = [];
+  Object.entries(rates).forEach(([code, entry]) => {
+    if (!/^[A-Z]{3}$/.test(code)) errors.push(t('currencyPanel.errors.code', { code }));
+    CONVERSION_MODES.forEach(mode => {
+      if (!(Number(entry && entry[mode.id]) > 0)) errors.push(t(`currencyPanel.errors.${mode.id}`, { code }));
+    });
+  });
+  return errors;
+}
+
+/**
+ * Convert an amount between currencies through the base currency
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {Object} [options] - { rates, mode } where mode is 'market' or 'ppp'
+ * @returns {number} - Amount in `to`, or NaN when either currency has no rate
+ */
+export function convertMoney(amount, from, to, { rates = getBundledRates(), mode = 'market' } = {}) {
+  if (from === to) return amount;
+  const source = rates[from];
+  const target = rates[to];
+  if (!source || !target || !(source[mode] > 0) || !(target[mode] > 0)) return NaN;
+  return amount / source[mode] * target[mode];
+}
+
+/**
+ * Locale-aware currency parts, falling back to a plain number with the code in front
+ * when the locale or currency code is not recognised
+ */
+function currencyParts(value, currency, locale, fractionDigits) {
+  const numberOptions = { minimumFractionDigits: 0, maximumFractionDigits: fractionDigits };
+  try {
+    return new Intl.NumberFormat(locale, { ...numberOptions, style: 'currency', currency }).formatToParts(value);
+  } catch (error) {
+    const parts = new Intl.NumberFormat('en-GB', numberOptions).formatToParts(value);
+    return [{ type: 'currency', value: currency }, { type: 'literal', value: ' ' }, ...parts];
+  }
+}
+
+/**
+ * Currency symbol as the locale writes it, e.g. "€", "$" or "CHF"
+ * @param {string} currency - Currency code
+ * @param {string} [locale] - BCP 47 locale
+ * @returns {string} - Symbol
+ */
+export function currencySymbol(currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE) {
+  const part = currencyParts(0, currency, locale, 0).find(p => p.type === 'currency');
+  return part ? part.value : currency;
+}
+
+/**
+ * Format an amount of money for display
+ * Amounts are converted from `from` into the display `currency` first; when there is no
+ * rate for either, the amount is shown unconverted in `from`.
+ * @param {number} amount - Amount in `from`
+ * @param {Object} [options] - { currency, from, rates, mode, locale, compact, digits }
+ *   compact abbreviates with k, M, B and T suffixes, e.g. "€2.5M"; digits sets the
+ *   maximum fraction digits (default 1 when compact, otherwise 0)
+ * @returns {string} - Formatted amount, e.g. "€1,000,000"
+ */
+export function formatMoney(amount, options = {}) {
+  const { currency = DEFAULT_CURRENCY, from = currency, rates, mode, locale = DEFAULT_LOCALE, compact = false, digits } = options;
+  const converted = convertMoney(amount, from, currency, { rates, mode });
+  const [value, code] = Number.isFinite(converted) ? [converted, currency] : [amount, from];
+  let index = compact ? UNITS.findIndex(u => Math.abs(value) >= u.value) : -1;
+  if (compact) {
+    // Move up a unit when rounding reaches 1000, so 999,999,999.99 shows as "1B" rather than "1,000M"
+    const next = index === -1 ? UNITS.length - 1 : index - 1;
+    const scaledDigits = digits !== undefined ? digits : index === -1 ? 0 : 1;
+    const scaled = index === -1 ? value : value / UNITS[index].value;
+    if (next >= 0 && Math.abs(+scaled.toFixed(scaledDigits)) >= 1000) index = next;
+  }
+  const unit = index === -1 ? null : UNITS[index];
+  const fractionDigits = digits !== undefined ? digits : unit ? 1 : 0;
+  const parts = currencyParts(unit ? value / unit.value : value, code, locale, fractionDigits);
+  if (!unit) return parts.map(p => p.value).join('');
+
+  // Put the suffix straight after the number, e.g. "€2.5M" or "2,5M €"
+  let last = -1;
+  parts.forEach((p, i) => { if (p.type === 'integer' || p.type === 'fraction') last = i; });
+  return parts.map((p, i) => (i === last ? `${p.value}${unit.suffix}` : p.value)).join('');
+}
+
+/**
+ * Read the rate table with the user's edits from localStorage
+ * @param {Storage} [storage] - Storage backend (defaults to window.localStorage)
+ * @returns {Object} - Bundled rates overridden by valid stored entries
+ */
+export function loadExchangeRates(storage = browserStorage()) {
+  const bundled = getBundledRates();
+  return loadStored(storage, STORAGE_KEY, {
+    fallback: bundled,
+    label: 'exchange rates',
+    read: stored => {
+      const valid = Object.entries(stored || {}).filter(([code, entry]) => validateExchangeRates({ [code]: entry }).length === 0);
+      return { ...bundled, ...Object.fromEntries(valid) };
+    }
+  });
+}
+
+/**
+ * Persist an edited rate table to localStorage
+ * @param {Object} rates - Rate table
+ * @param {Storage} [storage] - Storage backend (defaults to window.localStorage)
+ */
+export function saveExchangeRates(rates, storage = browserStorage()) {
+  saveStored(storage, STORAGE_KEY, rates, { label: 'exchange rates' });
+}
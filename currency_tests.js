@@ -0,0 +1,88 @@
+// currency.test.js - Unit tests for exchange rates and money formatting
+
+import {
+  DEFAULT_CURRENCY,
+  getBundledRates,
+  listCurrencies,
+  validateExchangeRates,
+  convertMoney,
+  currencySymbol,
+  formatMoney,
+  loadExchangeRates,
+  saveExchangeRates
+} from './currency';
+import { createStorage } from './test_fixtures';
+
+describe('exchange-rate table', () => {
+  test('should have a valid bundled table based on the default currency', () => {
+    const rates = getBundledRates();
+    expect(validateExchangeRates(rates)).toEqual([]);
+    expect(rates[DEFAULT_CURRENCY].market).toBe(1);
+    expect(listCurrencies().map(c => c.code)).toContain('USD');
+  });
+
+  test('should report invalid entries', () => {
+    expect(validateExchangeRates({ usd: { market: 1, ppp: 1 } })).toHaveLength(1);
+    expect(validateExchangeRates({ USD: { market: 0, ppp: 1 } })[0]).toContain('market');
+    expect(validateExchangeRates(null)).toHaveLength(1);
+  });
+});
+
+describe('convertMoney', () => {
+  const rates = { EUR: { market: 1, ppp: 1 }, USD: { market: 2, ppp: 4 }, GBP: { market: 0.5, ppp: 1 } };
+
+  test('should convert through the base currency', () => {
+    expect(convertMoney(10, 'EUR', 'USD', { rates })).toBe(20);
+    expect(convertMoney(20, 'USD', 'GBP', { rates })).toBe(5);
+    expect(convertMoney(20, 'USD', 'EUR', { rates, mode: 'ppp' })).toBe(5);
+  });
+
+  test('should return NaN without a rate and leave same-currency amounts alone', () => {
+    expect(convertMoney(10, 'EUR', 'XYZ', { rates })).toBeNaN();
+    expect(convertMoney(10, 'XYZ', 'XYZ', { rates })).toBe(10);
+  });
+});
+
+describe('formatMoney', () => {
+  test('should format full amounts for the locale', () => {
+    expect(formatMoney(1000000, { locale: 'en-US' })).toBe('€1,000,000');
+    expect(formatMoney(1000000, { from: 'EUR', currency: 'USD', locale: 'en-US' })).toBe('$1,082,400');
+    expect(formatMoney(1000000, { locale: 'de-DE' })).toBe('1.000.000 €');
+  });
+
+  test('should abbreviate compact amounts', () => {
+    expect(formatMoney(2500000, { compact: true, locale: 'en-US' })).toBe('€2.5M');
+    expect(formatMoney(1.234e12, { compact: true, digits: 2, locale: 'en-US' })).toBe('€1.23T');
+    expect(formatMoney(2500000, { compact: true, locale: 'de-DE' })).toBe('2,5M €');
+    expect(formatMoney(950, { compact: true, locale: 'en-US' })).toBe('€950');
+    expect(formatMoney(999.7, { compact: true, locale: 'en-US' })).toBe('€1k');
+  });
+
+  test('should convert from the source currency and fall back when it cannot', () => {
+    expect(formatMoney(1.0824e9, { from: 'USD', currency: 'EUR', compact: true, locale: 'en-US' })).toBe('€1B');
+    expect(formatMoney(5e6, { from: 'XYZ', currency: 'EUR', compact: true, locale: 'en-US' })).toContain('XYZ');
+    expect(formatMoney(5, { currency: 'not a code', locale: 'en-US' })).toBe('not a code 5');
+  });
+
+  test('should look up currency symbols', () => {
+    expect(currencySymbol('EUR', 'en-US')).toBe('€');
+    expect(currencySymbol('GBP', 'en-US')).toBe('£');
+  });
+});
+
+describe('storing edited rates', () => {
+  test('should round-trip edits over the bundled table', () => {
+    const storage = createStorage();
+    saveExchangeRates({ ...getBundledRates(), USD: { name: 'US dollar', market: 1.2, ppp: 1.5 } }, storage);
+    const loaded = loadExchangeRates(storage);
+    expect(loaded.USD.market).toBe(1.2);
+    expect(loaded.GBP).toEqual(getBundledRates().GBP);
+  });
+
+  test('should ignore invalid stored entries', () => {
+    const storage = createStorage();
+    storage.setItem('wealth-app:exchange-rates', JSON.stringify({ USD: { market: -1, ppp: 1 } }));
+    expect(loadExchangeRates(storage).USD).toEqual(getBundledRates().USD);
+    expect(loadExchangeRates(null)).toEqual(getBundledRates());
+  });
+});
@@ -0,0 +1,321 @@
+// data_import.js - CSV / JSON wealth-data import with validation
+
+import { browserStorage, loadStored, saveStored } from './storage';
+import { DEFAULT_LOCALE_ID, createTranslator } from './i18n';
+import { needsWorker } from './wealth_pipeline';
+
+const STORAGE_KEY = 'wealth-app:imported-datasets';
+
+// Percentiles a set of individual records is summarised at
+const RECORD_PERCENTILES = [0.01, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 0.95, 0.99, 0.999, 1];
+
+// Header names recognised for each column, compared after lower-casing and stripping punctuation
+const COLUMN_ALIASES = {
+  percentile: ['percentile', 'pctl', 'p', 'quantile', 'rank', 'fractile', 'centile'],
+  wealth: ['wealth', 'networth', 'netwealth', 'value', 'amount', 'threshold', 'assets', 'w'],
+  weight: ['weight', 'weights', 'pweight', 'population', 'count', 'n'],
+  id: ['id', 'householdid', 'personid', 'recordid']
+};
+
+const normaliseHeader = header => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Split CSV text into header and row objects
+ * Detects comma, semicolon or tab delimiters and handles double-quoted fields.
+ * @param {string} text - Raw CSV
+ * @returns {Object} - { headers, rows } with rows keyed by header
+ */
+export function parseCsv(text) {
+  const lines = String(text).split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) return { headers: [], rows: [] };
+  const delimiter = [',', ';', '\t']
+    .map(d => ({ d, count: lines[0].split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+
+  const splitLine = line => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"' && quoted && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = !quoted;
+      } else if (ch === delimiter && !quoted) {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  };
+
+  const headers = splitLine(lines[0]);
+  const rows = lines.slice(1).map(line => {
+    const cells = splitLine(line);
+    return headers.reduce((row, header, i) => ({ ...row, [header]: cells[i] }), {});
+  });
+  return { headers, rows };
+}
+
+/**
+ * Parse JSON wealth data: an array of objects, or an object with a `percentiles`/`records`/`data` array
+ * @param {string} text - Raw JSON
+ * @returns {Object} - { headers, rows }
+ */
+export function parseJsonData(text) {
+  const parsed = JSON.parse(text);
+  const rows = Array.isArray(parsed) ? parsed : parsed.percentiles || parsed.records || parsed.data;
+  if (!Array.isArray(rows)) throw new Error('JSON must be an array or contain a "percentiles", "records" or "data" array');
+  const headers = [...new Set(rows.flatMap(row => (row && typeof row === 'object' ? Object.keys(row) : [])))];
+  return { headers, rows };
+}
+
+/**
+ * Match headers to the columns the importer understands
+ * @param {Array<string>} headers - Column names from the file
+ * @returns {Object} - { percentile, wealth, weight, id } header names (null when absent)
+ */
+export function detectColumns(headers) {
+  const find = aliases => headers.find(h => aliases.includes(normaliseHeader(h))) || null;
+  return {
+    percentile: find(COLUMN_ALIASES.percentile),
+    wealth: find(COLUMN_ALIASES.wealth),
+    weight: find(COLUMN_ALIASES.weight),
+    id: find(COLUMN_ALIASES.id)
+  };
+}
+
+const toNumber = value => {
+  if (typeof value === 'number') return value;
+  if (value === undefined || value === null || String(value).trim() === '') return NaN;
+  let cleaned = String(value).replace(/[\s_]/g, '').replace(/%$/, '');
+  if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(cleaned)) cleaned = cleaned.replace(/,/g, ''); // 1,234,567.8
+  else if (/^-?\d+,\d+$/.test(cleaned)) cleaned = cleaned.replace(',', '.'); // Decimal comma: 0,95
+  return Number(cleaned);
+};
+
+/**
+ * Summarise individual records as weighted percentile points
+ * @param {Array<Object>} records - { wealth, weight }
+ * @returns {Array<Object>} - Percentile points ({ percentile, wealth })
+ */
+export function recordsToPercentiles(records) {
+  const sorted = [...records].sort((a, b) => a.wealth - b.wealth);
+  const totalWeight = sorted.reduce((sum, r) => sum + r.weight, 0);
+  if (sorted.length === 0 || !(totalWeight > 0)) return [];
+  const points = [];
+  let cumulative = 0;
+  let index = 0;
+  RECORD_PERCENTILES.forEach(percentile => {
+    // Wealth of the first record whose cumulative weight reaches the percentile
+    while (index < sorted.length - 1 && (cumulative + sorted[index].weight) / totalWeight < percentile - 1e-12) {
+      cumulative += sorted[index].weight;
+      index++;
+    }
+    points.push({ percentile, wealth: sorted[index].wealth });
+  });
+  return points;
+}
+
+/**
+ * Parse, detect and validate an uploaded wealth file
+ * Percentile files become percentile points directly; individual records are summarised
+ * with recordsToPercentiles. Large unweighted record files also keep every wealth value so
+ * the worker can process them exactly. Nothing is imported when the report contains errors.
+ * @param {string} text - File contents
+ * @param {Object} [options] - { format: 'csv' | 'json' (detected when omitted), scale: multiplier for wealth,
+ *   t: translator for the report (English by default) }
+ * @returns {Object} - { kind, columns, percentiles, records (wealth values, or null), population,
+ *   report: { errors, warnings, info } }
+ */
+export function importWealthData(text, options = {}) {
+  const t = options.t || createTranslator(DEFAULT_LOCALE_ID);
+  const report = { errors: [], warnings: [], info: [] };
+  const result = { kind: null, columns: {}, percentiles: [], records: null, population: null, report };
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    report.errors.push(t('import.report.empty'));
+    return result;
+  }
+
+  const format = options.format || (/^[[{]/.test(trimmed) ? 'json' : 'csv');
+  let parsed;
+  try {
+    parsed = format === 'json' ? parseJsonData(trimmed) : parseCsv(trimmed);
+  } catch (error) {
+    report.errors.push(t('import.report.unreadable', { format: format.toUpperCase(), error: error.message }));
+    return result;
+  }
+
+  const columns = detectColumns(parsed.headers);
+  result.columns = columns;
+  if (!columns.wealth) {
+    report.errors.push(t('import.report.noWealthColumn', {
+      expected: COLUMN_ALIASES.wealth.join(', '),
+      found: parsed.headers.join(', ') || t('import.report.none')
+    }));
+    return result;
+  }
+  result.kind = columns.percentile ? 'percentile' : 'records';
+  if (result.kind === 'percentile') {
+    report.info.push(t('import.report.percentiles', { percentile: columns.percentile, wealth: columns.wealth }));
+  } else {
+    report.info.push(t(columns.weight ? 'import.report.weightedRecords' : 'import.report.records', { wealth: columns.wealth, weight: columns.weight }));
+  }
+
+  const scale = options.scale > 0 ? options.scale : 1;
+  const rows = parsed.rows.map((row, i) => ({
+    line: format === 'json' ? i + 1 : i + 2, // CSV rows are numbered after the header line
+    percentile: columns.percentile ? toNumber(row[columns.percentile]) : null,
+    wealth: toNumber(row[columns.wealth]) * scale,
+    weight: columns.weight ? toNumber(row[columns.weight]) : 1,
+    id: columns.id ? row[columns.id] : null
+  }));
+
+  const invalid = rows.filter(r => !Number.isFinite(r.wealth) || (result.kind === 'percentile' && !Number.isFinite(r.percentile)));
+  invalid.slice(0, 5).forEach(r => report.errors.push(t('import.report.notNumber', { row: String(r.line) })));
+  if (invalid.length > 5) report.errors.push(t('import.report.moreNotNumber', { count: invalid.length - 5 }));
+  const invalidRows = new Set(invalid);
+  const valid = rows.filter(r => !invalidRows.has(r));
+  if (valid.length === 0) {
+    report.errors.push(t('import.report.noRows'));
+    return result;
+  }
+
+  const negatives = valid.filter(r => r.wealth < 0);
+  if (negatives.length > 0) {
+    report.warnings.push(t('import.report.negative', { count: negatives.length }));
+  }
+
+  // Unit scale: typical wealth files are in units; very small values suggest thousands
+  const sortedWealth = valid.map(r => r.wealth).sort((a, b) => a - b);
+  const median = sortedWealth[Math.floor(sortedWealth.length / 2)];
+  const max = sortedWealth[sortedWealth.length - 1];
+  if (scale === 1 && max > 0 && max < 100000 && median < 1000) {
+    report.warnings.push(t('import.report.looksSmall', { median, max }));
+  }
+
+  if (result.kind === 'percentile') {
+    // Percentiles given as 0–100 are converted to fractions
+    if (valid.some(r => r.percentile > 1)) {
+      valid.forEach(r => { r.percentile /= 100; });
+      report.info.push(t('import.report.percentScale'));
+    }
+    if (valid.some(r => r.percentile < 0 || r.percentile > 1)) {
+      report.errors.push(t('import.report.percentRange'));
+    }
+
+    const seen = new Map();
+    valid.forEach(r => {
+      if (seen.has(r.percentile)) report.errors.push(t('import.report.duplicatePercentile', {
+        row: String(r.line),
+        percentile: r.percentile,
+        first: String(seen.get(r.percentile))
+      }));
+      else seen.set(r.percentile, r.line);
+    });
+
+    for (let i = 1; i < valid.length; i++) {
+      if (valid[i].percentile < valid[i - 1].percentile) {
+        report.errors.push(t('import.report.unordered', { row: String(valid[i].line) }));
+        break;
+      }
+    }
+    for (let i = 1; i < valid.length; i++) {
+      if (valid[i].wealth < valid[i - 1].wealth) {
+        report.errors.push(t('import.report.falling', { row: String(valid[i].line), from: valid[i - 1].wealth, to: valid[i].wealth }));
+        break;
+      }
+    }
+
+    const top = Math.max(...valid.map(r => r.percentile));
+    if (top < 0.99) {
+      report.warnings.push(t('import.report.topMissing', { top: t.number(top * 100, 1) }));
+    } else if (top < 1) {
+      report.warnings.push(t('import.report.noMaximum'));
+    }
+    if (valid.length < 5) report.warnings.push(t('import.report.fewPoints', { count: valid.length }));
+
+    result.percentiles = valid.map(r => ({ percentile: r.percentile, wealth: Math.max(r.wealth, 0) }));
+  } else {
+    const badWeights = valid.filter(r => !(r.weight >= 0));
+    if (badWeights.length > 0) report.errors.push(t('import.report.badWeights', { count: badWeights.length }));
+
+    if (columns.id) {
+      const ids = new Set();
+      const duplicates = valid.filter(r => (ids.has(r.id) ? true : (ids.add(r.id), false)));
+      if (duplicates.length > 0) report.errors.push(t('import.report.duplicateIds', { count: duplicates.length, id: String(duplicates[0].id) }));
+    }
+    if (valid.length < 100) report.warnings.push(t('import.report.fewRecords', { count: valid.length }));
+
+    const records = valid.map(r => ({ wealth: Math.max(r.wealth, 0), weight: r.weight >= 0 ? r.weight : 0 }));
+    result.population = records.reduce((sum, r) => sum + r.weight, 0);
+    result.percentiles = recordsToPercentiles(records);
+    report.info.push(t('import.report.summarised', { records: valid.length, points: result.percentiles.length }));
+    // The worker counts one person per record, so weighted records stay summarised
+    if (needsWorker(records) && records.every(r => r.weight === 1)) {
+      result.records = records.map(r => r.wealth);
+      report.info.push(t('import.report.keptRecords', { records: valid.length }));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Build a dataset entry for an imported distribution
+ * @param {Object} imported - Result of importWealthData without errors
+ * @param {Object} meta - { name, population, currency, year, country, source }
+ * @param {Array<Object>} existing - Datasets already known, used to keep ids unique
+ * @returns {Object} - Dataset in the same shape as getDataset's result
+ */
+export function createImportedDataset(imported, meta, existing = []) {
+  const name = String(meta.name || '').trim() || 'Imported dataset';
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'dataset';
+  let id = `import-${slug}`;
+  for (let n = 2; existing.some(d => d.id === id); n++) id = `import-${slug}-${n}`;
+  return {
+    id,
+    name,
+    region: 'Imported',
+    year: Number(meta.year) || null,
+    country: meta.country ? String(meta.country).trim().toUpperCase() : null,
+    currency: meta.currency || 'EUR',
+    population: Number(meta.population) || imported.population || 0,
+    source: meta.source || 'User import',
+    licence: 'User-provided',
+    imported: true,
+    percentiles: imported.percentiles,
+    ...(imported.records ? { records: imported.records } : {})
+  };
+}
+
+/**
+ * Read imported datasets from localStorage
+ * @param {Storage} [storage] - Storage backend (defaults to window.localStorage)
+ * @returns {Array<Object>} - Imported datasets
+ */
+export function loadImportedDatasets(storage = browserStorage()) {
+  return loadStored(storage, STORAGE_KEY, {
+    fallback: [],
+    label: 'imported datasets',
+    read: stored => (Array.isArray(stored)
+      ? stored.filter(d => d && d.id && Array.isArray(d.percentiles) && d.population > 0
+        && (d.records === undefined || Array.isArray(d.records)))
+      : [])
+  });
+}
+
+/**
+ * Persist imported datasets to localStorage
+ * @param {Array<Object>} datasets - Imported datasets
+ * @param {Storage} [storage] - Storage backend (defaults to window.localStorage)
+ */
+export function saveImportedDatasets(datasets, storage = browserStorage()) {
+  saveStored(storage, STORAGE_KEY, datasets, { label: 'imported datasets' });
+}
@@ -0,0 +1,166 @@
+// data_import.test.js - Unit tests for CSV / JSON wealth-data import
+
+import {
+  parseCsv,
+  parseJsonData,
+  detectColumns,
+  recordsToPercentiles,
+  importWealthData,
+  createImportedDataset,
+  loadImportedDatasets,
+  saveImportedDatasets
+} from './data_import';
+import { getDataset, listDatasets } from './datasets';
+import { processWealthData } from './calculations';
+import { createStorage } from './test_fixtures';
+
+const percentileCsv = [
+  'Percentile,Net Wealth',
+  '0.1,1000',
+  '0.5,65000',
+  '0.9,500000',
+  '0.99,10000000',
+  '1,1000000000'
+].join('\n');
+
+describe('parsing', () => {
+  test('should detect delimiters and quoted fields', () => {
+    expect(parseCsv('a;b\n1;2').rows).toEqual([{ a: '1', b: '2' }]);
+    expect(parseCsv('a\tb\n1\t2').rows).toEqual([{ a: '1', b: '2' }]);
+    expect(parseCsv('name,wealth\n"Smith, J",5').rows).toEqual([{ name: 'Smith, J', wealth: '5' }]);
+  });
+
+  test('should accept JSON arrays and wrapped arrays', () => {
+    expect(parseJsonData('[{"p":0.5,"wealth":1}]').headers).toEqual(['p', 'wealth']);
+    expect(parseJsonData('{"percentiles":[{"percentile":1,"wealth":2}]}').rows).toHaveLength(1);
+    expect(() => parseJsonData('{"foo":1}')).toThrow();
+  });
+
+  test('should detect columns by common names', () => {
+    expect(detectColumns(['Percentile', 'Net Wealth'])).toMatchObject({ percentile: 'Percentile', wealth: 'Net Wealth' });
+    expect(detectColumns(['household_id', 'net_worth', 'weight'])).toEqual({
+      percentile: null, wealth: 'net_worth', weight: 'weight', id: 'household_id'
+    });
+  });
+});
+
+describe('importWealthData: percentile files', () => {
+  test('should import a clean CSV without errors', () => {
+    const result = importWealthData(percentileCsv);
+    expect(result.kind).toBe('percentile');
+    expect(result.report.errors).toEqual([]);
+    expect(result.percentiles).toHaveLength(5);
+    expect(result.percentiles[4]).toEqual({ percentile: 1, wealth: 1e9 });
+  });
+
+  test('should convert 0–100 percentiles and decimal commas', () => {
+    const result = importWealthData('p;wealth\n50;65000\n90;500000,5\n100;1000000');
+    expect(result.percentiles.map(p => p.percentile)).toEqual([0.5, 0.9, 1]);
+    expect(result.percentiles[1].wealth).toBe(500000.5);
+    expect(result.report.info.some(msg => msg.includes('0–100'))).toBe(true);
+  });
+
+  test('should report non-monotonic percentiles and wealth', () => {
+    const unordered = importWealthData('percentile,wealth\n0.5,100\n0.2,50\n1,1000');
+    expect(unordered.report.errors.some(msg => msg.includes('increasing order'))).toBe(true);
+
+    const falling = importWealthData('percentile,wealth\n0.5,1000\n0.9,500\n1,2000');
+    expect(falling.report.errors.some(msg => msg.includes('wealth falls'))).toBe(true);
+  });
+
+  test('should report duplicates, negatives and bad values', () => {
+    const result = importWealthData('percentile,wealth\n0.5,-10\n0.5,100\n0.9,abc\n1,1000');
+    const { errors, warnings } = result.report;
+    expect(errors.some(msg => msg.includes('duplicate percentile'))).toBe(true);
+    expect(errors.some(msg => msg.includes('Row 4'))).toBe(true);
+    expect(warnings.some(msg => msg.includes('negative wealth'))).toBe(true);
+  });
+
+  test('should warn about a missing top bracket', () => {
+    const noTop = importWealthData('percentile,wealth\n0.5,65000\n0.9,500000');
+    expect(noTop.report.warnings.some(msg => msg.includes('top bracket is missing'))).toBe(true);
+
+    const noMax = importWealthData('percentile,wealth\n0.5,65000\n0.9,500000\n0.99,9000000');
+    expect(noMax.report.warnings.some(msg => msg.includes('unbounded'))).toBe(true);
+  });
+
+  test('should warn about values that look like thousands and apply a scale', () => {
+    const csv = 'percentile,wealth\n0.5,65\n0.9,500\n0.99,900\n1,9000';
+    expect(importWealthData(csv).report.warnings.some(msg => msg.includes('thousands'))).toBe(true);
+
+    const scaled = importWealthData(csv, { scale: 1000 });
+    expect(scaled.report.warnings.some(msg => msg.includes('thousands'))).toBe(false);
+    expect(scaled.percentiles[3].wealth).toBe(9e6);
+  });
+
+  test('should explain missing columns and unreadable files', () => {
+    expect(importWealthData('foo,bar\n1,2').report.errors[0]).toMatch(/No wealth column/);
+    expect(importWealthData('{broken').report.errors[0]).toMatch(/Could not read JSON/);
+    expect(importWealthData('').report.errors).toEqual(['The file is empty.']);
+  });
+});
+
+describe('importWealthData: individual records', () => {
+  test('should summarise weighted records into percentiles', () => {
+    const rows = Array.from({ length: 1000 }, (_, i) => ({ id: i, wealth: (i + 1) * 1000, weight: 2 }));
+    const result = importWealthData(JSON.stringify(rows));
+
+    expect(result.kind).toBe('records');
+    expect(result.report.errors).toEqual([]);
+    expect(result.population).toBe(2000);
+    expect(result.percentiles.find(p => p.percentile === 0.5).wealth).toBe(500000);
+    expect(result.percentiles.find(p => p.percentile === 1).wealth).toBe(1000000);
+  });
+
+  test('should report duplicate record ids', () => {
+    const result = importWealthData('id,wealth\na,1\na,2\nb,3');
+    expect(result.report.errors.some(msg => msg.includes('duplicate record id'))).toBe(true);
+  });
+
+  test('should keep every record of a large unweighted file', () => {
+    const csv = ['wealth', ...Array.from({ length: 50000 }, (_, i) => String(i * 100))].join('\n');
+    const result = importWealthData(csv);
+    expect(result.report.errors).toEqual([]);
+    expect(result.records).toHaveLength(50000);
+    expect(result.report.info.some(msg => msg.includes('Kept all 50,000 records'))).toBe(true);
+    expect(createImportedDataset(result, { name: 'Register' }).records).toBe(result.records);
+
+    // Small files and weighted records are only summarised
+    expect(importWealthData('wealth\n1000\n2000').records).toBeNull();
+    const weighted = ['wealth,weight', ...Array.from({ length: 50000 }, (_, i) => `${i * 100},2`)].join('\n');
+    expect(importWealthData(weighted).records).toBeNull();
+  });
+
+  test('should weight percentiles by record weight', () => {
+    const points = recordsToPercentiles([{ wealth: 10, weight: 9 }, { wealth: 100, weight: 1 }]);
+    expect(points.find(p => p.percentile === 0.9).wealth).toBe(10);
+    expect(points.find(p => p.percentile === 0.95).wealth).toBe(100);
+  });
+});
+
+describe('imported datasets', () => {
+  test('should create a selectable dataset that feeds processWealthData', () => {
+    const imported = createImportedDataset(importWealthData(percentileCsv), { name: 'My WID extract', population: 1e6 }, listDatasets());
+    expect(imported.id).toBe('import-my-wid-extract');
+    expect(listDatasets([imported]).map(d => d.id)).toContain(imported.id);
+    expect(getDataset(imported.id, [imported])).toBe(imported);
+
+    const { metrics } = processWealthData(imported.percentiles, 1e6, { population: imported.population });
+    expect(metrics.excess).toBeGreaterThan(0);
+  });
+
+  test('should keep an optional CPI country code', () => {
+    const dated = createImportedDataset(importWealthData(percentileCsv), { name: 'Dated', population: 1e6, year: '2020', country: 'ea ' });
+    expect(dated.year).toBe(2020);
+    expect(dated.country).toBe('EA');
+    expect(createImportedDataset(importWealthData(percentileCsv), { name: 'Undated', population: 1e6 }).country).toBeNull();
+  });
+
+  test('should persist to storage', () => {
+    const storage = createStorage();
+    const imported = createImportedDataset(importWealthData(percentileCsv), { name: 'Saved', population: 10 });
+    saveImportedDatasets([imported], storage);
+    expect(loadImportedDatasets(storage)).toEqual([imported]);
+    expect(loadImportedDatasets(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,56 @@
+// datasets.js - Registry of bundled wealth distributions
+
+import manifest from './data/manifest.json';
+import samplePercentiles from './data/wealth-percentiles.json';
+import synthetic2014 from './data/synthetic-2014.json';
+import synthetic2024 from './data/synthetic-2024.json';
+
+// Percentile files referenced by the manifest's `file` field
+const DATASET_FILES = {
+  'wealth-percentiles.json': samplePercentiles,
+  'synthetic-2014.json': synthetic2014,
+  'synthetic-2024.json': synthetic2024
+};
+
+export const DEFAULT_DATASET_ID = 'sample';
+
+/**
+ * Metadata for every bundled dataset, followed by any imported ones
+ * @param {Array<Object>} [imported] - Datasets from data_import.js
+ * @returns {Array<Object>} - Entries ({ id, name, region, country, year, currency, population, source, licence })
+ */
+export function listDatasets(imported = []) {
+  return [...manifest.filter(entry => DATASET_FILES[entry.file]), ...imported];
+}
+
+/**
+ * Load a dataset with its percentile points
+ * @param {string} id - Dataset id from the manifest or an imported dataset
+ * @param {Array<Object>} [imported] - Datasets from data_import.js
+ * @returns {Object} - Manifest entry plus `percentiles`, falling back to the default dataset
+ */
+export function getDataset(id, imported = []) {
+  const importedEntry = imported.find(d => d.id === id);
+  if (importedEntry) return importedEntry;
+  const datasets = listDatasets();
+  const entry = datasets.find(d => d.id === id) || datasets.find(d => d.id === DEFAULT_DATASET_ID);
+  return { ...entry, percentiles: DATASET_FILES[entry.file] };
+}
+
+/**
+ * Highest wealth in a dataset, used to scale the threshold slider
+ * @param {Object} dataset - Result of getDataset
+ * @returns {number} - Maximum wealth value
+ */
+export function getDatasetMaxWealth(dataset) {
+  return dataset.percentiles.reduce((max, point) => Math.max(max, point.wealth), 0);
+}
+
+/**
+ * Short description for pickers, e.g. "Synthetic region, 2024 (EUR)"
+ * @param {Object} dataset - Manifest entry
+ * @returns {string} - Display label
+ */
+export function formatDatasetLabel(dataset) {
+  return `${dataset.name} (${dataset.currency})`;
+}
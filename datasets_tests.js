@@ -0,0 +1,57 @@
+// datasets.test.js - Unit tests for the bundled dataset registry
+
+import { DEFAULT_DATASET_ID, listDatasets, getDataset, getDatasetMaxWealth, formatDatasetLabel } from './datasets';
+import { processWealthData } from './calculations';
+
+describe('dataset registry', () => {
+  test('should list bundled datasets with complete metadata', () => {
+    const datasets = listDatasets();
+    expect(datasets.length).toBeGreaterThan(1);
+    expect(new Set(datasets.map(d => d.id)).size).toBe(datasets.length);
+    datasets.forEach(d => {
+      ['id', 'name', 'region', 'currency', 'source', 'licence'].forEach(key => expect(d[key]).toBeTruthy());
+      expect(d.population).toBeGreaterThan(0);
+      expect(d).toHaveProperty('year');
+    });
+  });
+
+  test('should ship monotonic percentile data for every dataset', () => {
+    listDatasets().forEach(({ id }) => {
+      const { percentiles } = getDataset(id);
+      for (let i = 1; i < percentiles.length; i++) {
+        expect(percentiles[i].percentile).toBeGreaterThan(percentiles[i - 1].percentile);
+        expect(percentiles[i].wealth).toBeGreaterThanOrEqual(percentiles[i - 1].wealth);
+      }
+    });
+  });
+
+  test('should fall back to the default dataset for unknown ids', () => {
+    expect(getDataset('atlantis-1850').id).toBe(DEFAULT_DATASET_ID);
+    expect(getDataset(undefined).id).toBe(DEFAULT_DATASET_ID);
+  });
+
+  test('should report the maximum wealth for slider scaling', () => {
+    expect(getDatasetMaxWealth(getDataset('sample'))).toBe(1e9);
+    expect(getDatasetMaxWealth(getDataset('synthetic-2024'))).toBe(4e8);
+  });
+
+  test('should format picker labels', () => {
+    expect(formatDatasetLabel(getDataset('synthetic-2024'))).toBe('Synthetic region, 2024 (EUR)');
+  });
+});
+
+describe('switching datasets', () => {
+  test('should change excess, Gini and Palma', () => {
+    const run = id => {
+      const dataset = getDataset(id);
+      return processWealthData(dataset.percentiles, 1000000, { population: dataset.population }).metrics;
+    };
+    const sample = run('sample');
+    const synthetic = run('synthetic-2024');
+
+    expect(synthetic.excess).not.toBeCloseTo(sample.excess, 2);
+    expect(synthetic.gini).not.toBeCloseTo(sample.gini, 3);
+    expect(synthetic.palma).not.toBeCloseTo(sample.palma, 1);
+    expect(synthetic.population).toBe(48000000);
+  });
+});
@@ -0,0 +1,269 @@
+// distribution.js - Continuous wealth distribution fitted to percentile points
+
+const DEFAULT_TAIL_PERCENTILE = 0.99;
+const DEFAULT_ALPHA = 1.5;
+const ALPHA_RANGE = [0.05, 10];
+
+/**
+ * Check whether a value is a fitted distribution
+ * @param {*} value - Anything
+ * @returns {boolean} - True for objects returned by fitDistribution
+ */
+export function isDistribution(value) {
+  return Boolean(value) && typeof value.quantile === 'function' && typeof value.lorenz === 'function';
+}
+
+/**
+ * Build a body segment between two percentile knots.
+ * Wealth is interpolated log-linearly, or linearly when either end is zero.
+ */
+function makeSegment(from, to) {
+  const logLinear = from.wealth > 0 && to.wealth > 0;
+  const b = logLinear ? Math.log(to.wealth / from.wealth) : 0;
+  return { p0: from.percentile, p1: to.percentile, w0: from.wealth, w1: to.wealth, logLinear, b };
+}
+
+// Wealth at fraction t ∈ [0, 1] through a segment
+function segmentWealth(seg, t) {
+  if (seg.logLinear) return seg.w0 * Math.exp(seg.b * t);
+  return seg.w0 + (seg.w1 - seg.w0) * t;
+}
+
+// Fraction through a segment at which wealth reaches w (w0 ≤ w < w1)
+function segmentFraction(seg, w) {
+  if (seg.logLinear) return seg.b === 0 ? 0 : Math.log(w / seg.w0) / seg.b;
+  return seg.w1 === seg.w0 ? 0 : (w - seg.w0) / (seg.w1 - seg.w0);
+}
+
+// ∫ wealth dp over fractions [t0, t1] of a segment
+function segmentIntegral(seg, t0, t1) {
+  const dp = seg.p1 - seg.p0;
+  if (t1 <= t0 || dp <= 0) return 0;
+  if (seg.logLinear && Math.abs(seg.b) > 1e-12) {
+    return dp * (segmentWealth(seg, t1) - segmentWealth(seg, t0)) / seg.b;
+  }
+  return dp * (t1 - t0) * (segmentWealth(seg, t0) + segmentWealth(seg, t1)) / 2;
+}
+
+/**
+ * Bounded (or unbounded when max is Infinity) Pareto tail conditional on W ≥ min.
+ */
+function makeTail(min, max, alpha) {
+  const r = Number.isFinite(max) ? Math.pow(min / max, alpha) : 0;
+  const k = 1 - r;
+  return {
+    alpha,
+    min,
+    max,
+    // Conditional survival P(W > w | W ≥ min)
+    survival: w => {
+      if (w <= min) return 1;
+      if (w >= max) return 0;
+      return (Math.pow(min / w, alpha) - r) / k;
+    },
+    // Conditional quantile for u ∈ [0, 1]
+    quantile: u => {
+      if (u >= 1) return max;
+      return min * Math.pow(1 - u * k, -1 / alpha);
+    },
+    // ∫ quantile du over [u0, u1]
+    integral: (u0, u1) => {
+      if (u1 <= u0) return 0;
+      const antiderivative = u => {
+        const base = 1 - u * k;
+        if (Math.abs(alpha - 1) < 1e-9) return -min * Math.log(base) / k;
+        const e = 1 - 1 / alpha;
+        return -min * Math.pow(base, e) / (k * e);
+      };
+      return antiderivative(u1) - antiderivative(u0);
+    }
+  };
+}
+
+/**
+ * Fit the Pareto exponent to observed tail points by least squares on log survival
+ * @param {Array<Object>} observations - Points above the tail start ({ wealth, survival })
+ * @param {number} min - Wealth at the tail start
+ * @param {number} max - Upper bound of the tail (Infinity if unbounded)
+ * @returns {number} - Fitted alpha
+ */
+function fitAlpha(observations, min, max) {
+  // An unbounded tail needs alpha > 1 for a finite mean
+  const lower = Number.isFinite(max) ? ALPHA_RANGE[0] : 1.01;
+  const upper = ALPHA_RANGE[1];
+  if (observations.length === 0) return Math.max(DEFAULT_ALPHA, lower);
+
+  const loss = alpha => {
+    const tail = makeTail(min, max, alpha);
+    return observations.reduce((sum, o) => {
+      const modelled = Math.max(tail.survival(o.wealth), 1e-300);
+      return sum + Math.pow(Math.log(modelled) - Math.log(o.survival), 2);
+    }, 0);
+  };
+
+  // Golden-section search over alpha
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = lower;
+  let b = upper;
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  for (let i = 0; i < 100 && b - a > 1e-7; i++) {
+    if (loss(c) < loss(d)) b = d;
+    else a = c;
+    c = b - ratio * (b - a);
+    d = a + ratio * (b - a);
+  }
+  return (a + b) / 2;
+}
+
+/**
+ * Fit a continuous wealth distribution to percentile points
+ * Below `tailPercentile` wealth is interpolated log-linearly between points; above it
+ * a Pareto (power-law) tail is fitted, bounded by the top point when it sits at percentile 1.
+ * @param {Array<Object>} points - Percentile points ({ percentile, wealth })
+ * @param {Object} [options] - { tailPercentile = 0.99, population = 1, alpha } where `alpha` fixes the tail exponent instead of fitting it
+ * @returns {Object|null} - Distribution with quantile, cdf, meanAbove, populationAbove and friends
+ */
+export function fitDistribution(points, options = {}) {
+  const { tailPercentile = DEFAULT_TAIL_PERCENTILE, population = 1, alpha } = options;
+  if (!Array.isArray(points)) return null;
+  const sorted = points
+    .filter(p => Number.isFinite(p.percentile) && Number.isFinite(p.wealth))
+    .map(p => ({ percentile: Math.min(Math.max(p.percentile, 0), 1), wealth: Math.max(p.wealth, 0) }))
+    .sort((a, b) => a.percentile - b.percentile);
+  if (sorted.length === 0) return null;
+
+  const last = sorted[sorted.length - 1];
+  const max = last.percentile >= 1 ? last.wealth : Infinity;
+  const knots = sorted.filter(p => p.percentile < 1);
+  if (knots.length === 0 || knots[0].percentile > 0) {
+    knots.unshift({ percentile: 0, wealth: sorted[0].wealth });
+  }
+
+  // Place the tail start inside the observed range
+  const lastKnot = knots[knots.length - 1];
+  const allSegments = knots.slice(1).map((k, i) => makeSegment(knots[i], k));
+  let tailStart = Math.min(Math.max(tailPercentile, 0), lastKnot.percentile);
+  const containing = allSegments.find(s => tailStart >= s.p0 && tailStart <= s.p1 && s.p1 > s.p0);
+  const tailMin = containing
+    ? segmentWealth(containing, (tailStart - containing.p0) / (containing.p1 - containing.p0))
+    : lastKnot.wealth;
+  const hasTail = tailPercentile < 1 && tailMin > 0 && (Number.isFinite(max) ? max > tailMin : true);
+
+  let segments;
+  let tail = null;
+  let tailShare = 0;
+  if (hasTail) {
+    const bodyKnots = knots.filter(p => p.percentile < tailStart);
+    bodyKnots.push({ percentile: tailStart, wealth: tailMin });
+    segments = bodyKnots.slice(1).map((k, i) => makeSegment(bodyKnots[i], k));
+
+    tailShare = 1 - tailStart;
+    const observations = sorted
+      .filter(p => p.percentile > tailStart && p.percentile < 1 && p.wealth > tailMin)
+      .map(p => ({ wealth: p.wealth, survival: (1 - p.percentile) / tailShare }));
+    const fixedAlpha = Number.isFinite(alpha)
+      ? Math.min(Math.max(alpha, Number.isFinite(max) ? ALPHA_RANGE[0] : 1.01), ALPHA_RANGE[1])
+      : null;
+    tail = makeTail(tailMin, max, fixedAlpha === null ? fitAlpha(observations, tailMin, max) : fixedAlpha);
+  } else {
+    // No tail: interpolate all the way to the top point
+    const bodyKnots = [...knots, { percentile: 1, wealth: Number.isFinite(max) ? max : lastKnot.wealth }];
+    segments = bodyKnots.slice(1).map((k, i) => makeSegment(bodyKnots[i], k));
+    tailStart = 1;
+  }
+
+  // ∫ quantile dp over [p0, p1]
+  const integral = (p0, p1) => {
+    const lo = Math.max(0, p0);
+    const hi = Math.min(1, p1);
+    if (hi <= lo) return 0;
+    let sum = 0;
+    for (const seg of segments) {
+      if (seg.p1 <= lo || seg.p0 >= hi || seg.p1 === seg.p0) continue;
+      const span = seg.p1 - seg.p0;
+      sum += segmentIntegral(seg, (Math.max(lo, seg.p0) - seg.p0) / span, (Math.min(hi, seg.p1) - seg.p0) / span);
+    }
+    if (tail && hi > tailStart) {
+      const u0 = (Math.max(lo, tailStart) - tailStart) / tailShare;
+      const u1 = (hi - tailStart) / tailShare;
+      sum += tailShare * tail.integral(u0, u1);
+    }
+    return sum;
+  };
+
+  const quantile = p => {
+    const q = Math.min(Math.max(p, 0), 1);
+    if (tail && q >= tailStart) return tail.quantile((q - tailStart) / tailShare);
+    const seg = segments.find(s => q <= s.p1) || segments[segments.length - 1];
+    const span = seg.p1 - seg.p0;
+    return segmentWealth(seg, span > 0 ? (q - seg.p0) / span : 1);
+  };
+
+  // P(W ≤ w)
+  const cdf = w => {
+    if (tail && w >= tail.min) return tailStart + tailShare * (1 - tail.survival(w));
+    for (const seg of segments) {
+      if (w < seg.w0) return seg.p0;
+      if (w < seg.w1) return seg.p0 + segmentFraction(seg, w) * (seg.p1 - seg.p0);
+    }
+    return tail ? tailStart : 1;
+  };
+
+  const mean = integral(0, 1);
+  const shareAbove = threshold => 1 - cdf(threshold);
+  const wealthAbove = threshold => population * integral(cdf(threshold), 1);
+  const populationAbove = threshold => population * shareAbove(threshold);
+
+  return {
+    points: sorted,
+    population,
+    tailPercentile: tailStart,
+    alpha: tail ? tail.alpha : null,
+    max,
+    mean,
+    total: mean * population,
+    quantile,
+    cdf,
+    integral,
+    shareAbove,
+    populationAbove,
+    wealthAbove,
+    meanAbove: threshold => {
+      const share = shareAbove(threshold);
+      return share > 0 ? integral(cdf(threshold), 1) / share : 0;
+    },
+    excessAbove: threshold => wealthAbove(threshold) - threshold * populationAbove(threshold),
+    // Excess above threshold held by the population between percentiles p0 and p1
+    excessBetween: (p0, p1, threshold) => {
+      const from = Math.max(p0, cdf(threshold));
+      if (p1 <= from) return 0;
+      return population * (integral(from, p1) - threshold * (p1 - from));
+    },
+    // Share of total wealth held by the bottom p of the population
+    lorenz: p => (mean > 0 ? integral(0, p) / mean : 0),
+    // Percentile grid dense enough to integrate the Lorenz curve
+    grid: () => {
+      const ps = [0];
+      segments.forEach(seg => {
+        const steps = Math.max(20, Math.ceil(500 * (seg.p1 - seg.p0)));
+        for (let i = 1; i <= steps; i++) ps.push(seg.p0 + (seg.p1 - seg.p0) * (i / steps));
+      });
+      if (tail) {
+        for (let i = 1; i <= 120; i++) ps.push(1 - tailShare * Math.pow(10, -i / 10));
+        ps.push(1);
+      }
+      return ps;
+    }
+  };
+}
+
+/**
+ * Sample the Lorenz curve of a distribution
+ * @param {Object} distribution - Fitted distribution
+ * @returns {Array<Object>} - Points { population, wealth } as cumulative shares
+ */
+export function lorenzPoints(distribution) {
+  if (!isDistribution(distribution)) return [];
+  return distribution.grid().map(p => ({ population: p, wealth: distribution.lorenz(p) }));
+}
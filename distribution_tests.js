@@ -0,0 +1,131 @@
+// distribution.test.js - Unit tests for the fitted wealth distribution
+
+import { fitDistribution, isDistribution, lorenzPoints } from './distribution';
+import { calculateExcessWealth, calculateGiniCoefficient, calculatePalmaRatio } from './calculations';
+import wealthPercentiles from './data/wealth-percentiles.json';
+
+// Numerical mean of the quantile function, used to check closed-form integrals
+const numericMean = (distribution, from = 0, steps = 200000) => {
+  let sum = 0;
+  for (let i = 0; i < steps; i++) {
+    sum += distribution.quantile(from + (1 - from) * (i + 0.5) / steps);
+  }
+  return sum / steps;
+};
+
+describe('fitDistribution', () => {
+  const distribution = fitDistribution(wealthPercentiles, { population: 1000 });
+
+  test('should pass through the percentile points', () => {
+    [0.1, 0.5, 0.9, 0.95, 0.99, 0.999, 1.0].forEach(p => {
+      const point = wealthPercentiles.find(w => w.percentile === p);
+      expect(distribution.quantile(p) / point.wealth).toBeCloseTo(1, 6);
+    });
+  });
+
+  test('should interpolate log-linearly below the tail', () => {
+    // Halfway between P50 (€65k) and P60 (€100k) is their geometric mean
+    expect(distribution.quantile(0.55)).toBeCloseTo(Math.sqrt(65000 * 100000), 3);
+  });
+
+  test('should fit the Pareto alpha from tail points', () => {
+    // Bounded tail from €10M to €1B through €100M at P99.9:
+    // 0.1 × (x − x²)/(1 − x²) = 0.01 with x = 10^−alpha gives alpha = log10(9)
+    expect(distribution.alpha).toBeCloseTo(Math.log10(9), 5);
+    expect(distribution.tailPercentile).toBe(0.99);
+  });
+
+  test('should invert quantile with cdf', () => {
+    [0.05, 0.3, 0.75, 0.98, 0.995, 0.9999].forEach(p => {
+      expect(distribution.cdf(distribution.quantile(p))).toBeCloseTo(p, 9);
+    });
+    expect(distribution.cdf(2e9)).toBe(1);
+  });
+
+  test('should compute population and mean above a threshold', () => {
+    expect(distribution.populationAbove(1e7)).toBeCloseTo(10, 6);
+    expect(distribution.populationAbove(1e8)).toBeCloseTo(1, 6);
+    expect(distribution.meanAbove(1e7)).toBeCloseTo(numericMean(distribution, 0.99), -4);
+    expect(distribution.mean / numericMean(distribution)).toBeCloseTo(1, 4);
+  });
+
+  test('should split excess consistently across brackets', () => {
+    const threshold = 5e6;
+    const split = distribution.excessBetween(0, 0.99, threshold) + distribution.excessBetween(0.99, 1, threshold);
+    expect(split).toBeCloseTo(distribution.excessAbove(threshold), 0);
+    expect(distribution.excessAbove(2e9)).toBe(0);
+  });
+
+  test('should respect a configurable tail percentile', () => {
+    const wideTail = fitDistribution(wealthPercentiles, { tailPercentile: 0.95 });
+    expect(wideTail.tailPercentile).toBe(0.95);
+    expect(wideTail.alpha).not.toBeCloseTo(distribution.alpha, 3);
+
+    const noTail = fitDistribution(wealthPercentiles, { tailPercentile: 1 });
+    expect(noTail.alpha).toBeNull();
+    // 5/9 of the way from P99 (€10M) to P99.9 (€100M) on a log scale
+    expect(noTail.quantile(0.995) / Math.pow(10, 7 + 5 / 9)).toBeCloseTo(1, 9);
+  });
+
+  test('should accept a fixed tail alpha', () => {
+    const fixed = fitDistribution(wealthPercentiles, { alpha: 1.2 });
+    expect(fixed.alpha).toBe(1.2);
+    expect(fixed.quantile(1)).toBe(1e9);
+    // Thinner tail, less wealth at the top
+    expect(fitDistribution(wealthPercentiles, { alpha: 3 }).mean).toBeLessThan(fixed.mean);
+    expect(fitDistribution(wealthPercentiles.filter(p => p.percentile < 1), { alpha: 0.5 }).alpha).toBe(1.01);
+  });
+
+  test('should keep an unbounded tail mean finite', () => {
+    const unbounded = fitDistribution(wealthPercentiles.filter(p => p.percentile < 1));
+    expect(unbounded.alpha).toBeGreaterThan(1);
+    expect(Number.isFinite(unbounded.mean)).toBe(true);
+    expect(unbounded.quantile(1)).toBe(Infinity);
+  });
+
+  test('should drop a zero-width tail when the top point equals the tail start', () => {
+    // Top-coded data: P99 and the maximum hold the same wealth
+    const topCoded = fitDistribution([
+      { percentile: 0.5, wealth: 1000 },
+      { percentile: 0.9, wealth: 50000 },
+      { percentile: 0.99, wealth: 2e6 },
+      { percentile: 1, wealth: 2e6 }
+    ], { population: 1000 });
+    expect(topCoded.alpha).toBeNull();
+    expect(Number.isFinite(topCoded.excessAbove(1000))).toBe(true);
+    expect(topCoded.excessAbove(1000)).toBeGreaterThan(0);
+    expect(calculateGiniCoefficient(topCoded)).toBeGreaterThan(0);
+  });
+
+  test('should handle edge cases', () => {
+    expect(fitDistribution([])).toBeNull();
+    expect(fitDistribution(null)).toBeNull();
+    expect(isDistribution(distribution)).toBe(true);
+    expect(isDistribution(wealthPercentiles)).toBe(false);
+  });
+});
+
+describe('metrics on a continuous distribution', () => {
+  // Wealth uniform between €0 and €1M
+  const uniform = fitDistribution([
+    { percentile: 0, wealth: 0 },
+    { percentile: 1, wealth: 1000000 }
+  ], { tailPercentile: 1, population: 1e6 });
+
+  test('should calculate Gini from the Lorenz curve', () => {
+    expect(calculateGiniCoefficient(uniform)).toBeCloseTo(1 / 3, 4);
+    const lorenz = lorenzPoints(uniform);
+    expect(lorenz[0]).toEqual({ population: 0, wealth: 0 });
+    expect(lorenz[lorenz.length - 1].wealth).toBeCloseTo(1, 9);
+  });
+
+  test('should calculate Palma from population shares', () => {
+    // Top 10% hold 1 − 0.9² = 0.19, bottom 40% hold 0.4² = 0.16
+    expect(calculatePalmaRatio(uniform)).toBeCloseTo(0.19 / 0.16, 6);
+  });
+
+  test('should calculate excess in trillions', () => {
+    // 50% of 1M adults above €500k with mean excess €250k
+    expect(calculateExcessWealth(uniform, 500000)).toBeCloseTo(0.125, 9);
+  });
+});
@@ -0,0 +1,292 @@
+// export.js - CSV, JSON, chart images and a printable report of the current view
+
+import exchangeRates from './data/exchange-rates.json';
+import cpi from './data/cpi.json';
+import { getUtilityModel } from './utility_models';
+import { calculateInterventionMultiple } from './interventions';
+import { describeBehaviour } from './behaviour';
+import { formatMoney } from './currency';
+import { DEFAULT_LOCALE_ID, createTranslator, interventionText, interventionSource, utilityModelText } from './i18n';
+
+// Labels are message keys in locales/*.json
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'export.csv' },
+  { id: 'json', label: 'export.json' },
+  { id: 'png', label: 'export.png' },
+  { id: 'svg', label: 'export.svg' },
+  { id: 'card', label: 'export.card' },
+  { id: 'report', label: 'export.report' }
+];
+
+// Columns of the processed data points in CSV exports
+const DATA_COLUMNS = [
+  { key: 'wealth', header: 'wealth' },
+  { key: 'percentile', header: 'percentile' },
+  { key: 'utility', header: 'utility' }
+];
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV with a header line
+ * @param {Array<Object>} rows - Records
+ * @param {Array<Object>} columns - Columns ({ key, header })
+ * @returns {string} - CSV text
+ */
+export function toCsv(rows, columns) {
+  return [
+    columns.map(c => csvField(c.header)).join(','),
+    ...rows.map(row => columns.map(c => csvField(row[c.key])).join(','))
+  ].join('\n') + '\n';
+}
+
+/**
+ * Processed data points (processWealthData's `data`) as CSV
+ * @param {Array<Object>} data - Points ({ wealth, percentile, utility })
+ * @returns {string} - CSV text
+ */
+export function dataPointsToCsv(data) {
+  return toCsv(data, DATA_COLUMNS);
+}
+
+/**
+ * File name for exports, e.g. "wealth-inequality-sample-2025-03-01"
+ * @param {string} datasetId - Dataset id
+ * @param {Date} date - Generation date
+ * @returns {string} - Name without extension
+ */
+export function exportFileName(datasetId, date) {
+  return `wealth-inequality-${datasetId}-${date.toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Everything needed to reproduce and cite the current view
+ * @param {Object} view - { state, dataset, metrics, interventions, behaviour, generatedAt, t }
+ *   state holds the settings (datasetId, threshold, utilityModel, utilityParams,
+ *   interventions, …); interventions are the selected entries with costs in the
+ *   dataset's currency; behaviour is the central behavioural assumptions, described
+ *   in the language of the translator t (English by default)
+ * @returns {Object} - Plain object for JSON export and the report
+ */
+export function buildExportDocument({
+  state, dataset, metrics, interventions = [], behaviour = null, generatedAt, t = createTranslator(DEFAULT_LOCALE_ID)
+}) {
+  return {
+    generatedAt: generatedAt.toISOString(),
+    dataset: {
+      id: dataset.id,
+      name: dataset.name,
+      region: dataset.region,
+      country: dataset.country || null,
+      year: dataset.year || null,
+      currency: dataset.currency,
+      population: dataset.population,
+      source: dataset.source,
+      licence: dataset.licence,
+      realBaseYear: dataset.realBaseYear || null
+    },
+    state,
+    interventions: interventions.map(i => ({
+      id: i.id,
+      label: i.label,
+      cost: i.cost,
+      unit: i.unit,
+      currency: i.currency,
+      source: i.source,
+      multiple: calculateInterventionMultiple(metrics.excessEuros, i)
+    })),
+    assumptions: {
+      behaviour: behaviour ? describeBehaviour(behaviour, { currency: dataset.currency, locale: t.formatLocale }, t) : []
+    },
+    sources: exportSources(dataset, interventions, t),
+    metrics
+  };
+}
+
+/**
+ * Data sources behind a view, without duplicates
+ * @param {Object} dataset - Selected dataset
+ * @param {Array<Object>} interventions - Selected interventions
+ * @param {Function} [t] - Translator for the lines (English by default)
+ * @returns {Array<string>} - Source lines
+ */
+export function exportSources(dataset, interventions = [], t = createTranslator(DEFAULT_LOCALE_ID)) {
+  const sources = [
+    `${dataset.name}: ${dataset.source || t('report.noSource')}${dataset.licence ? ` (${dataset.licence})` : ''}`,
+    ...interventions.map(i => `${interventionText(t, i, 'label')}: ${interventionSource(t, i)}`),
+    t('report.exchangeRates', { source: exchangeRates.source })
+  ];
+  if (dataset.realBaseYear) sources.push(t('report.consumerPrices', { source: cpi.source }));
+  return [...new Set(sources)];
+}
+
+// Escape text for HTML element content and attribute values
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const tableRows = rows => rows
+  .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+  .join('');
+
+/**
+ * One-page HTML report, styled for printing or saving as PDF
+ * @param {Object} doc - Result of buildExportDocument
+ * @param {Object} options - { t, money, chartSvg, url } where t is a translator from
+ *   createTranslator and chartSvg optional markup from serializeChart
+ * @returns {string} - Complete HTML document
+ */
+export function buildReport(doc, { t, money = {}, chartSvg = '', url = '' }) {
+  const { state, dataset, metrics } = doc;
+  const amount = value => formatMoney(value, money);
+  const model = getUtilityModel(state.utilityModel);
+  const generated = new Date(doc.generatedAt).toLocaleDateString(t.formatLocale, { year: 'numeric', month: 'long', day: 'numeric' });
+
+  const results = [
+    [t('metrics.excess'), formatMoney(metrics.excessEuros, { ...money, compact: true, digits: 2 })],
+    [t('metrics.adultsAbove'), `${t.number(Math.round(metrics.peopleAbove))} / ${t.number(metrics.population)}`],
+    [t('metrics.perAdult'), amount(metrics.dividendPerAdult)],
+    [t('metrics.perBottomHalf'), amount(metrics.dividendBottomHalf)],
+    [t('metrics.gini'), t.number(metrics.gini, 3)],
+    [t('metrics.palma'), metrics.palma === Infinity ? '∞' : t.number(metrics.palma, 2)],
+    ...(metrics.paretoAlpha !== null ? [[t('metrics.pareto'), t.number(metrics.paretoAlpha, 2)]] : []),
+    ...doc.interventions.map(i => [
+      interventionText(t, i, 'label'),
+      t('multiple.times', { count: t.number(i.multiple, 1) })
+    ])
+  ];
+
+  const assumptions = [
+    [t('report.threshold'), amount(state.threshold)],
+    [t('report.dataset'), `${dataset.name}${dataset.year ? ` (${dataset.year})` : ''}`],
+    [t('report.population'), t.number(dataset.population)],
+    [t('report.utilityModel'), [
+      utilityModelText(t, model, 'label'),
+      ...model.params.map(p => `${utilityModelText(t, model, 'label', p)} = ${t.number(state.utilityParams[p.key])}`)
+    ].join(', ')],
+    [t('report.currency'), `${money.currency || dataset.currency}, ${t(state.conversionMode === 'ppp' ? 'report.ppp' : 'report.market')}`],
+    [t('report.prices'), dataset.realBaseYear ? t('report.realPrices', { year: String(dataset.realBaseYear) }) : t('report.nominal')],
+    ...(state.taxSchedule || []).map(bracket => [
+      t('report.taxBracket', { amount: amount(bracket.threshold) }),
+      t('common.percent', { value: t.number(bracket.rate * 100, 1) })
+    ]),
+    ...(state.simulation ? [[t('report.simulation'), t('report.simulationValue', {
+      realReturn: t.number(state.simulation.realReturn * 100, 1),
+      drawdown: t.number(state.simulation.drawdownRate * 100, 0),
+      capitalFlight: t.number(state.simulation.capitalFlight * 100, 0)
+    })]] : []),
+    ...doc.assumptions.behaviour.map(line => [line.label, line.value])
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(t.locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t('title'))}</title>
+<style>
+  @page { size: A4; margin: 15mm; }
+  body { font: 10pt/1.4 system-ui, sans-serif; color: #111; max-width: 180mm; margin: 0 auto; }
+  h1 { font-size: 16pt; margin: 0 0 2pt; }
+  h2 { font-size: 11pt; margin: 12pt 0 4pt; border-bottom: 1px solid #ccc; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 1pt 4pt; vertical-align: top; }
+  th { font-weight: normal; color: #555; width: 55%; }
+  svg { max-width: 100%; height: auto; }
+  ul { margin: 0; padding-left: 14pt; }
+  .meta { color: #555; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t('title'))}</h1>
+<p class="meta">${escapeHtml(t('report.generated', { date: generated }))}${url ? ` · <a href="${escapeHtml(url)}">${escapeHtml(t('report.link'))}</a>` : ''}</p>
+<h2>${escapeHtml(t('report.results'))}</h2>
+<table>${tableRows(results)}</table>
+${chartSvg ? `<h2>${escapeHtml(t('report.chart'))}</h2>\n${chartSvg}` : ''}
+<h2>${escapeHtml(t('report.assumptions'))}</h2>
+<table>${tableRows(assumptions)}</table>
+<h2>${escapeHtml(t('report.sources'))}</h2>
+<ul>${doc.sources.map(source => `<li>${escapeHtml(source)}</li>`).join('')}</ul>
+</body>
+</html>
+`;
+}
+
+/**
+ * Standalone SVG markup of a rendered chart
+ * @param {SVGElement} svg - Chart element, e.g. recharts' `svg.recharts-surface`
+ * @returns {string} - Markup with the SVG namespace and explicit size
+ */
+export function serializeChart(svg) {
+  const clone = svg.cloneNode(true);
+  const { width, height } = svg.getBoundingClientRect();
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', Math.round(width));
+  clone.setAttribute('height', Math.round(height));
+  return new XMLSerializer().serializeToString(clone);
+}
+
+/**
+ * Render SVG markup to a PNG on a white background
+ * @param {string} markup - Result of serializeChart
+ * @param {Object} size - { width, height, scale } where scale defaults to 2 for sharp prints
+ * @returns {Promise<Blob>} - PNG image
+ */
+export function chartToPng(markup, { width, height, scale = 2 }) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render PNG'))), 'image/png');
+    };
+    image.onerror = () => reject(new Error('Could not load chart image'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+  });
+}
+
+/**
+ * Save text or a blob as a file through a temporary download link
+ * @param {string} fileName - Suggested file name
+ * @param {string|Blob} content - File content
+ * @param {string} [type] - MIME type for text content
+ */
+export function downloadFile(fileName, content, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Open a report in a new window and bring up the print dialog
+ * @param {string} html - Result of buildReport
+ * @returns {boolean} - False when the browser blocked the window
+ */
+export function printReport(html) {
+  const win = window.open('', '_blank');
+  if (!win) return false;
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+  return true;
+}
@@ -0,0 +1,143 @@
+// export.test.js - Unit tests for CSV, JSON and report exports
+
+import {
+  EXPORT_FORMATS,
+  toCsv,
+  dataPointsToCsv,
+  exportFileName,
+  buildExportDocument,
+  exportSources,
+  buildReport
+} from './export';
+import { getBuiltInInterventions } from './interventions';
+import { getDataset } from './datasets';
+import { processWealthData } from './calculations';
+import { DEFAULT_BEHAVIOUR } from './behaviour';
+import { DEFAULT_TAX_SCHEDULE } from './tax';
+import { createTranslator } from './i18n';
+import { formatMoney } from './currency';
+
+const dataset = getDataset('synthetic-2024');
+const threshold = 1000000;
+const { data, metrics } = processWealthData(dataset.percentiles, threshold, { population: dataset.population, behaviour: DEFAULT_BEHAVIOUR });
+const interventions = getBuiltInInterventions().filter(i => i.default);
+const generatedAt = new Date('2025-03-01T12:00:00Z');
+
+const state = {
+  datasetId: dataset.id,
+  threshold,
+  utilityModel: 'crra',
+  utilityParams: { eta: 1.5 },
+  interventions: interventions.map(i => i.id),
+  currency: 'EUR',
+  conversionMode: 'market',
+  realBaseYear: null,
+  taxSchedule: DEFAULT_TAX_SCHEDULE,
+  simulation: null,
+  redistribution: null
+};
+
+const doc = buildExportDocument({ state, dataset, metrics, interventions, behaviour: DEFAULT_BEHAVIOUR, generatedAt });
+
+describe('CSV export', () => {
+  test('should write a header and one line per row', () => {
+    expect(toCsv([{ a: 1, b: 'x' }, { a: 2 }], [{ key: 'a', header: 'A' }, { key: 'b', header: 'B' }]))
+      .toBe('A,B\n1,x\n2,\n');
+  });
+
+  test('should quote fields with separators, quotes and line breaks', () => {
+    const csv = toCsv([{ a: 'x, "y"\nz' }], [{ key: 'a', header: 'a' }]);
+    expect(csv).toBe('a\n"x, ""y""\nz"\n');
+  });
+
+  test('should export every processed data point', () => {
+    const lines = dataPointsToCsv(data).trim().split('\n');
+    expect(lines[0]).toBe('wealth,percentile,utility');
+    expect(lines).toHaveLength(data.length + 1);
+    expect(lines[1].split(',').map(Number)).toEqual([data[0].wealth, data[0].percentile, data[0].utility]);
+  });
+});
+
+describe('JSON export', () => {
+  test('should offer every format in the menu', () => {
+    expect(EXPORT_FORMATS.map(f => f.id)).toEqual(['csv', 'json', 'png', 'svg', 'card', 'report']);
+  });
+
+  test('should name files after the dataset and date', () => {
+    expect(exportFileName('sample', generatedAt)).toBe('wealth-inequality-sample-2025-03-01');
+  });
+
+  test('should carry the state, dataset details and all metrics', () => {
+    expect(doc.generatedAt).toBe('2025-03-01T12:00:00.000Z');
+    expect(doc.state).toEqual(state);
+    expect(doc.dataset).toMatchObject({ id: 'synthetic-2024', year: 2024, currency: 'EUR', population: dataset.population });
+    expect(Object.keys(doc.metrics)).toEqual(Object.keys(metrics));
+  });
+
+  test('should include intervention multiples and behavioural assumptions', () => {
+    expect(doc.interventions.map(i => i.id)).toEqual(state.interventions);
+    expect(doc.interventions[0].multiple).toBeCloseTo(metrics.excessEuros / interventions[0].cost, 9);
+    expect(doc.assumptions.behaviour.length).toBeGreaterThan(0);
+    expect(doc.assumptions.behaviour[0]).toHaveProperty('label');
+  });
+
+  test('should survive a JSON round trip', () => {
+    const parsed = JSON.parse(JSON.stringify(doc));
+    expect(parsed.metrics.gini).toBeCloseTo(metrics.gini, 12);
+    expect(parsed.state.utilityParams).toEqual({ eta: 1.5 });
+  });
+
+  test('should list dataset, intervention and rate sources once', () => {
+    const sources = exportSources(dataset, [...interventions, interventions[0]]);
+    expect(sources[0]).toContain(dataset.source);
+    expect(sources.filter(s => s.startsWith(interventions[0].label))).toHaveLength(1);
+    expect(sources.some(s => s.startsWith('Exchange rates:'))).toBe(true);
+    expect(sources.some(s => s.startsWith('Consumer prices:'))).toBe(false);
+    expect(exportSources({ ...dataset, realBaseYear: 2020 }).some(s => s.startsWith('Consumer prices:'))).toBe(true);
+  });
+
+  test('should translate source lines', () => {
+    const de = createTranslator('de');
+    const sources = exportSources({ ...dataset, source: '', realBaseYear: 2020 }, [{ ...interventions[0], source: '' }], de);
+    expect(sources[0]).toContain('keine Quelle angegeben');
+    expect(sources[1]).toBe('Obdachlosigkeit beenden: ohne Quelle');
+    expect(sources.some(s => s.startsWith('Wechselkurse:'))).toBe(true);
+    expect(sources.some(s => s.startsWith('Verbraucherpreise:'))).toBe(true);
+  });
+});
+
+describe('printable report', () => {
+  const money = { currency: 'EUR', from: 'EUR', locale: 'en-GB' };
+  const html = buildReport(doc, { t: createTranslator('en'), money, chartSvg: '<svg></svg>', url: 'https://example.org/?a=1&b=2' });
+
+  test('should list the per-capita dividends with the results', () => {
+    expect(html).toContain('Dividend per adult');
+    expect(html).toContain(formatMoney(metrics.dividendPerAdult, money));
+    expect(html).toContain(formatMoney(metrics.dividendBottomHalf, money));
+  });
+
+  test('should state the generation date, assumptions and sources', () => {
+    expect(html).toContain('Generated on');
+    expect(html).toContain('2025');
+    expect(html).toContain('Assumptions');
+    expect(html).toContain('€1,000,000');
+    expect(html).toContain('Isoelastic (CRRA)');
+    expect(html).toContain('Wealth tax above €50,000,000');
+    expect(html).toContain(doc.assumptions.behaviour[0].label);
+    expect(html).toContain('Data sources');
+    doc.sources.forEach(source => expect(html).toContain(source.split(' (')[0]));
+  });
+
+  test('should embed the chart and escape the link', () => {
+    expect(html).toContain('<svg></svg>');
+    expect(html).toContain('href="https://example.org/?a=1&amp;b=2"');
+  });
+
+  test('should use print styles and the chosen language', () => {
+    expect(html).toContain('@page');
+    const german = buildReport(doc, { t: createTranslator('de'), money: { ...money, locale: 'de' } });
+    expect(german).toContain('<html lang="de">');
+    expect(german).toContain('Datenquellen');
+    expect(german).not.toContain('<h2>Diagramm</h2>');
+  });
+});
@@ -0,0 +1,121 @@
+// goal_seek.js - Finds the threshold that reaches a target excess, intervention multiple or share of adults
+
+import { calculateExcessWealth, hasPercentiles } from './calculations';
+import { fitDistribution, isDistribution } from './distribution';
+import { getWealthIndex } from './wealth_index';
+import { LOG_MIN_WEALTH } from './wealth_scale';
+
+export const GOAL_TYPES = ['excess', 'multiple', 'share'];
+
+// Bisection stops once the bracket is this narrow relative to the threshold, or after MAX_ITERATIONS
+const RELATIVE_TOLERANCE = 1e-6;
+const MAX_ITERATIONS = 100;
+
+/**
+ * Excess and share of adults above any threshold, weighted the same way as processWealthData
+ * @param {Array<Object>} rawWealthData - Wealth data points or individual records
+ * @param {Object} [options] - { population, tailPercentile, tailAlpha, distribution } where
+ *   `distribution` is one already fitted to the same points
+ * @returns {Object} - { excess(threshold), share(threshold), max } with excess in absolute
+ *   amounts; both functions decrease as the threshold rises
+ */
+export function thresholdCurves(rawWealthData, { population, tailPercentile, tailAlpha, distribution: fitted } = {}) {
+  let distribution = null;
+  if (hasPercentiles(rawWealthData) && population > 0) {
+    distribution = isDistribution(fitted)
+      ? fitted
+      : fitDistribution(rawWealthData, { population, tailPercentile, alpha: tailAlpha });
+  }
+  if (distribution) {
+    return {
+      excess: threshold => calculateExcessWealth(distribution, threshold) * 1e12,
+      share: threshold => distribution.shareAbove(threshold),
+      max: distribution.max
+    };
+  }
+  const index = getWealthIndex(rawWealthData);
+  return {
+    excess: threshold => calculateExcessWealth(index, threshold) * 1e12,
+    share: threshold => (index.size > 0 ? index.countAbove(threshold) / index.size : 0),
+    max: index.size > 0 ? index.sorted[index.size - 1] : 0
+  };
+}
+
+/**
+ * Bisect for the threshold where a monotone condition stops holding
+ * Thresholds span several orders of magnitude, so the bracket is halved on a log scale.
+ * @param {Function} reaches - True for thresholds up to the crossing and false above it
+ * @param {number} min - Lowest threshold considered (> 0)
+ * @param {number} max - Highest threshold considered
+ * @returns {Object} - { lo, hi, status } where reaches(lo) and not reaches(hi) when status is
+ *   'found'; 'below-min' when the condition already fails at min and 'above-max' when it
+ *   still holds at max
+ */
+export function bisectThreshold(reaches, min, max) {
+  if (!reaches(min)) return { lo: min, hi: min, status: 'below-min' };
+  if (reaches(max)) return { lo: max, hi: max, status: 'above-max' };
+  let lo = min;
+  let hi = max;
+  for (let i = 0; i < MAX_ITERATIONS && hi - lo > RELATIVE_TOLERANCE * lo; i++) {
+    const mid = Math.sqrt(lo * hi);
+    if (reaches(mid)) lo = mid;
+    else hi = mid;
+  }
+  return { lo, hi, status: 'found' };
+}
+
+/**
+ * Target value of a goal on the excess or share curve
+ * @param {Object} goal - { type: 'excess', amount }, { type: 'multiple', interventionId, multiple }
+ *   or { type: 'share', share } with share as a fraction of adults (0–1)
+ * @param {Array<Object>} [interventions] - Interventions with costs in the dataset's currency
+ * @returns {number|null} - Excess or share to reach, or null when the goal is incomplete
+ */
+export function goalTarget(goal, interventions = []) {
+  if (!goal) return null;
+  switch (goal.type) {
+    case 'excess':
+      return goal.amount > 0 ? goal.amount : null;
+    case 'multiple': {
+      const intervention = interventions.find(i => i.id === goal.interventionId);
+      return intervention && intervention.cost > 0 && goal.multiple > 0 ? goal.multiple * intervention.cost : null;
+    }
+    case 'share':
+      return goal.share > 0 && goal.share < 1 ? goal.share : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find the threshold that meets a goal
+ * Excess and multiple goals get the highest threshold whose excess still reaches the target;
+ * share goals the lowest threshold above which at most that share of adults holds wealth.
+ * @param {Array<Object>} rawWealthData - Wealth data points or individual records
+ * @param {Object} goal - See goalTarget
+ * @param {Object} [options] - { population, tailPercentile, tailAlpha, distribution, interventions, min, max }
+ *   where min and max bound the search (default: LOG_MIN_WEALTH to the largest wealth)
+ * @returns {Object} - { threshold, excess, share, status } with status 'found', 'below-min',
+ *   'above-max' or 'invalid' (threshold null)
+ */
+export function solveThreshold(rawWealthData, goal, options = {}) {
+  const invalid = { threshold: null, excess: 0, share: 0, status: 'invalid' };
+  const target = goalTarget(goal, options.interventions);
+  if (target === null || !Array.isArray(rawWealthData) || rawWealthData.length === 0) return invalid;
+  try {
+    const curves = thresholdCurves(rawWealthData, options);
+    const min = options.min > 0 ? options.min : LOG_MIN_WEALTH;
+    const max = options.max > min ? options.max : Math.max(curves.max, min);
+    // Both curves fall as the threshold rises: bisect for where excess drops below the
+    // target, or where the share above drops to it
+    const share = goal.type === 'share';
+    const { lo, hi, status } = share
+      ? bisectThreshold(t => curves.share(t) > target, min, max)
+      : bisectThreshold(t => curves.excess(t) >= target, min, max);
+    const threshold = share ? hi : lo;
+    return { threshold, excess: curves.excess(threshold), share: curves.share(threshold), status };
+  } catch (error) {
+    console.error('Error solving for threshold:', error);
+    return invalid;
+  }
+}
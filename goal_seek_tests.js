@@ -0,0 +1,103 @@
+// goal_seek.test.js - Unit tests for solving the threshold from a target
+
+import { bisectThreshold, goalTarget, solveThreshold, thresholdCurves } from './goal_seek';
+import { processWealthData } from './calculations';
+import { fitDistribution } from './distribution';
+import { getDataset } from './datasets';
+import { LOG_MIN_WEALTH } from './wealth_scale';
+
+const dataset = getDataset('sample');
+const options = { population: dataset.population };
+const metricsAt = threshold => processWealthData(dataset.percentiles, threshold, options).metrics;
+
+describe('bisectThreshold', () => {
+  const reaches = target => t => 1e6 / t >= target;
+
+  test('should bracket the crossing tightly', () => {
+    const { lo, hi, status } = bisectThreshold(reaches(100), 1, 1e6);
+    expect(status).toBe('found');
+    expect(1e6 / lo).toBeGreaterThanOrEqual(100);
+    expect(1e6 / hi).toBeLessThan(100);
+    expect(lo).toBeCloseTo(10000, 1);
+  });
+
+  test('should report crossings outside the range', () => {
+    expect(bisectThreshold(reaches(1e7), 1, 1e6)).toEqual({ lo: 1, hi: 1, status: 'below-min' });
+    expect(bisectThreshold(reaches(0.5), 1, 1e6)).toEqual({ lo: 1e6, hi: 1e6, status: 'above-max' });
+  });
+});
+
+describe('goalTarget', () => {
+  const interventions = [{ id: 'healthcare', cost: 8e12 }, { id: 'free', cost: 0 }];
+
+  test('should turn each goal into an excess or share', () => {
+    expect(goalTarget({ type: 'excess', amount: 5e11 })).toBe(5e11);
+    expect(goalTarget({ type: 'multiple', interventionId: 'healthcare', multiple: 10 }, interventions)).toBe(8e13);
+    expect(goalTarget({ type: 'share', share: 0.001 })).toBe(0.001);
+  });
+
+  test('should reject incomplete goals', () => {
+    expect(goalTarget(null)).toBeNull();
+    expect(goalTarget({ type: 'excess', amount: 0 })).toBeNull();
+    expect(goalTarget({ type: 'multiple', interventionId: 'missing', multiple: 1 }, interventions)).toBeNull();
+    expect(goalTarget({ type: 'multiple', interventionId: 'free', multiple: 1 }, interventions)).toBeNull();
+    expect(goalTarget({ type: 'share', share: 1 })).toBeNull();
+    expect(goalTarget({ type: 'median' })).toBeNull();
+  });
+});
+
+describe('solveThreshold', () => {
+  test('should find the threshold that frees a target excess', () => {
+    const result = solveThreshold(dataset.percentiles, { type: 'excess', amount: 5e11 }, options);
+    expect(result.status).toBe('found');
+    expect(result.excess).toBeGreaterThanOrEqual(5e11);
+    expect(result.excess / 5e11).toBeCloseTo(1, 4);
+    expect(metricsAt(result.threshold).excessEuros).toBeCloseTo(result.excess, 0);
+  });
+
+  test('should find the threshold for an intervention multiple', () => {
+    const interventions = [{ id: 'healthcare', cost: 2e11 }];
+    const result = solveThreshold(dataset.percentiles, { type: 'multiple', interventionId: 'healthcare', multiple: 10 }, { ...options, interventions });
+    expect(result.status).toBe('found');
+    expect(result.excess / 2e12).toBeCloseTo(1, 4);
+  });
+
+  test('should find the threshold above which a share of adults holds wealth', () => {
+    const result = solveThreshold(dataset.percentiles, { type: 'share', share: 0.001 }, options);
+    expect(result.status).toBe('found');
+    expect(result.share).toBeLessThanOrEqual(0.001);
+    const metrics = metricsAt(result.threshold);
+    expect(metrics.peopleAbove / metrics.population).toBeCloseTo(0.001, 5);
+  });
+
+  test('should search a distribution fitted once when one is given', () => {
+    const distribution = fitDistribution(dataset.percentiles, { population: dataset.population, alpha: 3 });
+    const reused = solveThreshold(dataset.percentiles, { type: 'share', share: 0.001 }, { ...options, distribution });
+    const refitted = solveThreshold(dataset.percentiles, { type: 'share', share: 0.001 }, { ...options, tailAlpha: 3 });
+    expect(reused).toEqual(refitted);
+  });
+
+  test('should solve individual records with the sorted index', () => {
+    const records = Array.from({ length: 1000 }, (_, i) => ({ wealth: (i + 1) * 1000 }));
+    const result = solveThreshold(records, { type: 'share', share: 0.1 });
+    expect(result.status).toBe('found');
+    expect(result.threshold).toBeCloseTo(900000, -1);
+    expect(result.share).toBe(0.1);
+    expect(thresholdCurves(records).max).toBe(1000000);
+  });
+
+  test('should fall back to the bounds when the target is out of reach', () => {
+    const tooMuch = solveThreshold(dataset.percentiles, { type: 'excess', amount: 1e18 }, options);
+    expect(tooMuch.status).toBe('below-min');
+    expect(tooMuch.threshold).toBe(LOG_MIN_WEALTH);
+
+    const capped = solveThreshold(dataset.percentiles, { type: 'excess', amount: 1e9 }, { ...options, max: 2e6 });
+    expect(capped.status).toBe('above-max');
+    expect(capped.threshold).toBe(2e6);
+  });
+
+  test('should reject incomplete goals and empty data', () => {
+    expect(solveThreshold(dataset.percentiles, { type: 'excess', amount: -1 }, options).status).toBe('invalid');
+    expect(solveThreshold([], { type: 'share', share: 0.1 }, options)).toEqual({ threshold: null, excess: 0, share: 0, status: 'invalid' });
+  });
+});
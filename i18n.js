@@ -0,0 +1,184 @@
+// i18n.js - Message catalogues, plural rules and locale-aware number formatting
+
+import en from './locales/en.json';
+import de from './locales/de.json';
+import fr from './locales/fr.json';
+import es from './locales/es.json';
+import { browserStorage, loadStored, saveStored } from './storage';
+
+export const LOCALES = [
+  { id: 'en', label: 'English' },
+  { id: 'de', label: 'Deutsch' },
+  { id: 'fr', label: 'Français' },
+  { id: 'es', label: 'Español' }
+];
+
+export const DEFAULT_LOCALE_ID = 'en';
+
+// Browser locale for number formatting, with a fixed fallback outside the browser
+export const DEFAULT_LOCALE = typeof navigator !== 'undefined' && navigator.language ? navigator.language : 'en-GB';
+
+const CATALOGUES = { en, de, fr, es };
+
+const STORAGE_KEY = 'wealth-app:locale';
+
+/**
+ * Pick the first supported locale from a list of preferences
+ * @param {Array<string>} preferred - BCP 47 tags, e.g. navigator.languages
+ * @returns {string} - Supported locale id, matched on the language subtag
+ */
+export function resolveLocale(preferred = []) {
+  const match = preferred
+    .filter(Boolean)
+    .map(tag => String(tag).toLowerCase().split('-')[0])
+    .find(language => language in CATALOGUES);
+  return match || DEFAULT_LOCALE_ID;
+}
+
+/**
+ * Look up a dotted key such as "metrics.gini" in a catalogue
+ */
+function lookup(catalogue, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+}
+
+/**
+ * Translate a message
+ * Messages may be plural forms keyed by Intl.PluralRules categories ("one", "other", …),
+ * chosen by `params.count`. `{name}` placeholders are replaced by params; numbers are
+ * formatted for the locale, so pass years and ids as strings.
+ * @param {string} locale - Locale id
+ * @param {string} key - Dotted message key
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} - Message, falling back to English and then to the key itself
+ */
+export function translate(locale, key, params = {}) {
+  const catalogue = CATALOGUES[locale] ? locale : DEFAULT_LOCALE_ID;
+  let message = lookup(CATALOGUES[catalogue], key);
+  let messageLocale = catalogue;
+  if (message === undefined) {
+    message = lookup(CATALOGUES[DEFAULT_LOCALE_ID], key);
+    messageLocale = DEFAULT_LOCALE_ID;
+  }
+  if (message === undefined) return key;
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(messageLocale).select(Number(params.count) || 0);
+    message = message[category] !== undefined ? message[category] : message.other;
+  }
+  const number = new Intl.NumberFormat(messageLocale, { maximumFractionDigits: 2 });
+  return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    return typeof params[name] === 'number' ? number.format(params[name]) : String(params[name]);
+  });
+}
+
+/**
+ * Locale tag for number and money formatting
+ * Keeps the browser's region when it speaks the chosen language, so English
+ * readers in the US still see "$" amounts the American way.
+ * @param {string} locale - Locale id
+ * @param {string} [browserLocale] - Browser locale tag
+ * @returns {string} - BCP 47 tag
+ */
+export function formatLocale(locale, browserLocale = DEFAULT_LOCALE) {
+  return String(browserLocale).toLowerCase().split('-')[0] === locale ? browserLocale : locale;
+}
+
+/**
+ * Translator bound to one locale
+ * @param {string} locale - Locale id
+ * @returns {Function} - t(key, params), with `t.locale`, `t.formatLocale` and
+ *   `t.number(value, fractionDigits)`
+ */
+export function createTranslator(locale) {
+  const id = CATALOGUES[locale] ? locale : DEFAULT_LOCALE_ID;
+  const t = (key, params) => translate(id, key, params);
+  t.locale = id;
+  t.formatLocale = formatLocale(id);
+  // Fixed fraction digits when given, e.g. t.number(0.4123, 3) -> "0.412" or "0,412"
+  t.number = (value, fractionDigits) => new Intl.NumberFormat(t.formatLocale, fractionDigits === undefined
+    ? {}
+    : { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits }).format(value);
+  return t;
+}
+
+/**
+ * Label or action of an intervention in the translator's language
+ * Built-in interventions have catalogue entries; custom ones keep the text they were given.
+ * @param {Function} t - Translator from createTranslator
+ * @param {Object} intervention - Catalogue entry
+ * @param {string} field - 'label' or 'action'
+ * @returns {string} - Text
+ */
+export function interventionText(t, intervention, field) {
+  const key = `interventions.${intervention.id}.${field}`;
+  const text = t(key);
+  return text === key ? intervention[field] : text;
+}
+
+/**
+ * Source of an intervention's cost, or "unsourced" in the translator's language
+ * @param {Function} t - Translator from createTranslator
+ * @param {Object} intervention - Catalogue entry
+ * @returns {string} - Citation or the unsourced label
+ */
+export function interventionSource(t, intervention) {
+  return intervention.source || t('interventions.unsourced');
+}
+
+/**
+ * Label, description or parameter label of a utility model in the translator's language
+ * @param {Function} t - Translator from createTranslator
+ * @param {Object} model - Entry of UTILITY_MODELS
+ * @param {string} field - 'label' or 'description'
+ * @param {Object} [param] - Entry of model.params, to translate its label instead
+ * @returns {string} - Text, falling back to the model's own
+ */
+export function utilityModelText(t, model, field, param) {
+  const key = param ? `utilityModels.${model.id}.params.${param.key}` : `utilityModels.${model.id}.${field}`;
+  const text = t(key);
+  if (text !== key) return text;
+  return param ? param.label : model[field];
+}
+
+/**
+ * Keys present in the English catalogue but missing from another one
+ * @param {string} locale - Locale id
+ * @returns {Array<string>} - Dotted keys
+ */
+export function missingKeys(locale) {
+  const walk = (node, prefix) => Object.entries(node).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const isPlural = value && typeof value === 'object' && 'other' in value;
+    return value && typeof value === 'object' && !isPlural ? walk(value, path) : [path];
+  });
+  return walk(CATALOGUES[DEFAULT_LOCALE_ID], '').filter(key => lookup(CATALOGUES[locale] || {}, key) === undefined);
+}
+
+/**
+ * Read the chosen language, or fall back to the browser's preferences
+ * @param {Storage} [storage] - Storage backend (defaults to window.localStorage)
+ * @param {Array<string>} [preferred] - Browser languages
+ * @returns {string} - Locale id
+ */
+export function loadLocale(
+  storage = browserStorage(),
+  preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []
+) {
+  const fallback = resolveLocale(preferred);
+  return loadStored(storage, STORAGE_KEY, {
+    fallback,
+    label: 'language',
+    raw: true,
+    read: stored => (CATALOGUES[stored] ? stored : fallback)
+  });
+}
+
+/**
+ * Persist the chosen language to localStorage
+ * @param {string} locale - Locale id
+ * @param {Storage} [storage] - Storage backend (defaults to window.localStorage)
+ */
+export function saveLocale(locale, storage = browserStorage()) {
+  saveStored(storage, STORAGE_KEY, locale, { label: 'language', raw: true });
+}
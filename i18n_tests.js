@@ -0,0 +1,180 @@
+// i18n.test.js - Unit tests for message catalogues, plural rules and number formatting
+
+import {
+  LOCALES,
+  DEFAULT_LOCALE_ID,
+  resolveLocale,
+  translate,
+  formatLocale,
+  createTranslator,
+  interventionText,
+  interventionSource,
+  utilityModelText,
+  missingKeys,
+  loadLocale,
+  saveLocale
+} from './i18n';
+import { createStorage } from './test_fixtures';
+import { readdirSync, readFileSync } from 'fs';
+import { UTILITY_MODELS } from './utility_models';
+import { REDISTRIBUTION_RULES } from './redistribution';
+import { CONVERSION_MODES, formatMoney, validateExchangeRates } from './currency';
+import { INTERVENTION_UNITS, validateIntervention } from './interventions';
+import { validateTaxSchedule } from './tax';
+import { importWealthData } from './data_import';
+import { DEFAULT_BEHAVIOUR, describeBehaviour } from './behaviour';
+
+// Literal message keys passed to t('…') in the app, its components and modules
+const usedKeys = () => {
+  const root = new URL('./', import.meta.url);
+  const components = new URL('./src/components/', import.meta.url);
+  const sources = [
+    ...readdirSync(root).filter(f => f.endsWith('.js') && !f.endsWith('_tests.js')).map(f => new URL(f, root)),
+    ...readdirSync(components).filter(f => f.endsWith('.jsx')).map(f => new URL(f, components))
+  ];
+  return [...new Set(sources.flatMap(file => [...readFileSync(file, 'utf8').matchAll(/\bt\('([\w.-]+)'/g)].map(m => m[1])))];
+};
+
+describe('catalogues', () => {
+  test('should ship English, German, French and Spanish', () => {
+    expect(LOCALES.map(l => l.id)).toEqual(['en', 'de', 'fr', 'es']);
+  });
+
+  test('should translate every English key in every catalogue', () => {
+    LOCALES.forEach(l => {
+      expect(missingKeys(l.id)).toEqual([]);
+    });
+  });
+
+  test('should have an English message for every key the code uses', () => {
+    const keys = usedKeys();
+    expect(keys.length).toBeGreaterThan(100);
+    expect(keys.filter(key => translate('en', key) === key)).toEqual([]);
+  });
+
+  test('should translate every registry entry the panels list', () => {
+    const keys = [
+      ...UTILITY_MODELS.flatMap(m => [
+        `utilityModels.${m.id}.label`,
+        `utilityModels.${m.id}.description`,
+        ...m.params.map(param => `utilityModels.${m.id}.params.${param.key}`)
+      ]),
+      ...REDISTRIBUTION_RULES.flatMap(r => [`redistribution.rules.${r.id}.label`, `redistribution.rules.${r.id}.description`]),
+      ...CONVERSION_MODES.flatMap(m => [`currencyPanel.modes.${m.id}`, `currencyPanel.errors.${m.id}`]),
+      ...INTERVENTION_UNITS.map(unit => `interventionEditor.units.${unit}`)
+    ];
+    expect(keys.filter(key => translate('en', key) === key)).toEqual([]);
+  });
+
+  test('should fall back to English and then to the key', () => {
+    expect(translate('xx', 'actions.reset')).toBe('Reset to defaults');
+    expect(translate('de', 'no.such.key')).toBe('no.such.key');
+  });
+});
+
+describe('translate', () => {
+  test('should interpolate placeholders and leave unknown ones alone', () => {
+    expect(translate('en', 'actions.pin', { count: 2, max: 4 })).toBe('Pin for comparison (2/4)');
+    expect(translate('en', 'threshold')).toBe('Utility plateau threshold: {amount}');
+  });
+
+  test('should format numeric placeholders for the locale', () => {
+    expect(translate('de', 'metrics.paretoHint', { percentile: 99.5 })).toContain('P99,5');
+    expect(translate('en', 'metrics.paretoHint', { percentile: 99.5 })).toContain('P99.5');
+  });
+
+  test('should pick plural forms by count', () => {
+    expect(translate('es', 'multiple.times', { count: 1 })).toBe('1 vez');
+    expect(translate('es', 'multiple.times', { count: 3 })).toBe('3 veces');
+    expect(translate('en', 'simulation.forYears', { count: 1 })).toBe('for 1 year');
+    expect(translate('en', 'simulation.forYears', { count: 5 })).toBe('for 5 years');
+    expect(translate('de', 'simulation.inYears', { count: 2 })).toBe('in 2 Jahren');
+  });
+
+  test('should localise the share message', () => {
+    const t = createTranslator('fr');
+    const message = t('share.message', {
+      amount: '200 000 €',
+      action: t('interventions.homelessness.action'),
+      times: t('multiple.times', { count: 12 })
+    });
+    expect(message).toBe('Le patrimoine au-delà de 200 000 € pourrait mettre fin au sans-abrisme 12 fois. Voir le calcul :');
+  });
+});
+
+describe('createTranslator', () => {
+  test('should format numbers with fixed fraction digits', () => {
+    expect(createTranslator('de').number(0.41234, 3)).toBe('0,412');
+    expect(createTranslator('en').number(0.4, 3)).toBe('0.400');
+  });
+
+  test('should fall back to the default locale for unknown ids', () => {
+    expect(createTranslator('xx').locale).toBe(DEFAULT_LOCALE_ID);
+  });
+
+  test('should keep the browser region only when it speaks the chosen language', () => {
+    expect(formatLocale('en', 'en-US')).toBe('en-US');
+    expect(formatLocale('de', 'en-US')).toBe('de');
+  });
+
+  test('should translate built-in interventions and keep custom text', () => {
+    const t = createTranslator('de');
+    expect(interventionText(t, { id: 'homelessness', label: 'End homelessness' }, 'label')).toBe('Obdachlosigkeit beenden');
+    expect(interventionText(t, { id: 'parks', label: 'City parks' }, 'label')).toBe('City parks');
+  });
+
+  test('should label interventions without a source as unsourced', () => {
+    const t = createTranslator('de');
+    expect(interventionSource(t, { id: 'homelessness', source: '' })).toBe('ohne Quelle');
+    expect(interventionSource(t, { id: 'parks', source: 'City budget 2024' })).toBe('City budget 2024');
+  });
+});
+
+describe('translated modules', () => {
+  const de = createTranslator('de');
+
+  test('should translate utility models and keep their English text as a fallback', () => {
+    const crra = UTILITY_MODELS.find(m => m.id === 'crra');
+    expect(utilityModelText(de, crra, 'label')).toBe('Isoelastisch (CRRA)');
+    expect(utilityModelText(de, crra, 'label', crra.params[0])).toBe('Risikoaversion η');
+    expect(utilityModelText(createTranslator('en'), { id: 'custom', label: 'Custom' }, 'label')).toBe('Custom');
+  });
+
+  test('should report validation problems in the chosen language', () => {
+    expect(validateTaxSchedule([], de)).toEqual(['Fügen Sie mindestens eine Stufe hinzu']);
+    expect(validateIntervention(null, de)).toEqual(['Die Maßnahme muss ein Objekt sein']);
+    expect(validateExchangeRates({ usd: { market: 1, ppp: 0 } }, de)).toEqual([
+      'usd: Währungscodes müssen aus drei Großbuchstaben bestehen',
+      'usd: Der KKP-Kurs muss eine positive Zahl sein'
+    ]);
+    expect(importWealthData('', { t: de }).report.errors).toEqual(['Die Datei ist leer.']);
+  });
+
+  test('should describe behavioural assumptions in the chosen language', () => {
+    const money = { currency: 'EUR', locale: 'de' };
+    const lines = describeBehaviour(DEFAULT_BEHAVIOUR, money, de);
+    expect(lines[0].label).toBe('Elastizität des steuerpflichtigen Vermögens (nur laufende Steuer)');
+    expect(lines[1]).toEqual({ label: `Vermeidung durch Vermögende über ${formatMoney(1000000, money)}`, value: '5 %' });
+  });
+});
+
+describe('language preference', () => {
+  test('should match browser languages on the language subtag', () => {
+    expect(resolveLocale(['pt-BR', 'de-AT', 'en'])).toBe('de');
+    expect(resolveLocale(['pt-BR'])).toBe(DEFAULT_LOCALE_ID);
+    expect(resolveLocale()).toBe(DEFAULT_LOCALE_ID);
+  });
+
+  test('should round-trip through storage', () => {
+    const storage = createStorage();
+    saveLocale('es', storage);
+    expect(loadLocale(storage, ['fr'])).toBe('es');
+  });
+
+  test('should ignore unsupported stored values', () => {
+    const storage = createStorage();
+    storage.setItem('wealth-app:locale', 'xx');
+    expect(loadLocale(storage, ['fr-CA'])).toBe('fr');
+    expect(loadLocale(null, [])).toBe(DEFAULT_LOCALE_ID);
+  });
+});
@@ -0,0 +1,112 @@
+// inflation.js - CPI deflators, real-terms rescaling and time series across years
+
+import cpi from './data/cpi.json';
+import { processWealthData } from './calculations';
+import { DEFAULT_PRICE_YEAR } from './interventions';
+
+/**
+ * Countries with a bundled CPI series, for pickers
+ * @returns {Array<Object>} - Entries ({ code, name, years })
+ */
+export function listCpiCountries() {
+  return Object.entries(cpi.countries).map(([code, entry]) => ({ code, name: entry.name, years: getCpiYears(code) }));
+}
+
+/**
+ * Years with a CPI value for a country
+ * @param {string} country - Country code from data/cpi.json
+ * @returns {Array<number>} - Sorted years; empty for unknown countries
+ */
+export function getCpiYears(country) {
+  const entry = cpi.countries[country];
+  return entry ? Object.keys(entry.index).map(Number).sort((a, b) => a - b) : [];
+}
+
+/**
+ * Factor that turns money of one year into money of another
+ * @param {string} country - Country code from data/cpi.json
+ * @param {number} fromYear - Price year of the amount
+ * @param {number} toYear - Base year to express it in
+ * @returns {number|null} - CPI(toYear) / CPI(fromYear), or null without both values
+ */
+export function deflator(country, fromYear, toYear) {
+  const entry = cpi.countries[country];
+  if (!entry) return null;
+  const from = entry.index[fromYear];
+  const to = entry.index[toYear];
+  return from > 0 && to > 0 ? to / from : null;
+}
+
+/**
+ * Whether a dataset can be shown in real terms for a base year
+ * @param {Object} dataset - Dataset with `country` and `year`
+ * @param {number} baseYear - Base year
+ * @returns {boolean} - True when the CPI table covers both years
+ */
+export function canDeflate(dataset, baseYear) {
+  return Boolean(dataset && dataset.country && dataset.year) && deflator(dataset.country, dataset.year, baseYear) !== null;
+}
+
+/**
+ * Express an intervention's cost in base-year prices
+ * @param {Object} intervention - Catalogue entry; `year` is the price year of its cost
+ *   (DEFAULT_PRICE_YEAR when missing)
+ * @param {string} country - Country code whose CPI to use
+ * @param {number} baseYear - Base year
+ * @returns {Object} - Entry with a rescaled cost; unchanged without CPI coverage
+ */
+export function costInBaseYear(intervention, country, baseYear) {
+  const factor = deflator(country, intervention.year || DEFAULT_PRICE_YEAR, baseYear);
+  return factor === null ? intervention : { ...intervention, cost: intervention.cost * factor };
+}
+
+/**
+ * Rescale a dataset, threshold and intervention costs into base-year prices
+ * Wealth is in the dataset's year. The threshold is taken to be in `thresholdYear`
+ * (default: the base year, as the app's slider is). Intervention costs use their own
+ * `year`, or DEFAULT_PRICE_YEAR like the catalogue.
+ * @param {Object} inputs - { dataset, threshold, interventions }
+ * @param {number} baseYear - Year whose prices everything is expressed in
+ * @param {Object} [options] - { thresholdYear }
+ * @returns {Object|null} - { dataset, threshold, interventions, factor }, or null when the
+ *   dataset has no country, year or CPI coverage
+ */
+export function toRealTerms({ dataset, threshold, interventions = [] }, baseYear, { thresholdYear = baseYear } = {}) {
+  if (!canDeflate(dataset, baseYear)) return null;
+  const { country } = dataset;
+  const factor = deflator(country, dataset.year, baseYear);
+  const thresholdFactor = deflator(country, thresholdYear, baseYear);
+  return {
+    dataset: {
+      ...dataset,
+      percentiles: dataset.percentiles.map(point => ({ ...point, wealth: point.wealth * factor })),
+      ...(dataset.records ? { records: dataset.records.map(wealth => wealth * factor) } : {}),
+      realBaseYear: baseYear
+    },
+    threshold: thresholdFactor === null ? threshold : threshold * thresholdFactor,
+    interventions: interventions.map(i => costInBaseYear(i, country, baseYear)),
+    factor
+  };
+}
+
+/**
+ * Excess above a fixed real threshold and the Gini for every year of one country
+ * Each dataset is rescaled to base-year prices before processWealthData runs, so
+ * the threshold means the same purchasing power in every year.
+ * @param {Array<Object>} datasets - Loaded datasets (with percentiles)
+ * @param {string} country - Country code
+ * @param {number} baseYear - Base year of the threshold
+ * @param {number} threshold - Threshold in base-year prices
+ * @param {Object} [options] - Passed to processWealthData (utilityModel, utilityParams, …)
+ * @returns {Array<Object>} - Points { year, datasetId, name, excess, gini, factor } sorted by year
+ */
+export function realTermsSeries(datasets, country, baseYear, threshold, options = {}) {
+  return datasets
+    .filter(d => d.country === country && canDeflate(d, baseYear))
+    .map(d => {
+      const real = toRealTerms({ dataset: d, threshold }, baseYear);
+      const { metrics } = processWealthData(real.dataset.percentiles, real.threshold, { ...options, population: d.population });
+      return { year: d.year, datasetId: d.id, name: d.name, excess: metrics.excess, gini: metrics.gini, factor: real.factor };
+    })
+    .sort((a, b) => a.year - b.year);
+}
@@ -0,0 +1,99 @@
+// inflation.test.js - Unit tests for CPI deflators and real-terms series
+
+import {
+  listCpiCountries,
+  getCpiYears,
+  deflator,
+  canDeflate,
+  costInBaseYear,
+  toRealTerms,
+  realTermsSeries
+} from './inflation';
+import { listDatasets, getDataset } from './datasets';
+import { processWealthData } from './calculations';
+import { getBuiltInInterventions, calculateInterventionMultiple } from './interventions';
+
+const datasets = listDatasets().map(d => getDataset(d.id));
+const synthetic2014 = getDataset('synthetic-2014');
+
+describe('CPI table', () => {
+  test('should list countries with sorted years', () => {
+    const countries = listCpiCountries();
+    expect(countries.map(c => c.code)).toEqual(expect.arrayContaining(['EA', 'US', 'SYN']));
+    const years = getCpiYears('SYN');
+    expect(years).toEqual([...years].sort((a, b) => a - b));
+    expect(getCpiYears('XX')).toEqual([]);
+  });
+
+  test('should give the ratio of index values', () => {
+    expect(deflator('SYN', 2014, 2024)).toBeCloseTo(1.278, 9);
+    expect(deflator('SYN', 2024, 2014) * deflator('SYN', 2014, 2024)).toBeCloseTo(1, 12);
+    expect(deflator('SYN', 2024, 2024)).toBe(1);
+    expect(deflator('SYN', 1990, 2024)).toBeNull();
+    expect(deflator('XX', 2014, 2024)).toBeNull();
+  });
+});
+
+describe('toRealTerms', () => {
+  test('should rescale wealth into base-year prices', () => {
+    const real = toRealTerms({ dataset: synthetic2014, threshold: 1000000 }, 2024);
+    expect(real.factor).toBeCloseTo(1.278, 9);
+    expect(real.dataset.realBaseYear).toBe(2024);
+    real.dataset.percentiles.forEach((point, i) => {
+      expect(point.wealth).toBeCloseTo(synthetic2014.percentiles[i].wealth * real.factor, 6);
+    });
+    expect(real.threshold).toBe(1000000);
+  });
+
+  test('should rescale a threshold and costs given in other years', () => {
+    const interventions = [{ id: 'a', cost: 100, year: 2014 }, { id: 'b', cost: 100 }];
+    const real = toRealTerms({ dataset: synthetic2014, threshold: 1000, interventions }, 2024, { thresholdYear: 2014 });
+    expect(real.threshold).toBeCloseTo(1278, 6);
+    expect(real.interventions[0].cost).toBeCloseTo(127.8, 6);
+    // Without a year, costs are in the catalogue's prices (DEFAULT_PRICE_YEAR, here the base year)
+    expect(real.interventions[1].cost).toBe(100);
+    expect(costInBaseYear({ cost: 127.8 }, 'SYN', 2014).cost).toBeCloseTo(100, 9);
+    expect(costInBaseYear({ cost: 5, year: 1990 }, 'SYN', 2024).cost).toBe(5);
+  });
+
+  test('should leave intervention multiples unchanged by the choice of base year', () => {
+    const synthetic2024 = getDataset('synthetic-2024');
+    const healthcare = getBuiltInInterventions().find(i => i.id === 'healthcare');
+    const options = { population: synthetic2024.population };
+    // The same purchasing power: €1M in 2024 prices is €1M / 1.278 in 2014 prices
+    const nominal = processWealthData(synthetic2024.percentiles, 1e6, options).metrics;
+    const real = toRealTerms({ dataset: synthetic2024, interventions: [healthcare] }, 2014);
+    const deflated = processWealthData(real.dataset.percentiles, 1e6 / 1.278, options).metrics;
+    expect(real.interventions[0].cost).toBeCloseTo(healthcare.cost / 1.278, -3);
+    expect(calculateInterventionMultiple(deflated.excessEuros, real.interventions[0]))
+      .toBeCloseTo(calculateInterventionMultiple(nominal.excessEuros, healthcare), 6);
+  });
+
+  test('should refuse datasets without a country, year or CPI coverage', () => {
+    expect(toRealTerms({ dataset: getDataset('sample'), threshold: 1 }, 2024)).toBeNull();
+    expect(canDeflate(synthetic2014, 2030)).toBe(false);
+    expect(canDeflate(synthetic2014, 2024)).toBe(true);
+  });
+});
+
+describe('realTermsSeries', () => {
+  test('should cover every year of a country in order', () => {
+    const series = realTermsSeries(datasets, 'SYN', 2024, 1000000);
+    expect(series.map(p => p.year)).toEqual([2014, 2024]);
+    expect(series[1].factor).toBe(1);
+  });
+
+  test('should match processWealthData on deflated data', () => {
+    const [first] = realTermsSeries(datasets, 'SYN', 2024, 1000000);
+    const scaled = synthetic2014.percentiles.map(p => ({ ...p, wealth: p.wealth * first.factor }));
+    const { metrics } = processWealthData(scaled, 1000000, { population: synthetic2014.population });
+    expect(first.excess).toBeCloseTo(metrics.excess, 12);
+    expect(first.gini).toBeCloseTo(metrics.gini, 12);
+  });
+
+  test('should raise past excess when earlier wealth is lifted to base-year prices', () => {
+    const [first] = realTermsSeries(datasets, 'SYN', 2024, 1000000);
+    const nominal = processWealthData(synthetic2014.percentiles, 1000000, { population: synthetic2014.population }).metrics;
+    expect(first.excess).toBeGreaterThan(nominal.excess);
+  });
+});
@@ -0,0 +1,154 @@
+// interventions.js - Intervention catalogue and user-defined interventions
+
+import catalogue from './interventions.json';
+import { DEFAULT_CURRENCY, convertMoney, formatMoney } from './currency';
+import { browserStorage, loadStored, saveStored } from './storage';
+import { DEFAULT_LOCALE_ID, createTranslator } from './i18n';
+
+export const INTERVENTION_UNITS = ['one-off', 'per-year'];
+
+// Price year of the catalogue's costs, also used for entries saved without a year
+export const DEFAULT_PRICE_YEAR = 2024;
+
+const STORAGE_KEY = 'wealth-app:custom-interventions';
+
+/**
+ * Built-in interventions from interventions.json
+ * @returns {Array<Object>} - Catalogue entries
+ */
+export function getBuiltInInterventions() {
+  return catalogue;
+}
+
+/**
+ * Check an intervention entry for the fields the app relies on
+ * @param {Object} entry - Intervention ({ id, label, cost, unit, currency, year, source, colour })
+ * @param {Function} [t] - Translator for the messages (English by default)
+ * @returns {Array<string>} - Human-readable problems; empty when valid
+ */
+export function validateIntervention(entry, t = createTranslator(DEFAULT_LOCALE_ID)) {
+  const errors = [];
+  if (!entry || typeof entry !== 'object') return [t('interventionEditor.errors.invalid')];
+  if (!entry.id || typeof entry.id !== 'string') errors.push(t('interventionEditor.errors.missingId'));
+  if (!entry.label || !String(entry.label).trim()) errors.push(t('interventionEditor.errors.missingLabel'));
+  if (!(Number(entry.cost) > 0)) errors.push(t('interventionEditor.errors.cost'));
+  if (!INTERVENTION_UNITS.includes(entry.unit)) errors.push(t('interventionEditor.errors.unit', { units: INTERVENTION_UNITS.join(', ') }));
+  if (!entry.currency) errors.push(t('interventionEditor.errors.missingCurrency'));
+  if (entry.year !== undefined && !(Number.isInteger(entry.year) && entry.year > 0)) errors.push(t('interventionEditor.errors.year'));
+  return errors;
+}
+
+/**
+ * Build a complete intervention from user input
+ * @param {Object} input - Partial intervention from the editor form
+ * @param {Array<Object>} existing - Current catalogue, used to keep ids unique
+ * @returns {Object} - Intervention with defaults filled in
+ */
+export function createCustomIntervention(input, existing = []) {
+  const label = String(input.label || '').trim();
+  let id = input.id;
+  if (!id) {
+    const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'intervention';
+    id = `custom-${slug}`;
+    for (let n = 2; existing.some(i => i.id === id); n++) id = `custom-${slug}-${n}`;
+  }
+  return {
+    id,
+    label,
+    action: input.action || `fund ${label.toLowerCase()}`,
+    cost: Number(input.cost),
+    unit: INTERVENTION_UNITS.includes(input.unit) ? input.unit : 'one-off',
+    currency: input.currency || DEFAULT_CURRENCY,
+    year: input.year === undefined || input.year === '' ? DEFAULT_PRICE_YEAR : Number(input.year),
+    source: input.source || 'User-defined',
+    colour: input.colour || '#64748b',
+    custom: true
+  };
+}
+
+/**
+ * Read user-defined interventions from localStorage
+ * @param {Storage} [storage] - Storage backend (defaults to window.localStorage)
+ * @returns {Array<Object>} - Valid custom interventions
+ */
+export function loadCustomInterventions(storage = browserStorage()) {
+  return loadStored(storage, STORAGE_KEY, {
+    fallback: [],
+    label: 'custom interventions',
+    read: stored => (Array.isArray(stored)
+      ? stored.filter(entry => validateIntervention(entry).length === 0).map(entry => ({ ...entry, custom: true }))
+      : [])
+  });
+}
+
+/**
+ * Persist user-defined interventions to localStorage
+ * @param {Array<Object>} interventions - Custom interventions
+ * @param {Storage} [storage] - Storage backend (defaults to window.localStorage)
+ */
+export function saveCustomInterventions(interventions, storage = browserStorage()) {
+  saveStored(storage, STORAGE_KEY, interventions, { label: 'custom interventions' });
+}
+
+/**
+ * Ids selected when no URL parameter is given
+ * @param {Array<Object>} interventions - Catalogue
+ * @returns {Array<string>} - Ids flagged `default` in the catalogue
+ */
+export function defaultInterventionIds(interventions) {
+  return interventions.filter(i => i.default).map(i => i.id);
+}
+
+/**
+ * Parse the `interventions=` URL parameter against the catalogue
+ * @param {string|null} value - Comma-separated ids
+ * @param {Array<Object>} interventions - Catalogue
+ * @returns {Array<string>} - Known ids, or the defaults when the parameter is absent
+ */
+export function parseInterventionParam(value, interventions) {
+  if (value === null || value === undefined) return defaultInterventionIds(interventions);
+  const known = new Set(interventions.map(i => i.id));
+  return value.split(',').map(id => id.trim()).filter(id => known.has(id));
+}
+
+/**
+ * Express an intervention's cost in another currency
+ * @param {Object} intervention - Catalogue entry
+ * @param {string} currency - Target currency, normally the dataset's
+ * @param {Object} [options] - { rates, mode } for convertMoney
+ * @returns {Object} - Entry with converted cost and currency; the cost is NaN when there is no rate
+ */
+export function convertInterventionCost(intervention, currency, options = {}) {
+  if (intervention.currency === currency) return intervention;
+  return { ...intervention, cost: convertMoney(intervention.cost, intervention.currency, currency, options), currency };
+}
+
+/**
+ * How many times the excess covers an intervention's cost
+ * Both must be in the same currency; see convertInterventionCost.
+ * @param {number} excessEuros - Redistributable excess in absolute units of the dataset's currency
+ * @param {Object} intervention - Catalogue entry
+ * @returns {number} - Multiple of the cost
+ */
+export function calculateInterventionMultiple(excessEuros, intervention) {
+  if (!intervention || !(intervention.cost > 0)) return 0;
+  return excessEuros / intervention.cost;
+}
+
+/**
+ * Short cost label, e.g. "€8T/yr"
+ * @param {Object} intervention - Catalogue entry
+ * @param {Object} [money] - Display options for formatMoney; defaults to the entry's own currency
+ * @param {Function} [t] - Translator for the "/yr" suffix (English by default)
+ * @returns {string} - Formatted cost
+ */
+export function formatInterventionCost(intervention, money = {}, t = createTranslator(DEFAULT_LOCALE_ID)) {
+  const amount = formatMoney(intervention.cost, {
+    currency: intervention.currency,
+    ...money,
+    from: intervention.currency,
+    compact: true,
+    digits: 2
+  });
+  return intervention.unit === 'per-year' ? t('common.perYear', { amount }) : amount;
+}
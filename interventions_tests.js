@@ -0,0 +1,105 @@
+// interventions.test.js - Unit tests for the intervention catalogue
+
+import {
+  getBuiltInInterventions,
+  validateIntervention,
+  DEFAULT_PRICE_YEAR,
+  createCustomIntervention,
+  loadCustomInterventions,
+  saveCustomInterventions,
+  defaultInterventionIds,
+  parseInterventionParam,
+  calculateInterventionMultiple,
+  convertInterventionCost,
+  formatInterventionCost
+} from './interventions';
+import { createStorage } from './test_fixtures';
+
+const catalogue = getBuiltInInterventions();
+
+describe('intervention catalogue', () => {
+  test('should ship valid built-in entries', () => {
+    expect(catalogue.map(i => i.id)).toEqual(['homelessness', 'healthcare', 'poverty', 'education']);
+    catalogue.forEach(entry => {
+      expect(validateIntervention(entry)).toEqual([]);
+      // Costs without a citation leave the source empty and are shown as unsourced
+      expect(typeof entry.source).toBe('string');
+      expect(entry.colour).toMatch(/^#[0-9a-f]{6}$/i);
+      expect(entry.year).toBe(DEFAULT_PRICE_YEAR);
+    });
+  });
+
+  test('should select the flagged defaults', () => {
+    expect(defaultInterventionIds(catalogue)).toEqual(['homelessness', 'healthcare']);
+  });
+
+  test('should report invalid entries', () => {
+    const errors = validateIntervention({ id: 'x', label: '', cost: -5, unit: 'weekly', currency: 'EUR' });
+    expect(errors).toHaveLength(3);
+    expect(validateIntervention(null)).toHaveLength(1);
+    expect(validateIntervention({ ...catalogue[0], year: 2020.5 })).toEqual(['Price year must be a whole year']);
+  });
+});
+
+describe('custom interventions', () => {
+  test('should create entries with unique ids and defaults', () => {
+    const first = createCustomIntervention({ label: 'Clean Water', cost: 2e11 }, catalogue);
+    expect(first).toMatchObject({ id: 'custom-clean-water', unit: 'one-off', currency: 'EUR', year: DEFAULT_PRICE_YEAR, custom: true });
+    expect(first.action).toBe('fund clean water');
+
+    const second = createCustomIntervention({ label: 'Clean water', cost: 1e11 }, [...catalogue, first]);
+    expect(second.id).toBe('custom-clean-water-2');
+  });
+
+  test('should keep the id when editing', () => {
+    const edited = createCustomIntervention({ id: 'custom-clean-water', label: 'Water', cost: 5e10, unit: 'per-year' });
+    expect(edited).toMatchObject({ id: 'custom-clean-water', unit: 'per-year', cost: 5e10 });
+    expect(createCustomIntervention({ label: 'Water', cost: 5e10, year: '2019' }).year).toBe(2019);
+  });
+
+  test('should round-trip through storage and drop invalid entries', () => {
+    const storage = createStorage();
+    const custom = [createCustomIntervention({ label: 'Housing', cost: 3e11 })];
+    saveCustomInterventions(custom, storage);
+    expect(loadCustomInterventions(storage)).toEqual(custom);
+
+    storage.setItem('wealth-app:custom-interventions', JSON.stringify([{ id: 'bad' }, ...custom]));
+    expect(loadCustomInterventions(storage)).toHaveLength(1);
+  });
+
+  test('should survive corrupt or missing storage', () => {
+    const storage = createStorage();
+    storage.setItem('wealth-app:custom-interventions', '{not json');
+    expect(loadCustomInterventions(storage)).toEqual([]);
+    expect(loadCustomInterventions(null)).toEqual([]);
+  });
+});
+
+describe('URL parameter and multiples', () => {
+  test('should parse ids against the catalogue', () => {
+    expect(parseInterventionParam('poverty,unknown,education', catalogue)).toEqual(['poverty', 'education']);
+    expect(parseInterventionParam('', catalogue)).toEqual([]);
+    expect(parseInterventionParam(null, catalogue)).toEqual(['homelessness', 'healthcare']);
+  });
+
+  test('should divide excess by cost', () => {
+    const healthcare = catalogue.find(i => i.id === 'healthcare');
+    expect(calculateInterventionMultiple(16e12, healthcare)).toBeCloseTo(2, 9);
+    expect(calculateInterventionMultiple(16e12, { cost: 0 })).toBe(0);
+  });
+
+  test('should format costs with unit', () => {
+    expect(formatInterventionCost(catalogue.find(i => i.id === 'healthcare'))).toBe('€8T/yr');
+    expect(formatInterventionCost(catalogue.find(i => i.id === 'homelessness'))).toBe('€1T');
+    expect(formatInterventionCost({ cost: 6e10, unit: 'one-off', currency: 'USD' }, { locale: 'en-US' })).toBe('$60B');
+    expect(formatInterventionCost({ cost: 1.0824e11, unit: 'one-off', currency: 'USD' }, { currency: 'EUR', locale: 'en-US' })).toBe('€100B');
+  });
+
+  test('should convert costs into the dataset currency', () => {
+    const dollars = { id: 'x', cost: 1.0824e12, unit: 'one-off', currency: 'USD' };
+    expect(convertInterventionCost(dollars, 'EUR').cost).toBeCloseTo(1e12, 0);
+    expect(calculateInterventionMultiple(2e12, convertInterventionCost(dollars, 'EUR'))).toBeCloseTo(2, 9);
+    expect(convertInterventionCost(dollars, 'USD')).toBe(dollars);
+    expect(calculateInterventionMultiple(2e12, convertInterventionCost(dollars, 'XYZ'))).toBe(0);
+  });
+});
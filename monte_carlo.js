@@ -0,0 +1,160 @@
+// monte_carlo.js - Monte Carlo uncertainty bands on top of processWealthData
+
+import { processWealthData, hasPercentiles } from './calculations';
+import { fitDistribution } from './distribution';
+import { calculateInterventionMultiple } from './interventions';
+
+/**
+ * Default uncertainty ranges
+ * - wealthError: each percentile's wealth is scaled by a uniform factor in [1 − e, 1 + e]
+ * - alphaError: the Pareto tail exponent is the fitted one scaled by a uniform factor in [1 − e, 1 + e]
+ * - costError: each intervention cost is scaled by a uniform factor in [1 − e, 1 + e]
+ */
+export const DEFAULT_UNCERTAINTY = {
+  wealthError: 0.1,
+  alphaError: 0.2,
+  costError: 0.2,
+  runs: 500,
+  seed: 1
+};
+
+export const MAX_RUNS = 5000;
+
+// Range of each setting, shared by UncertaintyControls and links that set them
+export const UNCERTAINTY_LIMITS = {
+  wealthError: { min: 0, max: 0.5 },
+  alphaError: { min: 0, max: 0.5 },
+  costError: { min: 0, max: 0.5 },
+  runs: { min: 1, max: MAX_RUNS }
+};
+
+/**
+ * Small seeded random number generator (mulberry32) so runs are reproducible
+ * @param {number} seed - Integer seed
+ * @returns {Function} - Returns uniform numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Median and 5% / 95% interval of a sample
+ * @param {Array<number>} values - Sample
+ * @returns {Object} - { low, median, high }, linearly interpolated between order statistics
+ */
+export function summarise(values) {
+  const sorted = values.filter(v => Number.isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return { low: null, median: null, high: null };
+  const at = q => {
+    const position = q * (sorted.length - 1);
+    const i = Math.floor(position);
+    const next = sorted[Math.min(i + 1, sorted.length - 1)];
+    return sorted[i] + (next - sorted[i]) * (position - i);
+  };
+  return { low: at(0.05), median: at(0.5), high: at(0.95) };
+}
+
+/**
+ * Perturb percentile wealth by a multiplicative error, keeping it non-decreasing
+ * @param {Array<Object>} points - Percentile points ({ percentile, wealth })
+ * @param {number} error - Maximum relative error
+ * @param {Function} random - Uniform random source
+ * @returns {Array<Object>} - Perturbed points in percentile order
+ */
+export function perturbPercentiles(points, error, random) {
+  let floor = 0;
+  return [...points]
+    .sort((a, b) => a.percentile - b.percentile)
+    .map(point => {
+      const wealth = Math.max(point.wealth * (1 + error * (2 * random() - 1)), floor);
+      floor = wealth;
+      return { ...point, wealth };
+    });
+}
+
+/**
+ * Run the Monte Carlo simulation
+ * Each run perturbs the percentile wealth, draws a tail alpha around the one fitted to the
+ * unperturbed data (so the band is centred on the headline model) and intervention costs,
+ * then calls processWealthData.
+ * fitDistribution keeps an unbounded tail's alpha above 1.
+ * The utility band is the spread of utility for the adult at each data point's percentile,
+ * plotted at that point's unperturbed wealth and returned in input order.
+ * @param {Array<Object>} rawWealthData - Percentile points
+ * @param {number} threshold - Selected threshold
+ * @param {Object} [options] - { population, utilityModel, utilityParams, interventions, uncertainty }
+ * @returns {Object|null} - { runs, excess, gini, palma, multiples, bands } with excess in trillions
+ */
+export function runMonteCarlo(rawWealthData, threshold, options = {}) {
+  if (!hasPercentiles(rawWealthData)) return null;
+  const { population, utilityModel, utilityParams, interventions = [] } = options;
+  const uncertainty = { ...DEFAULT_UNCERTAINTY, ...options.uncertainty };
+  const runs = Math.min(Math.max(Math.round(uncertainty.runs), 1), MAX_RUNS);
+  const fitted = fitDistribution(rawWealthData, { population: population > 0 ? population : 1 });
+  const fittedAlpha = fitted ? fitted.alpha : null;
+  const random = createRandom(uncertainty.seed);
+
+  const samples = { excess: [], gini: [], palma: [], multiples: {}, utility: [] };
+  interventions.forEach(i => { samples.multiples[i.id] = []; });
+
+  // Runs work on percentile-sorted points; `order` maps them back to the input order
+  const order = rawWealthData.map((_, i) => i).sort((a, b) => rawWealthData[a].percentile - rawWealthData[b].percentile);
+
+  for (let run = 0; run < runs; run++) {
+    const perturbed = perturbPercentiles(rawWealthData, uncertainty.wealthError, random);
+    const alphaFactor = 1 + uncertainty.alphaError * (2 * random() - 1);
+    // Without a fitted tail there is no exponent to vary
+    const tailAlpha = fittedAlpha === null ? undefined : fittedAlpha * alphaFactor;
+    const { data, metrics } = processWealthData(perturbed, threshold, { population, tailAlpha, utilityModel, utilityParams });
+
+    samples.excess.push(metrics.excess);
+    samples.gini.push(metrics.gini);
+    samples.palma.push(metrics.palma);
+    interventions.forEach(i => {
+      const cost = i.cost * (1 + uncertainty.costError * (2 * random() - 1));
+      samples.multiples[i.id].push(calculateInterventionMultiple(metrics.excessEuros, { ...i, cost }));
+    });
+    const utilities = new Array(data.length);
+    order.forEach((index, i) => { utilities[index] = data[i].utility; });
+    samples.utility.push(utilities);
+  }
+
+  return {
+    runs,
+    excess: summarise(samples.excess),
+    gini: summarise(samples.gini),
+    palma: summarise(samples.palma),
+    multiples: Object.fromEntries(Object.entries(samples.multiples).map(([id, values]) => [id, summarise(values)])),
+    bands: rawWealthData.map((point, i) => ({
+      wealth: point.wealth,
+      ...summarise(samples.utility.map(utilities => utilities[i]))
+    }))
+  };
+}
+
+/**
+ * Start a Monte Carlo run in a Web Worker so the UI stays responsive
+ * @param {Object} request - { rawWealthData, threshold, options } as for runMonteCarlo
+ * @param {Function} onDone - Called with (error, result) once the run finishes
+ * @returns {Function} - Cancels the run; call it before starting another
+ */
+export function startMonteCarloWorker(request, onDone) {
+  const worker = new Worker(new URL('./monte_carlo.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = event => {
+    worker.terminate();
+    onDone(event.data.error ? new Error(event.data.error) : null, event.data.result || null);
+  };
+  worker.onerror = event => {
+    worker.terminate();
+    onDone(new Error(event.message || 'Monte Carlo worker failed'), null);
+  };
+  worker.postMessage(request);
+  return () => worker.terminate();
+}
@@ -0,0 +1,12 @@
+// monte_carlo.worker.js - Runs the Monte Carlo simulation off the main thread
+
+import { runMonteCarlo } from './monte_carlo';
+
+self.onmessage = event => {
+  const { rawWealthData, threshold, options } = event.data;
+  try {
+    self.postMessage({ result: runMonteCarlo(rawWealthData, threshold, options) });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};
@@ -0,0 +1,97 @@
+// monte_carlo.test.js - Unit tests for Monte Carlo uncertainty bands
+
+import {
+  DEFAULT_UNCERTAINTY,
+  MAX_RUNS,
+  createRandom,
+  summarise,
+  perturbPercentiles,
+  runMonteCarlo
+} from './monte_carlo';
+import { processWealthData } from './calculations';
+import { getDataset } from './datasets';
+import wealthPercentiles from './data/wealth-percentiles.json';
+
+const cap = 1000000;
+const intervention = { id: 'homelessness', cost: 1e11 };
+const options = { population: 1e6, interventions: [intervention], uncertainty: { runs: 60 } };
+
+describe('createRandom', () => {
+  test('should repeat the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const values = Array.from({ length: 5 }, () => a());
+    expect(values).toEqual(Array.from({ length: 5 }, () => b()));
+    expect(values.every(v => v >= 0 && v < 1)).toBe(true);
+    expect(createRandom(43)()).not.toBe(values[0]);
+  });
+});
+
+describe('summarise', () => {
+  test('should return the median and 5/95% interval', () => {
+    const values = Array.from({ length: 101 }, (_, i) => 100 - i);
+    expect(summarise(values)).toEqual({ low: 5, median: 50, high: 95 });
+    expect(summarise([NaN])).toEqual({ low: null, median: null, high: null });
+  });
+});
+
+describe('perturbPercentiles', () => {
+  test('should keep wealth within the error and non-decreasing', () => {
+    const perturbed = perturbPercentiles(wealthPercentiles, 0.5, createRandom(7));
+    const sorted = [...wealthPercentiles].sort((a, b) => a.percentile - b.percentile);
+    perturbed.forEach((point, i) => {
+      if (i > 0) expect(point.wealth).toBeGreaterThanOrEqual(perturbed[i - 1].wealth);
+      expect(point.percentile).toBe(sorted[i].percentile);
+    });
+    expect(perturbPercentiles(wealthPercentiles, 0, createRandom(7)).map(p => p.wealth)).toEqual(sorted.map(p => p.wealth));
+  });
+});
+
+describe('runMonteCarlo', () => {
+  test('should be reproducible for a seed', () => {
+    expect(runMonteCarlo(wealthPercentiles, cap, options)).toEqual(runMonteCarlo(wealthPercentiles, cap, options));
+  });
+
+  test('should order every interval', () => {
+    const result = runMonteCarlo(wealthPercentiles, cap, options);
+    expect(result.runs).toBe(60);
+    [result.excess, result.gini, result.palma, result.multiples.homelessness].forEach(summary => {
+      expect(summary.low).toBeLessThanOrEqual(summary.median);
+      expect(summary.median).toBeLessThanOrEqual(summary.high);
+    });
+    expect(result.excess.high).toBeGreaterThan(result.excess.low);
+    expect(result.bands).toHaveLength(wealthPercentiles.length);
+    expect(result.bands.every(band => band.low <= band.high)).toBe(true);
+  });
+
+  test('should collapse to processWealthData without any uncertainty', () => {
+    const uncertainty = { wealthError: 0, alphaError: 0, costError: 0, runs: 5 };
+    const result = runMonteCarlo(wealthPercentiles, cap, { ...options, uncertainty });
+    const { data, metrics } = processWealthData(wealthPercentiles, cap, { population: 1e6 });
+    expect(result.excess.low).toBeCloseTo(metrics.excess, 9);
+    expect(result.excess.high).toBeCloseTo(metrics.excess, 9);
+    expect(result.multiples.homelessness.median).toBeCloseTo(metrics.excessEuros / intervention.cost, 6);
+    expect(result.bands.map(band => band.median)).toEqual(data.map(point => point.utility));
+  });
+
+  test('should bracket the deterministic result with the default ranges', () => {
+    [
+      { dataset: getDataset('sample'), threshold: 1e6 },
+      { dataset: getDataset('sample'), threshold: 1e8 },
+      { dataset: getDataset('synthetic-2024'), threshold: 1e7 }
+    ].forEach(({ dataset, threshold }) => {
+      const result = runMonteCarlo(dataset.percentiles, threshold, { population: dataset.population, uncertainty: { runs: 200 } });
+      const { metrics } = processWealthData(dataset.percentiles, threshold, { population: dataset.population });
+      expect(result.excess.low).toBeLessThanOrEqual(metrics.excess);
+      expect(result.excess.high).toBeGreaterThanOrEqual(metrics.excess);
+      expect(result.gini.low).toBeLessThanOrEqual(metrics.gini);
+      expect(result.gini.high).toBeGreaterThanOrEqual(metrics.gini);
+    });
+  });
+
+  test('should cap the number of runs and reject data without percentiles', () => {
+    expect(DEFAULT_UNCERTAINTY.runs).toBeLessThanOrEqual(MAX_RUNS);
+    expect(runMonteCarlo(wealthPercentiles, cap, { ...options, uncertainty: { runs: 0 } }).runs).toBe(1);
+    expect(runMonteCarlo([{ wealth: 1 }], cap, options)).toBeNull();
+  });
+});
@@ -0,0 +1,192 @@
+// redistribution.js - Cap wealth at the plateau and redistribute the excess
+
+import { isDistribution } from './distribution';
+
+export const REDISTRIBUTION_RULES = [
+  {
+    id: 'equal',
+    label: 'Equal per-capita',
+    description: 'Every adult receives the same share of the excess'
+  },
+  {
+    id: 'levelling',
+    label: 'Bottom-up levelling',
+    description: 'The poorest are raised to a common floor until the excess is used up'
+  },
+  {
+    id: 'targeted',
+    label: 'Targeted to the bottom N%',
+    description: 'The excess is split equally among the bottom N% of adults'
+  }
+];
+
+export const DEFAULT_REDISTRIBUTION = { rule: 'equal', targetShare: 0.5 };
+
+// Range of the targeted rule's share of adults
+export const TARGET_SHARE_LIMITS = { min: 0.01, max: 1 };
+
+// Points at which before/after Lorenz curves are reported
+const LORENZ_STEPS = 100;
+
+/**
+ * Look up a redistribution rule by id
+ * @param {string} id - Rule id
+ * @returns {Object} - Rule definition, falling back to equal per-capita
+ */
+export function getRedistributionRule(id) {
+  return REDISTRIBUTION_RULES.find(rule => rule.id === id) || REDISTRIBUTION_RULES[0];
+}
+
+/**
+ * Split the population into slices along the distribution's integration grid
+ * @param {Object} distribution - Fitted distribution
+ * @param {Array<number>} breakpoints - Extra percentiles that must fall on a slice edge
+ * @returns {Array<Object>} - Slices { p0, p1, width, value } with value the mean wealth in the slice
+ */
+function sliceDistribution(distribution, breakpoints) {
+  const edges = [...new Set([...distribution.grid(), ...breakpoints.filter(p => p > 0 && p < 1)])]
+    .sort((a, b) => a - b);
+  const slices = [];
+  for (let i = 1; i < edges.length; i++) {
+    const width = edges[i] - edges[i - 1];
+    if (width <= 0) continue;
+    slices.push({ p0: edges[i - 1], p1: edges[i], width, value: distribution.integral(edges[i - 1], edges[i]) / width });
+  }
+  return slices;
+}
+
+/**
+ * Summarise weighted wealth slices
+ * @param {Array<Object>} slices - Slices { width, value } covering the whole population
+ * @returns {Object} - { gini, palma, topShare, median, mean, lorenz(p) }
+ */
+function summariseSlices(slices) {
+  const sorted = [...slices].sort((a, b) => a.value - b.value);
+  const mean = sorted.reduce((sum, s) => sum + s.width * s.value, 0);
+
+  // Cumulative Lorenz points at slice edges
+  const points = [{ population: 0, wealth: 0 }];
+  let population = 0;
+  let wealth = 0;
+  sorted.forEach(s => {
+    population += s.width;
+    wealth += s.width * s.value;
+    points.push({ population, wealth: mean > 0 ? wealth / mean : 0 });
+  });
+
+  const lorenz = p => {
+    const i = points.findIndex(point => point.population >= p);
+    if (i <= 0) return i === 0 ? 0 : 1;
+    const a = points[i - 1];
+    const b = points[i];
+    return a.wealth + (b.wealth - a.wealth) * (p - a.population) / (b.population - a.population);
+  };
+
+  let area = 0;
+  for (let i = 1; i < points.length; i++) {
+    area += (points[i].population - points[i - 1].population) * (points[i].wealth + points[i - 1].wealth) / 2;
+  }
+
+  // Median: interpolate between the mean wealth of the slices either side of p = 0.5
+  let median = sorted.length > 0 ? sorted[sorted.length - 1].value : 0;
+  let start = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    const mid = start + sorted[i].width / 2;
+    if (mid >= 0.5) {
+      if (i === 0) {
+        median = sorted[0].value;
+      } else {
+        const prevMid = start - sorted[i - 1].width / 2;
+        median = sorted[i - 1].value + (sorted[i].value - sorted[i - 1].value) * (0.5 - prevMid) / (mid - prevMid);
+      }
+      break;
+    }
+    start += sorted[i].width;
+  }
+
+  const bottomShare = lorenz(0.4);
+  const topTenShare = 1 - lorenz(0.9);
+  return {
+    gini: mean > 0 ? Math.min(Math.max(1 - 2 * area, 0), 1) : 0,
+    palma: mean > 0 ? (bottomShare > 0 ? topTenShare / bottomShare : Infinity) : 0,
+    topShare: mean > 0 ? 1 - lorenz(0.99) : 0,
+    median,
+    mean,
+    lorenz
+  };
+}
+
+/**
+ * Floor that the bottom-up rule raises everyone to
+ * Solves Σ width · max(L − value, 0) = excess by bisection.
+ * @param {Array<Object>} slices - Capped slices
+ * @param {number} excess - Excess per adult to hand out
+ * @returns {number} - Common floor L
+ */
+function levellingFloor(slices, excess) {
+  const shortfall = level => slices.reduce((sum, s) => sum + s.width * Math.max(level - s.value, 0), 0);
+  let lo = Math.min(...slices.map(s => s.value));
+  let hi = lo + excess + slices.reduce((sum, s) => sum + s.width * (s.value - lo), 0);
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (shortfall(mid) < excess) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Cap wealth at the threshold and redistribute the excess
+ * @param {Object} distribution - Fitted distribution from distribution.js
+ * @param {number} threshold - Wealth cap (the utility plateau)
+ * @param {Object} [options] - { rule = 'equal', targetShare = 0.5 } where targetShare is N as a fraction
+ * @returns {Object|null} - { rule, targetShare, excessPerCapita, floor, before, after, lorenz }
+ */
+export function redistributeWealth(distribution, threshold, options = {}) {
+  if (!isDistribution(distribution)) return null;
+  const rule = getRedistributionRule(options.rule || DEFAULT_REDISTRIBUTION.rule).id;
+  const targetShare = Math.min(Math.max(Number(options.targetShare) || DEFAULT_REDISTRIBUTION.targetShare, 0.01), 1);
+  const cap = Math.max(threshold, 0);
+
+  // Split the slice containing the cap so capped slices are exact
+  const capPercentile = distribution.cdf(cap);
+  const slices = sliceDistribution(distribution, [capPercentile, targetShare]);
+
+  const capped = slices.map(s => {
+    if (s.p0 >= capPercentile) return { ...s, value: Math.min(s.value, cap) };
+    if (s.p1 <= capPercentile) return s;
+    const below = distribution.integral(s.p0, capPercentile);
+    return { ...s, value: (below + cap * (s.p1 - capPercentile)) / s.width };
+  });
+  const excessPerCapita = slices.reduce((sum, s, i) => sum + s.width * (s.value - capped[i].value), 0);
+
+  let floor = null;
+  let after;
+  if (rule === 'levelling') {
+    floor = excessPerCapita > 0 ? levellingFloor(capped, excessPerCapita) : null;
+    after = capped.map(s => ({ ...s, value: floor === null ? s.value : Math.max(s.value, floor) }));
+  } else if (rule === 'targeted') {
+    const targetWidth = capped.filter(s => s.p1 <= targetShare).reduce((sum, s) => sum + s.width, 0);
+    const transfer = targetWidth > 0 ? excessPerCapita / targetWidth : 0;
+    after = capped.map(s => ({ ...s, value: s.p1 <= targetShare ? s.value + transfer : s.value }));
+  } else {
+    after = capped.map(s => ({ ...s, value: s.value + excessPerCapita }));
+  }
+
+  const before = summariseSlices(slices);
+  const redistributed = summariseSlices(after);
+  const lorenz = Array.from({ length: LORENZ_STEPS + 1 }, (_, i) => {
+    const population = i / LORENZ_STEPS;
+    return { population, before: before.lorenz(population), after: redistributed.lorenz(population) };
+  });
+
+  const withoutCurve = ({ lorenz: _curve, ...metrics }) => metrics;
+  return {
+    rule,
+    targetShare,
+    excessPerCapita,
+    floor,
+    before: withoutCurve(before),
+    after: withoutCurve(redistributed),
+    lorenz
+  };
+}
@@ -0,0 +1,95 @@
+// redistribution.test.js - Unit tests for the redistribution simulator
+
+import { redistributeWealth, getRedistributionRule, REDISTRIBUTION_RULES } from './redistribution';
+import { fitDistribution } from './distribution';
+import { calculateGiniCoefficient, calculatePalmaRatio, processWealthData } from './calculations';
+import wealthPercentiles from './data/wealth-percentiles.json';
+
+const distribution = fitDistribution(wealthPercentiles, { population: 1000 });
+const cap = 1000000;
+
+describe('redistributeWealth', () => {
+  test('should fall back to equal per-capita for unknown rules', () => {
+    expect(getRedistributionRule('nope').id).toBe('equal');
+    expect(REDISTRIBUTION_RULES.map(r => r.id)).toEqual(['equal', 'levelling', 'targeted']);
+  });
+
+  test('should reproduce the raw metrics before redistribution', () => {
+    const { before } = redistributeWealth(distribution, cap);
+    expect(before.gini).toBeCloseTo(calculateGiniCoefficient(distribution), 6);
+    expect(before.palma).toBeCloseTo(calculatePalmaRatio(distribution), 3);
+    expect(before.topShare).toBeCloseTo(1 - distribution.lorenz(0.99), 6);
+    expect(before.median / distribution.quantile(0.5)).toBeCloseTo(1, 2);
+  });
+
+  test('should change nothing when the cap is above all wealth', () => {
+    const result = redistributeWealth(distribution, distribution.max * 2);
+    expect(result.excessPerCapita).toBe(0);
+    expect(result.after.gini).toBeCloseTo(result.before.gini, 9);
+    expect(result.after.median).toBeCloseTo(result.before.median, 6);
+  });
+
+  test('should move exactly the excess above the cap', () => {
+    REDISTRIBUTION_RULES.forEach(({ id }) => {
+      const result = redistributeWealth(distribution, cap, { rule: id });
+      expect(result.excessPerCapita * distribution.population / distribution.excessAbove(cap)).toBeCloseTo(1, 6);
+      expect(result.after.mean / result.before.mean).toBeCloseTo(1, 9);
+    });
+  });
+
+  test('should lower inequality under every rule', () => {
+    REDISTRIBUTION_RULES.forEach(({ id }) => {
+      const { before, after } = redistributeWealth(distribution, cap, { rule: id });
+      expect(after.gini).toBeLessThan(before.gini);
+      expect(after.palma).toBeLessThan(before.palma);
+      expect(after.topShare).toBeLessThan(before.topShare);
+    });
+  });
+
+  test('should raise the median by the per-capita transfer under the equal rule', () => {
+    const result = redistributeWealth(distribution, cap, { rule: 'equal' });
+    expect(result.after.median - result.before.median).toBeCloseTo(result.excessPerCapita, 0);
+  });
+
+  test('should lift the bottom to a common floor under levelling', () => {
+    const result = redistributeWealth(distribution, cap, { rule: 'levelling' });
+    expect(result.floor).toBeGreaterThan(0);
+    expect(result.floor).toBeLessThanOrEqual(cap);
+    expect(result.lorenz[10].after).toBeGreaterThan(result.lorenz[10].before);
+  });
+
+  test('should level everyone to the mean when the cap is below it', () => {
+    const result = redistributeWealth(distribution, distribution.mean / 2, { rule: 'levelling' });
+    expect(result.floor / distribution.mean).toBeCloseTo(1, 6);
+    expect(result.after.gini).toBeCloseTo(0, 6);
+  });
+
+  test('should match the equal rule when targeting everyone', () => {
+    const targeted = redistributeWealth(distribution, cap, { rule: 'targeted', targetShare: 1 });
+    const equal = redistributeWealth(distribution, cap, { rule: 'equal' });
+    expect(targeted.targetShare).toBe(1);
+    expect(targeted.after.gini).toBeCloseTo(equal.after.gini, 9);
+    expect(targeted.after.median).toBeCloseTo(equal.after.median, 6);
+  });
+
+  test('should return Lorenz curves from (0, 0) to (1, 1)', () => {
+    const { lorenz } = redistributeWealth(distribution, cap);
+    expect(lorenz[0]).toEqual({ population: 0, before: 0, after: 0 });
+    expect(lorenz[lorenz.length - 1].before).toBeCloseTo(1, 9);
+    expect(lorenz[lorenz.length - 1].after).toBeCloseTo(1, 9);
+    lorenz.forEach(p => expect(p.after).toBeGreaterThanOrEqual(p.before - 1e-9));
+  });
+
+  test('should ignore raw arrays', () => {
+    expect(redistributeWealth([1, 2, 3], cap)).toBeNull();
+  });
+});
+
+describe('processWealthData with redistribution', () => {
+  test('should add redistribution metrics only when asked', () => {
+    expect(processWealthData(wealthPercentiles, cap).metrics.redistribution).toBeNull();
+    const { metrics } = processWealthData(wealthPercentiles, cap, { population: 1000, redistribution: { rule: 'equal' } });
+    expect(metrics.redistribution.before.gini).toBeCloseTo(metrics.gini, 6);
+    expect(metrics.redistribution.after.gini).toBeLessThan(metrics.gini);
+  });
+});
@@ -0,0 +1,78 @@
+// render_share_cards.js - Pre-render share cards for preset views, so Open Graph tags can point at real images
+//
+// Usage: npx vite-node render_share_cards.js [presets.json] [output directory]
+// Presets are { name, url, locale } entries (default: data/share-presets.json); each card is
+// written to <output directory>/<name>.png (default: cards/). Drawing needs the `canvas`
+// package, which provides the Canvas 2D API in Node.
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { processWealthData } from './calculations';
+import { getBuiltInInterventions, convertInterventionCost } from './interventions';
+import { getDataset } from './datasets';
+import { toRealTerms, costInBaseYear } from './inflation';
+import { DEFAULT_LOCALE_ID, createTranslator } from './i18n';
+import { decodeViewState } from './url_state';
+import { SHARE_CARD_SIZE, buildShareCard, drawShareCard, shareMessage } from './share_card';
+
+const DEFAULT_PRESETS = 'data/share-presets.json';
+const DEFAULT_OUTPUT = 'cards';
+
+/**
+ * Card and message for a preset, reading its URL like the app does
+ * @param {Object} preset - { name, url, locale }
+ * @returns {Object} - { card, message }
+ */
+function renderPreset(preset) {
+  const interventions = getBuiltInInterventions();
+  const { state, warnings } = decodeViewState(new URL(preset.url).searchParams, { interventions });
+  warnings.forEach(warning => console.warn(`${preset.name}: ${warning.code}`, warning.params));
+  const { threshold, utilityModel, utilityParams, conversionMode: mode } = state;
+  const selectedDataset = getDataset(state.datasetId);
+  const real = state.realBaseYear ? toRealTerms({ dataset: selectedDataset }, state.realBaseYear) : null;
+  const dataset = real ? real.dataset : selectedDataset;
+
+  const active = interventions
+    .filter(i => state.interventions.includes(i.id))
+    .map(i => (dataset.realBaseYear ? costInBaseYear(i, dataset.country, dataset.realBaseYear) : i))
+    .map(i => convertInterventionCost(i, dataset.currency, { mode }));
+  const { data, metrics } = processWealthData(dataset.percentiles, threshold, {
+    population: dataset.population,
+    utilityModel,
+    utilityParams
+  });
+  const t = createTranslator(preset.locale || DEFAULT_LOCALE_ID);
+  const money = { currency: state.displayCurrency || dataset.currency, from: dataset.currency, mode, locale: t.formatLocale };
+
+  return {
+    card: buildShareCard({ threshold, metrics, data, interventions: active, money, t, url: preset.url }),
+    message: shareMessage(t, { threshold, excessEuros: metrics.excessEuros, interventions: active, money })
+  };
+}
+
+async function main([presetsFile = DEFAULT_PRESETS, outputDir = DEFAULT_OUTPUT]) {
+  let createCanvas;
+  try {
+    ({ createCanvas } = await import('canvas'));
+  } catch (error) {
+    console.error('Rendering needs the canvas package: npm install --no-save canvas');
+    process.exitCode = 1;
+    return;
+  }
+
+  const presets = JSON.parse(await readFile(presetsFile, 'utf8'));
+  await mkdir(outputDir, { recursive: true });
+  for (const preset of presets) {
+    const { card, message } = renderPreset(preset);
+    const canvas = createCanvas(SHARE_CARD_SIZE.width, SHARE_CARD_SIZE.height);
+    drawShareCard(canvas.getContext('2d'), card);
+    const file = path.join(outputDir, `${preset.name}.png`);
+    await writeFile(file, canvas.toBuffer('image/png'));
+    console.log(`${file}: ${message}`);
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error('Error rendering share cards:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,80 @@
+// run_batch.js - Headless batch runs: excess, Gini, Palma and intervention multiples per threshold
+//
+// Usage: npx vite-node run_batch.js -- --dataset <file|id> --range 100000:1000000:100000 [options]
+// Run with --help for every option. Results use the same calculations as the app (batch.js
+// calls processWealthData); a table goes to standard output unless --output names a file.
+
+import { readFile, writeFile, access } from 'node:fs/promises';
+import path from 'node:path';
+import { listDatasets, getDataset } from './datasets';
+import { getBuiltInInterventions } from './interventions';
+import {
+  BATCH_USAGE,
+  parseBatchArgs,
+  batchFormat,
+  datasetFromFile,
+  selectInterventions,
+  runBatch,
+  batchToCsv,
+  batchToJson,
+  batchToTable
+} from './batch';
+
+/**
+ * Dataset from a file path, or a bundled dataset by id
+ * @param {Object} options - Result of parseBatchArgs
+ * @returns {Promise<Object>} - Dataset shaped like getDataset's result
+ */
+async function loadDataset({ dataset: spec, population, currency }) {
+  const isFile = await access(spec).then(() => true, () => false);
+  if (isFile) {
+    const { dataset, warnings } = datasetFromFile(await readFile(spec, 'utf8'), {
+      name: path.basename(spec, path.extname(spec)),
+      population,
+      currency
+    });
+    warnings.forEach(warning => console.warn(`${spec}: ${warning}`));
+    return dataset;
+  }
+  if (!listDatasets().some(d => d.id === spec)) {
+    throw new Error(`"${spec}" is neither a file nor a bundled dataset (${listDatasets().map(d => d.id).join(', ')})`);
+  }
+  const dataset = getDataset(spec);
+  return population ? { ...dataset, population } : dataset;
+}
+
+async function main(argv) {
+  const options = parseBatchArgs(argv);
+  if (options.help) {
+    console.log(BATCH_USAGE);
+    return;
+  }
+
+  const dataset = await loadDataset(options);
+  const interventions = selectInterventions(options.interventions, getBuiltInInterventions(), dataset.currency);
+  const rows = runBatch(dataset, options.thresholds, {
+    interventions,
+    utilityModel: options.model,
+    utilityParams: options.utilityParams
+  });
+
+  const format = batchFormat(options);
+  const output = format === 'csv'
+    ? batchToCsv(rows, interventions)
+    : format === 'json'
+      ? batchToJson(rows, { dataset, interventions, utilityModel: options.model, utilityParams: options.utilityParams })
+      : batchToTable(rows, interventions, dataset.currency);
+
+  if (options.output) {
+    await writeFile(options.output, output);
+    console.error(`Wrote ${rows.length} threshold(s) to ${options.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(`Error: ${error.message}`);
+  console.error('Run with --help for usage.');
+  process.exitCode = 1;
+});
@@ -0,0 +1,197 @@
+// scenarios.js - Pinned scenarios for side-by-side comparison
+
+import { processWealthData, calculateUtility } from './calculations';
+import { DEFAULT_UTILITY_MODEL, getUtilityModel, encodeModelParams, decodeModelParams } from './utility_models';
+import { parseInterventionParam, calculateInterventionMultiple, convertInterventionCost } from './interventions';
+import { getDataset, getDatasetMaxWealth } from './datasets';
+import { convertMoney, formatMoney } from './currency';
+import { DEFAULT_LOCALE_ID, createTranslator, interventionText, utilityModelText } from './i18n';
+
+export const MAX_SCENARIOS = 4;
+
+// Line colours for the overlay chart, one per scenario slot
+export const SCENARIO_COLOURS = ['#4f46e5', '#dc2626', '#059669', '#d97706'];
+
+// Separators for the `compare` URL parameter: scenarios by ';', fields by '|'
+const SCENARIO_SEPARATOR = ';';
+const FIELD_SEPARATOR = '|';
+
+/**
+ * Snapshot of the settings that define one scenario
+ * @param {Object} state - { threshold, datasetId, utilityModel, utilityParams, interventions }
+ * @returns {Object} - Scenario with copied params and intervention ids
+ */
+export function createScenario({ threshold, datasetId, utilityModel = DEFAULT_UTILITY_MODEL, utilityParams = {}, interventions = [] }) {
+  return {
+    threshold,
+    datasetId,
+    utilityModel,
+    utilityParams: { ...utilityParams },
+    interventions: [...interventions]
+  };
+}
+
+/**
+ * Add a scenario unless the comparison is already full
+ * @param {Array<Object>} scenarios - Pinned scenarios
+ * @param {Object} scenario - Scenario to pin
+ * @returns {Array<Object>} - New list, or the same list when MAX_SCENARIOS is reached
+ */
+export function pinScenario(scenarios, scenario) {
+  if (scenarios.length >= MAX_SCENARIOS) return scenarios;
+  return [...scenarios, scenario];
+}
+
+/**
+ * Encode pinned scenarios for the URL, e.g. "1000000|sample|log||homelessness;…"
+ * @param {Array<Object>} scenarios - Pinned scenarios
+ * @returns {string} - Compact representation, empty when nothing is pinned
+ */
+export function encodeScenarios(scenarios) {
+  return scenarios.map(s => [
+    s.threshold,
+    s.datasetId,
+    s.utilityModel,
+    encodeModelParams(s.utilityParams),
+    s.interventions.join(',')
+  ].join(FIELD_SEPARATOR)).join(SCENARIO_SEPARATOR);
+}
+
+/**
+ * Decode pinned scenarios from the URL
+ * Unknown datasets fall back to the default, unknown models to logarithmic and unknown
+ * interventions are dropped; entries without a usable threshold are skipped.
+ * @param {string|null} encoded - Value produced by encodeScenarios
+ * @param {Object} context - { interventions, importedDatasets }
+ * @returns {Array<Object>} - At most MAX_SCENARIOS scenarios
+ */
+export function decodeScenarios(encoded, { interventions = [], importedDatasets = [] } = {}) {
+  if (!encoded) return [];
+  return encoded.split(SCENARIO_SEPARATOR)
+    .map(entry => {
+      const [threshold, datasetId, model, modelParams, interventionIds] = entry.split(FIELD_SEPARATOR);
+      const value = Number(threshold);
+      if (!threshold || !Number.isFinite(value) || value < 0) return null;
+      const utilityModel = getUtilityModel(model || DEFAULT_UTILITY_MODEL).id;
+      return createScenario({
+        threshold: value,
+        datasetId: getDataset(datasetId, importedDatasets).id,
+        utilityModel,
+        utilityParams: decodeModelParams(utilityModel, modelParams),
+        interventions: parseInterventionParam(interventionIds || '', interventions)
+      });
+    })
+    .filter(Boolean)
+    .slice(0, MAX_SCENARIOS);
+}
+
+/**
+ * Short description of a scenario, e.g. "€1,000,000 · Sample · Logarithmic"
+ * @param {Object} scenario - Pinned scenario
+ * @param {Object} dataset - Dataset the scenario uses
+ * @param {Object} [money] - Display options for formatMoney; defaults to the dataset's currency
+ * @param {Function} [t] - Translator for the model name (English by default)
+ * @returns {string} - Display label
+ */
+export function formatScenarioLabel(scenario, dataset, money = {}, t = createTranslator(DEFAULT_LOCALE_ID)) {
+  const threshold = formatMoney(scenario.threshold, { currency: dataset.currency, ...money, from: dataset.currency });
+  return `${threshold} · ${dataset.name} · ${utilityModelText(t, getUtilityModel(scenario.utilityModel), 'label')}`;
+}
+
+/**
+ * Run the full calculation for one scenario
+ * @param {Object} scenario - Pinned scenario
+ * @param {Object} context - { interventions, importedDatasets, money, t } where t translates
+ *   the label (English by default)
+ * @returns {Object} - { scenario, dataset, label, data, metrics, multiples }
+ */
+export function evaluateScenario(scenario, {
+  interventions = [], importedDatasets = [], money = {}, t = createTranslator(DEFAULT_LOCALE_ID)
+} = {}) {
+  const dataset = getDataset(scenario.datasetId, importedDatasets);
+  const { data, metrics } = processWealthData(dataset.percentiles, scenario.threshold, {
+    population: dataset.population,
+    utilityModel: scenario.utilityModel,
+    utilityParams: scenario.utilityParams
+  });
+  const multiples = {};
+  interventions
+    .filter(i => scenario.interventions.includes(i.id))
+    .forEach(i => {
+      multiples[i.id] = calculateInterventionMultiple(metrics.excessEuros, convertInterventionCost(i, dataset.currency, money));
+    });
+
+  return { scenario, dataset, label: formatScenarioLabel(scenario, dataset, money, t), data, metrics, multiples };
+}
+
+/**
+ * Evaluate pinned scenarios and tabulate their differences from the first one
+ * Rows cover excess, Gini, Palma and the multiple for every intervention selected in
+ * any scenario; a value is null where a scenario does not include that intervention.
+ * Excess is converted to the display currency (`money.currency`, else the first
+ * scenario's dataset currency) so datasets in different currencies line up.
+ * @param {Array<Object>} scenarios - Pinned scenarios
+ * @param {Object} context - { interventions, importedDatasets, money, t } where t translates
+ *   the row and scenario labels (English by default)
+ * @returns {Object} - { results, currency, rows: [{ key, label, values, diffs }] }
+ */
+export function compareScenarios(scenarios, context = {}) {
+  const { interventions = [], money = {}, t = createTranslator(DEFAULT_LOCALE_ID) } = context;
+  const results = scenarios.map(scenario => evaluateScenario(scenario, { ...context, t }));
+  const currency = money.currency || (results.length > 0 ? results[0].dataset.currency : undefined);
+  const excessIn = r => {
+    const converted = convertMoney(r.metrics.excess, r.dataset.currency, currency, money);
+    return Number.isFinite(converted) ? converted : null;
+  };
+
+  const row = (key, label, values) => ({
+    key,
+    label,
+    values,
+    diffs: values.map(v => (v === null || values[0] === null ? null : v - values[0]))
+  });
+
+  const rows = [
+    row('excess', t('scenarios.excess', { currency }), results.map(excessIn)),
+    row('gini', t('scenarios.gini'), results.map(r => r.metrics.gini)),
+    row('palma', t('scenarios.palma'), results.map(r => r.metrics.palma))
+  ];
+  interventions
+    .filter(i => scenarios.some(s => s.interventions.includes(i.id)))
+    .forEach(i => {
+      rows.push(row(`multiple:${i.id}`, t('scenarios.multiple', { label: interventionText(t, i, 'label') }), results.map(r => (i.id in r.multiples ? r.multiples[i.id] : null))));
+    });
+
+  return { results, currency, rows };
+}
+
+/**
+ * Merge scenario utility curves onto one wealth axis for an overlay chart
+ * The axis is in the display currency (`money.currency`, else the first scenario's dataset
+ * currency): each scenario's points are converted with convertMoney, and utility is read at
+ * the wealth converted back into its dataset's currency. Each row carries `s0`, `s1`, … for
+ * the scenarios; values are null beyond a scenario's dataset maximum so its curve ends where
+ * its data does, and throughout when its currency cannot be converted.
+ * @param {Array<Object>} results - Output of evaluateScenario
+ * @param {Object} [money] - { currency, rates, mode } as passed to compareScenarios
+ * @returns {Array<Object>} - Rows of { wealth, s0, s1, … } sorted by wealth
+ */
+export function buildOverlaySeries(results, money = {}) {
+  const currency = money.currency || (results.length > 0 ? results[0].dataset.currency : undefined);
+  const toDisplay = (amount, r) => convertMoney(amount, r.dataset.currency, currency, money);
+  const grid = [...new Set(results.flatMap(r => r.data.map(point => toDisplay(point.wealth, r))))]
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+  const maxima = results.map(r => toDisplay(getDatasetMaxWealth(r.dataset), r));
+
+  return grid.map(wealth => {
+    const point = { wealth };
+    results.forEach((r, i) => {
+      const { threshold, utilityModel, utilityParams } = r.scenario;
+      point[`s${i}`] = wealth <= maxima[i]
+        ? calculateUtility(convertMoney(wealth, currency, r.dataset.currency, money), threshold, utilityModel, utilityParams)
+        : null;
+    });
+    return point;
+  });
+}
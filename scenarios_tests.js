@@ -0,0 +1,177 @@
+// scenarios.test.js - Unit tests for scenario comparison
+
+import {
+  MAX_SCENARIOS,
+  createScenario,
+  pinScenario,
+  encodeScenarios,
+  decodeScenarios,
+  evaluateScenario,
+  compareScenarios,
+  buildOverlaySeries
+} from './scenarios';
+import { getBuiltInInterventions } from './interventions';
+import { getDataset, getDatasetMaxWealth } from './datasets';
+import { processWealthData, calculateUtility } from './calculations';
+
+const interventions = getBuiltInInterventions();
+const context = { interventions, importedDatasets: [] };
+
+const lowCap = createScenario({
+  threshold: 1000000,
+  datasetId: 'sample',
+  utilityModel: 'log',
+  interventions: ['homelessness', 'healthcare']
+});
+const highCap = createScenario({
+  threshold: 10000000,
+  datasetId: 'synthetic-2024',
+  utilityModel: 'crra',
+  utilityParams: { eta: 2 },
+  interventions: ['homelessness']
+});
+
+describe('pinning', () => {
+  test('should copy settings so later edits do not leak into the scenario', () => {
+    const params = { eta: 2 };
+    const ids = ['homelessness'];
+    const scenario = createScenario({ threshold: 1, datasetId: 'sample', utilityModel: 'crra', utilityParams: params, interventions: ids });
+    params.eta = 3;
+    ids.push('healthcare');
+    expect(scenario.utilityParams).toEqual({ eta: 2 });
+    expect(scenario.interventions).toEqual(['homelessness']);
+  });
+
+  test('should stop at the maximum number of scenarios', () => {
+    let scenarios = [];
+    for (let i = 0; i < MAX_SCENARIOS + 2; i++) scenarios = pinScenario(scenarios, lowCap);
+    expect(scenarios).toHaveLength(MAX_SCENARIOS);
+  });
+});
+
+describe('URL encoding', () => {
+  test('should round-trip scenarios', () => {
+    const encoded = encodeScenarios([lowCap, highCap]);
+    expect(encoded).toBe('1000000|sample|log||homelessness,healthcare;10000000|synthetic-2024|crra|eta:2|homelessness');
+    expect(decodeScenarios(encoded, context)).toEqual([lowCap, highCap]);
+  });
+
+  test('should survive URLSearchParams', () => {
+    const params = new URLSearchParams();
+    params.set('compare', encodeScenarios([lowCap, highCap]));
+    const parsed = new URLSearchParams(params.toString());
+    expect(decodeScenarios(parsed.get('compare'), context)).toEqual([lowCap, highCap]);
+  });
+
+  test('should repair or drop invalid entries', () => {
+    const decoded = decodeScenarios('abc|sample|log||;500000|nowhere|unknown||homelessness,bogus', context);
+    expect(decoded).toHaveLength(1);
+    expect(decoded[0]).toMatchObject({
+      threshold: 500000,
+      datasetId: 'sample',
+      utilityModel: 'log',
+      interventions: ['homelessness']
+    });
+    expect(decodeScenarios(null, context)).toEqual([]);
+  });
+
+  test('should keep an empty intervention set empty', () => {
+    const [scenario] = decodeScenarios('200000|sample|log||', context);
+    expect(scenario.interventions).toEqual([]);
+  });
+
+  test('should cap decoded scenarios', () => {
+    const encoded = encodeScenarios(Array(MAX_SCENARIOS + 1).fill(lowCap));
+    expect(decodeScenarios(encoded, context)).toHaveLength(MAX_SCENARIOS);
+  });
+});
+
+describe('compareScenarios', () => {
+  test('should match a direct calculation', () => {
+    const result = evaluateScenario(highCap, context);
+    const dataset = getDataset('synthetic-2024');
+    const direct = processWealthData(dataset.percentiles, 10000000, {
+      population: dataset.population,
+      utilityModel: 'crra',
+      utilityParams: { eta: 2 }
+    });
+    expect(result.metrics.excess).toBeCloseTo(direct.metrics.excess, 9);
+    expect(result.multiples.homelessness).toBeCloseTo(direct.metrics.excessEuros / 1e12, 9);
+    expect(result.multiples).not.toHaveProperty('healthcare');
+  });
+
+  test('should tabulate differences from the first scenario', () => {
+    const { results, rows } = compareScenarios([lowCap, highCap], context);
+    expect(results).toHaveLength(2);
+    expect(rows.map(r => r.key)).toEqual(['excess', 'gini', 'palma', 'multiple:homelessness', 'multiple:healthcare']);
+
+    const excess = rows.find(r => r.key === 'excess');
+    expect(excess.diffs[0]).toBe(0);
+    expect(excess.diffs[1]).toBeCloseTo(results[1].metrics.excess - results[0].metrics.excess, 9);
+
+    const healthcare = rows.find(r => r.key === 'multiple:healthcare');
+    expect(healthcare.values[1]).toBeNull();
+    expect(healthcare.diffs[1]).toBeNull();
+  });
+
+  test('should show a lower cap yields more excess on the same data', () => {
+    const { rows } = compareScenarios([lowCap, { ...lowCap, threshold: 50000000 }], context);
+    expect(rows.find(r => r.key === 'excess').diffs[1]).toBeLessThan(0);
+  });
+
+  test('should convert excess to the display currency and costs to the dataset currency', () => {
+    const money = { currency: 'USD', rates: { EUR: { market: 1, ppp: 1 }, USD: { market: 2, ppp: 2 } } };
+    const inEuros = compareScenarios([lowCap], context);
+    const inDollars = compareScenarios([lowCap], { ...context, money });
+    expect(inDollars.currency).toBe('USD');
+    expect(inDollars.rows[0].values[0]).toBeCloseTo(2 * inEuros.rows[0].values[0], 9);
+
+    const dollarCost = interventions.map(i => (i.id === 'homelessness' ? { ...i, currency: 'USD' } : i));
+    const result = evaluateScenario(lowCap, { ...context, interventions: dollarCost, money });
+    expect(result.multiples.homelessness).toBeCloseTo(2 * inEuros.results[0].multiples.homelessness, 9);
+  });
+});
+
+describe('buildOverlaySeries', () => {
+  test('should put every scenario on one sorted wealth axis', () => {
+    const { results } = compareScenarios([lowCap, highCap], context);
+    const series = buildOverlaySeries(results);
+    const wealth = series.map(p => p.wealth);
+    expect(wealth).toEqual([...wealth].sort((a, b) => a - b));
+    expect(new Set(wealth).size).toBe(wealth.length);
+
+    const atCap = series.find(p => p.wealth >= lowCap.threshold);
+    expect(atCap.s0).toBe(1);
+    expect(atCap.s1).toBeLessThan(1);
+  });
+
+  test('should end a curve at its dataset maximum', () => {
+    const { results } = compareScenarios([lowCap, highCap], context);
+    const series = buildOverlaySeries(results);
+    const sampleMax = getDatasetMaxWealth(getDataset('sample'));
+    series.filter(p => p.wealth > sampleMax).forEach(p => expect(p.s0).toBeNull());
+  });
+
+  test('should plot every scenario in the display currency', () => {
+    // The sample dataset priced in dollars at two dollars to the euro
+    const sample = getDataset('sample');
+    const inDollars = { ...sample, id: 'import-sample-usd', currency: 'USD', percentiles: sample.percentiles.map(p => ({ ...p, wealth: p.wealth * 2 })) };
+    const rates = { EUR: { market: 1, ppp: 1 }, USD: { market: 2, ppp: 2 } };
+    const dollarCap = createScenario({ threshold: 2000000, datasetId: inDollars.id, utilityModel: 'log' });
+    const { results } = compareScenarios([lowCap, dollarCap], { ...context, importedDatasets: [inDollars] });
+
+    const euros = buildOverlaySeries(results, { currency: 'EUR', rates });
+    expect(euros[euros.length - 1].wealth).toBe(getDatasetMaxWealth(sample));
+    euros.forEach(p => expect(p.s1).toBeCloseTo(calculateUtility(p.wealth * 2, 2000000, 'log'), 12));
+    // Both curves share the grid: the dollar points land on the euro ones
+    expect(euros).toHaveLength(results[0].data.length);
+
+    const dollars = buildOverlaySeries(results, { currency: 'USD', rates });
+    expect(dollars[dollars.length - 1].wealth).toBe(getDatasetMaxWealth(inDollars));
+    expect(dollars.find(p => p.wealth >= 2000000).s0).toBe(1);
+
+    // A currency without a rate leaves its scenario off the chart
+    const unknown = buildOverlaySeries(results, { currency: 'EUR', rates: { EUR: rates.EUR } });
+    unknown.forEach(p => expect(p.s1).toBeNull());
+  });
+});
@@ -0,0 +1,193 @@
+// share_card.js - Share message and social card (title, threshold, excess, multiples and a mini chart)
+
+import { calculateInterventionMultiple } from './interventions';
+import { formatMoney } from './currency';
+import { interventionText } from './i18n';
+
+// Open Graph's recommended image size
+export const SHARE_CARD_SIZE = { width: 1200, height: 630 };
+
+// Interventions listed on a card; more would not fit next to the chart
+export const MAX_CARD_INTERVENTIONS = 4;
+
+const COLOURS = {
+  background: '#ffffff',
+  text: '#111827',
+  muted: '#4b5563',
+  excess: '#dc2626',
+  curve: '#4f46e5',
+  plateau: '#ef4444',
+  frame: '#e5e7eb'
+};
+
+/**
+ * Round a multiple for headlines: whole numbers from 10×, one decimal below
+ * @param {number} multiple - Intervention multiple
+ * @returns {number} - Rounded multiple
+ */
+export function roundMultiple(multiple) {
+  if (!Number.isFinite(multiple)) return 0;
+  return multiple >= 10 ? Math.round(multiple) : Math.round(multiple * 10) / 10;
+}
+
+/**
+ * Text for sharing a view, built on the first selected intervention's multiple
+ * @param {Function} t - Translator from createTranslator
+ * @param {Object} view - { threshold, excessEuros, interventions, money } with intervention
+ *   costs in the dataset's currency
+ * @returns {string} - Message, or a statement of the excess when no intervention is selected
+ */
+export function shareMessage(t, { threshold, excessEuros, interventions = [], money = {} }) {
+  const amount = formatMoney(threshold, money);
+  const [first] = interventions;
+  if (!first) {
+    return t('share.messageExcess', { excess: formatMoney(excessEuros, { ...money, compact: true, digits: 2 }), amount });
+  }
+  return t('share.message', {
+    amount,
+    action: interventionText(t, first, 'action'),
+    times: t('multiple.times', { count: roundMultiple(calculateInterventionMultiple(excessEuros, first)) })
+  });
+}
+
+/**
+ * Utility curve scaled into the unit square on a log wealth axis, for the mini chart
+ * @param {Array<Object>} data - Processed points ({ wealth, utility })
+ * @param {number} threshold - Plateau threshold
+ * @returns {Object} - { points: [{ x, y }], marker } where marker is the threshold's x, or null
+ */
+export function miniChartPoints(data, threshold) {
+  const positive = data.filter(point => point.wealth > 0);
+  if (positive.length < 2) return { points: [], marker: null };
+  const min = Math.log10(positive[0].wealth);
+  const max = Math.log10(positive[positive.length - 1].wealth);
+  const span = max - min || 1;
+  const x = wealth => (Math.log10(wealth) - min) / span;
+  return {
+    points: positive.map(point => ({ x: x(point.wealth), y: Math.min(Math.max(point.utility, 0), 1) })),
+    marker: threshold > 0 && x(threshold) >= 0 && x(threshold) <= 1 ? x(threshold) : null
+  };
+}
+
+/**
+ * Everything a share card shows, as display text
+ * @param {Object} view - { threshold, metrics, data, interventions, money, t, url } where metrics
+ *   and data come from processWealthData and interventions have costs in the dataset's currency
+ * @returns {Object} - Card model for drawShareCard
+ */
+export function buildShareCard({ threshold, metrics, data, interventions = [], money = {}, t, url = '' }) {
+  let host = '';
+  try {
+    host = url ? new URL(url).host : '';
+  } catch (error) {
+    host = '';
+  }
+  return {
+    title: t('title'),
+    threshold: t('threshold', { amount: formatMoney(threshold, money) }),
+    excessLabel: t('card.excess'),
+    excess: formatMoney(metrics.excessEuros, { ...money, compact: true, digits: 2 }),
+    multiples: interventions.slice(0, MAX_CARD_INTERVENTIONS).map(intervention => ({
+      label: interventionText(t, intervention, 'label'),
+      value: t('multiple.times', { count: roundMultiple(calculateInterventionMultiple(metrics.excessEuros, intervention)) }),
+      colour: intervention.colour || COLOURS.text
+    })),
+    chart: miniChartPoints(data, threshold),
+    footer: host
+  };
+}
+
+/**
+ * Write text, shrinking the font until it fits the width
+ */
+function fitText(context, text, x, y, maxWidth, size, weight = 'normal') {
+  let fontSize = size;
+  context.font = `${weight} ${fontSize}px sans-serif`;
+  while (fontSize > 12 && context.measureText(text).width > maxWidth) {
+    fontSize -= 2;
+    context.font = `${weight} ${fontSize}px sans-serif`;
+  }
+  context.fillText(text, x, y);
+}
+
+/**
+ * Draw a card on any Canvas 2D context (a browser canvas or node-canvas)
+ * @param {CanvasRenderingContext2D} context - Drawing context of a SHARE_CARD_SIZE canvas
+ * @param {Object} card - Result of buildShareCard
+ * @param {Object} [size] - { width, height }
+ */
+export function drawShareCard(context, card, { width, height } = SHARE_CARD_SIZE) {
+  const margin = 60;
+  const columnWidth = width * 0.5 - margin;
+
+  context.fillStyle = COLOURS.background;
+  context.fillRect(0, 0, width, height);
+  context.textBaseline = 'alphabetic';
+  context.textAlign = 'left';
+
+  context.fillStyle = COLOURS.text;
+  fitText(context, card.title, margin, margin + 40, width - 2 * margin, 48, 'bold');
+
+  context.fillStyle = COLOURS.muted;
+  fitText(context, card.threshold, margin, 190, columnWidth, 28);
+  fitText(context, card.excessLabel, margin, 250, columnWidth, 28);
+  context.fillStyle = COLOURS.excess;
+  fitText(context, card.excess, margin, 330, columnWidth, 72, 'bold');
+
+  card.multiples.forEach((multiple, i) => {
+    const y = 400 + i * 46;
+    context.fillStyle = multiple.colour;
+    context.fillRect(margin, y - 22, 20, 20);
+    context.fillStyle = COLOURS.text;
+    fitText(context, `${multiple.label}: ${multiple.value}`, margin + 32, y, columnWidth - 32, 30);
+  });
+
+  // Mini utility chart on the right
+  const box = { left: width * 0.55, top: 150, width: width * 0.45 - margin, height: 360 };
+  context.strokeStyle = COLOURS.frame;
+  context.lineWidth = 2;
+  context.strokeRect(box.left, box.top, box.width, box.height);
+  const { points, marker } = card.chart;
+  if (points.length > 1) {
+    const toX = x => box.left + x * box.width;
+    const toY = y => box.top + box.height - y * box.height;
+    context.strokeStyle = COLOURS.curve;
+    context.lineWidth = 5;
+    context.beginPath();
+    points.forEach((point, i) => (i === 0
+      ? context.moveTo(toX(point.x), toY(point.y))
+      : context.lineTo(toX(point.x), toY(point.y))));
+    context.stroke();
+    if (marker !== null) {
+      context.strokeStyle = COLOURS.plateau;
+      context.lineWidth = 3;
+      context.beginPath();
+      context.moveTo(toX(marker), box.top);
+      context.lineTo(toX(marker), box.top + box.height);
+      context.stroke();
+    }
+  }
+
+  if (card.footer) {
+    context.fillStyle = COLOURS.muted;
+    context.font = 'normal 24px sans-serif';
+    context.textAlign = 'right';
+    context.fillText(card.footer, width - margin, height - 40);
+    context.textAlign = 'left';
+  }
+}
+
+/**
+ * Render a card to a PNG in the browser
+ * @param {Object} card - Result of buildShareCard
+ * @returns {Promise<Blob>} - PNG image
+ */
+export function renderShareCard(card) {
+  const canvas = document.createElement('canvas');
+  canvas.width = SHARE_CARD_SIZE.width;
+  canvas.height = SHARE_CARD_SIZE.height;
+  drawShareCard(canvas.getContext('2d'), card);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render share card'))), 'image/png');
+  });
+}
@@ -0,0 +1,113 @@
+// share_card.test.js - Unit tests for share messages and social cards
+
+import {
+  SHARE_CARD_SIZE,
+  MAX_CARD_INTERVENTIONS,
+  roundMultiple,
+  shareMessage,
+  miniChartPoints,
+  buildShareCard,
+  drawShareCard
+} from './share_card';
+import { getBuiltInInterventions } from './interventions';
+import { getDataset } from './datasets';
+import { processWealthData } from './calculations';
+import { createTranslator } from './i18n';
+
+const dataset = getDataset('sample');
+const threshold = 200000;
+const { data, metrics } = processWealthData(dataset.percentiles, threshold, { population: dataset.population });
+const interventions = getBuiltInInterventions();
+const homelessness = interventions.find(i => i.id === 'homelessness');
+const money = { currency: 'EUR', from: 'EUR', locale: 'en-GB' };
+const t = createTranslator('en');
+
+// Canvas 2D stand-in that records the text drawn on it
+const createContext = () => {
+  const texts = [];
+  const fonts = [];
+  const context = {
+    texts,
+    fonts,
+    font: '',
+    measureText: text => ({ width: text.length * parseInt(context.font.split(' ')[1], 10) * 0.5 }),
+    fillText: text => {
+      texts.push(text);
+      fonts.push(context.font);
+    }
+  };
+  ['fillRect', 'strokeRect', 'beginPath', 'moveTo', 'lineTo', 'stroke'].forEach(name => {
+    context[name] = () => {};
+  });
+  return context;
+};
+
+describe('share message', () => {
+  test('should round multiples to whole numbers from 10× and one decimal below', () => {
+    expect(roundMultiple(62.4)).toBe(62);
+    expect(roundMultiple(4.26)).toBe(4.3);
+    expect(roundMultiple(Infinity)).toBe(0);
+  });
+
+  test('should use the first intervention’s multiple rather than the excess in trillions', () => {
+    const message = shareMessage(t, { threshold, excessEuros: 62e12, interventions: [homelessness], money });
+    expect(message).toBe('Excess wealth above €200,000 could end homelessness 62× over. See the math:');
+  });
+
+  test('should follow the intervention’s cost', () => {
+    const cheaper = { ...homelessness, cost: homelessness.cost / 2 };
+    expect(shareMessage(t, { threshold, excessEuros: 62e12, interventions: [cheaper], money })).toContain('124× over');
+  });
+
+  test('should state the excess when no intervention is selected', () => {
+    expect(shareMessage(t, { threshold, excessEuros: 2.5e12, interventions: [], money }))
+      .toBe('€2.5T of wealth sits above €200,000. See the math:');
+  });
+
+  test('should localise the message with plural forms', () => {
+    const message = shareMessage(createTranslator('es'), { threshold, excessEuros: 1e12, interventions: [homelessness], money: { ...money, locale: 'es' } });
+    expect(message).toContain('acabar con el sinhogarismo 1 vez');
+  });
+});
+
+describe('share card', () => {
+  const card = buildShareCard({ threshold, metrics, data, interventions, money, t, url: 'https://42.community/wealth-cap?plateau=200000' });
+
+  test('should show the threshold, excess and multiples', () => {
+    expect(card.threshold).toBe('Utility plateau threshold: €200,000');
+    expect(card.excess).toBe(`€${+(metrics.excessEuros / 1e12).toFixed(2)}T`);
+    expect(card.multiples).toHaveLength(Math.min(interventions.length, MAX_CARD_INTERVENTIONS));
+    expect(card.multiples[0]).toMatchObject({ label: 'End homelessness', colour: homelessness.colour });
+    expect(card.footer).toBe('42.community');
+  });
+
+  test('should scale the mini chart into the unit square with the plateau marked', () => {
+    const { points, marker } = miniChartPoints(data, threshold);
+    expect(points[0].x).toBe(0);
+    expect(points[points.length - 1].x).toBe(1);
+    points.forEach(point => {
+      expect(point.y).toBeGreaterThanOrEqual(0);
+      expect(point.y).toBeLessThanOrEqual(1);
+    });
+    expect(marker).toBeGreaterThan(0);
+    expect(marker).toBeLessThan(1);
+    expect(miniChartPoints([], threshold)).toEqual({ points: [], marker: null });
+  });
+
+  test('should draw every line of text on a canvas context', () => {
+    const context = createContext();
+    drawShareCard(context, card, SHARE_CARD_SIZE);
+    expect(context.texts).toContain(card.title);
+    expect(context.texts).toContain(card.excess);
+    expect(context.texts).toContain(`${card.multiples[0].label}: ${card.multiples[0].value}`);
+    expect(context.texts).toContain('42.community');
+  });
+
+  test('should shrink long text to fit', () => {
+    const context = createContext();
+    drawShareCard(context, { ...card, title: 'x'.repeat(200) }, SHARE_CARD_SIZE);
+    expect(context.texts[0]).toBe('x'.repeat(200));
+    expect(context.fonts[0]).not.toBe('bold 48px sans-serif');
+    expect(context.fonts[1]).toBe('normal 28px sans-serif');
+  });
+});
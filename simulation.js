@@ -0,0 +1,96 @@
+// simulation.js - Multi-year funding simulation for interventions
+
+export const DEFAULT_SIMULATION_ASSUMPTIONS = {
+  realReturn: 0.03, // Annual real return on the endowment
+  drawdownRate: 1, // Maximum share of the endowment that may be paid out in a year
+  capitalFlight: 0.1, // Share of the excess lost before it reaches the endowment
+  horizon: 50 // Years to project
+};
+
+// Range of each assumption, shared by SimulationControls and links that set them
+export const SIMULATION_LIMITS = {
+  realReturn: { min: -0.02, max: 0.08 },
+  drawdownRate: { min: 0.01, max: 1 },
+  capitalFlight: { min: 0, max: 0.5 },
+  horizon: { min: 1, max: 200 }
+};
+
+/**
+ * Project how long an endowment built from the excess could fund one intervention
+ * Each year the endowment earns its real return, then pays out up to the drawdown cap.
+ * Per-year interventions count consecutive fully funded years; one-off interventions
+ * report the year in which cumulative payouts cover the cost.
+ * @param {number} excessEuros - Redistributable excess in absolute euros
+ * @param {Object} intervention - Catalogue entry ({ id, cost, unit })
+ * @param {Object} [assumptions] - { realReturn, drawdownRate, capitalFlight, horizon }
+ * @returns {Object} - { id, unit, horizon, yearsFunded, yearsToFund, sustainable, firstYearCoverage, series }
+ */
+export function simulateIntervention(excessEuros, intervention, assumptions = {}) {
+  const { realReturn, drawdownRate, capitalFlight, horizon } = { ...DEFAULT_SIMULATION_ASSUMPTIONS, ...assumptions };
+  const { cost, unit } = intervention;
+  const recurring = unit === 'per-year';
+  const result = {
+    id: intervention.id,
+    unit,
+    horizon,
+    yearsFunded: 0,
+    yearsToFund: null,
+    sustainable: false,
+    firstYearCoverage: 0,
+    series: []
+  };
+  if (!(cost > 0) || !(excessEuros > 0)) return result;
+
+  const initial = excessEuros * (1 - Math.min(Math.max(capitalFlight, 0), 1));
+  const cap = Math.min(Math.max(drawdownRate, 0), 1);
+  let endowment = initial;
+  let paid = 0;
+  let funded = true;
+  result.series.push({ year: 0, endowment, payout: 0 });
+
+  for (let year = 1; year <= horizon; year++) {
+    endowment *= 1 + realReturn;
+    const allowed = endowment * cap;
+    const payout = Math.min(recurring ? cost : cost - paid, allowed);
+    endowment -= payout;
+    paid += payout;
+    if (year === 1) result.firstYearCoverage = Math.min(allowed / cost, 1);
+
+    if (recurring) {
+      // Allow for floating-point error when the cap is exactly the cost
+      if (funded && payout >= cost * (1 - 1e-9)) result.yearsFunded = year;
+      else funded = false;
+    } else if (result.yearsToFund === null && paid >= cost * (1 - 1e-9)) {
+      result.yearsToFund = year;
+    }
+    result.series.push({ year, endowment, payout });
+  }
+
+  // A recurring intervention funded throughout without eroding the endowment can run indefinitely
+  if (recurring && funded && horizon > 0 && endowment >= initial * (1 - 1e-9)) {
+    result.sustainable = true;
+    result.yearsFunded = Infinity;
+  }
+  return result;
+}
+
+/**
+ * Simulate every selected intervention, each funded separately from the same excess
+ * @param {Object} processed - Result of processWealthData (uses metrics.excessEuros)
+ * @param {Array<Object>} interventions - Selected catalogue entries
+ * @param {Object} [assumptions] - { realReturn, drawdownRate, capitalFlight, horizon }
+ * @returns {Object} - { results, series } with series rows keyed by intervention id for charting
+ */
+export function simulateFunding(processed, interventions, assumptions = {}) {
+  const excessEuros = processed?.metrics?.excessEuros || 0;
+  const results = interventions.map(i => simulateIntervention(excessEuros, i, assumptions));
+  const horizon = { ...DEFAULT_SIMULATION_ASSUMPTIONS, ...assumptions }.horizon;
+  const series = Array.from({ length: horizon + 1 }, (_, year) => {
+    const row = { year };
+    results.forEach(r => {
+      if (r.series[year]) row[r.id] = r.series[year].endowment;
+    });
+    return row;
+  });
+  return { results, series };
+}
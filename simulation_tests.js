@@ -0,0 +1,74 @@
+// simulation.test.js - Unit tests for the multi-year funding simulation
+
+import { simulateIntervention, simulateFunding, DEFAULT_SIMULATION_ASSUMPTIONS } from './simulation';
+
+const noFriction = { realReturn: 0, drawdownRate: 1, capitalFlight: 0, horizon: 20 };
+const annual = cost => ({ id: 'annual', cost, unit: 'per-year' });
+const oneOff = cost => ({ id: 'oneoff', cost, unit: 'one-off' });
+
+describe('simulateIntervention', () => {
+  test('should deplete the endowment for a recurring cost', () => {
+    // 10 → 7 → 4 → 1, and the fourth year cannot be covered
+    const result = simulateIntervention(10, annual(3), noFriction);
+    expect(result.yearsFunded).toBe(3);
+    expect(result.sustainable).toBe(false);
+    expect(result.series[3].endowment).toBeCloseTo(1, 9);
+  });
+
+  test('should fund indefinitely when returns cover the cost', () => {
+    const result = simulateIntervention(100, annual(5), { ...noFriction, realReturn: 0.05 });
+    expect(result.yearsFunded).toBe(Infinity);
+    expect(result.sustainable).toBe(true);
+  });
+
+  test('should fund to the end of the horizon without being sustainable', () => {
+    // 100 pays 3 a year for the 20 simulated years but shrinks, so it runs out later
+    const result = simulateIntervention(100, annual(3), noFriction);
+    expect(result.horizon).toBe(20);
+    expect(result.yearsFunded).toBe(result.horizon);
+    expect(result.sustainable).toBe(false);
+  });
+
+  test('should respect the drawdown cap', () => {
+    const result = simulateIntervention(100, annual(3), { ...noFriction, drawdownRate: 0.02 });
+    expect(result.yearsFunded).toBe(0);
+    expect(result.firstYearCoverage).toBeCloseTo(2 / 3, 9);
+  });
+
+  test('should lose capital flight before the endowment forms', () => {
+    const result = simulateIntervention(10, annual(3), { ...noFriction, capitalFlight: 0.5 });
+    expect(result.series[0].endowment).toBe(5);
+    expect(result.yearsFunded).toBe(1);
+  });
+
+  test('should report when a one-off cost is paid off', () => {
+    expect(simulateIntervention(10, oneOff(5), noFriction).yearsToFund).toBe(1);
+    expect(simulateIntervention(10, oneOff(25), noFriction).yearsToFund).toBeNull();
+
+    // Capped at 10% a year: 10 + 9 + 8.1 passes 25 in year three
+    const capped = simulateIntervention(100, oneOff(25), { ...noFriction, drawdownRate: 0.1 });
+    expect(capped.yearsToFund).toBe(3);
+  });
+
+  test('should handle edge cases', () => {
+    expect(simulateIntervention(0, annual(3)).yearsFunded).toBe(0);
+    expect(simulateIntervention(10, annual(0)).series).toEqual([]);
+  });
+});
+
+describe('simulateFunding', () => {
+  test('should build a chart series keyed by intervention id', () => {
+    const processed = { metrics: { excessEuros: 10 } };
+    const { results, series } = simulateFunding(processed, [annual(3), oneOff(5)], noFriction);
+
+    expect(results.map(r => r.id)).toEqual(['annual', 'oneoff']);
+    expect(series).toHaveLength(noFriction.horizon + 1);
+    expect(series[1]).toEqual({ year: 1, annual: 7, oneoff: 5 });
+  });
+
+  test('should default to the standard assumptions', () => {
+    const { series } = simulateFunding({ metrics: { excessEuros: 1e12 } }, [annual(1e11)]);
+    expect(series).toHaveLength(DEFAULT_SIMULATION_ASSUMPTIONS.horizon + 1);
+    expect(series[0].annual).toBeCloseTo(1e12 * (1 - DEFAULT_SIMULATION_ASSUMPTIONS.capitalFlight), 0);
+  });
+});
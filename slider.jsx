@@ -1,13 +1,26 @@
 import React from 'react';
-export function Slider({ value, min, max, step, onValueChange, className }) {
+
+// PageUp/PageDown move by `largeStep`, a tenth of the range unless given
+export function Slider({ value, min, max, step, onValueChange, className, id, label, valueText, largeStep }) {
   const handle = e => onValueChange([Number(e.target.value)]);
+  const bigStep = largeStep || (max - min) / 10;
+  const handleKey = e => {
+    if (e.key !== 'PageUp' && e.key !== 'PageDown') return;
+    e.preventDefault();
+    const next = value[0] + (e.key === 'PageUp' ? bigStep : -bigStep);
+    onValueChange([Math.min(Math.max(next, min), max)]);
+  };
   return (
     <input
       type="range"
+      id={id}
       value={value[0]}
       min={min} max={max} step={step}
       onChange={handle}
+      onKeyDown={handleKey}
+      aria-label={label}
+      aria-valuetext={valueText}
       className={className}
     />
   );
-}
\ No newline at end of file
+}
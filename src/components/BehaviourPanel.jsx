@@ -0,0 +1,95 @@
+import React from 'react';
+import { Slider } from './ui/slider';
+import { describeBehaviour } from '../../behaviour';
+import { formatMoney } from '../../currency';
+
+/**
+ * Low–high range with the central estimate, e.g. "€1.2T (range €0.9T–€1.4T)"
+ * Amounts are shown per year when `perYear` is set.
+ */
+export function formatRange(t, range, money = {}, perYear = false) {
+  const m = v => {
+    const amount = formatMoney(v, { ...money, compact: true, digits: 2 });
+    return perYear ? t('common.perYear', { amount }) : amount;
+  };
+  return t('behaviour.range', { central: m(range.central), low: m(range.low), high: m(range.high) });
+}
+
+export function BehaviourPanel({ t, assumptions, onChange, money = {} }) {
+  const pct = (rate, digits) => t('common.percent', { value: t.number(rate * 100, digits) });
+  const setAvoidance = (index, rate) => onChange({
+    ...assumptions,
+    avoidance: assumptions.avoidance.map((band, i) => (i === index ? { ...band, rate } : band))
+  });
+  const setEmigration = (key, value) => onChange({
+    ...assumptions,
+    emigration: { ...assumptions.emigration, [key]: value }
+  });
+
+  return (
+    <div className="p-3 bg-gray-50 rounded space-y-3 text-xs">
+      <p className="font-medium">{t('options.behaviour')}</p>
+      <p className="text-gray-500">{t('behaviour.disclaimer')}</p>
+
+      <div>
+        <Slider
+          value={[assumptions.elasticity]}
+          min={0}
+          max={20}
+          step={0.5}
+          label={t('behaviour.elasticity')}
+          onValueChange={([val]) => onChange({ ...assumptions, elasticity: val })}
+        />
+        <div className="text-gray-600">{t('behaviour.elasticityValue', { value: t.number(assumptions.elasticity) })}</div>
+      </div>
+
+      {assumptions.avoidance.map((band, i) => (
+        <div key={band.threshold}>
+          <Slider
+            value={[band.rate]}
+            min={0}
+            max={0.5}
+            step={0.01}
+            label={t('behaviour.avoidance', { amount: formatMoney(band.threshold, money) })}
+            valueText={pct(band.rate, 0)}
+            onValueChange={([val]) => setAvoidance(i, val)}
+          />
+          <div className="text-gray-600">
+            {t('behaviour.avoidanceValue', { amount: formatMoney(band.threshold, money), rate: pct(band.rate, 0) })}
+          </div>
+        </div>
+      ))}
+
+      <div>
+        <Slider
+          value={[assumptions.emigration.topShare]}
+          min={0.001}
+          max={0.1}
+          step={0.001}
+          label={t('behaviour.topShare')}
+          valueText={t('behaviour.top', { share: pct(assumptions.emigration.topShare) })}
+          onValueChange={([val]) => setEmigration('topShare', val)}
+        />
+        <div className="text-gray-600">{t('behaviour.topShareValue', { share: pct(assumptions.emigration.topShare) })}</div>
+      </div>
+      <div>
+        <Slider
+          value={[assumptions.emigration.rate]}
+          min={0}
+          max={0.5}
+          step={0.01}
+          label={t('behaviour.leave')}
+          valueText={pct(assumptions.emigration.rate, 0)}
+          onValueChange={([val]) => setEmigration('rate', val)}
+        />
+        <div className="text-gray-600">{t('behaviour.leaveValue', { rate: pct(assumptions.emigration.rate, 0) })}</div>
+      </div>
+
+      <ul className="list-disc list-inside text-gray-600">
+        {describeBehaviour(assumptions, money, t).map(line => (
+          <li key={line.label}>{line.label}: {line.value}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import React from 'react';
+
+export function ChartDataTable({ table }) {
+  return (
+    <div className="max-h-[500px] overflow-auto">
+      <table className="w-full text-xs">
+        <caption className="text-left font-medium mb-2">{table.caption}</caption>
+        <thead>
+          <tr className="text-left text-gray-600">
+            {table.headers.map(header => <th key={header} scope="col">{header}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {table.rows.map(row => (
+            <tr key={row.join('|')}>
+              {row.map((cell, i) => (i === 0 ? <th key={i} scope="row" className="font-normal text-left">{cell}</th> : <td key={i}>{cell}</td>))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React from 'react';
+import { Button } from './ui/button';
+import { CONVERSION_MODES, getBundledRates, listCurrencies, validateExchangeRates } from '../../currency';
+
+// Currency name in the reader's language, or the English name from the rate table
+function currencyName(t, code, name) {
+  try {
+    return new Intl.DisplayNames([t.formatLocale], { type: 'currency' }).of(code);
+  } catch (error) {
+    return name;
+  }
+}
+
+export function CurrencyPanel({ t, currency, mode, rates, datasetCurrency, onCurrencyChange, onModeChange, onRatesChange }) {
+  const errors = validateExchangeRates(rates, t);
+  const missingRate = !rates[datasetCurrency];
+
+  const updateRate = (code, key, value) => {
+    onRatesChange({ ...rates, [code]: { ...rates[code], [key]: value } });
+  };
+
+  return (
+    <div className="p-3 bg-gray-50 rounded space-y-2 text-xs">
+      <div className="flex items-center space-x-2">
+        <label>
+          {t('currencyPanel.display')}:{' '}
+          <select value={currency} onChange={e => onCurrencyChange(e.target.value)} className="border rounded px-1 py-0.5">
+            {listCurrencies(rates).map(c => (
+              <option key={c.code} value={c.code}>{c.code} – {currencyName(t, c.code, c.name)}</option>
+            ))}
+          </select>
+        </label>
+        <select value={mode} onChange={e => onModeChange(e.target.value)} className="border rounded px-1 py-0.5">
+          {CONVERSION_MODES.map(m => <option key={m.id} value={m.id}>{t(`currencyPanel.modes.${m.id}`)}</option>)}
+        </select>
+      </div>
+      {missingRate && (
+        <p className="text-red-600">{t('currencyPanel.missingRate', { currency: datasetCurrency })}</p>
+      )}
+
+      <p className="font-medium pt-2">{t('currencyPanel.ratesHeading')}</p>
+      <table className="w-full">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th>{t('currencyPanel.currency')}</th>
+            <th>{t('currencyPanel.market')}</th>
+            <th>{t('currencyPanel.ppp')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(rates).map(([code, entry]) => (
+            <tr key={code}>
+              <td title={currencyName(t, code, entry.name)}>{code}</td>
+              {CONVERSION_MODES.map(m => (
+                <td key={m.id}>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={entry[m.id]}
+                    onChange={e => updateRate(code, m.id, Number(e.target.value))}
+                    className="border rounded px-1 w-20"
+                    disabled={code === 'EUR'}
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {errors.length > 0 && (
+        <ul className="text-red-600 list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+      <Button onClick={() => onRatesChange(getBundledRates())} variant="outline" size="sm">{t('currencyPanel.restore')}</Button>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React from 'react';
+import { formatDatasetLabel } from '../../datasets';
+
+export function DatasetPicker({ t, datasets, dataset, onChange }) {
+  return (
+    <div className="space-y-1">
+      <label className="block text-sm text-gray-600">
+        {t('datasets.label')}:{' '}
+        <select value={dataset.id} onChange={e => onChange(e.target.value)} className="border rounded px-1 py-0.5">
+          {datasets.map(d => (
+            <option key={d.id} value={d.id}>{formatDatasetLabel(d)}</option>
+          ))}
+        </select>
+      </label>
+      <p className="text-xs text-gray-500">
+        {t('datasets.details', {
+          place: dataset.year ? `${dataset.region}, ${dataset.year}` : dataset.region,
+          population: t.number(dataset.population),
+          source: dataset.source,
+          licence: dataset.licence
+        })}
+      </p>
+    </div>
+  );
+}
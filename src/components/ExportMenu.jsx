@@ -0,0 +1,35 @@
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import { EXPORT_FORMATS } from '../../export';
+
+export function ExportMenu({ t, onExport }) {
+  const [open, setOpen] = useState(false);
+
+  const choose = id => {
+    setOpen(false);
+    onExport(id);
+  };
+
+  return (
+    <div className="relative">
+      <Button onClick={() => setOpen(!open)} variant="outline" size="sm" aria-haspopup="menu" aria-expanded={open}>
+        {t('export.menu')}
+      </Button>
+      {open && (
+        <div role="menu" className="absolute z-10 mt-1 w-64 bg-white border rounded shadow text-sm">
+          {EXPORT_FORMATS.map(format => (
+            <button
+              key={format.id}
+              type="button"
+              role="menuitem"
+              onClick={() => choose(format.id)}
+              className="block w-full text-left px-3 py-1.5 hover:bg-gray-100"
+            >
+              {t(format.label)}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Slider } from './ui/slider';
+import { formatMoney } from '../../currency';
+import { SIMULATION_LIMITS } from '../../simulation';
+import { DEFAULT_LOCALE_ID, createTranslator, interventionText } from '../../i18n';
+
+// Labels are message keys in locales/*.json
+const ASSUMPTION_CONTROLS = [
+  { key: 'realReturn', label: 'simulation.realReturn', ...SIMULATION_LIMITS.realReturn, step: 0.005 },
+  { key: 'drawdownRate', label: 'simulation.drawdownRate', ...SIMULATION_LIMITS.drawdownRate, step: 0.01 },
+  { key: 'capitalFlight', label: 'simulation.capitalFlight', ...SIMULATION_LIMITS.capitalFlight, step: 0.01 },
+  { key: 'horizon', label: 'simulation.horizon', ...SIMULATION_LIMITS.horizon, step: 1, years: true }
+];
+
+export function SimulationControls({ t, assumptions, onChange }) {
+  const percent = value => t('common.percent', { value: t.number(value * 100, 1) });
+  const format = (control, value) => (control.years ? t('simulation.horizonValue', { count: value }) : percent(value));
+  return (
+    <div className="space-y-2">
+      {ASSUMPTION_CONTROLS.map(control => (
+        <div key={control.key}>
+          <Slider
+            value={[assumptions[control.key]]}
+            min={control.min}
+            max={control.max}
+            step={control.step}
+            label={t(control.label)}
+            valueText={format(control, assumptions[control.key])}
+            onValueChange={([val]) => onChange({ ...assumptions, [control.key]: val })}
+          />
+          <div className="text-xs text-gray-600">
+            {t(control.label)}: {format(control, assumptions[control.key])}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Plain-language result for one simulated intervention
+ * @param {Object} result - One entry of simulateFunding's results
+ * @param {Function} [t] - Translator from createTranslator (defaults to English)
+ */
+export function describeSimulation(result, t = createTranslator(DEFAULT_LOCALE_ID)) {
+  if (result.unit === 'per-year') {
+    if (result.sustainable) return t('simulation.indefinitely');
+    if (result.yearsFunded === 0) {
+      return t('simulation.zeroYears', { share: Math.round(result.firstYearCoverage * 100) });
+    }
+    // Funded to the end of the horizon but eroding the endowment: it may run out later
+    if (result.yearsFunded >= result.horizon) return t('simulation.atLeastYears', { count: result.yearsFunded });
+    return t('simulation.forYears', { count: result.yearsFunded });
+  }
+  if (result.yearsToFund === null) return t('simulation.notWithinHorizon');
+  return t('simulation.inYears', { count: result.yearsToFund });
+}
+
+export function FundingSimulationChart({ t, series, interventions, money = {} }) {
+  return (
+    <ResponsiveContainer width="100%" height={300}>
+      <LineChart data={series} margin={{ top: 20, right: 50, bottom: 20, left: 20 }}>
+        <XAxis dataKey="year" tickFormatter={y => t('simulation.yearTick', { year: String(y) })} />
+        <YAxis tickFormatter={v => formatMoney(v, { ...money, compact: true })} />
+        <Tooltip
+          formatter={(value, name) => [formatMoney(value, { ...money, compact: true, digits: 2 }), name]}
+          labelFormatter={y => t('simulation.year', { year: String(y) })}
+        />
+        <Legend />
+        {interventions.map(intervention => (
+          <Line
+            key={intervention.id}
+            type="monotone"
+            dataKey={intervention.id}
+            stroke={intervention.colour}
+            strokeWidth={2}
+            dot={false}
+            name={t('simulation.endowment', { label: interventionText(t, intervention, 'label') })}
+          />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
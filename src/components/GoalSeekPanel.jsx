@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import { GOAL_TYPES } from '../../goal_seek';
+import { formatMoney } from '../../currency';
+import { interventionText } from '../../i18n';
+
+// Goal from the form fields; the excess amount is entered in billions of the display currency
+function buildGoal(type, fields) {
+  switch (type) {
+    case 'multiple':
+      return { type, interventionId: fields.interventionId, multiple: Number(fields.multiple) };
+    case 'share':
+      return { type, share: Number(fields.sharePercent) / 100 };
+    default:
+      return { type, amount: Number(fields.amount) * 1e9 };
+  }
+}
+
+export function GoalSeekPanel({ t, money, interventions, onSolve, onApply }) {
+  const [type, setType] = useState('excess');
+  const [fields, setFields] = useState({ amount: '500', interventionId: '', multiple: '10', sharePercent: '0.1' });
+  const [result, setResult] = useState(null);
+
+  const interventionId = interventions.some(i => i.id === fields.interventionId)
+    ? fields.interventionId
+    : (interventions[0] || {}).id || '';
+  const update = (key, value) => {
+    setFields(current => ({ ...current, [key]: value }));
+    setResult(null);
+  };
+
+  const solve = event => {
+    event.preventDefault();
+    setResult(onSolve(buildGoal(type, { ...fields, interventionId })));
+  };
+
+  const amount = result && result.threshold !== null ? formatMoney(result.threshold, money) : '';
+  const inputClass = 'w-28 border rounded px-1 py-0.5';
+
+  return (
+    <form onSubmit={solve} className="p-3 bg-gray-50 rounded space-y-2 text-sm" aria-label={t('goalSeek.heading')}>
+      <p className="font-medium">{t('goalSeek.heading')}</p>
+      <label className="block">
+        {t('goalSeek.target')}:{' '}
+        <select value={type} onChange={e => { setType(e.target.value); setResult(null); }} className="border rounded px-1 py-0.5">
+          {GOAL_TYPES.map(id => <option key={id} value={id}>{t(`goalSeek.types.${id}`)}</option>)}
+        </select>
+      </label>
+
+      {type === 'excess' && (
+        <label className="block">
+          {t('goalSeek.amount', { currency: money.currency })}:{' '}
+          <input type="number" min="0" step="any" value={fields.amount} onChange={e => update('amount', e.target.value)} className={inputClass} />
+        </label>
+      )}
+      {type === 'multiple' && (interventions.length === 0 ? (
+        <p className="text-xs text-gray-600">{t('goalSeek.noInterventions')}</p>
+      ) : (
+        <div className="space-y-2">
+          <label className="block">
+            {t('goalSeek.intervention')}:{' '}
+            <select value={interventionId} onChange={e => update('interventionId', e.target.value)} className="border rounded px-1 py-0.5">
+              {interventions.map(i => <option key={i.id} value={i.id}>{interventionText(t, i, 'label')}</option>)}
+            </select>
+          </label>
+          <label className="block">
+            {t('goalSeek.multiple')}:{' '}
+            <input type="number" min="0" step="any" value={fields.multiple} onChange={e => update('multiple', e.target.value)} className={inputClass} />
+          </label>
+        </div>
+      ))}
+      {type === 'share' && (
+        <label className="block">
+          {t('goalSeek.share')}:{' '}
+          <input type="number" min="0" max="100" step="any" value={fields.sharePercent} onChange={e => update('sharePercent', e.target.value)} className={inputClass} />
+        </label>
+      )}
+
+      <Button type="submit" variant="outline" size="sm" disabled={type === 'multiple' && interventions.length === 0}>
+        {t('goalSeek.solve')}
+      </Button>
+
+      {result && (
+        <div role="status" className="space-y-2">
+          <p className={result.status === 'found' ? 'text-gray-700' : 'text-red-600'}>
+            {result.status === 'invalid'
+              ? t('goalSeek.invalid')
+              : t(`goalSeek.${result.status}`, {
+                amount,
+                excess: formatMoney(result.excess, { ...money, compact: true, digits: 2 }),
+                share: t.number(result.share * 100, 3)
+              })}
+          </p>
+          {result.threshold !== null && (
+            <Button type="button" onClick={() => onApply(result.threshold)} size="sm">
+              {t('goalSeek.apply', { amount })}
+            </Button>
+          )}
+        </div>
+      )}
+    </form>
+  );
+}
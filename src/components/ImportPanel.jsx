@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import { importWealthData, createImportedDataset } from '../../data_import';
+
+// Labels are message keys in locales/*.json
+const SCALES = [
+  { value: 1, label: 'import.scales.units' },
+  { value: 1000, label: 'import.scales.thousands' },
+  { value: 1000000, label: 'import.scales.millions' }
+];
+
+export function ImportPanel({ t, datasets, importedDatasets, onImport, onRemove }) {
+  const [text, setText] = useState('');
+  const [format, setFormat] = useState('');
+  const [scale, setScale] = useState(1);
+  const [meta, setMeta] = useState({ name: '', population: '', currency: 'EUR', year: '', country: '', source: '' });
+  const [result, setResult] = useState(null);
+
+  const updateMeta = (key, value) => setMeta({ ...meta, [key]: value });
+
+  const readFile = async e => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setText(await file.text());
+    setFormat(file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+    setMeta(current => ({ ...current, name: current.name || file.name.replace(/\.[^.]+$/, ''), source: current.source || file.name }));
+    setResult(null);
+  };
+
+  const validate = () => setResult(importWealthData(text, { format: format || undefined, scale, t }));
+
+  const needsPopulation = result && result.kind === 'percentile' && !(Number(meta.population) > 0);
+  const canImport = result && result.report.errors.length === 0 && !needsPopulation;
+
+  const confirmImport = () => {
+    onImport(createImportedDataset(result, meta, datasets));
+    setText('');
+    setResult(null);
+  };
+
+  return (
+    <div className="p-3 bg-gray-50 rounded space-y-2 text-xs">
+      <p className="font-medium">{t('import.heading')}</p>
+      <p className="text-gray-500">{t('import.help')}</p>
+      <input type="file" accept=".csv,.json,.txt" onChange={readFile} />
+      <textarea
+        value={text}
+        onChange={e => { setText(e.target.value); setResult(null); }}
+        placeholder={'percentile,wealth\n0.5,65000\n0.9,500000\n…'}
+        rows={5}
+        className="w-full border rounded p-1 font-mono"
+      />
+      <div className="grid grid-cols-2 gap-2">
+        <input placeholder={t('import.name')} value={meta.name} onChange={e => updateMeta('name', e.target.value)} className="border rounded px-1" />
+        <input placeholder={t('import.population')} type="number" min="0" value={meta.population} onChange={e => updateMeta('population', e.target.value)} className="border rounded px-1" />
+        <input placeholder={t('import.currency')} value={meta.currency} onChange={e => updateMeta('currency', e.target.value.toUpperCase())} className="border rounded px-1" />
+        <input placeholder={t('import.year')} type="number" value={meta.year} onChange={e => updateMeta('year', e.target.value)} className="border rounded px-1" />
+        <input placeholder={t('import.country')} value={meta.country} onChange={e => updateMeta('country', e.target.value.toUpperCase())} className="border rounded px-1" />
+        <label>
+          {t('import.scale')}:{' '}
+          <select value={scale} onChange={e => { setScale(Number(e.target.value)); setResult(null); }} className="border rounded px-1">
+            {SCALES.map(s => <option key={s.value} value={s.value}>{t(s.label)}</option>)}
+          </select>
+        </label>
+        <label>
+          {t('import.format')}:{' '}
+          <select value={format} onChange={e => { setFormat(e.target.value); setResult(null); }} className="border rounded px-1">
+            <option value="">{t('import.detect')}</option>
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+          </select>
+        </label>
+      </div>
+
+      <div className="flex space-x-2">
+        <Button onClick={validate} variant="outline" size="sm">{t('import.validate')}</Button>
+        <Button onClick={confirmImport} variant="secondary" size="sm" disabled={!canImport}>{t('import.confirm')}</Button>
+      </div>
+
+      {result && (
+        <div className="space-y-1">
+          {result.report.errors.length === 0 && <p className="text-green-700">{t('import.noErrors')}</p>}
+          {needsPopulation && <p className="text-red-600">{t('import.needsPopulation')}</p>}
+          <ul className="list-disc list-inside">
+            {result.report.errors.map(msg => <li key={msg} className="text-red-600">{msg}</li>)}
+            {result.report.warnings.map(msg => <li key={msg} className="text-amber-700">{msg}</li>)}
+            {result.report.info.map(msg => <li key={msg} className="text-gray-600">{msg}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {importedDatasets.length > 0 && (
+        <div className="pt-2 space-y-1">
+          <p className="font-medium">{t('import.imported')}</p>
+          {importedDatasets.map(d => (
+            <div key={d.id} className="flex items-center space-x-2">
+              <span className="flex-1">{t('import.importedEntry', { name: d.name, population: t.number(d.population) })}</span>
+              <Button onClick={() => onRemove(d.id)} variant="outline" size="sm">{t('common.remove')}</Button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
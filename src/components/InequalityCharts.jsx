@@ -0,0 +1,67 @@
+import React from 'react';
+import { ComposedChart, BarChart, Bar, Cell, Area, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+
+const formatPercent = (t, v, digits = 0) => t('common.percent', { value: t.number(v * 100, digits) });
+const formatPercentile = (t, p) => `P${t.number(+(p * 100).toFixed(2))}`;
+
+export function LorenzChart({ t, lorenz, gini, thresholdPercentile }) {
+  // Range area between the curve and the equality line; its size is half the Gini
+  const data = lorenz.map(p => ({ ...p, equality: p.population, gap: [p.wealth, p.population] }));
+
+  return (
+    <ResponsiveContainer width="100%" height={500}>
+      <ComposedChart data={data} margin={{ top: 20, right: 50, bottom: 20, left: 20 }}>
+        <XAxis dataKey="population" type="number" domain={[0, 1]} tickFormatter={v => formatPercent(t, v)} />
+        <YAxis domain={[0, 1]} tickFormatter={v => formatPercent(t, v)} />
+        <Tooltip
+          formatter={(value, name) => [
+            Array.isArray(value) ? t('chart.points', { value: t.number((value[1] - value[0]) * 100, 1) }) : formatPercent(t, value, 1),
+            name
+          ]}
+          labelFormatter={p => t('redistribution.bottomAdults', { share: formatPercent(t, p, 1) })}
+        />
+        <Legend />
+        <Area type="monotone" dataKey="gap" fill="#ef4444" fillOpacity={0.15} stroke="none" name={t('chart.gap', { gini: t.number(gini, 3) })} />
+        <Line type="linear" dataKey="equality" stroke="#9ca3af" strokeDasharray="5 5" dot={false} name={t('chart.equality')} />
+        <Line type="monotone" dataKey="wealth" stroke="#4f46e5" strokeWidth={3} dot={false} name={t('tabs.lorenz')} />
+        {thresholdPercentile !== null && thresholdPercentile < 1 && (
+          <ReferenceLine
+            x={thresholdPercentile}
+            stroke="#ef4444"
+            strokeWidth={2}
+            label={{ value: t('chart.plateau', { amount: formatPercentile(t, thresholdPercentile) }), position: 'top', fill: '#ef4444', fontSize: 12 }}
+          />
+        )}
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
+
+export function WealthShareChart({ t, shares, thresholdPercentile }) {
+  const data = shares.map(s => ({
+    ...s,
+    group: `${formatPercentile(t, s.fromPercentile)}–${formatPercentile(t, s.toPercentile)}`,
+    // Groups with anyone above the plateau are highlighted
+    abovePlateau: thresholdPercentile !== null && s.toPercentile > thresholdPercentile
+  }));
+
+  return (
+    <ResponsiveContainer width="100%" height={500}>
+      <BarChart data={data} margin={{ top: 20, right: 50, bottom: 20, left: 20 }}>
+        <XAxis dataKey="group" interval={0} angle={-30} textAnchor="end" height={60} />
+        <YAxis tickFormatter={v => formatPercent(t, v)} />
+        <Tooltip
+          formatter={(value, name, item) => [
+            t('chart.shareValue', { wealth: formatPercent(t, value, 1), adults: formatPercent(t, item.payload.populationShare, 1) }),
+            t('chart.share')
+          ]}
+        />
+        <Bar dataKey="wealthShare" name={t('table.wealthShare')}>
+          {data.map(d => (
+            <Cell key={d.group} fill={d.abovePlateau ? '#ef4444' : '#4f46e5'} />
+          ))}
+        </Bar>
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
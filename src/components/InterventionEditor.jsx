@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import {
+  INTERVENTION_UNITS,
+  DEFAULT_PRICE_YEAR,
+  createCustomIntervention,
+  validateIntervention,
+  formatInterventionCost
+} from '../../interventions';
+import { DEFAULT_CURRENCY, listCurrencies } from '../../currency';
+
+const emptyForm = { label: '', costBillions: '', unit: 'one-off', currency: DEFAULT_CURRENCY, year: String(DEFAULT_PRICE_YEAR), source: '', colour: '#64748b' };
+
+export function InterventionEditor({ t, interventions, customInterventions, onChange, rates, money = {} }) {
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const update = (key, value) => setForm({ ...form, [key]: value });
+
+  const startEdit = intervention => {
+    setEditingId(intervention.id);
+    setErrors([]);
+    setForm({
+      label: intervention.label,
+      costBillions: String(intervention.cost / 1e9),
+      unit: intervention.unit,
+      currency: intervention.currency,
+      year: String(intervention.year || DEFAULT_PRICE_YEAR),
+      source: intervention.source,
+      colour: intervention.colour
+    });
+  };
+
+  const cancel = () => {
+    setEditingId(null);
+    setErrors([]);
+    setForm(emptyForm);
+  };
+
+  const save = () => {
+    const entry = createCustomIntervention({
+      id: editingId,
+      label: form.label,
+      cost: Number(form.costBillions) * 1e9,
+      unit: form.unit,
+      currency: form.currency,
+      year: form.year.trim(),
+      source: form.source,
+      colour: form.colour
+    }, interventions);
+    const problems = validateIntervention(entry, t);
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+    onChange(editingId
+      ? customInterventions.map(i => (i.id === editingId ? entry : i))
+      : [...customInterventions, entry]);
+    cancel();
+  };
+
+  const remove = id => {
+    onChange(customInterventions.filter(i => i.id !== id));
+    if (editingId === id) cancel();
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-gray-50 rounded space-y-2 text-xs">
+      <p className="font-medium">{t('interventionEditor.heading')}</p>
+      {customInterventions.length === 0 && <p className="text-gray-500">{t('interventionEditor.none')}</p>}
+      {customInterventions.map(i => (
+        <div key={i.id} className="flex items-center space-x-2">
+          <span className="inline-block w-3 h-3 rounded" style={{ backgroundColor: i.colour }} />
+          <span className="flex-1">{i.label} ({formatInterventionCost(i, money, t)})</span>
+          <Button onClick={() => startEdit(i)} variant="outline" size="sm">{t('common.edit')}</Button>
+          <Button onClick={() => remove(i.id)} variant="outline" size="sm">{t('common.remove')}</Button>
+        </div>
+      ))}
+
+      <div className="grid grid-cols-2 gap-2 pt-2">
+        <input
+          placeholder={t('interventionEditor.label')}
+          value={form.label}
+          onChange={e => update('label', e.target.value)}
+          className="border rounded px-1 col-span-2"
+        />
+        <input
+          type="number"
+          min="0"
+          placeholder={t('interventionEditor.cost')}
+          value={form.costBillions}
+          onChange={e => update('costBillions', e.target.value)}
+          className="border rounded px-1"
+        />
+        <select value={form.currency} onChange={e => update('currency', e.target.value)} className="border rounded px-1">
+          {listCurrencies(rates).map(c => <option key={c.code} value={c.code}>{c.code}</option>)}
+        </select>
+        <select value={form.unit} onChange={e => update('unit', e.target.value)} className="border rounded px-1">
+          {INTERVENTION_UNITS.map(unit => <option key={unit} value={unit}>{t(`interventionEditor.units.${unit}`)}</option>)}
+        </select>
+        <input
+          type="number"
+          step="1"
+          placeholder={t('interventionEditor.priceYear')}
+          title={t('interventionEditor.priceYearHint')}
+          value={form.year}
+          onChange={e => update('year', e.target.value)}
+          className="border rounded px-1"
+        />
+        <input
+          placeholder={t('interventionEditor.source')}
+          value={form.source}
+          onChange={e => update('source', e.target.value)}
+          className="border rounded px-1"
+        />
+        <input
+          type="color"
+          value={form.colour}
+          onChange={e => update('colour', e.target.value)}
+          className="border rounded"
+        />
+      </div>
+      {errors.length > 0 && (
+        <ul className="text-red-600 list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+      <div className="flex space-x-2">
+        <Button onClick={save} variant="secondary" size="sm">{t(editingId ? 'interventionEditor.save' : 'interventionEditor.add')}</Button>
+        {editingId && <Button onClick={cancel} variant="outline" size="sm">{t('common.cancel')}</Button>}
+      </div>
+    </div>
+  );
+}
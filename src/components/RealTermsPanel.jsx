@@ -0,0 +1,68 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { getCpiYears, deflator } from '../../inflation';
+import { formatWealth } from '../../wealth_scale';
+
+export function RealTermsControls({ t, dataset, baseYear, onChange }) {
+  const years = getCpiYears(dataset.country);
+  const factor = deflator(dataset.country, dataset.year, baseYear);
+
+  return (
+    <div className="p-3 bg-gray-50 rounded space-y-2 text-xs">
+      <label className="block">
+        {t('realTerms.baseYear')}:{' '}
+        <select value={baseYear} onChange={e => onChange(Number(e.target.value))} className="border rounded px-1 py-0.5">
+          {years.map(year => <option key={year} value={year}>{year}</option>)}
+        </select>
+      </label>
+      {factor !== null ? (
+        <p className="text-gray-600">
+          {t('realTerms.factor', {
+            year: String(dataset.year),
+            factor: t.number(factor, 3),
+            country: dataset.country,
+            baseYear: String(baseYear)
+          })}
+        </p>
+      ) : (
+        <p className="text-red-600">
+          {t('realTerms.noCpi', {
+            country: dataset.country || t('realTerms.thisDataset'),
+            year: dataset.year ? String(dataset.year) : t('realTerms.unknownYear')
+          })}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export function RealTermsChart({ t, series, baseYear, threshold, money = {} }) {
+  if (series.length < 2) {
+    return <p className="text-sm text-gray-600">{t('realTerms.needsTwoYears')}</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-gray-600">
+        {t('realTerms.chartHeading', { amount: formatWealth(threshold, money), year: String(baseYear) })}
+      </p>
+      <ResponsiveContainer width="100%" height={400}>
+        <LineChart data={series} margin={{ top: 20, right: 50, bottom: 20, left: 20 }}>
+          <XAxis dataKey="year" type="number" domain={['dataMin', 'dataMax']} allowDecimals={false} />
+          <YAxis yAxisId="left" tickFormatter={v => formatWealth(v * 1e12, money)} />
+          <YAxis yAxisId="right" orientation="right" domain={[0, 1]} tickFormatter={v => t.number(v, 2)} />
+          <Tooltip
+            formatter={(value, name, item) => [
+              item.dataKey === 'gini' ? t.number(value, 3) : formatWealth(value * 1e12, { ...money, digits: 2 }),
+              name
+            ]}
+            labelFormatter={year => `${year}`}
+          />
+          <Legend />
+          <Line yAxisId="left" type="monotone" dataKey="excess" stroke="#dc2626" strokeWidth={2} name={t('table.excess', { year: String(baseYear) })} />
+          <Line yAxisId="right" type="monotone" dataKey="gini" stroke="#4f46e5" strokeWidth={2} name={t('table.gini')} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Slider } from './ui/slider';
+import { REDISTRIBUTION_RULES, TARGET_SHARE_LIMITS, getRedistributionRule } from '../../redistribution';
+import { formatMoney } from '../../currency';
+
+// Labels are message keys in locales/*.json
+const METRIC_ROWS = [
+  { key: 'gini', label: 'redistribution.gini', format: (v, money, t) => t.number(v, 3) },
+  { key: 'palma', label: 'redistribution.palma', format: (v, money, t) => (v === Infinity ? '∞' : t.number(v, 2)) },
+  { key: 'topShare', label: 'redistribution.topShare', format: (v, money, t) => t('common.percent', { value: t.number(v * 100, 1) }) },
+  { key: 'median', label: 'redistribution.median', format: (v, money) => formatMoney(v, money) }
+];
+
+const percent = (t, share, digits) => t('common.percent', { value: t.number(share * 100, digits) });
+
+export function RedistributionControls({ t, settings, onChange }) {
+  const rule = getRedistributionRule(settings.rule);
+  const bottom = percent(t, settings.targetShare, 0);
+  return (
+    <div className="space-y-2">
+      <label className="block text-xs text-gray-600">
+        {t('redistribution.rule')}:{' '}
+        <select
+          value={rule.id}
+          onChange={e => onChange({ ...settings, rule: e.target.value })}
+          className="border rounded px-1 py-0.5"
+        >
+          {REDISTRIBUTION_RULES.map(r => (
+            <option key={r.id} value={r.id}>{t(`redistribution.rules.${r.id}.label`)}</option>
+          ))}
+        </select>
+      </label>
+      <p className="text-xs text-gray-500">{t(`redistribution.rules.${rule.id}.description`)}</p>
+      {rule.id === 'targeted' && (
+        <div>
+          <Slider
+            value={[settings.targetShare]}
+            min={TARGET_SHARE_LIMITS.min}
+            max={TARGET_SHARE_LIMITS.max}
+            step={0.01}
+            label={t('redistribution.targetShare')}
+            valueText={t('redistribution.bottom', { share: bottom })}
+            onValueChange={([val]) => onChange({ ...settings, targetShare: val })}
+          />
+          <div className="text-xs text-gray-600">{t('redistribution.bottomAdults', { share: bottom })}</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function RedistributionSummary({ t, result, money = {} }) {
+  return (
+    <div className="space-y-3">
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th>{t('common.metric')}</th>
+            <th>{t('redistribution.before')}</th>
+            <th>{t('redistribution.after')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {METRIC_ROWS.map(row => (
+            <tr key={row.key}>
+              <td>{t(row.label)}</td>
+              <td>{row.format(result.before[row.key], money, t)}</td>
+              <td>{row.format(result.after[row.key], money, t)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-600">
+        {t('redistribution.perCapita', { amount: formatMoney(result.excessPerCapita, money) })}
+        {result.floor !== null && <> · {t('redistribution.floor', { amount: formatMoney(result.floor, money) })}</>}
+      </p>
+      <ResponsiveContainer width="100%" height={260}>
+        <LineChart data={result.lorenz} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+          <XAxis dataKey="population" type="number" domain={[0, 1]} tickFormatter={p => percent(t, p, 0)} />
+          <YAxis domain={[0, 1]} tickFormatter={v => percent(t, v, 0)} />
+          <Tooltip
+            formatter={(value, name) => [percent(t, value, 1), name]}
+            labelFormatter={p => t('redistribution.bottomAdults', { share: percent(t, p, 0) })}
+          />
+          <Legend />
+          <Line type="linear" dataKey="population" stroke="#9ca3af" strokeDasharray="3 3" dot={false} name={t('chart.equality')} />
+          <Line type="monotone" dataKey="before" stroke="#ef4444" strokeWidth={2} dot={false} name={t('redistribution.lorenzBefore')} />
+          <Line type="monotone" dataKey="after" stroke="#10b981" strokeWidth={2} dot={false} name={t('redistribution.lorenzAfter')} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Button } from './ui/button';
+import { SCENARIO_COLOURS, buildOverlaySeries } from '../../scenarios';
+import { LOG_MIN_WEALTH, formatWealth, decadeTicks } from '../../wealth_scale';
+import { formatMoney } from '../../currency';
+
+const formatValue = (t, key, value, money) => {
+  if (value === null) return '—';
+  if (value === Infinity) return '∞';
+  if (key === 'gini') return t.number(value, 3);
+  if (key === 'excess') return formatWealth(value * 1e12, { ...money, digits: 2 });
+  if (key.startsWith('multiple:')) return `${t.number(value, 1)}×`;
+  return t.number(value, 2);
+};
+
+const formatDiff = (t, key, diff, money) => {
+  if (diff === null || !Number.isFinite(diff)) return '';
+  if (diff === 0) return '±0';
+  const sign = diff > 0 ? '+' : '−';
+  return `${sign}${formatValue(t, key, Math.abs(diff), money)}`;
+};
+
+const percent = (t, v, digits) => t('common.percent', { value: t.number(v * 100, digits) });
+
+export function ScenarioComparison({ t, comparison, logScale = false, money = {}, onLoad, onRemove, onClear }) {
+  const { results, rows } = comparison;
+  // Table values and the overlay's wealth axis are both in the comparison currency
+  const tableMoney = { ...money, currency: comparison.currency, from: comparison.currency };
+  const overlay = buildOverlaySeries(results, tableMoney);
+  const series = logScale ? overlay.filter(point => point.wealth > 0) : overlay;
+  const maxWealth = overlay.length > 0 ? overlay[overlay.length - 1].wealth : 0;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="font-medium">{t('scenarios.heading')}</p>
+        <Button onClick={onClear} variant="outline" size="sm">{t('scenarios.clear')}</Button>
+      </div>
+
+      <div className="space-y-1 text-sm">
+        {results.map((r, i) => (
+          <div key={i} className="flex items-center space-x-2">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: SCENARIO_COLOURS[i] }} />
+            <span className="flex-1">{String.fromCharCode(65 + i)}: {r.label}</span>
+            <Button onClick={() => onLoad(r.scenario)} variant="outline" size="sm">{t('common.load')}</Button>
+            <Button onClick={() => onRemove(i)} variant="outline" size="sm">{t('common.remove')}</Button>
+          </div>
+        ))}
+      </div>
+
+      <ResponsiveContainer width="100%" height={400}>
+        <LineChart data={series} margin={{ top: 20, right: 50, bottom: 20, left: 20 }}>
+          <XAxis
+            dataKey="wealth"
+            type="number"
+            scale={logScale ? 'log' : 'linear'}
+            domain={logScale ? [LOG_MIN_WEALTH, maxWealth] : [0, maxWealth]}
+            ticks={logScale ? decadeTicks(LOG_MIN_WEALTH, maxWealth) : undefined}
+            allowDataOverflow
+            tickFormatter={w => formatWealth(w, tableMoney)}
+          />
+          <YAxis domain={[0,1]} tickFormatter={v => percent(t, v, 0)} />
+          <Tooltip
+            formatter={(value, name) => [percent(t, value, 1), name]}
+            labelFormatter={w => t('chart.wealth', { amount: formatMoney(Number(w), tableMoney) })}
+          />
+          <Legend />
+          {results.map((r, i) => (
+            <Line
+              key={i}
+              type="monotone"
+              dataKey={`s${i}`}
+              stroke={SCENARIO_COLOURS[i]}
+              strokeWidth={2}
+              dot={false}
+              connectNulls={false}
+              name={`${String.fromCharCode(65 + i)}: ${r.label}`}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th>{t('common.metric')}</th>
+            {results.map((r, i) => (
+              <th key={i} style={{ color: SCENARIO_COLOURS[i] }}>
+                {i > 0 ? t('scenarios.versusFirst', { scenario: String.fromCharCode(65 + i) }) : String.fromCharCode(65 + i)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key}>
+              <td>{row.label}</td>
+              {row.values.map((value, i) => (
+                <td key={i}>
+                  {formatValue(t, row.key, value, tableMoney)}
+                  {i > 0 && row.diffs[i] !== null && (
+                    <span className="text-gray-500"> ({formatDiff(t, row.key, row.diffs[i], tableMoney)})</span>
+                  )}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
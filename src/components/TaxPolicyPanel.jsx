@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { Button } from './ui/button';
+import { validateTaxSchedule, calculateEffectiveRate } from '../../tax';
+import { formatWealth } from '../../wealth_scale';
+import { formatMoney, currencySymbol } from '../../currency';
+import { formatRange } from './BehaviourPanel';
+
+// Wealth levels for the effective-rate curve: ten points per decade from 100k
+const rateCurve = (schedule, maxWealth) => {
+  const points = [];
+  for (let exponent = 5; Math.pow(10, exponent) <= maxWealth * 1.0001; exponent += 0.1) {
+    const wealth = Math.pow(10, exponent);
+    points.push({ wealth, rate: calculateEffectiveRate(wealth, schedule) });
+  }
+  return points;
+};
+
+export function TaxScheduleEditor({ t, schedule, onChange, savedSchedules, onSave, onLoad, onDelete, currency }) {
+  const [name, setName] = useState('');
+  const errors = validateTaxSchedule(schedule, t);
+
+  const updateBracket = (index, key, value) => {
+    onChange(schedule.map((bracket, i) => (i === index ? { ...bracket, [key]: value } : bracket)));
+  };
+
+  const addBracket = () => {
+    const top = schedule.reduce((max, b) => Math.max(max, Number(b.threshold) || 0), 0);
+    onChange([...schedule, { threshold: top > 0 ? top * 10 : 1000000, rate: 0.01 }]);
+  };
+
+  const save = () => {
+    if (!name.trim() || errors.length > 0) return;
+    onSave(name.trim());
+    setName('');
+  };
+
+  return (
+    <div className="p-3 bg-gray-50 rounded space-y-2 text-xs">
+      <p className="font-medium">{t('tax.brackets')}</p>
+      {schedule.map((bracket, i) => (
+        <div key={i} className="flex items-center space-x-2">
+          <span>{t('tax.above', { symbol: currencySymbol(currency, t.formatLocale) })}</span>
+          <input
+            type="number"
+            min="0"
+            value={bracket.threshold / 1e6}
+            onChange={e => updateBracket(i, 'threshold', Number(e.target.value) * 1e6)}
+            className="border rounded px-1 w-24"
+          />
+          <span>{t('tax.millionsPay')}</span>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="0.1"
+            value={+(bracket.rate * 100).toFixed(4)}
+            onChange={e => updateBracket(i, 'rate', Number(e.target.value) / 100)}
+            className="border rounded px-1 w-16"
+          />
+          <span>{t('tax.percentPerYear')}</span>
+          <Button onClick={() => onChange(schedule.filter((_, j) => j !== i))} variant="outline" size="sm">{t('common.remove')}</Button>
+        </div>
+      ))}
+      <Button onClick={addBracket} variant="outline" size="sm">{t('tax.addBracket')}</Button>
+      {errors.length > 0 && (
+        <ul className="text-red-600 list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="flex items-center space-x-2 pt-2">
+        <input placeholder={t('tax.scheduleName')} value={name} onChange={e => setName(e.target.value)} className="border rounded px-1" />
+        <Button onClick={save} variant="secondary" size="sm" disabled={!name.trim() || errors.length > 0}>{t('tax.save')}</Button>
+      </div>
+      {savedSchedules.map(entry => (
+        <div key={entry.name} className="flex items-center space-x-2">
+          <span className="flex-1">{entry.name}</span>
+          <Button onClick={() => onLoad(entry)} variant="outline" size="sm">{t('common.load')}</Button>
+          <Button onClick={() => onDelete(entry.name)} variant="outline" size="sm">{t('common.delete')}</Button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function TaxResults({ t, tax, range, schedule, threshold, hardCapEuros, maxWealth, money = {} }) {
+  const yearsToMatch = tax.total > 0 ? hardCapEuros / tax.total : Infinity;
+  const perYear = amount => t('common.perYear', { amount });
+  const pct = (rate, digits) => t('common.percent', { value: t.number(rate * 100, digits) });
+
+  return (
+    <div className="space-y-3 text-sm">
+      <p>
+        <span className="text-gray-600">{t('tax.revenue')}:</span>{' '}
+        <strong className="text-red-600 text-xl">{range ? formatRange(t, range, money, true) : perYear(formatWealth(tax.total, { ...money, digits: 3 }))}</strong>
+        <br />
+        {range && (
+          <>
+            <span className="text-xs text-gray-600">{t('tax.noResponse', { amount: perYear(formatWealth(tax.total, { ...money, digits: 3 })) })}</span>
+            <br />
+          </>
+        )}
+        <span className="text-xs text-gray-600">{t('tax.paidBy', { count: Math.round(tax.taxpayers) })}</span>
+      </p>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th>{t('tax.bracket')}</th>
+            <th>{t('tax.rate')}</th>
+            <th>{t('tax.taxpayers')}</th>
+            <th>{t('tax.revenuePerYear')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {tax.brackets.map(b => (
+            <tr key={b.threshold}>
+              <td>{formatWealth(b.threshold, money)}{Number.isFinite(b.upper) ? `–${formatWealth(b.upper, money)}` : '+'}</td>
+              <td>{t('common.percent', { value: +(b.rate * 100).toFixed(2) })}</td>
+              <td>{t.number(Math.round(b.taxpayers))}</td>
+              <td>{formatWealth(b.revenue, money)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-600">
+        {t('tax.hardCap', { threshold: formatMoney(threshold, money), amount: formatWealth(hardCapEuros, { ...money, digits: 2 }) })}{' '}
+        {Number.isFinite(yearsToMatch)
+          ? t('tax.yearsToMatch', { years: t.number(yearsToMatch, 1) })
+          : t('tax.noRevenue')}
+      </p>
+      <ResponsiveContainer width="100%" height={220}>
+        <LineChart data={rateCurve(schedule, maxWealth)} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+          <XAxis dataKey="wealth" type="number" scale="log" domain={['dataMin', 'dataMax']} tickFormatter={w => formatWealth(w, money)} />
+          <YAxis tickFormatter={v => pct(v, 1)} />
+          <Tooltip
+            formatter={value => [pct(value, 2), t('tax.effectiveRate')]}
+            labelFormatter={w => t('chart.wealth', { amount: formatWealth(w, money) })}
+          />
+          <Line type="monotone" dataKey="rate" stroke="#4f46e5" strokeWidth={2} dot={false} name={t('tax.effectiveRate')} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
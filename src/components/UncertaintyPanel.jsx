@@ -0,0 +1,101 @@
+import React from 'react';
+import { Slider } from './ui/slider';
+import { formatMoney } from '../../currency';
+import { UNCERTAINTY_LIMITS } from '../../monte_carlo';
+import { interventionText } from '../../i18n';
+
+// Median with the 5–95% interval, e.g. "0.812 (0.790–0.833)"
+const formatInterval = (summary, format) => (summary && summary.median !== null
+  ? `${format(summary.median)} (${format(summary.low)}–${format(summary.high)})`
+  : '–');
+
+export function UncertaintyControls({ t, uncertainty, onChange }) {
+  const set = (key, value) => onChange({ ...uncertainty, [key]: value });
+  const error = value => t('common.plusMinus', { value: t.number(value * 100, 0) });
+
+  return (
+    <div className="p-3 bg-gray-50 rounded space-y-3 text-xs">
+      <p className="font-medium">{t('uncertainty.heading')}</p>
+      <div>
+        <Slider
+          value={[uncertainty.wealthError]}
+          min={UNCERTAINTY_LIMITS.wealthError.min}
+          max={UNCERTAINTY_LIMITS.wealthError.max}
+          step={0.01}
+          label={t('uncertainty.wealth')}
+          valueText={error(uncertainty.wealthError)}
+          onValueChange={([val]) => set('wealthError', val)}
+        />
+        <div className="text-gray-600">{t('uncertainty.wealthValue', { error: error(uncertainty.wealthError) })}</div>
+      </div>
+      <div>
+        <Slider
+          value={[uncertainty.alphaError]}
+          min={UNCERTAINTY_LIMITS.alphaError.min}
+          max={UNCERTAINTY_LIMITS.alphaError.max}
+          step={0.01}
+          label={t('uncertainty.alpha')}
+          valueText={error(uncertainty.alphaError)}
+          onValueChange={([val]) => set('alphaError', val)}
+        />
+        <div className="text-gray-600">{t('uncertainty.alphaValue', { error: error(uncertainty.alphaError) })}</div>
+      </div>
+      <div>
+        <Slider
+          value={[uncertainty.costError]}
+          min={UNCERTAINTY_LIMITS.costError.min}
+          max={UNCERTAINTY_LIMITS.costError.max}
+          step={0.01}
+          label={t('uncertainty.cost')}
+          valueText={error(uncertainty.costError)}
+          onValueChange={([val]) => set('costError', val)}
+        />
+        <div className="text-gray-600">{t('uncertainty.costValue', { error: error(uncertainty.costError) })}</div>
+      </div>
+      <div>
+        <Slider
+          value={[uncertainty.runs]}
+          min={UNCERTAINTY_LIMITS.runs.min}
+          max={UNCERTAINTY_LIMITS.runs.max}
+          step={1}
+          label={t('uncertainty.runs')}
+          onValueChange={([val]) => set('runs', val)}
+        />
+        <div className="text-gray-600">{t('uncertainty.runsValue', { runs: uncertainty.runs })}</div>
+      </div>
+    </div>
+  );
+}
+
+export function UncertaintySummary({ t, result, running, error, interventions, money = {} }) {
+  if (error) return <p className="text-xs text-red-600">{t('uncertainty.failed', { error })}</p>;
+  if (!result) return <p className="text-xs text-gray-600">{t(running ? 'uncertainty.running' : 'uncertainty.none')}</p>;
+
+  const rows = [
+    { label: t('metrics.excess'), value: formatInterval(result.excess, v => formatMoney(v * 1e12, { ...money, compact: true, digits: 2 })) },
+    { label: t('table.gini'), value: formatInterval(result.gini, v => t.number(v, 3)) },
+    { label: t('uncertainty.palma'), value: formatInterval(result.palma, v => t.number(v, 1)) },
+    ...interventions.map(i => ({
+      label: interventionText(t, i, 'label'),
+      value: formatInterval(result.multiples[i.id], v => `${t.number(v, 1)}×`)
+    }))
+  ];
+
+  return (
+    <div className={`mt-4 p-3 bg-gray-50 rounded text-xs ${running ? 'opacity-60' : ''}`}>
+      <p className="font-medium mb-2">
+        {t('uncertainty.summary', { runs: result.runs })}{running ? ` – ${t('uncertainty.updating')}` : ''}
+      </p>
+      <table className="w-full">
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.label}>
+              <td className="text-gray-600">{row.label}</td>
+              <td>{row.value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React from 'react';
+import { Slider } from './ui/slider';
+import { UTILITY_MODELS, getUtilityModel, normalizeModelParams } from '../../utility_models';
+import { utilityModelText } from '../../i18n';
+
+export function UtilityModelControls({ t, modelId, params, onChange }) {
+  const model = getUtilityModel(modelId);
+
+  const selectModel = e => {
+    const id = e.target.value;
+    onChange(id, normalizeModelParams(id));
+  };
+
+  const setParam = (key, value) => onChange(model.id, { ...params, [key]: value });
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm text-gray-600">
+        {t('utilityModels.heading')}:{' '}
+        <select value={model.id} onChange={selectModel} className="border rounded px-1 py-0.5">
+          {UTILITY_MODELS.map(m => (
+            <option key={m.id} value={m.id}>{utilityModelText(t, m, 'label')}</option>
+          ))}
+        </select>
+      </label>
+      <p className="text-xs text-gray-500">{utilityModelText(t, model, 'description')}</p>
+      {model.params.map(param => (
+        <div key={param.key}>
+          <Slider
+            value={[params[param.key]]}
+            min={param.min}
+            max={param.max}
+            step={param.step}
+            label={utilityModelText(t, model, 'label', param)}
+            onValueChange={([val]) => setParam(param.key, val)}
+          />
+          <div className="text-xs text-gray-600">{utilityModelText(t, model, 'label', param)}: {t.number(params[param.key])}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
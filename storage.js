@@ -0,0 +1,55 @@
+// storage.js - Reads and writes saved settings in localStorage, falling back when it is missing or broken
+
+/**
+ * The browser's localStorage, or null outside a browser
+ * Reading window.localStorage throws a SecurityError when the browser blocks storage
+ * (e.g. disabled cookies); that is logged and treated like no storage.
+ * @returns {Storage|null} - Default storage backend
+ */
+export function browserStorage() {
+  if (typeof window === 'undefined') return null;
+  try {
+    return window.localStorage;
+  } catch (error) {
+    console.error('Error opening localStorage:', error);
+    return null;
+  }
+}
+
+/**
+ * Read a stored value
+ * Nothing stored, no storage backend, unparseable JSON and errors thrown by `read` all give
+ * `fallback`; errors are logged as "Error loading <label>".
+ * @param {Storage|null} storage - Storage backend
+ * @param {string} key - Storage key
+ * @param {Object} options - { fallback, label, read, raw } where `read` turns the parsed value
+ *   into the result (e.g. drops invalid entries) and `raw` skips JSON parsing
+ * @returns {*} - Result of `read`, or `fallback`
+ */
+export function loadStored(storage, key, { fallback, label, read = value => value, raw = false }) {
+  if (!storage) return fallback;
+  try {
+    const stored = storage.getItem(key);
+    if (stored === null || stored === undefined) return fallback;
+    return read(raw ? stored : JSON.parse(stored));
+  } catch (error) {
+    console.error(`Error loading ${label}:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Write a value to storage, logging "Error saving <label>" when storage is full or blocked
+ * @param {Storage|null} storage - Storage backend
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store, as JSON unless `raw`
+ * @param {Object} options - { label, raw }
+ */
+export function saveStored(storage, key, value, { label, raw = false }) {
+  if (!storage) return;
+  try {
+    storage.setItem(key, raw ? String(value) : JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error saving ${label}:`, error);
+  }
+}
@@ -0,0 +1,66 @@
+// storage.test.js - Unit tests for reading and writing saved settings
+
+import { browserStorage, loadStored, saveStored } from './storage';
+import { createStorage } from './test_fixtures';
+
+describe('loadStored and saveStored', () => {
+  test('should round-trip JSON and raw values', () => {
+    const storage = createStorage();
+    saveStored(storage, 'list', [1, 2], { label: 'list' });
+    saveStored(storage, 'word', 'de', { label: 'word', raw: true });
+    expect(storage.getItem('list')).toBe('[1,2]');
+    expect(loadStored(storage, 'list', { fallback: [], label: 'list' })).toEqual([1, 2]);
+    expect(loadStored(storage, 'word', { fallback: 'en', label: 'word', raw: true })).toBe('de');
+  });
+
+  test('should pass the stored value through read', () => {
+    const storage = createStorage();
+    saveStored(storage, 'list', [1, -2, 3], { label: 'list' });
+    expect(loadStored(storage, 'list', { fallback: [], label: 'list', read: list => list.filter(n => n > 0) })).toEqual([1, 3]);
+  });
+
+  test('should fall back when nothing usable is stored', () => {
+    const storage = createStorage();
+    expect(loadStored(storage, 'missing', { fallback: 'none', label: 'missing', read: () => 'read' })).toBe('none');
+    expect(loadStored(null, 'missing', { fallback: 'none', label: 'missing' })).toBe('none');
+    expect(browserStorage()).toBeNull();
+    saveStored(null, 'missing', 1, { label: 'missing' });
+  });
+
+  test('should treat blocked localStorage as no storage', () => {
+    const errors = [];
+    const original = console.error;
+    console.error = (...args) => errors.push(args[0]);
+    globalThis.window = {
+      get localStorage() {
+        throw new Error('SecurityError');
+      }
+    };
+    try {
+      expect(browserStorage()).toBeNull();
+    } finally {
+      delete globalThis.window;
+      console.error = original;
+    }
+    expect(errors).toEqual(['Error opening localStorage:']);
+  });
+
+  test('should log and fall back on broken JSON, failing reads and full storage', () => {
+    const errors = [];
+    const original = console.error;
+    console.error = (...args) => errors.push(args[0]);
+    try {
+      const storage = createStorage();
+      storage.setItem('list', '{not json');
+      expect(loadStored(storage, 'list', { fallback: [], label: 'list' })).toEqual([]);
+      saveStored(storage, 'ok', {}, { label: 'ok' });
+      expect(loadStored(storage, 'ok', { fallback: 'none', label: 'ok', read: () => { throw new Error('bad'); } })).toBe('none');
+
+      const full = { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); } };
+      saveStored(full, 'list', [1], { label: 'list' });
+    } finally {
+      console.error = original;
+    }
+    expect(errors).toEqual(['Error loading list:', 'Error loading ok:', 'Error saving list:']);
+  });
+});
@@ -0,0 +1,157 @@
+// tax.js - Progressive wealth-tax schedules as an alternative to the hard cap
+
+import { isDistribution } from './distribution';
+import { browserStorage, loadStored, saveStored } from './storage';
+import { DEFAULT_LOCALE_ID, createTranslator } from './i18n';
+
+const STORAGE_KEY = 'wealth-app:tax-schedules';
+
+// Example schedule: 2% above €50M and 3% above €1B
+export const DEFAULT_TAX_SCHEDULE = [
+  { threshold: 50000000, rate: 0.02 },
+  { threshold: 1000000000, rate: 0.03 }
+];
+
+/**
+ * Check a tax schedule for problems the editor should report
+ * @param {Array<Object>} schedule - Brackets ({ threshold, rate })
+ * @param {Function} [t] - Translator for the messages (English by default)
+ * @returns {Array<string>} - Human-readable problems; empty when valid
+ */
+export function validateTaxSchedule(schedule, t = createTranslator(DEFAULT_LOCALE_ID)) {
+  if (!Array.isArray(schedule) || schedule.length === 0) return [t('tax.errors.empty')];
+  const errors = [];
+  schedule.forEach((bracket, i) => {
+    if (!(Number(bracket.threshold) >= 0)) errors.push(t('tax.errors.threshold', { bracket: String(i + 1) }));
+    if (!(Number(bracket.rate) >= 0 && Number(bracket.rate) <= 1)) errors.push(t('tax.errors.rate', { bracket: String(i + 1) }));
+  });
+  const thresholds = schedule.map(b => Number(b.threshold));
+  if (new Set(thresholds).size !== thresholds.length) errors.push(t('tax.errors.duplicate'));
+  return errors;
+}
+
+/**
+ * Sort brackets by threshold and coerce values to numbers
+ * Invalid brackets are dropped, as are later duplicates of a threshold.
+ * @param {Array<Object>} schedule - Brackets ({ threshold, rate })
+ * @returns {Array<Object>} - Clean schedule, lowest threshold first
+ */
+export function normalizeTaxSchedule(schedule) {
+  if (!Array.isArray(schedule)) return [];
+  const seen = new Set();
+  return schedule
+    .map(b => ({ threshold: Number(b.threshold), rate: Number(b.rate) }))
+    .filter(b => b.threshold >= 0 && b.rate >= 0 && b.rate <= 1)
+    .filter(b => (seen.has(b.threshold) ? false : seen.add(b.threshold)))
+    .sort((a, b) => a.threshold - b.threshold);
+}
+
+/**
+ * Annual tax owed on a given wealth under marginal brackets
+ * Each rate applies to the slice of wealth between its threshold and the next one.
+ * @param {number} wealth - Individual wealth
+ * @param {Array<Object>} schedule - Brackets ({ threshold, rate })
+ * @returns {number} - Tax in euros per year
+ */
+export function calculateTaxOwed(wealth, schedule) {
+  const brackets = normalizeTaxSchedule(schedule);
+  return brackets.reduce((tax, bracket, i) => {
+    const upper = i + 1 < brackets.length ? brackets[i + 1].threshold : Infinity;
+    return tax + bracket.rate * Math.max(0, Math.min(wealth, upper) - bracket.threshold);
+  }, 0);
+}
+
+/**
+ * Average tax rate paid at a given wealth
+ * @param {number} wealth - Individual wealth
+ * @param {Array<Object>} schedule - Brackets ({ threshold, rate })
+ * @returns {number} - Tax owed as a share of wealth (0 for zero wealth)
+ */
+export function calculateEffectiveRate(wealth, schedule) {
+  return wealth > 0 ? calculateTaxOwed(wealth, schedule) / wealth : 0;
+}
+
+/**
+ * Annual revenue of a tax schedule applied to a fitted distribution
+ * The taxable base of a bracket is the wealth held between its threshold and the next,
+ * i.e. excessAbove(threshold) − excessAbove(next threshold).
+ * @param {Object} distribution - Fitted distribution from distribution.js
+ * @param {Array<Object>} schedule - Brackets ({ threshold, rate })
+ * @returns {Object} - { total, taxpayers, brackets: [{ threshold, upper, rate, taxpayers, base, revenue }] } in euros
+ */
+export function calculateTaxRevenue(distribution, schedule) {
+  const empty = { total: 0, taxpayers: 0, brackets: [] };
+  if (!isDistribution(distribution)) return empty;
+  try {
+    const normalized = normalizeTaxSchedule(schedule);
+    const brackets = normalized.map((bracket, i) => {
+      const upper = i + 1 < normalized.length ? normalized[i + 1].threshold : Infinity;
+      const base = distribution.excessAbove(bracket.threshold) - (Number.isFinite(upper) ? distribution.excessAbove(upper) : 0);
+      return {
+        ...bracket,
+        upper,
+        taxpayers: distribution.populationAbove(bracket.threshold),
+        base,
+        revenue: bracket.rate * base
+      };
+    });
+    return {
+      total: brackets.reduce((sum, b) => sum + b.revenue, 0),
+      // Anyone above the lowest taxed threshold pays something
+      taxpayers: brackets.find(b => b.rate > 0)?.taxpayers || 0,
+      brackets
+    };
+  } catch (error) {
+    console.error('Error calculating tax revenue:', error);
+    return empty;
+  }
+}
+
+/**
+ * Encode a schedule for the URL, e.g. "50000000:0.02,1000000000:0.03"
+ * @param {Array<Object>} schedule - Brackets ({ threshold, rate })
+ * @returns {string} - Compact threshold:rate list
+ */
+export function encodeTaxSchedule(schedule) {
+  return normalizeTaxSchedule(schedule).map(b => `${b.threshold}:${b.rate}`).join(',');
+}
+
+/**
+ * Decode a schedule from the URL
+ * @param {string|null} encoded - Value produced by encodeTaxSchedule
+ * @returns {Array<Object>} - Schedule, or the default schedule when nothing usable is encoded
+ */
+export function decodeTaxSchedule(encoded) {
+  const schedule = normalizeTaxSchedule((encoded || '').split(',').map(pair => {
+    const [threshold, rate] = pair.split(':');
+    const number = value => (value === undefined || value.trim() === '' ? NaN : Number(value));
+    return { threshold: number(threshold), rate: number(rate) };
+  }));
+  return schedule.length > 0 ? schedule : DEFAULT_TAX_SCHEDULE;
+}
+
+/**
+ * Read saved, named tax schedules from localStorage
+ * @param {Storage} [storage] - Storage backend (defaults to window.localStorage)
+ * @returns {Array<Object>} - Entries ({ name, schedule })
+ */
+export function loadSavedTaxSchedules(storage = browserStorage()) {
+  return loadStored(storage, STORAGE_KEY, {
+    fallback: [],
+    label: 'tax schedules',
+    read: stored => (Array.isArray(stored)
+      ? stored
+        .filter(entry => entry && entry.name && validateTaxSchedule(entry.schedule).length === 0)
+        .map(entry => ({ name: String(entry.name), schedule: normalizeTaxSchedule(entry.schedule) }))
+      : [])
+  });
+}
+
+/**
+ * Persist named tax schedules to localStorage
+ * @param {Array<Object>} schedules - Entries ({ name, schedule })
+ * @param {Storage} [storage] - Storage backend (defaults to window.localStorage)
+ */
+export function saveTaxSchedules(schedules, storage = browserStorage()) {
+  saveStored(storage, STORAGE_KEY, schedules, { label: 'tax schedules' });
+}
@@ -0,0 +1,100 @@
+// tax.test.js - Unit tests for progressive wealth-tax schedules
+
+import {
+  DEFAULT_TAX_SCHEDULE,
+  validateTaxSchedule,
+  normalizeTaxSchedule,
+  calculateTaxOwed,
+  calculateEffectiveRate,
+  calculateTaxRevenue,
+  encodeTaxSchedule,
+  decodeTaxSchedule,
+  loadSavedTaxSchedules,
+  saveTaxSchedules
+} from './tax';
+import { fitDistribution } from './distribution';
+import { processWealthData } from './calculations';
+import wealthPercentiles from './data/wealth-percentiles.json';
+import { createStorage } from './test_fixtures';
+
+const schedule = [
+  { threshold: 1000000, rate: 0.01 },
+  { threshold: 10000000, rate: 0.02 }
+];
+
+describe('schedules', () => {
+  test('should report invalid brackets', () => {
+    expect(validateTaxSchedule(DEFAULT_TAX_SCHEDULE)).toEqual([]);
+    expect(validateTaxSchedule([])).toEqual(['Add at least one bracket']);
+    expect(validateTaxSchedule([{ threshold: -1, rate: 0.02 }, { threshold: 5, rate: 2 }])).toHaveLength(2);
+    expect(validateTaxSchedule([{ threshold: 5, rate: 0.01 }, { threshold: 5, rate: 0.02 }])).toEqual(['Two brackets start at the same threshold']);
+  });
+
+  test('should sort and clean brackets', () => {
+    expect(normalizeTaxSchedule([{ threshold: '10', rate: '0.02' }, { threshold: 5, rate: 0.01 }, { threshold: 5, rate: 0.5 }, { threshold: 1, rate: -1 }]))
+      .toEqual([{ threshold: 5, rate: 0.01 }, { threshold: 10, rate: 0.02 }]);
+  });
+});
+
+describe('calculateTaxOwed', () => {
+  test('should apply each rate to its own slice of wealth', () => {
+    expect(calculateTaxOwed(500000, schedule)).toBe(0);
+    expect(calculateTaxOwed(5000000, schedule)).toBeCloseTo(0.01 * 4000000, 6);
+    expect(calculateTaxOwed(20000000, schedule)).toBeCloseTo(0.01 * 9000000 + 0.02 * 10000000, 6);
+  });
+
+  test('should give an effective rate that rises towards the top rate', () => {
+    const rates = [2e6, 2e7, 2e8, 2e9].map(w => calculateEffectiveRate(w, schedule));
+    rates.slice(1).forEach((rate, i) => expect(rate).toBeGreaterThan(rates[i]));
+    expect(rates[3]).toBeLessThan(0.02);
+    expect(calculateEffectiveRate(0, schedule)).toBe(0);
+  });
+});
+
+describe('calculateTaxRevenue', () => {
+  const distribution = fitDistribution(wealthPercentiles, { population: 1e6 });
+
+  test('should split revenue between brackets', () => {
+    const result = calculateTaxRevenue(distribution, schedule);
+    expect(result.brackets).toHaveLength(2);
+    expect(result.total).toBeCloseTo(result.brackets[0].revenue + result.brackets[1].revenue, 0);
+    expect(result.brackets[1].base).toBeCloseTo(distribution.excessAbove(10000000), 0);
+    expect(result.brackets[0].base).toBeCloseTo(distribution.excessAbove(1000000) - distribution.excessAbove(10000000), 0);
+    expect(result.taxpayers).toBeCloseTo(distribution.populationAbove(1000000), 6);
+    expect(result.brackets[1].taxpayers).toBeCloseTo(distribution.populationAbove(10000000), 6);
+  });
+
+  test('should equal the hard-cap excess for a 100% rate at the cap', () => {
+    const result = calculateTaxRevenue(distribution, [{ threshold: 1000000, rate: 1 }]);
+    expect(result.total / distribution.excessAbove(1000000)).toBeCloseTo(1, 9);
+  });
+
+  test('should ignore data that is not a distribution', () => {
+    expect(calculateTaxRevenue([1, 2, 3], schedule).total).toBe(0);
+  });
+
+  test('should be added to processWealthData when a schedule is given', () => {
+    const { metrics } = processWealthData(wealthPercentiles, 1000000, { population: 1e6, taxSchedule: schedule });
+    expect(metrics.tax.total).toBeCloseTo(calculateTaxRevenue(distribution, schedule).total, 0);
+    expect(processWealthData(wealthPercentiles, 1000000, { population: 1e6 }).metrics.tax).toBeNull();
+  });
+});
+
+describe('sharing and saving', () => {
+  test('should round-trip schedules through the URL format', () => {
+    expect(encodeTaxSchedule(schedule)).toBe('1000000:0.01,10000000:0.02');
+    expect(decodeTaxSchedule(encodeTaxSchedule(schedule))).toEqual(schedule);
+  });
+
+  test('should fall back to the default schedule for unusable values', () => {
+    expect(decodeTaxSchedule(null)).toEqual(DEFAULT_TAX_SCHEDULE);
+    expect(decodeTaxSchedule('abc,5:')).toEqual(DEFAULT_TAX_SCHEDULE);
+  });
+
+  test('should persist named schedules', () => {
+    const storage = createStorage();
+    saveTaxSchedules([{ name: 'Two-tier', schedule }, { name: 'Broken', schedule: [] }], storage);
+    expect(loadSavedTaxSchedules(storage)).toEqual([{ name: 'Two-tier', schedule }]);
+    expect(loadSavedTaxSchedules(null)).toEqual([]);
+  });
+});
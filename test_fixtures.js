@@ -0,0 +1,13 @@
+// test_fixtures.js - Shared stand-ins for the unit tests
+
+/**
+ * Minimal in-memory stand-in for window.localStorage
+ * @returns {Object} - { getItem, setItem } storing values as strings
+ */
+export const createStorage = () => {
+  const items = {};
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); }
+  };
+};
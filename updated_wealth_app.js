@@ -1,211 +1,845 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, ReferenceLine, ReferenceArea } from 'recharts';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { ComposedChart, Line, Area, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, ReferenceLine, ReferenceArea } from 'recharts';
 import { Slider } from '@/components/ui/slider';
 import { Card, CardContent } from '@/components/ui/card';
 import { Checkbox } from '@/components/ui/checkbox';
 import { Button } from '@/components/ui/button';
-import { processWealthData } from './calculations';
-
-// Sample wealth data - replace with real percentile data
-const wealthData = [
-  { wealth: 0 }, { wealth: 10000 }, { wealth: 25000 }, { wealth: 50000 },
-  { wealth: 75000 }, { wealth: 100000 }, { wealth: 150000 }, { wealth: 200000 },
-  { wealth: 300000 }, { wealth: 500000 }, { wealth: 750000 }, { wealth: 1000000 },
-  { wealth: 1500000 }, { wealth: 2500000 }, { wealth: 5000000 }, { wealth: 10000000 },
-  { wealth: 25000000 }, { wealth: 50000000 }, { wealth: 100000000 }, { wealth: 500000000 }
+import { UtilityModelControls } from '@/components/UtilityModelControls';
+import { InterventionEditor } from '@/components/InterventionEditor';
+import { SimulationControls, FundingSimulationChart, describeSimulation } from '@/components/FundingSimulation';
+import { DatasetPicker } from '@/components/DatasetPicker';
+import { ImportPanel } from '@/components/ImportPanel';
+import { ScenarioComparison } from '@/components/ScenarioComparison';
+import { RedistributionControls, RedistributionSummary } from '@/components/RedistributionPanel';
+import { LorenzChart, WealthShareChart } from '@/components/InequalityCharts';
+import { TaxScheduleEditor, TaxResults } from '@/components/TaxPolicyPanel';
+import { BehaviourPanel, formatRange } from '@/components/BehaviourPanel';
+import { CurrencyPanel } from '@/components/CurrencyPanel';
+import { RealTermsControls, RealTermsChart } from '@/components/RealTermsPanel';
+import { UncertaintyControls, UncertaintySummary } from '@/components/UncertaintyPanel';
+import { ExportMenu } from '@/components/ExportMenu';
+import { ChartDataTable } from '@/components/ChartDataTable';
+import { GoalSeekPanel } from '@/components/GoalSeekPanel';
+import { processWealthData, hasPercentiles } from './calculations';
+import { fitDistribution } from './distribution';
+import { getUtilityModel } from './utility_models';
+import {
+  getBuiltInInterventions,
+  loadCustomInterventions,
+  saveCustomInterventions,
+  calculateInterventionMultiple,
+  convertInterventionCost,
+  formatInterventionCost
+} from './interventions';
+import { simulateFunding } from './simulation';
+import { DEFAULT_DATASET_ID, listDatasets, getDataset, getDatasetMaxWealth } from './datasets';
+import { loadImportedDatasets, saveImportedDatasets } from './data_import';
+import { normalizeTaxSchedule, loadSavedTaxSchedules, saveTaxSchedules } from './tax';
+import { startMonteCarloWorker } from './monte_carlo';
+import { formatMoney, convertMoney, currencySymbol, loadExchangeRates, saveExchangeRates } from './currency';
+import { getCpiYears, canDeflate, toRealTerms, costInBaseYear, realTermsSeries } from './inflation';
+import { LOG_MIN_WEALTH, LOG_SLIDER_STEPS, formatWealth, decadeTicks, wealthToSlider, sliderToWealth, sliderStepsPerDecade } from './wealth_scale';
+import { MAX_SCENARIOS, createScenario, pinScenario, compareScenarios } from './scenarios';
+import { createDefaultViewState, encodeViewState, decodeViewState } from './url_state';
+import { LOCALES, createTranslator, interventionText, interventionSource, utilityModelText, loadLocale, saveLocale } from './i18n';
+import { buildShareCard, renderShareCard, shareMessage } from './share_card';
+import { chartTable, thresholdAnnouncement } from './chart_table';
+import { THRESHOLD_DEBOUNCE_MS, workerInput, createWealthPipeline } from './wealth_pipeline';
+import { solveThreshold } from './goal_seek';
+import { dataPointsToCsv, exportFileName, buildExportDocument, buildReport, serializeChart, chartToPng, downloadFile, printReport } from './export';
+
+// Labels are message keys in locales/*.json
+const CHART_TABS = [
+  { id: 'utility', label: 'tabs.utility' },
+  { id: 'lorenz', label: 'tabs.lorenz' },
+  { id: 'shares', label: 'tabs.shares' },
+  // Only offered in real terms, where years can be compared
+  { id: 'time', label: 'tabs.time', realTerms: true }
 ];
 
 export default function WealthInequalityApp() {
-  // Read initial settings from URL params
-  const urlParams = new URLSearchParams(window.location.search);
-  const initialThreshold = Number(urlParams.get('plateau')) || 200000;
-  const initialInterventions = urlParams.get('interventions')?.split(',') || ['healthcare', 'homelessness'];
+  const [importedDatasets, setImportedDatasets] = useState(() => loadImportedDatasets());
+  const [customInterventions, setCustomInterventions] = useState(() => loadCustomInterventions());
+  const interventions = useMemo(
+    () => [...getBuiltInInterventions(), ...customInterventions],
+    [customInterventions]
+  );
+  // Read initial settings from the URL; anything unusable is reported once and replaced by defaults
+  const [initialView] = useState(() => decodeViewState(window.location.search, { interventions, importedDatasets }));
+  const initial = initialView.state;
 
   // State
-  const [threshold, setThreshold] = useState(initialThreshold);
-  const [showHomelessness, setShowHomelessness] = useState(initialInterventions.includes('homelessness'));
-  const [showHealthcare, setShowHealthcare] = useState(initialInterventions.includes('healthcare'));
-  const [showPoverty, setShowPoverty] = useState(initialInterventions.includes('poverty'));
-  const [showEducation, setShowEducation] = useState(initialInterventions.includes('education'));
-  const [showReality, setShowReality] = useState(false);
-  const [showMetrics, setShowMetrics] = useState(false);
+  const [threshold, setThreshold] = useState(initial.threshold);
+  const [datasetId, setDatasetId] = useState(initial.datasetId);
+  const [showImport, setShowImport] = useState(false);
+  const [showGoalSeek, setShowGoalSeek] = useState(false);
+  const [selectedInterventions, setSelectedInterventions] = useState(initial.interventions);
+  const [showReality, setShowReality] = useState(initial.showReality);
+  const [showMetrics, setShowMetrics] = useState(initial.showMetrics);
+  const [utilityModel, setUtilityModel] = useState(initial.utilityModel);
+  const [utilityParams, setUtilityParams] = useState(initial.utilityParams);
+  const [showSimulation, setShowSimulation] = useState(initial.showSimulation);
+  const [simulationAssumptions, setSimulationAssumptions] = useState(initial.simulationAssumptions);
+  const [redistribution, setRedistribution] = useState(initial.redistribution);
+  const [chartTab, setChartTab] = useState(initial.chartTab);
+  const [logScale, setLogScale] = useState(initial.logScale);
+  const [showPercentileAxis, setShowPercentileAxis] = useState(initial.showPercentileAxis);
+  const [taxMode, setTaxMode] = useState(initial.taxMode);
+  const [taxSchedule, setTaxSchedule] = useState(initial.taxSchedule);
+  const [savedTaxSchedules, setSavedTaxSchedules] = useState(() => loadSavedTaxSchedules());
+  const [behaviourAssumptions, setBehaviourAssumptions] = useState(initial.behaviourAssumptions);
+  const [showBehaviour, setShowBehaviour] = useState(initial.showBehaviour);
+  const [showUncertainty, setShowUncertainty] = useState(initial.showUncertainty);
+  const [uncertainty, setUncertainty] = useState(initial.uncertainty);
+  const [monteCarlo, setMonteCarlo] = useState({ result: null, running: false, error: null });
+  // Display currency; null follows the dataset's own currency
+  const [displayCurrency, setDisplayCurrency] = useState(initial.displayCurrency);
+  const [conversionMode, setConversionMode] = useState(initial.conversionMode);
+  const [exchangeRates, setExchangeRates] = useState(() => loadExchangeRates());
+  const [showCurrency, setShowCurrency] = useState(initial.showCurrency);
+  // Base year for real terms; null shows nominal values
+  const [realBaseYear, setRealBaseYear] = useState(initial.realBaseYear);
+  const [locale, setLocale] = useState(() => loadLocale());
+  const [pinnedScenarios, setPinnedScenarios] = useState(initial.pinnedScenarios);
+  const [urlWarnings, setUrlWarnings] = useState(initialView.warnings);
+  // Accessibility preferences, left out of shared links
+  const [showTable, setShowTable] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
 
   // Update URL on state change
   useEffect(() => {
-    const params = new URLSearchParams();
-    params.set('plateau', threshold);
-    const active = [];
-    if (showHealthcare) active.push('healthcare');
-    if (showHomelessness) active.push('homelessness');
-    if (showPoverty) active.push('poverty');
-    if (showEducation) active.push('education');
-    if (active.length > 0) params.set('interventions', active.join(','));
+    const query = encodeViewState({
+      threshold,
+      datasetId,
+      interventions: selectedInterventions,
+      utilityModel,
+      utilityParams,
+      showReality,
+      showMetrics,
+      showSimulation,
+      taxMode,
+      showBehaviour,
+      showUncertainty,
+      showCurrency,
+      logScale,
+      showPercentileAxis,
+      chartTab,
+      taxSchedule,
+      simulationAssumptions,
+      redistribution,
+      behaviourAssumptions,
+      uncertainty,
+      displayCurrency,
+      conversionMode,
+      realBaseYear,
+      pinnedScenarios
+    });
     
-    const newUrl = `${window.location.pathname}?${params.toString()}`;
+    const newUrl = `${window.location.pathname}?${query}`;
     window.history.replaceState({}, '', newUrl);
-  }, [threshold, showHomelessness, showHealthcare, showPoverty, showEducation]);
+  }, [threshold, datasetId, selectedInterventions, utilityModel, utilityParams, showReality, showMetrics, showSimulation, taxMode, showBehaviour, showUncertainty, showCurrency, logScale, showPercentileAxis, chartTab, taxSchedule, simulationAssumptions, redistribution, behaviourAssumptions, uncertainty, displayCurrency, conversionMode, realBaseYear, pinnedScenarios]);
+
+  // Keep user-defined interventions across visits
+  useEffect(() => {
+    saveCustomInterventions(customInterventions);
+  }, [customInterventions]);
+
+  // Keep named tax schedules across visits
+  useEffect(() => {
+    saveTaxSchedules(savedTaxSchedules);
+  }, [savedTaxSchedules]);
+
+  // Keep edited exchange rates across visits
+  useEffect(() => {
+    saveExchangeRates(exchangeRates);
+  }, [exchangeRates]);
+
+  // Keep the chosen language across visits
+  useEffect(() => {
+    saveLocale(locale);
+  }, [locale]);
+
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  // Selected dataset, rescaled to base-year prices in real terms (the threshold is read in those prices)
+  const dataset = useMemo(() => {
+    const selected = getDataset(datasetId, importedDatasets);
+    const real = realBaseYear ? toRealTerms({ dataset: selected }, realBaseYear) : null;
+    return real ? real.dataset : selected;
+  }, [datasetId, importedDatasets, realBaseYear]);
+  const maxWealth = useMemo(() => getDatasetMaxWealth(dataset), [dataset]);
+
+  // Amounts are computed in the dataset's currency and converted only for display
+  const money = useMemo(() => ({
+    currency: displayCurrency || dataset.currency,
+    from: dataset.currency,
+    rates: exchangeRates,
+    mode: conversionMode,
+    locale: t.formatLocale
+  }), [displayCurrency, dataset, exchangeRates, conversionMode, t]);
+
+  const processingOptions = useMemo(() => ({
+    population: dataset.population,
+    utilityModel,
+    utilityParams,
+    // Before/after metrics are only shown with the metrics panel
+    redistribution: showMetrics ? redistribution : null,
+    taxSchedule: taxMode ? taxSchedule : null,
+    behaviour: behaviourAssumptions
+  }), [dataset, utilityModel, utilityParams, showMetrics, redistribution, taxMode, taxSchedule, behaviourAssumptions]);
+
+  // Small datasets are processed on every slider tick; large ones in a worker once the slider rests
+  const workerData = useMemo(() => workerInput(dataset), [dataset]);
+  const largeDataset = workerData !== null;
+  const [pipeline, setPipeline] = useState({ status: 'idle', result: null, error: null });
+  const pipelineRef = useRef(null);
+
+  // Hand a large dataset to a new worker, which sorts it once
+  useEffect(() => {
+    if (!largeDataset) return undefined;
+    const worker = createWealthPipeline(update => setPipeline(current => ({ ...current, ...update })));
+    pipelineRef.current = worker;
+    worker.load(workerData);
+    return () => {
+      worker.terminate();
+      pipelineRef.current = null;
+      setPipeline({ status: 'idle', result: null, error: null });
+    };
+  }, [largeDataset, workerData]);
+
+  useEffect(() => {
+    if (!largeDataset) return undefined;
+    const timer = setTimeout(() => {
+      if (pipelineRef.current) pipelineRef.current.process(threshold, processingOptions);
+    }, THRESHOLD_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [largeDataset, dataset, threshold, processingOptions]);
+
+  // Fit percentile data once per dataset rather than on every slider tick
+  const distribution = useMemo(
+    () => (hasPercentiles(dataset.percentiles)
+      ? fitDistribution(dataset.percentiles, { population: dataset.population > 0 ? dataset.population : 1 })
+      : null),
+    [dataset]
+  );
+
+  const emptyResults = useMemo(() => processWealthData([], 0), []);
+  const processedResults = useMemo(
+    () => (largeDataset
+      ? pipeline.result || emptyResults
+      : processWealthData(dataset.percentiles, threshold, { ...processingOptions, distribution })),
+    [largeDataset, pipeline.result, emptyResults, dataset, threshold, processingOptions, distribution]
+  );
+
+  const changeDataset = (id, available = importedDatasets) => {
+    const next = getDataset(id, available);
+    setDatasetId(next.id);
+    // Keep the threshold inside the new dataset's range
+    setThreshold(current => Math.min(current, getDatasetMaxWealth(next)));
+  };
+
+  // Keep imported datasets across visits
+  useEffect(() => {
+    saveImportedDatasets(importedDatasets);
+  }, [importedDatasets]);
 
-  // Process data with corrected calculations
-  const processedResults = useMemo(() => {
-    return processWealthData(wealthData, threshold);
-  }, [threshold]);
+  const addImportedDataset = imported => {
+    const updated = [...importedDatasets, imported];
+    setImportedDatasets(updated);
+    changeDataset(imported.id, updated);
+    setShowImport(false);
+  };
+
+  const removeImportedDataset = id => {
+    const updated = importedDatasets.filter(d => d.id !== id);
+    setImportedDatasets(updated);
+    if (datasetId === id) changeDataset(DEFAULT_DATASET_ID, updated);
+  };
+
+  const toggleIntervention = (id, checked) => {
+    setSelectedInterventions(current => (checked
+      ? [...current.filter(i => i !== id), id]
+      : current.filter(i => i !== id)));
+  };
+
+  const changeCustomInterventions = updated => {
+    setCustomInterventions(updated);
+    // Drop selections of interventions that were removed
+    const remaining = new Set([...getBuiltInInterventions(), ...updated].map(i => i.id));
+    setSelectedInterventions(current => current.filter(id => remaining.has(id)));
+  };
+
+  // Selected interventions with costs in the dataset's currency (and base-year prices in real terms)
+  const activeInterventions = useMemo(
+    () => interventions
+      .filter(i => selectedInterventions.includes(i.id))
+      .map(i => (dataset.realBaseYear ? costInBaseYear(i, dataset.country, dataset.realBaseYear) : i))
+      .map(i => convertInterventionCost(i, dataset.currency, { rates: exchangeRates, mode: conversionMode })),
+    [interventions, selectedInterventions, dataset, exchangeRates, conversionMode]
+  );
+
+  // Inverse of the slider: the threshold that reaches a target, searched over the slider's range
+  const solveGoal = goal => solveThreshold(
+    dataset.percentiles,
+    goal.type === 'excess'
+      ? { ...goal, amount: convertMoney(goal.amount, money.currency, dataset.currency, { rates: exchangeRates, mode: conversionMode }) }
+      : goal,
+    { population: dataset.population, distribution, interventions: activeInterventions, min: LOG_MIN_WEALTH, max: maxWealth }
+  );
+
+  // Monte Carlo runs in a worker; a new request cancels the one in flight
+  useEffect(() => {
+    if (!showUncertainty) {
+      setMonteCarlo({ result: null, running: false, error: null });
+      return undefined;
+    }
+    setMonteCarlo(current => ({ ...current, running: true, error: null }));
+    let cancel = () => {};
+    // Wait for the slider to settle before starting a run
+    const timer = setTimeout(() => {
+      cancel = startMonteCarloWorker({
+        rawWealthData: dataset.percentiles,
+        threshold,
+        options: { population: dataset.population, utilityModel, utilityParams, interventions: activeInterventions, uncertainty }
+      }, (error, result) => {
+        setMonteCarlo(current => (error
+          ? { ...current, running: false, error: error.message }
+          : { result, running: false, error: null }));
+      });
+    }, 250);
+    return () => {
+      clearTimeout(timer);
+      cancel();
+    };
+  }, [showUncertainty, dataset, threshold, utilityModel, utilityParams, activeInterventions, uncertainty]);
+
+  // Turn the one-off excess into an endowment and project each intervention year by year
+  const simulation = useMemo(
+    () => (showSimulation ? simulateFunding(processedResults, activeInterventions, simulationAssumptions) : null),
+    [showSimulation, processedResults, activeInterventions, simulationAssumptions]
+  );
+
+  const changeUtilityModel = (id, params) => {
+    setUtilityModel(id);
+    setUtilityParams(params);
+  };
+
+  // Scenario comparison: pin the current settings and evaluate every pinned scenario
+  const pinCurrentScenario = () => {
+    setPinnedScenarios(current => pinScenario(current, createScenario({
+      threshold,
+      datasetId,
+      utilityModel,
+      utilityParams,
+      interventions: selectedInterventions
+    })));
+  };
+
+  const loadScenario = scenario => {
+    setDatasetId(getDataset(scenario.datasetId, importedDatasets).id);
+    setThreshold(scenario.threshold);
+    changeUtilityModel(scenario.utilityModel, scenario.utilityParams);
+    setSelectedInterventions(scenario.interventions);
+  };
+
+  const comparison = useMemo(
+    () => (pinnedScenarios.length > 0
+      ? compareScenarios(pinnedScenarios, { interventions, importedDatasets, money, t })
+      : null),
+    [pinnedScenarios, interventions, importedDatasets, money, t]
+  );
+
+  // Chart tabs available for the current settings
+  const chartTabs = CHART_TABS.filter(tab => !tab.realTerms || dataset.realBaseYear);
+  const activeChartTab = chartTabs.some(tab => tab.id === chartTab) ? chartTab : 'utility';
+
+  // Excess above the same real threshold in every year of the dataset's country
+  const timeSeries = useMemo(
+    () => (activeChartTab === 'time'
+      ? realTermsSeries(
+        listDatasets(importedDatasets).map(d => getDataset(d.id, importedDatasets)),
+        dataset.country,
+        dataset.realBaseYear,
+        threshold,
+        { utilityModel, utilityParams }
+      )
+      : []),
+    [activeChartTab, importedDatasets, dataset, threshold, utilityModel, utilityParams]
+  );
+
+  const toggleRealTerms = checked => {
+    const years = getCpiYears(dataset.country);
+    setRealBaseYear(checked && years.length > 0 ? years[years.length - 1] : null);
+  };
 
   const { data, metrics } = processedResults;
-  const { excess, gini, palma, thresholdIndex } = metrics;
+  const { excessEuros, gini, palma, paretoAlpha, tailPercentile, thresholdIndex, peopleAbove, population, shareAbove, averageExcess, dividendPerAdult, dividendBottomHalf, excessBreakdown, redistribution: redistributionResult, thresholdPercentile, lorenz, wealthShares, percentileMarks, tax, behaviour } = metrics;
+
+  const saveTaxSchedule = name => {
+    const entry = { name, schedule: normalizeTaxSchedule(taxSchedule) };
+    setSavedTaxSchedules(current => [...current.filter(s => s.name !== name), entry]);
+  };
 
-  // Share functionality
+  // Add the Monte Carlo utility band, then drop zero wealth, which has no place on a log axis
+  const bands = monteCarlo.result ? monteCarlo.result.bands : null;
+  const bandedData = bands && bands.length === data.length
+    ? data.map((point, i) => ({ ...point, utilityBand: [bands[i].low, bands[i].high] }))
+    : data;
+  const chartData = logScale ? bandedData.filter(point => point.wealth > 0) : bandedData;
+  const wealthDomain = logScale ? [LOG_MIN_WEALTH, maxWealth] : [0, maxWealth];
+
+  // Card with the current threshold, excess, multiples and a mini chart
+  const shareCard = () => buildShareCard({
+    threshold,
+    metrics,
+    data,
+    interventions: activeInterventions,
+    money,
+    t,
+    url: window.location.href
+  });
+
+  // Share functionality: attach the card where the browser can share files
   const shareView = () => {
-    const excessRounded = Math.round(excess || 0);
-    const message = `Excess wealth above €${threshold.toLocaleString()} could end homelessness ${excessRounded}× over. See the math:`;
+    const message = shareMessage(t, { threshold, excessEuros, interventions: activeInterventions, money });
     
     if (navigator.share) {
-      navigator.share({ 
-        title: 'Wealth Inequality Math', 
-        text: message, 
-        url: window.location.href 
-      }).catch(() => {
-        fallbackCopy();
-      });
+      renderShareCard(shareCard())
+        .then(blob => {
+          const files = [new File([blob], 'wealth-inequality.png', { type: 'image/png' })];
+          const shared = { title: t('share.title'), text: message, url: window.location.href };
+          return navigator.share(navigator.canShare && navigator.canShare({ files }) ? { ...shared, files } : shared);
+        })
+        .catch(() => {
+          fallbackCopy();
+        });
     } else {
       fallbackCopy();
     }
     
     function fallbackCopy() {
       navigator.clipboard.writeText(`${message} ${window.location.href}`)
-        .then(() => alert('Link copied to clipboard!'))
-        .catch(() => alert('Failed to copy link'));
+        .then(() => alert(t('share.copied')))
+        .catch(() => alert(t('share.copyFailed')));
     }
   };
 
+  // Read out the excess and multiples once the slider settles, not at every step
+  const liveText = thresholdAnnouncement(t, { threshold, excessEuros, interventions: activeInterventions, money });
+  useEffect(() => {
+    const timer = setTimeout(() => setAnnouncement(liveText), 750);
+    return () => clearTimeout(timer);
+  }, [liveText]);
+
+  // Chart card, searched for the rendered chart when exporting images and the report
+  const chartRef = useRef(null);
+
+  const exportView = format => {
+    const generatedAt = new Date();
+    const fileName = exportFileName(dataset.id, generatedAt);
+    const svg = chartRef.current ? chartRef.current.querySelector('svg.recharts-surface') : null;
+    const doc = () => buildExportDocument({
+      state: {
+        datasetId,
+        threshold,
+        utilityModel,
+        utilityParams,
+        interventions: selectedInterventions,
+        currency: money.currency,
+        conversionMode,
+        realBaseYear,
+        taxSchedule: taxMode ? taxSchedule : null,
+        simulation: showSimulation ? simulationAssumptions : null,
+        redistribution: showMetrics ? redistribution : null
+      },
+      dataset,
+      metrics,
+      interventions: activeInterventions,
+      behaviour: behaviourAssumptions,
+      generatedAt,
+      t
+    });
+
+    if (format === 'csv') {
+      downloadFile(`${fileName}.csv`, dataPointsToCsv(data), 'text/csv');
+    } else if (format === 'json') {
+      downloadFile(`${fileName}.json`, JSON.stringify(doc(), null, 2), 'application/json');
+    } else if (format === 'report') {
+      const html = buildReport(doc(), { t, money, chartSvg: svg ? serializeChart(svg) : '', url: window.location.href });
+      if (!printReport(html)) alert(t('export.popupBlocked'));
+    } else if (format === 'card') {
+      renderShareCard(shareCard())
+        .then(blob => downloadFile(`${fileName}-card.png`, blob))
+        .catch(error => {
+          console.error('Error exporting share card:', error);
+          alert(t('export.failed'));
+        });
+    } else if (!svg) {
+      alert(t('export.noChart'));
+    } else if (format === 'svg') {
+      downloadFile(`${fileName}.svg`, serializeChart(svg), 'image/svg+xml');
+    } else if (format === 'png') {
+      const { width, height } = svg.getBoundingClientRect();
+      chartToPng(serializeChart(svg), { width, height })
+        .then(blob => downloadFile(`${fileName}.png`, blob))
+        .catch(error => {
+          console.error('Error exporting chart:', error);
+          alert(t('export.failed'));
+        });
+    }
+  };
+
+  // Everything a shared link encodes goes back to a fresh visit's value
   const resetDefaults = () => {
-    setThreshold(200000);
-    setShowHealthcare(true);
-    setShowHomelessness(true);
-    setShowPoverty(false);
-    setShowEducation(false);
-    setShowReality(false);
-    setShowMetrics(false);
+    const defaults = createDefaultViewState(interventions);
+    setThreshold(defaults.threshold);
+    setDatasetId(defaults.datasetId);
+    setSelectedInterventions(defaults.interventions);
+    setUtilityModel(defaults.utilityModel);
+    setUtilityParams(defaults.utilityParams);
+    setShowReality(defaults.showReality);
+    setShowMetrics(defaults.showMetrics);
+    setShowSimulation(defaults.showSimulation);
+    setTaxMode(defaults.taxMode);
+    setShowBehaviour(defaults.showBehaviour);
+    setShowUncertainty(defaults.showUncertainty);
+    setShowCurrency(defaults.showCurrency);
+    setLogScale(defaults.logScale);
+    setShowPercentileAxis(defaults.showPercentileAxis);
+    setChartTab(defaults.chartTab);
+    setTaxSchedule(defaults.taxSchedule);
+    setSimulationAssumptions(defaults.simulationAssumptions);
+    setRedistribution(defaults.redistribution);
+    setBehaviourAssumptions(defaults.behaviourAssumptions);
+    setUncertainty(defaults.uncertainty);
+    setDisplayCurrency(defaults.displayCurrency);
+    setConversionMode(defaults.conversionMode);
+    setRealBaseYear(defaults.realBaseYear);
+    setPinnedScenarios(defaults.pinnedScenarios);
   };
 
   return (
     <div className="p-4 space-y-6 max-w-6xl mx-auto">
       <Card>
         <CardContent className="pt-6">
-          <h2 className="text-2xl font-bold mb-4">Wealth Inequality & Utility Plateau</h2>
+          <div className="flex items-start justify-between mb-4">
+            <h2 className="text-2xl font-bold">{t('title')}</h2>
+            <label className="text-sm text-gray-600">
+              {t('language')}:{' '}
+              <select value={locale} onChange={e => setLocale(e.target.value)} className="border rounded px-1 py-0.5">
+                {LOCALES.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+              </select>
+            </label>
+          </div>
+
+          {urlWarnings.length > 0 && (
+            <div className="mb-4 p-3 bg-yellow-50 border-l-4 border-yellow-400 rounded text-sm" role="status">
+              <p className="font-medium">{t('urlState.heading')}</p>
+              <ul className="list-disc list-inside text-xs text-gray-700">
+                {urlWarnings.map(warning => (
+                  <li key={`${warning.code}:${JSON.stringify(warning.params)}`}>{t(`urlState.${warning.code}`, warning.params)}</li>
+                ))}
+              </ul>
+              <Button onClick={() => setUrlWarnings([])} variant="outline" size="sm" className="mt-2">
+                {t('urlState.dismiss')}
+              </Button>
+            </div>
+          )}
           
           <div className="mb-6">
+            {/* Logarithmic track: each decade of wealth gets the same slider distance */}
             <Slider
-              value={[threshold]}
+              value={[wealthToSlider(threshold, maxWealth)]}
               min={0}
-              max={data[data.length-1].wealth}
-              step={10000}
-              onValueChange={([val]) => setThreshold(val)}
+              max={LOG_SLIDER_STEPS}
+              step={1}
+              largeStep={sliderStepsPerDecade(maxWealth)}
+              label={t('a11y.thresholdSlider')}
+              valueText={formatMoney(threshold, money)}
+              onValueChange={([val]) => setThreshold(sliderToWealth(val, maxWealth))}
               className="mb-2"
             />
-            <div className="text-sm text-gray-600">Utility plateau threshold: €{threshold.toLocaleString()}</div>
+            <div className="flex items-center justify-between text-sm text-gray-600">
+              <span>{t('threshold', { amount: formatMoney(threshold, money) })}</span>
+              <Button onClick={() => setShowGoalSeek(!showGoalSeek)} variant="outline" size="sm" aria-expanded={showGoalSeek}>
+                {showGoalSeek ? t('goalSeek.close') : t('goalSeek.open')}
+              </Button>
+            </div>
+            {showGoalSeek && (
+              <div className="mt-2 max-w-xl">
+                <GoalSeekPanel t={t} money={money} interventions={activeInterventions} onSolve={solveGoal} onApply={setThreshold} />
+              </div>
+            )}
+            {largeDataset && pipeline.status !== 'ready' && pipeline.status !== 'idle' && (
+              <p className={`text-sm ${pipeline.status === 'error' ? 'text-red-600' : 'text-gray-600'}`} role="status">
+                {t(`pipeline.${pipeline.status}`, { records: t.number(workerData.length), error: pipeline.error || '' })}
+              </p>
+            )}
+            <div aria-live="polite" aria-atomic="true" className="sr-only">{announcement}</div>
+          </div>
+
+          <div className="mb-6 max-w-xl">
+            <DatasetPicker t={t} datasets={listDatasets(importedDatasets)} dataset={dataset} onChange={id => changeDataset(id)} />
+            <div className="mt-2">
+              <Button onClick={() => setShowImport(!showImport)} variant="outline" size="sm">
+                {showImport ? t('import.close') : t('import.open')}
+              </Button>
+            </div>
+            {showImport && (
+              <div className="mt-2">
+                <ImportPanel
+                  t={t}
+                  datasets={listDatasets(importedDatasets)}
+                  importedDatasets={importedDatasets}
+                  onImport={addImportedDataset}
+                  onRemove={removeImportedDataset}
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="mb-6 max-w-md">
+            <UtilityModelControls t={t} modelId={utilityModel} params={utilityParams} onChange={changeUtilityModel} />
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-sm">
             <div className="space-y-3">
               <div className="space-y-2">
-                <div className="flex items-center space-x-2">
-                  <Checkbox 
-                    checked={showHomelessness} 
-                    onCheckedChange={(checked) => setShowHomelessness(checked)} 
+                {interventions.map(intervention => (
+                  <Checkbox
+                    key={intervention.id}
+                    checked={selectedInterventions.includes(intervention.id)}
+                    onCheckedChange={(checked) => toggleIntervention(intervention.id, checked)}
+                    title={interventionSource(t, intervention)}
+                    label={`${interventionText(t, intervention, 'label')} (${formatInterventionCost(intervention, money, t)}${intervention.source ? '' : `, ${t('interventions.unsourced')}`})`}
                   />
-                  <span>End homelessness (€1T)</span>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <Checkbox 
-                    checked={showHealthcare} 
-                    onCheckedChange={(checked) => setShowHealthcare(checked)} 
-                  />
-                  <span>Universal healthcare (€8T)</span>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <Checkbox 
-                    checked={showPoverty} 
-                    onCheckedChange={(checked) => setShowPoverty(checked)} 
-                  />
-                  <span>Eradicate poverty (€0.06T)</span>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <Checkbox 
-                    checked={showEducation} 
-                    onCheckedChange={(checked) => setShowEducation(checked)} 
-                  />
-                  <span>Education (€0.04T)</span>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <Checkbox 
-                    checked={showReality} 
-                    onCheckedChange={(checked) => setShowReality(checked)} 
-                  />
-                  <span>Show Reality Check</span>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <Checkbox 
-                    checked={showMetrics} 
-                    onCheckedChange={(checked) => setShowMetrics(checked)} 
+                ))}
+                <Checkbox
+                  checked={showReality}
+                  onCheckedChange={(checked) => setShowReality(checked)}
+                  label={t('options.reality')}
+                />
+                <Checkbox
+                  checked={showMetrics}
+                  onCheckedChange={(checked) => setShowMetrics(checked)}
+                  label={t('options.metrics')}
+                />
+                <Checkbox
+                  checked={showSimulation}
+                  onCheckedChange={(checked) => setShowSimulation(checked)}
+                  label={t('options.simulation')}
+                />
+                <Checkbox
+                  checked={logScale}
+                  onCheckedChange={(checked) => setLogScale(checked)}
+                  label={t('options.logScale')}
+                />
+                <Checkbox
+                  checked={showPercentileAxis}
+                  onCheckedChange={(checked) => setShowPercentileAxis(checked)}
+                  label={t('options.percentileAxis')}
+                />
+                <Checkbox
+                  checked={taxMode}
+                  onCheckedChange={(checked) => setTaxMode(checked)}
+                  label={t('options.taxMode')}
+                />
+                <Checkbox
+                  checked={showBehaviour}
+                  onCheckedChange={(checked) => setShowBehaviour(checked)}
+                  label={t('options.behaviour')}
+                />
+                <Checkbox
+                  checked={showUncertainty}
+                  onCheckedChange={(checked) => setShowUncertainty(checked)}
+                  label={t('options.uncertainty')}
+                />
+                <Checkbox
+                  checked={showCurrency}
+                  onCheckedChange={(checked) => setShowCurrency(checked)}
+                  label={t('options.currency', { currency: money.currency })}
+                />
+                {canDeflate(dataset, dataset.year) && (
+                  <Checkbox
+                    checked={Boolean(realBaseYear)}
+                    onCheckedChange={toggleRealTerms}
+                    label={dataset.realBaseYear ? t('options.realTermsYear', { year: String(dataset.realBaseYear) }) : t('options.realTerms')}
                   />
-                  <span>Show Inequality Metrics</span>
-                </div>
+                )}
               </div>
+              {dataset.realBaseYear && (
+                <RealTermsControls t={t} dataset={dataset} baseYear={dataset.realBaseYear} onChange={setRealBaseYear} />
+              )}
+              {showCurrency && (
+                <CurrencyPanel
+                  t={t}
+                  currency={money.currency}
+                  mode={conversionMode}
+                  rates={exchangeRates}
+                  datasetCurrency={dataset.currency}
+                  onCurrencyChange={setDisplayCurrency}
+                  onModeChange={setConversionMode}
+                  onRatesChange={setExchangeRates}
+                />
+              )}
+              {showBehaviour && (
+                <BehaviourPanel t={t} assumptions={behaviourAssumptions} onChange={setBehaviourAssumptions} money={money} />
+              )}
+              {showUncertainty && (
+                <UncertaintyControls t={t} uncertainty={uncertainty} onChange={setUncertainty} />
+              )}
+              {showSimulation && (
+                <SimulationControls t={t} assumptions={simulationAssumptions} onChange={setSimulationAssumptions} />
+              )}
+              <InterventionEditor
+                t={t}
+                interventions={interventions}
+                customInterventions={customInterventions}
+                onChange={changeCustomInterventions}
+                rates={exchangeRates}
+                money={money}
+              />
             </div>
             
             <div className="md:col-span-2 space-y-2">
               <p className="text-lg">
-                <span className="text-gray-600">Redistributable excess above €{threshold.toLocaleString()}:</span>
+                <span className="text-gray-600">{t('excess.heading', { amount: formatMoney(threshold, money) })}</span>
+                <br />
+                {behaviour ? (
+                  <>
+                    <strong className="text-red-600 text-xl">{formatRange(t, behaviour.excess, money)}</strong>
+                    <br />
+                    <span className="text-xs text-gray-600">
+                      {t('excess.rangeNote', { amount: formatWealth(excessEuros, { ...money, digits: 2 }) })}
+                    </span>
+                  </>
+                ) : (
+                  <strong className="text-red-600 text-xl">{formatWealth(excessEuros, { ...money, digits: 2 })}</strong>
+                )}
                 <br />
-                <strong className="text-red-600 text-xl">€{excess.toFixed(2)}T</strong>
+                <span className="text-xs text-gray-600">
+                  {t('excess.heldBy', {
+                    people: t.number(Math.round(peopleAbove)),
+                    population: t.number(population),
+                    share: t.number(shareAbove * 100, 2)
+                  })}
+                </span>
               </p>
               
-              {showHealthcare && <p>Could fund healthcare <strong className="text-blue-600">{(excess / 8).toFixed(1)}×</strong></p>}
-              {showHomelessness && <p>Could end homelessness <strong className="text-green-600">{(excess / 1).toFixed(1)}×</strong></p>}
-              {showPoverty && <p>Could eradicate poverty <strong className="text-purple-600">{(excess / 0.06).toFixed(1)}×</strong></p>}
-              {showEducation && <p>Could fund education <strong className="text-orange-600">{(excess / 0.04).toFixed(1)}×</strong></p>}
+              {activeInterventions.map((intervention, i) => (
+                <p key={intervention.id}>
+                  {t('interventions.could', { action: interventionText(t, intervention, 'action') })}{' '}
+                  <strong style={{ color: intervention.colour }}>
+                    {simulation
+                      ? describeSimulation(simulation.results[i], t)
+                      : t('multiple.times', { count: t.number(calculateInterventionMultiple(excessEuros, intervention), 1) })}
+                  </strong>
+                </p>
+              ))}
               
+              {showUncertainty && (
+                <UncertaintySummary
+                  t={t}
+                  result={monteCarlo.result}
+                  running={monteCarlo.running}
+                  error={monteCarlo.error}
+                  interventions={activeInterventions}
+                  money={money}
+                />
+              )}
+
               {showMetrics && (
                 <div className="mt-4 p-3 bg-blue-50 rounded border-l-4 border-blue-400">
-                  <p className="font-medium mb-2">Inequality Metrics:</p>
+                  <p className="font-medium mb-2">{t('metrics.heading')}</p>
                   <div className="grid grid-cols-2 gap-4 text-xs">
                     <div>
-                      <span className="font-medium">Gini Coefficient:</span>
+                      <span className="font-medium">{t('metrics.gini')}</span>
                       <br />
-                      <span className="text-lg">{gini.toFixed(3)}</span>
+                      <span className="text-lg">{t.number(gini, 3)}</span>
                       <br />
-                      <span className="text-gray-600">(0 = perfect equality, 1 = maximum inequality)</span>
+                      <span className="text-gray-600">{t('metrics.giniHint')}</span>
                     </div>
                     <div>
-                      <span className="font-medium">Palma Ratio:</span>
+                      <span className="font-medium">{t('metrics.palma')}</span>
+                      <br />
+                      <span className="text-lg">{palma === Infinity ? '∞' : t.number(palma, 2)}</span>
+                      <br />
+                      <span className="text-gray-600">{t('metrics.palmaHint')}</span>
+                    </div>
+                    {paretoAlpha !== null && (
+                      <div>
+                        <span className="font-medium">{t('metrics.pareto')}</span>
+                        <br />
+                        <span className="text-lg">{t.number(paretoAlpha, 2)}</span>
+                        <br />
+                        <span className="text-gray-600">{t('metrics.paretoHint', { percentile: t.number(tailPercentile * 100, 1) })}</span>
+                      </div>
+                    )}
+                    <div className="col-span-2">
+                      <span className="font-medium">{t('metrics.impact')}</span>
                       <br />
-                      <span className="text-lg">{palma === Infinity ? '∞' : palma.toFixed(2)}</span>
+                      <span className="text-lg">
+                        {t('metrics.affects', { share: t.number(shareAbove * 100, 2), amount: formatMoney(dividendPerAdult, money) })}
+                      </span>
                       <br />
-                      <span className="text-gray-600">(Top 10% share ÷ Bottom 40% share)</span>
+                      <span className="text-gray-600">
+                        {t('metrics.averageExcess', { amount: formatMoney(averageExcess, { ...money, compact: true, digits: 2 }) })}
+                        {' · '}
+                        {t('metrics.bottomHalf', { amount: formatMoney(dividendBottomHalf, money) })}
+                      </span>
                     </div>
                   </div>
+                  {excessBreakdown.some(b => b.excess > 0) && (
+                    <table className="w-full mt-3 text-xs">
+                      <thead>
+                        <tr className="text-left text-gray-600">
+                          <th>{t('metrics.bracket')}</th>
+                          <th>{t('metrics.adultsAbove')}</th>
+                          <th>{t('metrics.excess')}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {excessBreakdown.filter(b => b.excess > 0).map(b => (
+                          <tr key={b.toPercentile}>
+                            <td>P{t.number(b.fromPercentile * 100, 1)}–P{t.number(b.toPercentile * 100, 1)}</td>
+                            <td>{t.number(Math.round(b.peopleAbove))}</td>
+                            <td>{formatWealth(b.excess, { ...money, digits: 2 })}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  {redistributionResult && (
+                    <div className="mt-4 space-y-2">
+                      <p className="font-medium">{t('metrics.afterCap', { amount: formatMoney(threshold, money) })}</p>
+                      <RedistributionControls t={t} settings={redistribution} onChange={setRedistribution} />
+                      <RedistributionSummary t={t} result={redistributionResult} money={money} />
+                    </div>
+                  )}
                 </div>
               )}
               
               {showReality && (
                 <div className="mt-4 p-3 bg-gray-50 rounded">
-                  <p className="font-medium mb-2">What €{threshold.toLocaleString()} provides:</p>
+                  <p className="font-medium mb-2">{t('reality.heading', { amount: formatMoney(threshold, money) })}</p>
                   <ul className="list-disc list-inside space-y-1 text-xs">
-                    <li>Nice house</li>
-                    <li>Reliable car</li>
-                    <li>Annual holidays</li>
-                    <li>Children's education covered</li>
-                    <li>Comfortable retirement</li>
+                    {['house', 'car', 'holidays', 'education', 'retirement'].map(item => (
+                      <li key={item}>{t(`reality.${item}`)}</li>
+                    ))}
                   </ul>
                 </div>
               )}
               
               <div className="flex space-x-2 mt-4">
                 <Button onClick={shareView} variant="secondary" size="sm">
-                  Share this view
+                  {t('actions.share')}
+                </Button>
+                <ExportMenu t={t} onExport={exportView} />
+                <Button onClick={pinCurrentScenario} variant="outline" size="sm" disabled={pinnedScenarios.length >= MAX_SCENARIOS}>
+                  {t('actions.pin', { count: pinnedScenarios.length, max: MAX_SCENARIOS })}
                 </Button>
                 <Button onClick={resetDefaults} variant="outline" size="sm">
-                  Reset to defaults
+                  {t('actions.reset')}
                 </Button>
               </div>
             </div>
@@ -213,76 +847,204 @@ export default function WealthInequalityApp() {
         </CardContent>
       </Card>
 
-      <Card>
-        <CardContent className="pt-6">
-          <ResponsiveContainer width="100%" height={500}>
-            <LineChart data={data} margin={{ top: 20, right: 50, bottom: 20, left: 20 }}>
-              <XAxis 
-                dataKey="wealth" 
-                tickFormatter={w => w >= 1e6 ? `€${(w/1e6).toFixed(1)}M` : `€${(w/1000).toFixed(0)}k`} 
-              />
-              <YAxis yAxisId="left" domain={[0,1]} tickFormatter={v => `${(v*100).toFixed(0)}%`} />
-              <YAxis yAxisId="right" orientation="right" tickFormatter={v => `€${(v/1e6).toFixed(1)}M`} />
-              <Tooltip 
-                formatter={(value, name) => [
-                  name === 'utility' ? `${(value*100).toFixed(1)}%` : `€${value.toLocaleString()}`,
-                  name === 'utility' ? 'Marginal Utility' : 'Wealth Level'
-                ]} 
-                labelFormatter={w => `Wealth: €${Number(w).toLocaleString()}`}
+      {taxMode && (
+        <Card>
+          <CardContent className="pt-6">
+            <h3 className="text-lg font-bold mb-4">{t('tax.heading')}</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <TaxScheduleEditor
+                t={t}
+                schedule={taxSchedule}
+                onChange={setTaxSchedule}
+                savedSchedules={savedTaxSchedules}
+                onSave={saveTaxSchedule}
+                onLoad={entry => setTaxSchedule(entry.schedule)}
+                onDelete={name => setSavedTaxSchedules(current => current.filter(s => s.name !== name))}
+                currency={dataset.currency}
               />
-              <Legend />
-
-              <Line 
-                yAxisId="left" 
-                type="monotone" 
-                dataKey="utility" 
-                stroke="#4f46e5" 
-                strokeWidth={3} 
-                dot={false} 
-                name="Marginal Utility (%)" 
-              />
-              <Line 
-                yAxisId="right" 
-                type="monotone" 
-                dataKey="wealthPct" 
-                stroke="#f59e0b" 
-                strokeDasharray="5 5" 
-                strokeWidth={2} 
-                dot={false} 
-                name="Wealth Level (€)" 
-              />
-
-              {thresholdIndex >= 0 && (
-                <ReferenceLine
-                  x={threshold}
-                  stroke="#ef4444" 
-                  strokeWidth={3}
-                  label={{ 
-                    value: `Plateau @ €${threshold.toLocaleString()}`, 
-                    position: 'topLeft', 
-                    fill: '#ef4444',
-                    fontSize: 12,
-                    fontWeight: 'bold'
-                  }}
+              {tax ? (
+                <TaxResults
+                  t={t}
+                  tax={tax}
+                  range={behaviour && behaviour.tax}
+                  schedule={taxSchedule}
+                  threshold={threshold}
+                  hardCapEuros={excessEuros}
+                  maxWealth={maxWealth}
+                  money={money}
                 />
+              ) : (
+                <p className="text-sm text-gray-600">{t('tax.unavailable')}</p>
               )}
+            </div>
+          </CardContent>
+        </Card>
+      )}
 
-              {showHomelessness && thresholdIndex >= 0 && (
-                <ReferenceArea 
-                  x1={threshold} 
-                  x2={data[data.length-1]?.wealth || threshold} 
-                  fill="rgba(34,197,94,0.1)" 
-                  yAxisId="left"
-                  label={{ value: "Homelessness Fund Area", position: "center" }}
-                />
+      {comparison && (
+        <Card>
+          <CardContent className="pt-6">
+            <ScenarioComparison
+              t={t}
+              comparison={comparison}
+              logScale={logScale}
+              money={money}
+              onLoad={loadScenario}
+              onRemove={index => setPinnedScenarios(current => current.filter((_, i) => i !== index))}
+              onClear={() => setPinnedScenarios([])}
+            />
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardContent className="pt-6">
+          <div className="flex space-x-2 mb-4">
+            {chartTabs.map(tab => (
+              <Button
+                key={tab.id}
+                onClick={() => setChartTab(tab.id)}
+                variant={activeChartTab === tab.id ? 'secondary' : 'outline'}
+                size="sm"
+                aria-pressed={activeChartTab === tab.id}
+              >
+                {t(tab.label)}
+              </Button>
+            ))}
+            <Button onClick={() => setShowTable(!showTable)} variant="outline" size="sm" className="ml-auto" aria-pressed={showTable}>
+              {showTable ? t('a11y.showChart') : t('a11y.showTable')}
+            </Button>
+          </div>
+
+          {showTable ? (
+            <ChartDataTable
+              table={chartTable(activeChartTab, { data, lorenz, wealthShares, timeSeries, baseYear: dataset.realBaseYear }, { t, money })}
+            />
+          ) : (
+            <div ref={chartRef} role="figure" aria-label={t('a11y.chartLabel', { chart: t(CHART_TABS.find(tab => tab.id === activeChartTab).label) })}>
+              {activeChartTab === 'utility' && (
+                <ResponsiveContainer width="100%" height={500}>
+                  <ComposedChart data={chartData} margin={{ top: 20, right: 50, bottom: 20, left: 20 }}>
+                    <XAxis 
+                      dataKey="wealth" 
+                      type="number"
+                      scale={logScale ? 'log' : 'linear'}
+                      domain={wealthDomain}
+                      ticks={logScale ? decadeTicks(LOG_MIN_WEALTH, maxWealth) : undefined}
+                      allowDataOverflow
+                      tickFormatter={w => formatWealth(w, money)} 
+                    />
+                    {showPercentileAxis && percentileMarks.length > 0 && (
+                      <XAxis
+                        xAxisId="percentile"
+                        dataKey="wealth"
+                        type="number"
+                        orientation="top"
+                        scale={logScale ? 'log' : 'linear'}
+                        domain={wealthDomain}
+                        ticks={percentileMarks.map(mark => mark.wealth)}
+                        allowDataOverflow
+                        tickFormatter={w => {
+                          const mark = percentileMarks.find(m => m.wealth === w);
+                          return mark ? `P${+(mark.percentile * 100).toFixed(1)}` : '';
+                        }}
+                      />
+                    )}
+                    <YAxis yAxisId="left" domain={[0,1]} tickFormatter={v => `${(v*100).toFixed(0)}%`} />
+                    <YAxis yAxisId="right" orientation="right" tickFormatter={w => formatWealth(w, money)} />
+                    <Tooltip 
+                      formatter={(value, name) => (Array.isArray(value)
+                        ? [`${t.number(value[0]*100, 1)}–${t.number(value[1]*100, 1)}%`, name]
+                        : [
+                          name === 'utility' ? `${t.number(value*100, 1)}%` : formatMoney(value, money),
+                          name === 'utility' ? t('chart.marginalUtility') : t('chart.wealthLevel')
+                        ])} 
+                      labelFormatter={w => t('chart.wealth', { amount: formatMoney(Number(w), money) })}
+                    />
+                    <Legend />
+
+                    {bands && (
+                      <Area
+                        yAxisId="left"
+                        type="monotone"
+                        dataKey="utilityBand"
+                        stroke="none"
+                        fill="#4f46e5"
+                        fillOpacity={0.15}
+                        name={t('chart.utilityBand')}
+                      />
+                    )}
+                    <Line 
+                      yAxisId="left" 
+                      type="monotone" 
+                      dataKey="utility" 
+                      stroke="#4f46e5" 
+                      strokeWidth={3} 
+                      dot={false} 
+                      name={t('chart.utilitySeries')} 
+                    />
+                    <Line 
+                      yAxisId="right" 
+                      type="monotone" 
+                      dataKey="wealthPct" 
+                      stroke="#f59e0b" 
+                      strokeDasharray="5 5" 
+                      strokeWidth={2} 
+                      dot={false} 
+                      name={t('chart.wealthSeries', { symbol: currencySymbol(money.currency, money.locale) })} 
+                    />
+
+                    {thresholdIndex >= 0 && (
+                      <ReferenceLine
+                        x={threshold}
+                        stroke="#ef4444" 
+                        strokeWidth={3}
+                        label={{ 
+                          value: t('chart.plateau', { amount: formatMoney(threshold, money) }), 
+                          position: 'topLeft', 
+                          fill: '#ef4444',
+                          fontSize: 12,
+                          fontWeight: 'bold'
+                        }}
+                      />
+                    )}
+
+                    {thresholdIndex >= 0 && activeInterventions.map((intervention, i) => (
+                      <ReferenceArea 
+                        key={intervention.id}
+                        x1={threshold} 
+                        x2={chartData[chartData.length-1]?.wealth || threshold} 
+                        fill={intervention.colour}
+                        fillOpacity={0.1}
+                        yAxisId="left"
+                        label={i === 0 ? { value: t('chart.fundArea', { label: interventionText(t, intervention, 'label') }), position: "center" } : undefined}
+                      />
+                    ))}
+                  </ComposedChart>
+                </ResponsiveContainer>
+              )}
+              {activeChartTab === 'lorenz' && (
+                <LorenzChart t={t} lorenz={lorenz} gini={gini} thresholdPercentile={thresholdPercentile} />
+              )}
+              {activeChartTab === 'shares' && (
+                <WealthShareChart t={t} shares={wealthShares} thresholdPercentile={thresholdPercentile} />
               )}
-            </LineChart>
-          </ResponsiveContainer>
+              {activeChartTab === 'time' && (
+                <RealTermsChart t={t} series={timeSeries} baseYear={dataset.realBaseYear} threshold={threshold} money={money} />
+              )}
+            </div>
+          )}
+
+          {simulation && activeInterventions.length > 0 && (
+            <div className="mt-6">
+              <p className="font-medium text-sm mb-2">{t('simulation.chartHeading')}</p>
+              <FundingSimulationChart t={t} series={simulation.series} interventions={activeInterventions} money={money} />
+            </div>
+          )}
           
           <div className="mt-4 text-xs text-gray-600">
-            <strong>Mathematical Note:</strong> Excess calculation now correctly computes only redistributable surplus 
-            (individual wealth minus threshold) rather than mixing total wealth concepts. 
-            Utility scaling dynamically adjusts to selected plateau threshold.
+            <strong>{t('note.heading')}</strong>{' '}
+            {t('note.body', { population: t.number(population), model: utilityModelText(t, getUtilityModel(utilityModel), 'label') })}
           </div>
         </CardContent>
       </Card>
@@ -0,0 +1,381 @@
+// url_state.js - Versioned encoding of the whole view state for shareable URLs
+
+import { DEFAULT_UTILITY_MODEL, getUtilityModel, normalizeModelParams, encodeModelParams, decodeModelParams } from './utility_models';
+import { defaultInterventionIds } from './interventions';
+import { DEFAULT_DATASET_ID, listDatasets, getDataset, getDatasetMaxWealth } from './datasets';
+import { DEFAULT_TAX_SCHEDULE, encodeTaxSchedule, decodeTaxSchedule } from './tax';
+import { encodeScenarios, decodeScenarios } from './scenarios';
+import { DEFAULT_SIMULATION_ASSUMPTIONS, SIMULATION_LIMITS } from './simulation';
+import { DEFAULT_REDISTRIBUTION, REDISTRIBUTION_RULES, TARGET_SHARE_LIMITS } from './redistribution';
+import { DEFAULT_BEHAVIOUR } from './behaviour';
+import { DEFAULT_UNCERTAINTY, UNCERTAINTY_LIMITS } from './monte_carlo';
+import { CONVERSION_MODES } from './currency';
+import { getCpiYears } from './inflation';
+
+/**
+ * Version history
+ * 1 - Unversioned parameters: plateau, dataset, interventions, model, modelParams, tax
+ *     (whose presence turned tax mode on), compare, currency, fx and real
+ * 2 - Adds `v`, panel toggles (`show`), chart options (`chart`, `axis`), the simulation,
+ *     redistribution, behaviour and uncertainty assumptions, and the compact `z` encoding
+ */
+export const URL_STATE_VERSION = 2;
+
+export const DEFAULT_THRESHOLD = 200000;
+
+// Chart tabs that can be restored from a link
+export const CHART_IDS = ['utility', 'lorenz', 'shares', 'time'];
+
+// Flags of the `show` and `axis` parameters and the state they switch on
+export const PANEL_FLAGS = {
+  reality: 'showReality',
+  metrics: 'showMetrics',
+  simulation: 'showSimulation',
+  tax: 'taxMode',
+  behaviour: 'showBehaviour',
+  uncertainty: 'showUncertainty',
+  currency: 'showCurrency'
+};
+export const AXIS_FLAGS = { log: 'logScale', percentiles: 'showPercentileAxis' };
+
+// Readable query strings longer than this use the compact encoding when it is shorter
+export const COMPACT_AFTER = 500;
+
+const COMPACT_PARAM = 'z';
+
+// Parameters holding JSON and their defaults. The compact encoding inlines them
+// with only the fields that differ, instead of escaping the whole object as a string.
+const JSON_PARAMS = { behaviour: DEFAULT_BEHAVIOUR, mc: DEFAULT_UNCERTAINTY };
+
+/**
+ * Upgrade steps: MIGRATIONS[n] turns version-n parameters into version n + 1
+ */
+const MIGRATIONS = {
+  1: params => {
+    // Tax mode was implied by the schedule being present
+    const show = params.tax !== undefined ? ['tax'] : [];
+    return { ...params, ...(show.length > 0 ? { show: show.join(',') } : {}) };
+  }
+};
+
+/**
+ * View state of a fresh visit
+ * @param {Array<Object>} [interventions] - Intervention catalogue, for the default selection
+ * @returns {Object} - Complete view state
+ */
+export function createDefaultViewState(interventions = []) {
+  return {
+    threshold: DEFAULT_THRESHOLD,
+    datasetId: DEFAULT_DATASET_ID,
+    interventions: defaultInterventionIds(interventions),
+    utilityModel: DEFAULT_UTILITY_MODEL,
+    utilityParams: normalizeModelParams(DEFAULT_UTILITY_MODEL),
+    ...Object.fromEntries([...Object.values(PANEL_FLAGS), ...Object.values(AXIS_FLAGS)].map(key => [key, false])),
+    chartTab: 'utility',
+    taxSchedule: DEFAULT_TAX_SCHEDULE,
+    simulationAssumptions: DEFAULT_SIMULATION_ASSUMPTIONS,
+    redistribution: DEFAULT_REDISTRIBUTION,
+    behaviourAssumptions: DEFAULT_BEHAVIOUR,
+    uncertainty: DEFAULT_UNCERTAINTY,
+    displayCurrency: null,
+    conversionMode: 'market',
+    realBaseYear: null,
+    pinnedScenarios: []
+  };
+}
+
+// "key:value" lists of the entries that differ from the defaults, e.g. "realReturn:0.05"
+const encodePairs = (values, defaults) => Object.keys(defaults)
+  .filter(key => values[key] !== undefined && String(values[key]) !== String(defaults[key]))
+  .map(key => `${key}:${values[key]}`)
+  .join(',');
+
+const decodePairs = encoded => Object.fromEntries(encoded.split(',')
+  .map(pair => pair.split(':'))
+  .filter(([key, value]) => key && value !== undefined));
+
+const encodeFlags = (state, flags) => Object.entries(flags).filter(([, key]) => state[key]).map(([flag]) => flag).join(',');
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const changedFields = (value, defaults) => Object.fromEntries(Object.entries(value)
+  .filter(([key, field]) => !sameJson(field, defaults[key])));
+
+/**
+ * Readable parameters of a view state, leaving out values equal to the defaults
+ * The threshold and intervention selection are always written.
+ * @param {Object} state - View state (see createDefaultViewState)
+ * @returns {Object} - Parameter map in a stable order
+ */
+export function viewStateToParams(state) {
+  const defaults = createDefaultViewState();
+  const params = { v: String(URL_STATE_VERSION), plateau: String(state.threshold) };
+  const set = (key, value) => {
+    if (value !== null && value !== undefined && value !== '') params[key] = String(value);
+  };
+  if (state.datasetId !== defaults.datasetId) set('dataset', state.datasetId);
+  params.interventions = state.interventions.join(',');
+  if (state.utilityModel !== DEFAULT_UTILITY_MODEL) {
+    set('model', state.utilityModel);
+    set('modelParams', encodeModelParams(state.utilityParams));
+  }
+  set('show', encodeFlags(state, PANEL_FLAGS));
+  if (state.chartTab !== defaults.chartTab) set('chart', state.chartTab);
+  set('axis', encodeFlags(state, AXIS_FLAGS));
+  if (state.taxMode) set('tax', encodeTaxSchedule(state.taxSchedule));
+  set('sim', encodePairs(state.simulationAssumptions, defaults.simulationAssumptions));
+  set('redist', encodePairs(state.redistribution, defaults.redistribution));
+  if (!sameJson(state.behaviourAssumptions, defaults.behaviourAssumptions)) set('behaviour', JSON.stringify(state.behaviourAssumptions));
+  if (!sameJson(state.uncertainty, defaults.uncertainty)) set('mc', JSON.stringify(state.uncertainty));
+  set('currency', state.displayCurrency);
+  if (state.conversionMode !== defaults.conversionMode) set('fx', state.conversionMode);
+  set('real', state.realBaseYear);
+  if (state.pinnedScenarios.length > 0) set('compare', encodeScenarios(state.pinnedScenarios));
+  return params;
+}
+
+// UTF-8 safe base64url, available in browsers and Node
+function toBase64Url(text) {
+  const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Query string for a view state
+ * @param {Object} state - View state (see createDefaultViewState)
+ * @param {Object} [options] - { compact } as true, false or 'auto' (default), which switches
+ *   to the compact encoding above COMPACT_AFTER characters when that is shorter
+ * @returns {string} - Query string without the leading "?"
+ */
+export function encodeViewState(state, { compact = 'auto' } = {}) {
+  const { v, ...params } = viewStateToParams(state);
+  const readable = new URLSearchParams({ v, ...params }).toString();
+  if (compact === false || (compact === 'auto' && readable.length <= COMPACT_AFTER)) return readable;
+  const inlined = Object.fromEntries(Object.entries(params)
+    .map(([key, value]) => [key, JSON_PARAMS[key] ? changedFields(JSON.parse(value), JSON_PARAMS[key]) : value]));
+  const packed = new URLSearchParams({ v, [COMPACT_PARAM]: toBase64Url(JSON.stringify(inlined)) }).toString();
+  return compact === true || packed.length < readable.length ? packed : readable;
+}
+
+/**
+ * Bring parameters of an older version up to the current one
+ * @param {Object} params - Parameter map
+ * @param {number} version - Version the parameters were written in
+ * @returns {Object} - Parameter map in the current version
+ */
+export function migrateParams(params, version) {
+  let migrated = params;
+  for (let from = version; from < URL_STATE_VERSION; from += 1) {
+    if (MIGRATIONS[from]) migrated = MIGRATIONS[from](migrated);
+  }
+  return migrated;
+}
+
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Behaviour assumptions are usable when every number is present and every rate is a share
+function isBehaviour(value) {
+  const isRate = rate => isFiniteNumber(rate) && rate >= 0 && rate <= 1;
+  return Boolean(value) && isFiniteNumber(value.elasticity) && value.elasticity >= 0
+    && Array.isArray(value.avoidance)
+    && value.avoidance.every(band => band && isFiniteNumber(band.threshold) && isRate(band.rate))
+    && Boolean(value.emigration) && isRate(value.emigration.topShare) && isRate(value.emigration.rate);
+}
+
+/**
+ * View state from a query string, with warnings for anything that could not be used
+ * Unversioned links are read as version 1 and migrated. Invalid values fall back to the
+ * defaults, unknown interventions are dropped, and links from a newer version are read
+ * as far as possible.
+ * @param {string|URLSearchParams} search - Query string, with or without "?"
+ * @param {Object} [context] - { interventions, importedDatasets } to validate against
+ * @returns {Object} - { state, warnings, version } where warnings are { code, params }
+ *   with codes matching the `urlState` messages in locales/*.json
+ */
+export function decodeViewState(search, { interventions = [], importedDatasets = [] } = {}) {
+  const query = search instanceof URLSearchParams ? search : new URLSearchParams(search);
+  const warnings = [];
+  const warn = (code, params = {}) => warnings.push({ code, params });
+  const state = createDefaultViewState(interventions);
+  // Keep a number inside the range its control offers, warning when it had to move
+  const inRange = (param, value, { min, max }) => {
+    const clamped = Math.min(Math.max(value, min), max);
+    if (clamped !== value) warn('invalidValue', { param });
+    return clamped;
+  };
+
+  const versionParam = query.get('v');
+  let version = versionParam === null ? 1 : Number(versionParam);
+  if (!Number.isInteger(version) || version < 1) {
+    warn('invalidValue', { param: 'v' });
+    version = URL_STATE_VERSION;
+  } else if (version > URL_STATE_VERSION) {
+    warn('newerVersion', { version: String(version) });
+  }
+
+  let params = Object.fromEntries([...query.entries()].filter(([key]) => key !== 'v'));
+  if (params[COMPACT_PARAM] !== undefined) {
+    try {
+      const unpacked = JSON.parse(fromBase64Url(params[COMPACT_PARAM]));
+      if (!unpacked || typeof unpacked !== 'object' || Array.isArray(unpacked)) throw new Error('Not a parameter map');
+      params = Object.fromEntries(Object.entries(unpacked)
+        .map(([key, value]) => [key, JSON_PARAMS[key] && value && typeof value === 'object'
+          ? JSON.stringify({ ...JSON_PARAMS[key], ...value })
+          : String(value)]));
+    } catch (error) {
+      warn('invalidCompact');
+      return { state, warnings, version };
+    }
+  }
+  params = migrateParams(params, version);
+
+  let linkedThreshold = null;
+  if (params.plateau !== undefined) {
+    const threshold = Number(params.plateau);
+    if (params.plateau.trim() !== '' && Number.isFinite(threshold) && threshold > 0) linkedThreshold = threshold;
+    else warn('invalidThreshold', { value: params.plateau });
+  }
+
+  if (params.dataset !== undefined) {
+    if (listDatasets(importedDatasets).some(d => d.id === params.dataset)) state.datasetId = params.dataset;
+    else warn('unknownDataset', { id: params.dataset });
+  }
+  // The plateau slider ends at the richest point of the dataset
+  if (linkedThreshold !== null) {
+    state.threshold = inRange('plateau', linkedThreshold, { min: 0, max: getDatasetMaxWealth(getDataset(state.datasetId, importedDatasets)) });
+  }
+
+  if (params.interventions !== undefined) {
+    const ids = params.interventions.split(',').map(id => id.trim()).filter(Boolean);
+    const known = new Set(interventions.map(i => i.id));
+    const unknown = ids.filter(id => !known.has(id));
+    if (unknown.length > 0) warn('unknownInterventions', { ids: unknown.join(', ') });
+    state.interventions = [...new Set(ids.filter(id => known.has(id)))];
+  }
+
+  if (params.model !== undefined) {
+    const model = getUtilityModel(params.model);
+    if (model.id !== params.model) warn('unknownModel', { id: params.model });
+    state.utilityModel = model.id;
+  }
+  state.utilityParams = decodeModelParams(state.utilityModel, params.modelParams);
+
+  const readFlags = (param, flags) => {
+    if (params[param] === undefined) return;
+    params[param].split(',').filter(Boolean).forEach(flag => {
+      if (flags[flag]) state[flags[flag]] = true;
+      else warn('invalidValue', { param: `${param}=${flag}` });
+    });
+  };
+  readFlags('show', PANEL_FLAGS);
+  readFlags('axis', AXIS_FLAGS);
+
+  if (params.chart !== undefined) {
+    if (CHART_IDS.includes(params.chart)) state.chartTab = params.chart;
+    else warn('invalidValue', { param: 'chart' });
+  }
+
+  if (params.tax !== undefined) {
+    state.taxSchedule = decodeTaxSchedule(params.tax);
+    if (params.tax !== encodeTaxSchedule(DEFAULT_TAX_SCHEDULE) && sameJson(state.taxSchedule, DEFAULT_TAX_SCHEDULE)) {
+      warn('invalidValue', { param: 'tax' });
+    }
+  }
+
+  if (params.sim !== undefined) {
+    const decoded = decodePairs(params.sim);
+    Object.entries(decoded).forEach(([key, value]) => {
+      const number = Number(value);
+      if (key in DEFAULT_SIMULATION_ASSUMPTIONS && Number.isFinite(number)) {
+        const clamped = inRange(`sim.${key}`, number, SIMULATION_LIMITS[key]);
+        state.simulationAssumptions = { ...state.simulationAssumptions, [key]: key === 'horizon' ? Math.round(clamped) : clamped };
+      } else {
+        warn('invalidValue', { param: `sim.${key}` });
+      }
+    });
+  }
+
+  if (params.redist !== undefined) {
+    const { rule, targetShare } = decodePairs(params.redist);
+    if (rule !== undefined) {
+      if (REDISTRIBUTION_RULES.some(r => r.id === rule)) state.redistribution = { ...state.redistribution, rule };
+      else warn('invalidValue', { param: 'redist.rule' });
+    }
+    if (targetShare !== undefined) {
+      const share = Number(targetShare);
+      if (targetShare.trim() !== '' && Number.isFinite(share)) {
+        state.redistribution = { ...state.redistribution, targetShare: inRange('redist.targetShare', share, TARGET_SHARE_LIMITS) };
+      } else {
+        warn('invalidValue', { param: 'redist.targetShare' });
+      }
+    }
+  }
+
+  const readJson = param => {
+    try {
+      return JSON.parse(params[param]);
+    } catch (error) {
+      return undefined;
+    }
+  };
+
+  if (params.behaviour !== undefined) {
+    const behaviour = readJson('behaviour');
+    if (isBehaviour(behaviour)) state.behaviourAssumptions = behaviour;
+    else warn('invalidValue', { param: 'behaviour' });
+  }
+
+  if (params.mc !== undefined) {
+    const json = readJson('mc');
+    // Links made before alpha was varied around the fitted value carry a fixed alphaRange instead
+    const { alphaRange, ...uncertainty } = json && typeof json === 'object'
+      ? { alphaError: DEFAULT_UNCERTAINTY.alphaError, ...json }
+      : {};
+    const valid = json
+      && ['wealthError', 'alphaError', 'costError', 'runs', 'seed'].every(key => isFiniteNumber(uncertainty[key]));
+    if (valid) {
+      state.uncertainty = {
+        ...uncertainty,
+        ...Object.fromEntries(['wealthError', 'alphaError', 'costError']
+          .map(key => [key, inRange(`mc.${key}`, uncertainty[key], UNCERTAINTY_LIMITS[key])])),
+        runs: Math.round(inRange('mc.runs', uncertainty.runs, UNCERTAINTY_LIMITS.runs))
+      };
+    } else {
+      warn('invalidValue', { param: 'mc' });
+    }
+  }
+
+  if (params.currency !== undefined) {
+    if (/^[A-Z]{3}$/.test(params.currency)) state.displayCurrency = params.currency;
+    else warn('invalidValue', { param: 'currency' });
+  }
+
+  if (params.fx !== undefined) {
+    if (CONVERSION_MODES.some(mode => mode.id === params.fx)) state.conversionMode = params.fx;
+    else warn('invalidValue', { param: 'fx' });
+  }
+
+  if (params.real !== undefined) {
+    const year = Number(params.real);
+    // Only years the dataset's country has a price index for
+    const years = getCpiYears(getDataset(state.datasetId, importedDatasets).country);
+    if (Number.isInteger(year) && years.length > 0) {
+      state.realBaseYear = years.includes(year) ? year : years.reduce((best, y) => (Math.abs(y - year) < Math.abs(best - year) ? y : best));
+      if (state.realBaseYear !== year) warn('invalidValue', { param: 'real' });
+    } else {
+      warn('invalidValue', { param: 'real' });
+    }
+  }
+
+  if (params.compare !== undefined) {
+    state.pinnedScenarios = decodeScenarios(params.compare, { interventions, importedDatasets });
+    const entries = params.compare.split(';').filter(Boolean).length;
+    if (state.pinnedScenarios.length < entries) warn('invalidValue', { param: 'compare' });
+  }
+
+  return { state, warnings, version };
+}
@@ -0,0 +1,234 @@
+// url_state.test.js - Unit tests for the versioned URL state encoding
+
+import {
+  URL_STATE_VERSION,
+  DEFAULT_THRESHOLD,
+  COMPACT_AFTER,
+  createDefaultViewState,
+  viewStateToParams,
+  encodeViewState,
+  decodeViewState,
+  migrateParams
+} from './url_state';
+import { getBuiltInInterventions } from './interventions';
+import { getDataset, getDatasetMaxWealth } from './datasets';
+import { createScenario } from './scenarios';
+import { getCpiYears } from './inflation';
+
+const interventions = getBuiltInInterventions();
+const context = { interventions, importedDatasets: [] };
+const defaults = createDefaultViewState(interventions);
+
+// Every piece of state changed from its default
+const fullState = {
+  ...defaults,
+  threshold: 1500000,
+  datasetId: 'synthetic-2024',
+  interventions: ['poverty', 'homelessness'],
+  utilityModel: 'logistic',
+  utilityParams: { steepness: 3, midpoint: 0.3 },
+  showReality: true,
+  showMetrics: true,
+  showSimulation: true,
+  taxMode: true,
+  showBehaviour: true,
+  showUncertainty: true,
+  showCurrency: true,
+  logScale: true,
+  showPercentileAxis: true,
+  chartTab: 'lorenz',
+  taxSchedule: [{ threshold: 10000000, rate: 0.01 }, { threshold: 100000000, rate: 0.025 }],
+  simulationAssumptions: { ...defaults.simulationAssumptions, realReturn: 0.05, horizon: 30 },
+  redistribution: { rule: 'targeted', targetShare: 0.2 },
+  behaviourAssumptions: { ...defaults.behaviourAssumptions, elasticity: 2, emigration: { topShare: 0.001, rate: 0.05 } },
+  uncertainty: { ...defaults.uncertainty, alphaError: 0.3, runs: 800 },
+  displayCurrency: 'USD',
+  conversionMode: 'ppp',
+  realBaseYear: 2020,
+  pinnedScenarios: [createScenario({ threshold: 500000, datasetId: 'sample', interventions: ['healthcare'] })]
+};
+
+describe('encoding', () => {
+  test('should write only the version, threshold and interventions for the defaults', () => {
+    expect(encodeViewState(defaults)).toBe(`v=${URL_STATE_VERSION}&plateau=200000&interventions=homelessness%2Chealthcare`);
+  });
+
+  test('should cover toggles and chart options in readable parameters', () => {
+    const params = viewStateToParams(fullState);
+    expect(params.show).toBe('reality,metrics,simulation,tax,behaviour,uncertainty,currency');
+    expect(params.axis).toBe('log,percentiles');
+    expect(params.chart).toBe('lorenz');
+    expect(params.sim).toBe('realReturn:0.05,horizon:30');
+    expect(params.redist).toBe('rule:targeted,targetShare:0.2');
+  });
+
+  test('should switch to the compact encoding for long states', () => {
+    const readable = encodeViewState(fullState, { compact: false });
+    expect(readable.length).toBeGreaterThan(COMPACT_AFTER);
+    const compact = encodeViewState(fullState);
+    expect(compact).toMatch(/^v=2&z=[A-Za-z0-9_-]+$/);
+    expect(compact.length).toBeLessThan(readable.length);
+  });
+});
+
+describe('round trips', () => {
+  test('should restore the defaults', () => {
+    const { state, warnings } = decodeViewState(encodeViewState(defaults), context);
+    expect(state).toEqual(defaults);
+    expect(warnings).toEqual([]);
+  });
+
+  test.each([false, true, 'auto'])('should restore every field (compact: %s)', compact => {
+    const { state, warnings, version } = decodeViewState(`?${encodeViewState(fullState, { compact })}`, context);
+    expect(state).toEqual(fullState);
+    expect(warnings).toEqual([]);
+    expect(version).toBe(URL_STATE_VERSION);
+  });
+
+  test('should restore edited piecewise knots', () => {
+    const utilityParams = { k1: 0.05, u1: 0.3, k2: 0.3, u2: 0.6, k3: 0.6, u3: 0.9 };
+    const { state } = decodeViewState(encodeViewState({ ...defaults, utilityModel: 'piecewise', utilityParams }), context);
+    expect(state.utilityParams).toEqual(utilityParams);
+  });
+
+  test('should keep an empty intervention selection', () => {
+    const { state } = decodeViewState(encodeViewState({ ...defaults, interventions: [] }), context);
+    expect(state.interventions).toEqual([]);
+  });
+});
+
+describe('migration', () => {
+  test('should read unversioned links as version 1', () => {
+    const { state, warnings, version } = decodeViewState(
+      '?plateau=1000000&dataset=synthetic-2014&interventions=homelessness&model=crra&modelParams=eta:2&currency=GBP&fx=ppp&real=2020',
+      context
+    );
+    expect(version).toBe(1);
+    expect(warnings).toEqual([]);
+    expect(state).toMatchObject({
+      threshold: 1000000,
+      datasetId: 'synthetic-2014',
+      interventions: ['homelessness'],
+      utilityModel: 'crra',
+      utilityParams: { eta: 2 },
+      displayCurrency: 'GBP',
+      conversionMode: 'ppp',
+      realBaseYear: 2020,
+      showMetrics: false
+    });
+  });
+
+  test('should turn on tax mode when a version 1 link carries a schedule', () => {
+    expect(migrateParams({ tax: '50000000:0.02' }, 1)).toEqual({ tax: '50000000:0.02', show: 'tax' });
+    const { state } = decodeViewState('?plateau=200000&tax=20000000:0.01', context);
+    expect(state.taxMode).toBe(true);
+    expect(state.taxSchedule).toEqual([{ threshold: 20000000, rate: 0.01 }]);
+  });
+
+  test('should leave current parameters unchanged', () => {
+    expect(migrateParams({ tax: '1:0.1' }, URL_STATE_VERSION)).toEqual({ tax: '1:0.1' });
+  });
+});
+
+describe('validation', () => {
+  const codes = result => result.warnings.map(w => w.code);
+
+  test('should report unknown interventions instead of dropping them silently', () => {
+    const result = decodeViewState('?v=2&interventions=homelessness,moonbase,parks', context);
+    expect(result.state.interventions).toEqual(['homelessness']);
+    expect(result.warnings).toEqual([{ code: 'unknownInterventions', params: { ids: 'moonbase, parks' } }]);
+  });
+
+  test('should fall back on an invalid threshold, dataset and model', () => {
+    const result = decodeViewState('?v=2&plateau=lots&dataset=atlantis&model=quadratic', context);
+    expect(result.state.threshold).toBe(DEFAULT_THRESHOLD);
+    expect(result.state.datasetId).toBe(defaults.datasetId);
+    expect(result.state.utilityModel).toBe(defaults.utilityModel);
+    expect(codes(result)).toEqual(['invalidThreshold', 'unknownDataset', 'unknownModel']);
+  });
+
+  test('should keep the threshold within the linked dataset', () => {
+    const max = getDatasetMaxWealth(getDataset('synthetic-2014'));
+    const result = decodeViewState(`?v=2&plateau=${max * 10}&dataset=synthetic-2014`, context);
+    expect(result.state.threshold).toBe(max);
+    expect(result.warnings).toEqual([{ code: 'invalidValue', params: { param: 'plateau' } }]);
+    expect(decodeViewState(`?v=2&plateau=${max}&dataset=synthetic-2014`, context).warnings).toEqual([]);
+  });
+
+  test('should accept imported datasets', () => {
+    const imported = [{ id: 'imported-x', name: 'X', currency: 'EUR', percentiles: [] }];
+    const { state, warnings } = decodeViewState('?v=2&dataset=imported-x', { interventions, importedDatasets: imported });
+    expect(state.datasetId).toBe('imported-x');
+    expect(warnings).toEqual([]);
+  });
+
+  test('should ignore unknown flags and invalid options', () => {
+    const result = decodeViewState('?v=2&show=metrics,sparkles&chart=pie&fx=barter&currency=euro&real=soon', context);
+    expect(result.state.showMetrics).toBe(true);
+    expect(result.state.chartTab).toBe('utility');
+    expect(result.warnings.map(w => w.params.param)).toEqual(['show=sparkles', 'chart', 'currency', 'fx', 'real']);
+  });
+
+  test('should reject malformed assumptions', () => {
+    const result = decodeViewState(`?v=2&behaviour=${encodeURIComponent('{"elasticity":"high"}')}&mc=nope&sim=realReturn:x&redist=rule:random`, context);
+    expect(result.state.behaviourAssumptions).toEqual(defaults.behaviourAssumptions);
+    expect(result.state.uncertainty).toEqual(defaults.uncertainty);
+    expect(result.state.simulationAssumptions).toEqual(defaults.simulationAssumptions);
+    expect(result.state.redistribution).toEqual(defaults.redistribution);
+    expect(result.warnings.map(w => w.params.param)).toEqual(['sim.realReturn', 'redist.rule', 'behaviour', 'mc']);
+  });
+
+  test('should cap Monte Carlo runs', () => {
+    const mc = JSON.stringify({ ...defaults.uncertainty, runs: 1e9 });
+    const result = decodeViewState(`?v=2&mc=${encodeURIComponent(mc)}`, context);
+    expect(result.state.uncertainty.runs).toBe(5000);
+    expect(result.warnings.map(w => w.params.param)).toEqual(['mc.runs']);
+  });
+
+  test('should clamp hostile values to the ranges the controls offer', () => {
+    const mc = JSON.stringify({ ...defaults.uncertainty, wealthError: -5, costError: 9 });
+    const result = decodeViewState(
+      `?v=2&dataset=synthetic-2024&sim=horizon:1e9,drawdownRate:-3&redist=rule:targeted,targetShare:0.0001&mc=${encodeURIComponent(mc)}&real=1066`,
+      context
+    );
+    expect(result.state.simulationAssumptions).toEqual({ ...defaults.simulationAssumptions, horizon: 200, drawdownRate: 0.01 });
+    expect(result.state.redistribution).toEqual({ rule: 'targeted', targetShare: 0.01 });
+    expect(result.state.uncertainty).toEqual({ ...defaults.uncertainty, wealthError: 0, costError: 0.5 });
+    expect(result.state.realBaseYear).toBe(getCpiYears('SYN')[0]);
+    expect(result.warnings.map(w => w.params.param)).toEqual([
+      'sim.horizon', 'sim.drawdownRate', 'redist.targetShare', 'mc.wealthError', 'mc.costError', 'real'
+    ]);
+  });
+
+  test('should drop a real-terms year for a dataset without a price index', () => {
+    const result = decodeViewState('?v=2&dataset=sample&real=2020', context);
+    expect(result.state.realBaseYear).toBeNull();
+    expect(result.warnings.map(w => w.params.param)).toEqual(['real']);
+  });
+
+  test('should replace a fixed alpha range from older links with the default alpha error', () => {
+    const { alphaError, ...older } = { ...defaults.uncertainty, alphaRange: [1.2, 2] };
+    const migrated = decodeViewState(`?v=2&mc=${encodeURIComponent(JSON.stringify(older))}`, context);
+    expect(migrated.state.uncertainty).toEqual(defaults.uncertainty);
+    expect(migrated.warnings).toEqual([]);
+  });
+
+  test('should report an unreadable compact link and show the defaults', () => {
+    const result = decodeViewState('?v=2&z=%%%', context);
+    expect(result.state).toEqual(defaults);
+    expect(codes(result)).toEqual(['invalidCompact']);
+  });
+
+  test('should read links from a newer version as far as possible', () => {
+    const result = decodeViewState('?v=7&plateau=300000', context);
+    expect(result.state.threshold).toBe(300000);
+    expect(result.version).toBe(7);
+    expect(result.warnings).toEqual([{ code: 'newerVersion', params: { version: '7' } }]);
+  });
+
+  test('should report pinned scenarios that could not be read', () => {
+    const result = decodeViewState('?v=2&compare=500000|sample|log||homelessness;abc|sample', context);
+    expect(result.state.pinnedScenarios).toHaveLength(1);
+    expect(result.warnings).toEqual([{ code: 'invalidValue', params: { param: 'compare' } }]);
+  });
+});
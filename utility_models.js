@@ -0,0 +1,156 @@
+// utility_models.js - Registry of utility-curve models
+
+/**
+ * Each model maps wealth to a utility in [0, 1], normalised so that wealth at the
+ * plateau threshold reaches 1. Models declare their own parameters so the UI can
+ * render controls and the URL can carry their values.
+ */
+
+// Default knots of the piecewise-linear curve: wealth as a fraction of the threshold and the utility there
+const PIECEWISE_KNOTS = [
+  { wealth: 0.1, utility: 0.5 },
+  { wealth: 0.25, utility: 0.7 },
+  { wealth: 0.5, utility: 0.85 }
+];
+
+// Isoelastic (CRRA) utility of wealth, shifted by one so zero wealth is finite
+function isoelastic(wealth, eta) {
+  if (Math.abs(eta - 1) < 1e-9) return Math.log1p(wealth);
+  return (Math.pow(1 + wealth, 1 - eta) - 1) / (1 - eta);
+}
+
+export const UTILITY_MODELS = [
+  {
+    id: 'log',
+    label: 'Logarithmic',
+    description: 'log(1 + wealth), scaled to the plateau',
+    params: [],
+    evaluate: (wealth, threshold) => Math.log1p(wealth) / Math.log1p(threshold)
+  },
+  {
+    id: 'crra',
+    label: 'Isoelastic (CRRA)',
+    description: 'Constant relative risk aversion; η = 1 is logarithmic, higher η saturates faster',
+    params: [
+      { key: 'eta', label: 'Risk aversion η', min: 0.1, max: 5, step: 0.1, default: 1.5 }
+    ],
+    evaluate: (wealth, threshold, { eta }) => isoelastic(wealth, eta) / isoelastic(threshold, eta)
+  },
+  {
+    id: 'logistic',
+    label: 'Logistic',
+    description: 'S-curve in log wealth with adjustable steepness and midpoint',
+    params: [
+      { key: 'steepness', label: 'Steepness', min: 0.5, max: 10, step: 0.5, default: 2 },
+      { key: 'midpoint', label: 'Midpoint (× plateau)', min: 0.01, max: 1, step: 0.01, default: 0.2 }
+    ],
+    evaluate: (wealth, threshold, { steepness, midpoint }) => {
+      const centre = Math.log1p(midpoint * threshold);
+      const sigmoid = w => 1 / (1 + Math.exp(-steepness * (Math.log1p(w) - centre)));
+      const floor = sigmoid(0);
+      return (sigmoid(wealth) - floor) / (sigmoid(threshold) - floor);
+    }
+  },
+  {
+    id: 'piecewise',
+    label: 'Piecewise linear',
+    description: 'Straight lines through user-defined utility levels',
+    params: PIECEWISE_KNOTS.flatMap((knot, i) => [
+      // Knots stay strictly between zero wealth and the plateau
+      { key: `k${i + 1}`, label: `Knot ${i + 1} (× plateau)`, min: 0.01, max: 0.99, step: 0.01, default: knot.wealth },
+      { key: `u${i + 1}`, label: `Utility at knot ${i + 1}`, min: 0, max: 1, step: 0.01, default: knot.utility }
+    ]),
+    // Knots dragged past each other are put back in wealth order, each keeping its utility
+    normalize: params => {
+      const knots = PIECEWISE_KNOTS
+        .map((_, i) => ({ wealth: params[`k${i + 1}`], utility: params[`u${i + 1}`] }))
+        .sort((a, b) => a.wealth - b.wealth);
+      return knots.reduce((result, knot, i) => ({ ...result, [`k${i + 1}`]: knot.wealth, [`u${i + 1}`]: knot.utility }), {});
+    },
+    evaluate: (wealth, threshold, params) => {
+      // Keep the curve non-decreasing even if a utility level is set below the previous one
+      let level = 0;
+      const knots = [{ wealth: 0, utility: 0 }];
+      PIECEWISE_KNOTS.forEach((_, i) => {
+        level = Math.max(level, params[`u${i + 1}`]);
+        knots.push({ wealth: params[`k${i + 1}`] * threshold, utility: level });
+      });
+      knots.push({ wealth: threshold, utility: 1 });
+      const upper = knots.findIndex(k => k.wealth >= wealth);
+      if (upper <= 0) return upper === 0 ? 0 : 1;
+      const a = knots[upper - 1];
+      const b = knots[upper];
+      return a.utility + (b.utility - a.utility) * (wealth - a.wealth) / (b.wealth - a.wealth);
+    }
+  }
+];
+
+export const DEFAULT_UTILITY_MODEL = 'log';
+
+/**
+ * Look up a utility model by id
+ * @param {string} id - Model id
+ * @returns {Object} - Model definition, falling back to the logarithmic model
+ */
+export function getUtilityModel(id) {
+  return UTILITY_MODELS.find(m => m.id === id) || UTILITY_MODELS.find(m => m.id === DEFAULT_UTILITY_MODEL);
+}
+
+/**
+ * Fill in defaults and clamp parameters to the model's declared ranges
+ * Models with a `normalize` function then tidy the set further (the piecewise model sorts its knots).
+ * @param {string} id - Model id
+ * @param {Object} [params] - Parameter values keyed by param key
+ * @returns {Object} - Complete, valid parameter set
+ */
+export function normalizeModelParams(id, params = {}) {
+  const model = getUtilityModel(id);
+  const clamped = model.params.reduce((result, param) => {
+    const value = Number(params[param.key]);
+    result[param.key] = Number.isFinite(value)
+      ? Math.min(Math.max(value, param.min), param.max)
+      : param.default;
+    return result;
+  }, {});
+  return model.normalize ? model.normalize(clamped) : clamped;
+}
+
+/**
+ * Evaluate a utility model
+ * @param {number} wealth - Individual wealth amount
+ * @param {number} threshold - Selected plateau threshold
+ * @param {string} [id] - Model id
+ * @param {Object} [params] - Model parameters
+ * @returns {number} - Utility value between 0 and 1
+ */
+export function evaluateUtilityModel(wealth, threshold, id = DEFAULT_UTILITY_MODEL, params = {}) {
+  const model = getUtilityModel(id);
+  const utility = model.evaluate(wealth, threshold, normalizeModelParams(model.id, params));
+  if (!Number.isFinite(utility)) return wealth >= threshold ? 1 : 0;
+  // Cap at 1.0 for wealth above threshold (plateau effect)
+  return Math.min(Math.max(utility, 0), 1.0);
+}
+
+/**
+ * Encode model parameters for a URL query value, e.g. "steepness:2,midpoint:0.2"
+ * @param {Object} params - Parameter values
+ * @returns {string} - Compact key:value list
+ */
+export function encodeModelParams(params = {}) {
+  return Object.entries(params).map(([key, value]) => `${key}:${value}`).join(',');
+}
+
+/**
+ * Decode model parameters from a URL query value
+ * @param {string} id - Model id the parameters belong to
+ * @param {string|null} encoded - Value produced by encodeModelParams
+ * @returns {Object} - Normalised parameter set
+ */
+export function decodeModelParams(id, encoded) {
+  const params = {};
+  (encoded || '').split(',').forEach(pair => {
+    const [key, value] = pair.split(':');
+    if (key && value !== undefined) params[key] = value;
+  });
+  return normalizeModelParams(id, params);
+}
@@ -0,0 +1,121 @@
+// utility_models.test.js - Unit tests for the utility-curve registry
+
+import {
+  UTILITY_MODELS,
+  getUtilityModel,
+  normalizeModelParams,
+  evaluateUtilityModel,
+  encodeModelParams,
+  decodeModelParams
+} from './utility_models';
+import { calculateUtility } from './calculations';
+
+const threshold = 1000000;
+const wealthLevels = [1000, 10000, 100000, 250000, 500000, 900000];
+
+describe('utility model registry', () => {
+  test('should declare an id, label and parameters for every model', () => {
+    expect(UTILITY_MODELS.map(m => m.id)).toEqual(['log', 'crra', 'logistic', 'piecewise']);
+    UTILITY_MODELS.forEach(model => {
+      expect(model.label).toBeTruthy();
+      model.params.forEach(param => {
+        expect(param.default).toBeGreaterThanOrEqual(param.min);
+        expect(param.default).toBeLessThanOrEqual(param.max);
+      });
+    });
+  });
+
+  test('should fall back to the log model for unknown ids', () => {
+    expect(getUtilityModel('nonsense').id).toBe('log');
+  });
+
+  test.each(UTILITY_MODELS.map(m => [m.id]))('%s model should rise to 1 at the plateau and stay there', id => {
+    const utilities = wealthLevels.map(w => evaluateUtilityModel(w, threshold, id));
+    utilities.forEach((u, i) => {
+      expect(u).toBeGreaterThanOrEqual(0);
+      expect(u).toBeLessThan(1);
+      if (i > 0) expect(u).toBeGreaterThanOrEqual(utilities[i - 1]);
+    });
+    expect(evaluateUtilityModel(threshold, threshold, id)).toBeCloseTo(1, 9);
+    expect(evaluateUtilityModel(threshold * 10, threshold, id)).toBe(1);
+  });
+});
+
+describe('model behaviour', () => {
+  test('log model should match the original formula', () => {
+    expect(calculateUtility(100000, 200000)).toBeCloseTo(Math.log1p(100000) / Math.log1p(200000), 9);
+    expect(calculateUtility(100000, 200000, 'log')).toBe(calculateUtility(100000, 200000));
+  });
+
+  test('CRRA with eta = 1 should reduce to the log model', () => {
+    expect(evaluateUtilityModel(50000, threshold, 'crra', { eta: 1 }))
+      .toBeCloseTo(evaluateUtilityModel(50000, threshold, 'log'), 9);
+  });
+
+  test('higher CRRA eta should saturate faster', () => {
+    const low = evaluateUtilityModel(50000, threshold, 'crra', { eta: 1.2 });
+    const high = evaluateUtilityModel(50000, threshold, 'crra', { eta: 3 });
+    expect(high).toBeGreaterThan(low);
+  });
+
+  test('logistic midpoint should shift the curve', () => {
+    const early = evaluateUtilityModel(100000, threshold, 'logistic', { steepness: 4, midpoint: 0.05 });
+    const late = evaluateUtilityModel(100000, threshold, 'logistic', { steepness: 4, midpoint: 0.5 });
+    expect(early).toBeGreaterThan(late);
+    expect(evaluateUtilityModel(0, threshold, 'logistic')).toBe(0);
+  });
+
+  test('piecewise model should interpolate between its knots', () => {
+    const params = { u1: 0.4, u2: 0.6, u3: 0.8 };
+    expect(evaluateUtilityModel(100000, threshold, 'piecewise', params)).toBeCloseTo(0.4, 9);
+    expect(evaluateUtilityModel(375000, threshold, 'piecewise', params)).toBeCloseTo(0.7, 9);
+    expect(evaluateUtilityModel(750000, threshold, 'piecewise', params)).toBeCloseTo(0.9, 9);
+  });
+
+  test('piecewise model should stay non-decreasing with out-of-order utility levels', () => {
+    const params = { u1: 0.8, u2: 0.3, u3: 0.5 };
+    expect(evaluateUtilityModel(250000, threshold, 'piecewise', params)).toBeCloseTo(0.8, 9);
+  });
+
+  test('piecewise model should pass through user-defined knots', () => {
+    const params = { k1: 0.2, u1: 0.4, k2: 0.4, u2: 0.6, k3: 0.8, u3: 0.8 };
+    expect(evaluateUtilityModel(200000, threshold, 'piecewise', params)).toBeCloseTo(0.4, 9);
+    expect(evaluateUtilityModel(600000, threshold, 'piecewise', params)).toBeCloseTo(0.7, 9);
+    expect(evaluateUtilityModel(900000, threshold, 'piecewise', params)).toBeCloseTo(0.9, 9);
+  });
+});
+
+describe('parameter handling', () => {
+  test('should fill defaults and clamp to declared ranges', () => {
+    expect(normalizeModelParams('crra')).toEqual({ eta: 1.5 });
+    expect(normalizeModelParams('crra', { eta: 99 })).toEqual({ eta: 5 });
+    expect(normalizeModelParams('log', { eta: 2 })).toEqual({});
+  });
+
+  test('should sort piecewise knots and keep them inside the plateau', () => {
+    // Knot 1 dragged past knot 3 takes its utility level along
+    expect(normalizeModelParams('piecewise', { k1: 0.7, u1: 0.9, k2: 0.25, u2: 0.7, k3: 0.5, u3: 0.85 }))
+      .toEqual({ k1: 0.25, u1: 0.7, k2: 0.5, u2: 0.85, k3: 0.7, u3: 0.9 });
+    expect(normalizeModelParams('piecewise', { k1: -1, k3: 3 })).toMatchObject({ k1: 0.01, k3: 0.99 });
+    // Links from before knots were editable keep the original knots
+    expect(decodeModelParams('piecewise', 'u1:0.4,u2:0.6,u3:0.8'))
+      .toEqual({ k1: 0.1, u1: 0.4, k2: 0.25, u2: 0.6, k3: 0.5, u3: 0.8 });
+  });
+
+  test('should round-trip parameters through the URL encoding', () => {
+    const params = { steepness: 3.5, midpoint: 0.15 };
+    const encoded = encodeModelParams(params);
+    expect(encoded).toBe('steepness:3.5,midpoint:0.15');
+    expect(decodeModelParams('logistic', encoded)).toEqual(params);
+  });
+
+  test('should round-trip piecewise knots through the URL encoding', () => {
+    const params = { k1: 0.05, u1: 0.3, k2: 0.3, u2: 0.6, k3: 0.6, u3: 0.9 };
+    expect(decodeModelParams('piecewise', encodeModelParams(params))).toEqual(params);
+  });
+
+  test('should ignore malformed encoded parameters', () => {
+    expect(decodeModelParams('logistic', 'steepness:abc,junk')).toEqual({ steepness: 2, midpoint: 0.2 });
+    expect(decodeModelParams('crra', null)).toEqual({ eta: 1.5 });
+  });
+});
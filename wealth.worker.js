@@ -0,0 +1,22 @@
+// wealth.worker.js - Keeps a large dataset off the main thread and processes it per threshold
+
+import { processWealthData } from './calculations';
+import { getWealthIndex } from './wealth_index';
+
+let rawWealthData = [];
+
+self.onmessage = event => {
+  const { type, id } = event.data;
+  try {
+    if (type === 'load') {
+      rawWealthData = event.data.rawWealthData;
+      // Sort and sum once up front so the first threshold is answered quickly
+      getWealthIndex(rawWealthData);
+      self.postMessage({ type: 'loaded', id });
+    } else if (type === 'process') {
+      self.postMessage({ type: 'result', id, result: processWealthData(rawWealthData, event.data.threshold, event.data.options) });
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', id, error: error.message });
+  }
+};
@@ -0,0 +1,92 @@
+// wealth_index.js - Sorted wealth with prefix sums for fast threshold queries on individual records
+
+// Indexes built so far, so repeated calls with the same records sort them only once
+const cache = new WeakMap();
+
+/**
+ * Check whether a value is a wealth index from createWealthIndex
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a wealth index
+ */
+export function isWealthIndex(value) {
+  return Boolean(value) && value.kind === 'wealth-index';
+}
+
+/**
+ * Sort wealth values once and precompute prefix sums
+ * After this O(n log n) step, excess and population above any threshold are O(log n)
+ * lookups and the Gini and Palma are read off in O(1).
+ * @param {Array<number>|Float64Array} values - Wealth of each individual
+ * @returns {Object} - Index with size, total, sorted, inputSorted, countAbove, sumAbove,
+ *   excessAbove, lowerBound, quantile, sumBelowRank, gini and palma
+ */
+export function createWealthIndex(values) {
+  const n = values.length;
+  const sorted = Float64Array.from(values);
+  let inputSorted = true;
+  for (let i = 1; i < n && inputSorted; i++) inputSorted = sorted[i] >= sorted[i - 1];
+  if (!inputSorted) sorted.sort();
+
+  // prefix[i] is the sum of the i poorest values
+  const prefix = new Float64Array(n + 1);
+  let weightedSum = 0;
+  for (let i = 0; i < n; i++) {
+    prefix[i + 1] = prefix[i] + sorted[i];
+    weightedSum += (2 * (i + 1) - n - 1) * sorted[i];
+  }
+  const total = prefix[n];
+
+  // First position whose value is >= wealth (strict: > wealth)
+  const search = (wealth, strict) => {
+    let lo = 0;
+    let hi = n;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (strict ? sorted[mid] <= wealth : sorted[mid] < wealth) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  const sumBelowRank = rank => prefix[Math.min(Math.max(rank, 0), n)];
+  const countAbove = wealth => n - search(wealth, true);
+  const sumAbove = wealth => total - prefix[search(wealth, true)];
+
+  return {
+    kind: 'wealth-index',
+    size: n,
+    total,
+    sorted,
+    // True when the values arrived in ascending order, so positions match the input
+    inputSorted,
+    lowerBound: wealth => search(wealth, false),
+    countAbove,
+    sumAbove,
+    excessAbove: wealth => sumAbove(wealth) - countAbove(wealth) * wealth,
+    sumBelowRank,
+    quantile: p => (n === 0 ? 0 : sorted[Math.min(Math.max(Math.floor(p * n), 0), n - 1)]),
+    gini: n === 0 || total === 0 ? 0 : weightedSum / (n * total),
+    palma: (() => {
+      if (n === 0 || total === 0) return 0;
+      const bottomShare = sumBelowRank(Math.floor(n * 0.4)) / total;
+      // Under ten people the top tenth rounds to nobody; the whole population stands in for it
+      const topCount = Math.floor(n * 0.1);
+      const topShare = topCount > 0 ? (total - sumBelowRank(n - topCount)) / total : 1;
+      return bottomShare > 0 ? topShare / bottomShare : Infinity;
+    })()
+  };
+}
+
+/**
+ * Wealth index of a record array, built on first use and cached for the array
+ * @param {Array<Object>} records - Points with `wealth`
+ * @returns {Object} - Result of createWealthIndex
+ */
+export function getWealthIndex(records) {
+  let index = cache.get(records);
+  if (!index) {
+    index = createWealthIndex(records.map(record => record.wealth));
+    cache.set(records, index);
+  }
+  return index;
+}
@@ -0,0 +1,98 @@
+// wealth_index.test.js - Unit tests for the sorted wealth index and its use on individual records
+
+import { isWealthIndex, createWealthIndex, getWealthIndex } from './wealth_index';
+import {
+  MAX_DATA_POINTS,
+  calculateExcessWealth,
+  calculateGiniCoefficient,
+  calculatePalmaRatio,
+  processWealthData
+} from './calculations';
+
+// Deterministic, unsorted sample with ties
+const values = Array.from({ length: 2001 }, (_, i) => ((i * 7919) % 2001) * 1000);
+
+const naiveExcess = (list, threshold) => list.filter(w => w > threshold).reduce((sum, w) => sum + (w - threshold), 0);
+
+describe('createWealthIndex', () => {
+  const index = createWealthIndex(values);
+
+  test('should sort once and sum every value', () => {
+    expect(isWealthIndex(index)).toBe(true);
+    expect(index.size).toBe(values.length);
+    expect(index.inputSorted).toBe(false);
+    expect(index.total).toBe(values.reduce((sum, w) => sum + w, 0));
+    for (let i = 1; i < index.size; i++) expect(index.sorted[i]).toBeGreaterThanOrEqual(index.sorted[i - 1]);
+  });
+
+  test('should match a linear scan for excess and population above a threshold', () => {
+    [-1, 0, 999, 1000, 500500, 1999000, 2000000, 5e6].forEach(threshold => {
+      expect(index.countAbove(threshold)).toBe(values.filter(w => w > threshold).length);
+      expect(index.excessAbove(threshold)).toBeCloseTo(naiveExcess(values, threshold), 3);
+    });
+  });
+
+  test('should find the first value at or above a threshold', () => {
+    expect(index.lowerBound(1000)).toBe(1);
+    expect(index.lowerBound(1500)).toBe(2);
+    expect(index.lowerBound(1e9)).toBe(index.size);
+    expect(index.quantile(0)).toBe(0);
+    expect(index.quantile(1)).toBe(2000000);
+  });
+
+  test('should give the same Gini and Palma as the array versions', () => {
+    const gini = calculateGiniCoefficient([1, 2, 3, 4, 5]);
+    expect(createWealthIndex([5, 4, 3, 2, 1]).gini).toBeCloseTo(gini, 12);
+    expect(createWealthIndex([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]).palma).toBeCloseTo(1, 12);
+    expect(calculatePalmaRatio(index)).toBe(index.palma);
+  });
+
+  test('should count everyone as the top tenth below ten people', () => {
+    // Top share 15/15 over bottom share (1 + 2)/15
+    expect(createWealthIndex([1, 2, 3, 4, 5]).palma).toBeCloseTo(5, 12);
+    expect(calculatePalmaRatio([5, 4, 3, 2, 1])).toBeCloseTo(5, 12);
+    expect(createWealthIndex([1, 2]).palma).toBe(Infinity);
+  });
+
+  test('should handle empty and all-zero data', () => {
+    expect(createWealthIndex([]).excessAbove(100)).toBe(0);
+    expect(createWealthIndex([]).gini).toBe(0);
+    expect(createWealthIndex([0, 0, 0]).palma).toBe(0);
+  });
+});
+
+describe('getWealthIndex', () => {
+  test('should build one index per record array', () => {
+    const records = values.map(wealth => ({ wealth }));
+    const index = getWealthIndex(records);
+    expect(getWealthIndex(records)).toBe(index);
+    expect(getWealthIndex([...records])).not.toBe(index);
+    expect(calculateExcessWealth(records, 500000)).toBeCloseTo(naiveExcess(values, 500000) / 1e12, 15);
+  });
+});
+
+describe('processWealthData on individual records', () => {
+  const records = Array.from({ length: MAX_DATA_POINTS * 5 }, (_, i) => ({ wealth: (i + 1) * 100 }));
+
+  test('should chart large record sets at evenly spaced quantiles', () => {
+    const { data, metrics } = processWealthData(records, 1e6);
+    expect(data).toHaveLength(MAX_DATA_POINTS);
+    expect(data[0]).toMatchObject({ wealth: 100, percentile: 0 });
+    expect(data[data.length - 1]).toMatchObject({ wealth: records.length * 100, percentile: 1 });
+    expect(metrics.population).toBe(records.length);
+    expect(metrics.peopleAbove).toBe(records.length - 10000);
+    expect(metrics.thresholdIndex).toBe(9999);
+  });
+
+  test('should answer new thresholds from the cached index quickly', () => {
+    processWealthData(records, 1e6);
+    const start = performance.now();
+    for (let threshold = 1e5; threshold < 5e6; threshold += 1e5) processWealthData(records, threshold);
+    expect(performance.now() - start).toBeLessThan(1000);
+  });
+
+  test('should keep positions of unsorted input', () => {
+    const unsorted = [{ wealth: 5e6 }, { wealth: 100 }, { wealth: 3e5 }];
+    expect(processWealthData(unsorted, 200000).metrics.thresholdIndex).toBe(0);
+  });
+});
@@ -0,0 +1,80 @@
+// wealth_pipeline.js - Processes large datasets in a Web Worker that keeps them between thresholds
+
+// Datasets with at least this many entries are processed off the main thread
+export const WORKER_MIN_ENTRIES = 50000;
+
+// Wait for the threshold to rest this long before processing a large dataset
+export const THRESHOLD_DEBOUNCE_MS = 200;
+
+/**
+ * Check whether a dataset is large enough for the worker pipeline
+ * @param {Array<Object>} rawWealthData - Wealth data points or individual records
+ * @returns {boolean} - True when processing should leave the main thread
+ */
+export function needsWorker(rawWealthData) {
+  return Array.isArray(rawWealthData) && rawWealthData.length >= WORKER_MIN_ENTRIES;
+}
+
+/**
+ * Pick the data a dataset is processed from in the worker
+ * Large imports keep their individual records next to the percentile summary; those
+ * records are what the worker processes, one person per record.
+ * @param {Object} dataset - Dataset entry with percentiles and, for large imports, records
+ * @returns {Array<Object>|null} - Data for createWealthPipeline's load, or null when the
+ *   dataset is small enough for the main thread
+ */
+export function workerInput(dataset) {
+  const rawWealthData = Array.isArray(dataset.records)
+    ? dataset.records.map(wealth => ({ wealth }))
+    : dataset.percentiles;
+  return needsWorker(rawWealthData) ? rawWealthData : null;
+}
+
+/**
+ * Start a worker that holds one dataset and processes it for each request
+ * The worker handles messages in order, so a result older than the latest request is
+ * dropped rather than shown.
+ * @param {Function} onUpdate - Called with { status, result, error } where status is
+ *   'loading' (copying and sorting the dataset), 'processing', 'ready' or 'error'; result
+ *   is null while loading, left out while processing and on errors (keep showing the
+ *   previous one) and processWealthData's output when ready
+ * @returns {Object} - { load(rawWealthData), process(threshold, options), terminate() }
+ */
+export function createWealthPipeline(onUpdate) {
+  const worker = new Worker(new URL('./wealth.worker.js', import.meta.url), { type: 'module' });
+  let latest = 0;
+  let loading = false;
+
+  worker.onmessage = event => {
+    const { type, id, result, error } = event.data;
+    if (type === 'loaded') {
+      loading = false;
+      // Requests queued behind the load now run
+      if (id !== latest) onUpdate({ status: 'processing', error: null });
+    } else if (id === latest) {
+      onUpdate(type === 'error'
+        ? { status: 'error', error }
+        : { status: 'ready', result, error: null });
+    }
+  };
+  worker.onerror = event => {
+    onUpdate({ status: 'error', error: event.message || 'Wealth worker failed' });
+  };
+
+  return {
+    load(rawWealthData) {
+      latest += 1;
+      loading = true;
+      onUpdate({ status: 'loading', result: null, error: null });
+      worker.postMessage({ type: 'load', id: latest, rawWealthData });
+    },
+    process(threshold, options) {
+      latest += 1;
+      if (!loading) onUpdate({ status: 'processing', error: null });
+      worker.postMessage({ type: 'process', id: latest, threshold, options });
+    },
+    terminate() {
+      worker.terminate();
+    }
+  };
+}
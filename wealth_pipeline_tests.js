@@ -0,0 +1,38 @@
+// wealth_pipeline.test.js - Unit tests for choosing which datasets are processed in the worker
+
+import { WORKER_MIN_ENTRIES, needsWorker, workerInput } from './wealth_pipeline';
+import { importWealthData, createImportedDataset } from './data_import';
+import { listDatasets } from './datasets';
+import { processWealthData } from './calculations';
+
+// Unweighted register of individual wealth values, as a user would upload it
+const registerCsv = length => ['wealth', ...Array.from({ length }, (_, i) => String(((i * 7919) % length) * 100))].join('\n');
+
+describe('needsWorker', () => {
+  test('should start at WORKER_MIN_ENTRIES entries', () => {
+    expect(needsWorker(new Array(WORKER_MIN_ENTRIES - 1).fill({ wealth: 1 }))).toBe(false);
+    expect(needsWorker(new Array(WORKER_MIN_ENTRIES).fill({ wealth: 1 }))).toBe(true);
+    expect(needsWorker(null)).toBe(false);
+  });
+});
+
+describe('workerInput', () => {
+  test('should keep bundled and small imported datasets on the main thread', () => {
+    listDatasets().forEach(dataset => expect(workerInput(dataset)).toBeNull());
+    expect(workerInput(createImportedDataset(importWealthData(registerCsv(1000)), { name: 'Small' }))).toBeNull();
+  });
+
+  test('should send every record of a large import to the worker', () => {
+    const dataset = createImportedDataset(importWealthData(registerCsv(WORKER_MIN_ENTRIES)), { name: 'Register' });
+    const rawWealthData = workerInput(dataset);
+
+    expect(rawWealthData).toHaveLength(WORKER_MIN_ENTRIES);
+    expect(rawWealthData[1]).toEqual({ wealth: 7919 * 100 });
+
+    // The worker's result is exact for the records, not an estimate from the summary
+    const threshold = 4e6;
+    const expected = dataset.records.reduce((sum, w) => sum + Math.max(w - threshold, 0), 0);
+    const { metrics } = processWealthData(rawWealthData, threshold, { population: dataset.population });
+    expect(metrics.excessEuros).toBeCloseTo(expected, -2);
+  });
+});
@@ -0,0 +1,82 @@
+// wealth_scale.js - Wealth axis formatting, decade ticks and the logarithmic slider
+
+import { formatMoney } from './currency';
+
+// Lowest wealth the log axis and slider reach; log scales cannot start at zero
+export const LOG_MIN_WEALTH = 1000;
+
+// Resolution of the logarithmic slider
+export const LOG_SLIDER_STEPS = 1000;
+
+/**
+ * Compact label for axis ticks, e.g. "€1k", "€2.5M", "€1B"
+ * @param {number} wealth - Amount in the dataset's currency
+ * @param {Object} [money] - Display options for formatMoney ({ currency, from, rates, mode, locale })
+ * @returns {string} - Formatted label
+ */
+export function formatWealth(wealth, money = {}) {
+  return formatMoney(wealth, { ...money, compact: true });
+}
+
+/**
+ * Powers of ten covering a wealth range, for log-axis ticks
+ * @param {number} min - Lowest wealth on the axis
+ * @param {number} max - Highest wealth on the axis
+ * @returns {Array<number>} - Ticks such as [1e3, 1e4, …, 1e9]
+ */
+export function decadeTicks(min, max) {
+  const lo = Math.ceil(Math.log10(Math.max(min, 1)) - 1e-9);
+  const hi = Math.floor(Math.log10(Math.max(max, 1)) + 1e-9);
+  const ticks = [];
+  for (let exponent = lo; exponent <= hi; exponent++) ticks.push(Math.pow(10, exponent));
+  return ticks;
+}
+
+/**
+ * Round to two significant figures so slider values read cleanly (€152,347 → €150,000)
+ * @param {number} value - Amount in euros
+ * @returns {number} - Rounded amount
+ */
+function roundSignificant(value) {
+  if (!(value > 0)) return 0;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)) - 1);
+  return Math.round(value / magnitude) * magnitude;
+}
+
+/**
+ * Map a wealth value onto the logarithmic slider
+ * @param {number} wealth - Threshold in euros
+ * @param {number} max - Highest selectable wealth
+ * @param {number} [min] - Lowest selectable wealth (default: LOG_MIN_WEALTH)
+ * @returns {number} - Slider position between 0 and LOG_SLIDER_STEPS
+ */
+export function wealthToSlider(wealth, max, min = LOG_MIN_WEALTH) {
+  if (!(max > min)) return 0;
+  const clamped = Math.min(Math.max(wealth, min), max);
+  return Math.round(LOG_SLIDER_STEPS * Math.log(clamped / min) / Math.log(max / min));
+}
+
+/**
+ * Map a logarithmic slider position back to a wealth value
+ * @param {number} position - Slider position between 0 and LOG_SLIDER_STEPS
+ * @param {number} max - Highest selectable wealth
+ * @param {number} [min] - Lowest selectable wealth (default: LOG_MIN_WEALTH)
+ * @returns {number} - Threshold in euros, rounded to two significant figures
+ */
+export function sliderToWealth(position, max, min = LOG_MIN_WEALTH) {
+  if (!(max > min)) return min;
+  const fraction = Math.min(Math.max(position / LOG_SLIDER_STEPS, 0), 1);
+  if (fraction === 1) return max;
+  return Math.min(Math.max(roundSignificant(min * Math.pow(max / min, fraction)), min), max);
+}
+
+/**
+ * Slider distance covering one decade of wealth, the large step for PageUp/PageDown
+ * @param {number} max - Highest selectable wealth
+ * @param {number} [min] - Lowest selectable wealth (default: LOG_MIN_WEALTH)
+ * @returns {number} - Slider steps per factor of ten
+ */
+export function sliderStepsPerDecade(max, min = LOG_MIN_WEALTH) {
+  if (!(max > min)) return LOG_SLIDER_STEPS;
+  return LOG_SLIDER_STEPS / Math.log10(max / min);
+}
@@ -0,0 +1,73 @@
+// wealth_scale.test.js - Unit tests for wealth axis formatting and the log slider
+
+import {
+  LOG_MIN_WEALTH,
+  LOG_SLIDER_STEPS,
+  formatWealth,
+  decadeTicks,
+  wealthToSlider,
+  sliderToWealth,
+  sliderStepsPerDecade
+} from './wealth_scale';
+
+describe('formatWealth', () => {
+  test('should pick k, M, B and T suffixes', () => {
+    expect(formatWealth(950)).toBe('€950');
+    expect(formatWealth(1000)).toBe('€1k');
+    expect(formatWealth(65000)).toBe('€65k');
+    expect(formatWealth(2500000)).toBe('€2.5M');
+    expect(formatWealth(1e9)).toBe('€1B');
+    expect(formatWealth(8e12)).toBe('€8T');
+    expect(formatWealth(0)).toBe('€0');
+  });
+});
+
+describe('decadeTicks', () => {
+  test('should list powers of ten inside the range', () => {
+    expect(decadeTicks(1000, 1e9)).toEqual([1e3, 1e4, 1e5, 1e6, 1e7, 1e8, 1e9]);
+    expect(decadeTicks(1500, 5e8)).toEqual([1e4, 1e5, 1e6, 1e7, 1e8]);
+    expect(decadeTicks(0, 50)).toEqual([1, 10]);
+  });
+});
+
+describe('logarithmic slider', () => {
+  const max = 5e8;
+
+  test('should span the range end to end', () => {
+    expect(sliderToWealth(0, max)).toBe(LOG_MIN_WEALTH);
+    expect(sliderToWealth(LOG_SLIDER_STEPS, max)).toBe(max);
+    expect(wealthToSlider(LOG_MIN_WEALTH, max)).toBe(0);
+    expect(wealthToSlider(max, max)).toBe(LOG_SLIDER_STEPS);
+  });
+
+  test('should give each decade an equal share of the track', () => {
+    const decade = wealthToSlider(1e5, max) - wealthToSlider(1e4, max);
+    expect(wealthToSlider(1e7, max) - wealthToSlider(1e6, max)).toBeCloseTo(decade, -1);
+    // A linear €10k step would put everything below €10M in the first 2% of the track
+    expect(wealthToSlider(1e7, max) / LOG_SLIDER_STEPS).toBeGreaterThan(0.7);
+  });
+
+  test('should round-trip thresholds to two significant figures', () => {
+    [5000, 200000, 1000000, 25000000].forEach(wealth => {
+      const back = sliderToWealth(wealthToSlider(wealth, max), max);
+      expect(Math.abs(back - wealth) / wealth).toBeLessThan(0.05);
+    });
+    // Halfway along the track is √(1k × 500M) ≈ €707k, shown as €710k
+    expect(sliderToWealth(LOG_SLIDER_STEPS / 2, max)).toBe(710000);
+  });
+
+  test('should clamp out-of-range values', () => {
+    expect(wealthToSlider(0, max)).toBe(0);
+    expect(wealthToSlider(1e12, max)).toBe(LOG_SLIDER_STEPS);
+    expect(sliderToWealth(-5, max)).toBe(LOG_MIN_WEALTH);
+    expect(wealthToSlider(5000, 500)).toBe(0);
+  });
+
+  test('should move one decade per large step', () => {
+    const decade = sliderStepsPerDecade(max);
+    // Within the slider's rounding of a factor of ten either way
+    expect(sliderToWealth(wealthToSlider(1e5, max) + decade, max) / 1e6).toBeCloseTo(1, 1);
+    expect(sliderToWealth(wealthToSlider(1e6, max) - decade, max) / 1e5).toBeCloseTo(1, 1);
+    expect(sliderStepsPerDecade(1e6)).toBeCloseTo(LOG_SLIDER_STEPS / 3);
+  });
+});